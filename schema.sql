@@ -1,5 +1,26 @@
 -- Guestbook Database Schema
 -- Run this with: wrangler d1 execute guestbook-db --file=schema.sql
+--
+-- The worker migrates the database itself on the first request (see MIGRATIONS
+-- in worker.js). This file is a snapshot of the latest schema for reference
+-- and fresh installs; the migrations are the source of truth.
+
+-- Applied migration versions
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Guestbooks served by this deployment; id 1 is the default one at the original paths
+CREATE TABLE IF NOT EXISTS guestbooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT OR IGNORE INTO guestbooks (id, slug, name) VALUES (1, 'default', 'Default');
 
 CREATE TABLE IF NOT EXISTS entries (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -8,14 +29,169 @@ CREATE TABLE IF NOT EXISTS entries (
   site TEXT,
   email TEXT,
   created_at TEXT NOT NULL DEFAULT (datetime('now')),
-  approved INTEGER NOT NULL DEFAULT 0
+  approved INTEGER NOT NULL DEFAULT 0,
+  reply TEXT,
+  replied_at TEXT,
+  spam INTEGER NOT NULL DEFAULT 0,
+  hidden INTEGER NOT NULL DEFAULT 0,
+  spam_score INTEGER NOT NULL DEFAULT 0,
+  spam_reasons TEXT,
+  ip_hash TEXT,
+  pinned INTEGER NOT NULL DEFAULT 0,
+  guestbook_id INTEGER NOT NULL DEFAULT 1,
+  custom_fields TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_approved ON entries(approved);
 CREATE INDEX IF NOT EXISTS idx_created_at ON entries(created_at);
+CREATE INDEX IF NOT EXISTS idx_entries_guestbook ON entries(guestbook_id, approved, id);
+
+-- Previous versions of edited entries
+CREATE TABLE IF NOT EXISTS entry_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entry_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  message TEXT NOT NULL,
+  site TEXT,
+  edited_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_revisions_entry ON entry_revisions(entry_id);
+
+CREATE TRIGGER IF NOT EXISTS trg_entries_delete_revisions AFTER DELETE ON entries
+BEGIN
+  DELETE FROM entry_revisions WHERE entry_id = OLD.id;
+END;
+
+-- Submission rate limit counters (fixed window, expires_at is a unix timestamp)
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits(expires_at);
 
--- Settings table for dynamic configuration
+-- Banned submitters (type is ip, email or domain; mode is reject or shadow)
+CREATE TABLE IF NOT EXISTS bans (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,
+  value TEXT NOT NULL,
+  mode TEXT NOT NULL DEFAULT 'reject',
+  reason TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  expires_at TEXT,
+  UNIQUE(type, value)
+);
+
+-- Outgoing webhook endpoints (events is a comma-separated list)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Webhook delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id INTEGER NOT NULL,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  error TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  last_attempt_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id);
+
+-- Reaction counts per entry and emoji
+CREATE TABLE IF NOT EXISTS entry_reactions (
+  entry_id INTEGER NOT NULL,
+  emoji TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (entry_id, emoji)
+);
+
+-- Who reacted (hashed IP), so each visitor counts once per emoji
+CREATE TABLE IF NOT EXISTS reaction_votes (
+  entry_id INTEGER NOT NULL,
+  emoji TEXT NOT NULL,
+  voter_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (entry_id, emoji, voter_hash)
+);
+
+CREATE TRIGGER IF NOT EXISTS trg_entries_delete_reactions AFTER DELETE ON entries
+BEGIN
+  DELETE FROM entry_reactions WHERE entry_id = OLD.id;
+  DELETE FROM reaction_votes WHERE entry_id = OLD.id;
+END;
+
+-- Settings table for dynamic configuration, per guestbook
 CREATE TABLE IF NOT EXISTS settings (
+  guestbook_id INTEGER NOT NULL DEFAULT 1,
+  key TEXT NOT NULL,
+  value TEXT,
+  PRIMARY KEY (guestbook_id, key)
+);
+
+-- Admin accounts; password_hash is salted PBKDF2-SHA256
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'moderator',
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  last_login_at TEXT
+);
+
+-- Admin sessions, keyed by a SHA-256 hash of the cookie's token
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  last_seen_at TEXT NOT NULL DEFAULT (datetime('now')),
+  expires_at TEXT NOT NULL,
+  ip TEXT,
+  user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+
+CREATE TRIGGER IF NOT EXISTS trg_users_delete_sessions AFTER DELETE ON users
+BEGIN
+  DELETE FROM sessions WHERE user_id = OLD.id;
+END;
+
+-- Values generated once per deployment. identifier_salt salts the hashed IPs used by bans,
+-- rate limits and reaction votes, and the identicons; changing it breaks all of those.
+CREATE TABLE IF NOT EXISTS deployment_secrets (
   key TEXT PRIMARY KEY,
-  value TEXT
+  value TEXT NOT NULL
 );
+
+INSERT OR IGNORE INTO deployment_secrets (key, value) VALUES ('identifier_salt', lower(hex(randomblob(32))));
+
+INSERT OR IGNORE INTO schema_migrations (version, name) VALUES
+  (1, 'Create entries and settings tables'),
+  (2, 'Add owner replies to entries'),
+  (3, 'Add spam flag to entries'),
+  (4, 'Add hidden flag and entry edit history'),
+  (5, 'Record spam filter scores on entries'),
+  (6, 'Add submission rate limit counters'),
+  (7, 'Add submitter IP hash and ban list'),
+  (8, 'Add webhooks and delivery log'),
+  (9, 'Add entry reactions'),
+  (10, 'Add pinned flag to entries'),
+  (11, 'Add guestbooks'),
+  (12, 'Add custom form field answers to entries'),
+  (13, 'Add admin user accounts'),
+  (14, 'Add server-side admin sessions'),
+  (15, 'Add a stable salt for hashed identifiers');
@@ -4,6 +4,8 @@
 // Session management
 const SESSION_COOKIE_NAME = 'gb_session';
 const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Guestbook the admin panel is working on
+const BOOK_COOKIE_NAME = 'gb_book';
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
@@ -12,7 +14,3010 @@ const CORS_HEADERS = {
   'Access-Control-Max-Age': '86400'
 };
 
+// Public page and widget strings; ADMIN_MESSAGES below holds the admin panel's.
+// Keys missing from a locale fall back to English.
+const FALLBACK_LOCALE = 'en';
+const LOCALES = {
+  en: 'English',
+  de: 'Deutsch',
+  fr: 'Français',
+  es: 'Español',
+  pt: 'Português'
+};
+const MESSAGES = {
+  en: {
+    'form.name': 'Name',
+    'form.namePlaceholder': 'Your name',
+    'form.email': 'Email',
+    'form.optionalPrivate': '(optional, private)',
+    'form.website': 'Website',
+    'form.optional': '(optional)',
+    'form.private': '(private)',
+    'form.choose': 'Choose...',
+    'form.message': 'Message',
+    'form.messagePlaceholder': 'Leave a message...',
+    'form.honeypot': 'Leave this field empty',
+    'form.post': 'Post Message',
+    'form.submitting': 'Submitting...',
+    'widget.email': 'Email (optional)',
+    'widget.website': 'Website (optional)',
+    'widget.message': 'Message in plain text',
+    'widget.submit': 'Submit',
+    'widget.loading': 'Loading entries...',
+    'widget.empty': 'No entries yet.',
+    'widget.loadFailed': 'Failed to load entries.',
+    'entries.heading': 'Guestbook Entries',
+    'entries.empty': 'No entries yet. Be the first to sign!',
+    'entries.loadMore': 'Load More',
+    'entries.loading': 'Loading...',
+    'entry.pinned': 'Pinned',
+    'entry.owner': 'Owner',
+    'entry.react': 'React with {emoji}',
+    'entry.back': 'Back to the guestbook',
+    'submit.thanks': 'Thank you! Your entry has been submitted.',
+    'submit.moderated': 'Thank you! Your entry will be visible after moderation.',
+    'submit.failed': 'Failed to submit entry. Please try again.',
+    'submit.error': 'An error occurred. Please try again.',
+    'submit.verify': 'Please verify you are human.',
+    'footer.poweredBy': 'Powered by {link}',
+    'footer.source': '{link} available under GNU AGPL v3',
+    'footer.sourceLink': 'Source',
+    'error.rateLimited': 'Too many submissions. Please try again later.',
+    'error.banned': 'You are not allowed to post to this guestbook.',
+    'error.nameTooLong': 'Name too long (max {max} chars)',
+    'error.messageTooLong': 'Message too long (max {max} chars)',
+    'error.urlTooLong': 'URL too long (max {max} chars)',
+    'error.emailTooLong': 'Email too long (max {max} chars)',
+    'error.urlProtocol': 'Invalid website URL. Must start with http:// or https://',
+    'error.url': 'Invalid website URL',
+    'error.required': 'Name and message are required',
+    'error.turnstileRequired': 'Turnstile verification required',
+    'error.verificationFailed': 'Verification failed',
+    'error.fieldRequired': '{field} is required',
+    'error.fieldTooLong': '{field} is too long (max {max} chars)',
+    'error.fieldInvalid': 'Choose one of the options for {field}',
+    'error.spam': 'Your entry was flagged as spam.',
+    'error.reactionsUnavailable': 'Reactions are not available',
+    'error.entryNotFound': 'Entry not found',
+    'error.reactionRateLimited': 'Too many reactions. Please try again later.'
+  },
+  de: {
+    'form.name': 'Name',
+    'form.namePlaceholder': 'Dein Name',
+    'form.email': 'E-Mail',
+    'form.optionalPrivate': '(optional, nicht öffentlich)',
+    'form.website': 'Website',
+    'form.optional': '(optional)',
+    'form.private': '(nicht öffentlich)',
+    'form.choose': 'Bitte wählen...',
+    'form.message': 'Nachricht',
+    'form.messagePlaceholder': 'Hinterlasse eine Nachricht...',
+    'form.honeypot': 'Dieses Feld leer lassen',
+    'form.post': 'Nachricht senden',
+    'form.submitting': 'Wird gesendet...',
+    'widget.email': 'E-Mail (optional)',
+    'widget.website': 'Website (optional)',
+    'widget.message': 'Nachricht als reiner Text',
+    'widget.submit': 'Senden',
+    'widget.loading': 'Einträge werden geladen...',
+    'widget.empty': 'Noch keine Einträge.',
+    'widget.loadFailed': 'Einträge konnten nicht geladen werden.',
+    'entries.heading': 'Gästebucheinträge',
+    'entries.empty': 'Noch keine Einträge. Schreib den ersten!',
+    'entries.loadMore': 'Mehr laden',
+    'entries.loading': 'Wird geladen...',
+    'entry.pinned': 'Angeheftet',
+    'entry.owner': 'Betreiber',
+    'entry.react': 'Mit {emoji} reagieren',
+    'entry.back': 'Zurück zum Gästebuch',
+    'submit.thanks': 'Danke! Dein Eintrag wurde gespeichert.',
+    'submit.moderated': 'Danke! Dein Eintrag erscheint nach der Freigabe.',
+    'submit.failed': 'Der Eintrag konnte nicht gesendet werden. Bitte versuche es erneut.',
+    'submit.error': 'Es ist ein Fehler aufgetreten. Bitte versuche es erneut.',
+    'submit.verify': 'Bitte bestätige, dass du ein Mensch bist.',
+    'footer.poweredBy': 'Betrieben mit {link}',
+    'footer.source': '{link} verfügbar unter GNU AGPL v3',
+    'footer.sourceLink': 'Quellcode',
+    'error.rateLimited': 'Zu viele Einträge. Bitte versuche es später erneut.',
+    'error.banned': 'Du darfst in diesem Gästebuch nicht schreiben.',
+    'error.nameTooLong': 'Name zu lang (max. {max} Zeichen)',
+    'error.messageTooLong': 'Nachricht zu lang (max. {max} Zeichen)',
+    'error.urlTooLong': 'URL zu lang (max. {max} Zeichen)',
+    'error.emailTooLong': 'E-Mail zu lang (max. {max} Zeichen)',
+    'error.urlProtocol': 'Ungültige Website-URL. Sie muss mit http:// oder https:// beginnen',
+    'error.url': 'Ungültige Website-URL',
+    'error.required': 'Name und Nachricht sind Pflichtfelder',
+    'error.turnstileRequired': 'Turnstile-Prüfung erforderlich',
+    'error.verificationFailed': 'Prüfung fehlgeschlagen',
+    'error.fieldRequired': '{field} ist ein Pflichtfeld',
+    'error.fieldTooLong': '{field} ist zu lang (max. {max} Zeichen)',
+    'error.fieldInvalid': 'Wähle eine der Optionen für {field}',
+    'error.spam': 'Dein Eintrag wurde als Spam erkannt.',
+    'error.reactionsUnavailable': 'Reaktionen sind nicht verfügbar',
+    'error.entryNotFound': 'Eintrag nicht gefunden',
+    'error.reactionRateLimited': 'Zu viele Reaktionen. Bitte versuche es später erneut.'
+  },
+  fr: {
+    'form.name': 'Nom',
+    'form.namePlaceholder': 'Votre nom',
+    'form.email': 'E-mail',
+    'form.optionalPrivate': '(facultatif, privé)',
+    'form.website': 'Site web',
+    'form.optional': '(facultatif)',
+    'form.private': '(privé)',
+    'form.choose': 'Choisir...',
+    'form.message': 'Message',
+    'form.messagePlaceholder': 'Laissez un message...',
+    'form.honeypot': 'Laissez ce champ vide',
+    'form.post': 'Publier le message',
+    'form.submitting': 'Envoi en cours...',
+    'widget.email': 'E-mail (facultatif)',
+    'widget.website': 'Site web (facultatif)',
+    'widget.message': 'Message en texte brut',
+    'widget.submit': 'Envoyer',
+    'widget.loading': 'Chargement des messages...',
+    'widget.empty': 'Aucun message pour le moment.',
+    'widget.loadFailed': 'Impossible de charger les messages.',
+    'entries.heading': 'Messages du livre d’or',
+    'entries.empty': 'Aucun message pour le moment. Soyez le premier à signer !',
+    'entries.loadMore': 'Afficher plus',
+    'entries.loading': 'Chargement...',
+    'entry.pinned': 'Épinglé',
+    'entry.owner': 'Propriétaire',
+    'entry.react': 'Réagir avec {emoji}',
+    'entry.back': 'Retour au livre d’or',
+    'submit.thanks': 'Merci ! Votre message a été envoyé.',
+    'submit.moderated': 'Merci ! Votre message sera visible après modération.',
+    'submit.failed': 'L’envoi du message a échoué. Veuillez réessayer.',
+    'submit.error': 'Une erreur est survenue. Veuillez réessayer.',
+    'submit.verify': 'Veuillez confirmer que vous êtes humain.',
+    'footer.poweredBy': 'Propulsé par {link}',
+    'footer.source': '{link} disponible sous licence GNU AGPL v3',
+    'footer.sourceLink': 'Code source',
+    'error.rateLimited': 'Trop de messages envoyés. Veuillez réessayer plus tard.',
+    'error.banned': 'Vous n’êtes pas autorisé à écrire dans ce livre d’or.',
+    'error.nameTooLong': 'Nom trop long ({max} caractères max.)',
+    'error.messageTooLong': 'Message trop long ({max} caractères max.)',
+    'error.urlTooLong': 'URL trop longue ({max} caractères max.)',
+    'error.emailTooLong': 'E-mail trop long ({max} caractères max.)',
+    'error.urlProtocol': 'Adresse du site invalide. Elle doit commencer par http:// ou https://',
+    'error.url': 'Adresse du site invalide',
+    'error.required': 'Le nom et le message sont obligatoires',
+    'error.turnstileRequired': 'Vérification Turnstile requise',
+    'error.verificationFailed': 'La vérification a échoué',
+    'error.fieldRequired': '{field} est obligatoire',
+    'error.fieldTooLong': '{field} est trop long ({max} caractères max.)',
+    'error.fieldInvalid': 'Choisissez une des options pour {field}',
+    'error.spam': 'Votre message a été identifié comme spam.',
+    'error.reactionsUnavailable': 'Les réactions ne sont pas disponibles',
+    'error.entryNotFound': 'Message introuvable',
+    'error.reactionRateLimited': 'Trop de réactions. Veuillez réessayer plus tard.'
+  },
+  es: {
+    'form.name': 'Nombre',
+    'form.namePlaceholder': 'Tu nombre',
+    'form.email': 'Correo electrónico',
+    'form.optionalPrivate': '(opcional, privado)',
+    'form.website': 'Sitio web',
+    'form.optional': '(opcional)',
+    'form.private': '(privado)',
+    'form.choose': 'Elige...',
+    'form.message': 'Mensaje',
+    'form.messagePlaceholder': 'Deja un mensaje...',
+    'form.honeypot': 'Deja este campo vacío',
+    'form.post': 'Publicar mensaje',
+    'form.submitting': 'Enviando...',
+    'widget.email': 'Correo electrónico (opcional)',
+    'widget.website': 'Sitio web (opcional)',
+    'widget.message': 'Mensaje en texto plano',
+    'widget.submit': 'Enviar',
+    'widget.loading': 'Cargando mensajes...',
+    'widget.empty': 'Todavía no hay mensajes.',
+    'widget.loadFailed': 'No se pudieron cargar los mensajes.',
+    'entries.heading': 'Mensajes del libro de visitas',
+    'entries.empty': 'Todavía no hay mensajes. ¡Sé el primero en firmar!',
+    'entries.loadMore': 'Cargar más',
+    'entries.loading': 'Cargando...',
+    'entry.pinned': 'Fijado',
+    'entry.owner': 'Propietario',
+    'entry.react': 'Reaccionar con {emoji}',
+    'entry.back': 'Volver al libro de visitas',
+    'submit.thanks': '¡Gracias! Tu mensaje se ha enviado.',
+    'submit.moderated': '¡Gracias! Tu mensaje será visible después de la moderación.',
+    'submit.failed': 'No se pudo enviar el mensaje. Inténtalo de nuevo.',
+    'submit.error': 'Se ha producido un error. Inténtalo de nuevo.',
+    'submit.verify': 'Confirma que eres humano.',
+    'footer.poweredBy': 'Funciona con {link}',
+    'footer.source': '{link} disponible bajo la licencia GNU AGPL v3',
+    'footer.sourceLink': 'Código fuente',
+    'error.rateLimited': 'Demasiados mensajes. Inténtalo más tarde.',
+    'error.banned': 'No tienes permiso para escribir en este libro de visitas.',
+    'error.nameTooLong': 'Nombre demasiado largo (máx. {max} caracteres)',
+    'error.messageTooLong': 'Mensaje demasiado largo (máx. {max} caracteres)',
+    'error.urlTooLong': 'URL demasiado larga (máx. {max} caracteres)',
+    'error.emailTooLong': 'Correo electrónico demasiado largo (máx. {max} caracteres)',
+    'error.urlProtocol': 'URL del sitio web no válida. Debe empezar por http:// o https://',
+    'error.url': 'URL del sitio web no válida',
+    'error.required': 'El nombre y el mensaje son obligatorios',
+    'error.turnstileRequired': 'Se requiere la verificación de Turnstile',
+    'error.verificationFailed': 'La verificación ha fallado',
+    'error.fieldRequired': '{field} es obligatorio',
+    'error.fieldTooLong': '{field} es demasiado largo (máx. {max} caracteres)',
+    'error.fieldInvalid': 'Elige una de las opciones de {field}',
+    'error.spam': 'Tu mensaje se ha marcado como spam.',
+    'error.reactionsUnavailable': 'Las reacciones no están disponibles',
+    'error.entryNotFound': 'Mensaje no encontrado',
+    'error.reactionRateLimited': 'Demasiadas reacciones. Inténtalo más tarde.'
+  },
+  pt: {
+    'form.name': 'Nome',
+    'form.namePlaceholder': 'Seu nome',
+    'form.email': 'E-mail',
+    'form.optionalPrivate': '(opcional, privado)',
+    'form.website': 'Site',
+    'form.optional': '(opcional)',
+    'form.private': '(privado)',
+    'form.choose': 'Escolha...',
+    'form.message': 'Mensagem',
+    'form.messagePlaceholder': 'Deixe uma mensagem...',
+    'form.honeypot': 'Deixe este campo em branco',
+    'form.post': 'Publicar mensagem',
+    'form.submitting': 'Enviando...',
+    'widget.email': 'E-mail (opcional)',
+    'widget.website': 'Site (opcional)',
+    'widget.message': 'Mensagem em texto simples',
+    'widget.submit': 'Enviar',
+    'widget.loading': 'Carregando mensagens...',
+    'widget.empty': 'Nenhuma mensagem ainda.',
+    'widget.loadFailed': 'Não foi possível carregar as mensagens.',
+    'entries.heading': 'Mensagens do livro de visitas',
+    'entries.empty': 'Nenhuma mensagem ainda. Seja o primeiro a assinar!',
+    'entries.loadMore': 'Carregar mais',
+    'entries.loading': 'Carregando...',
+    'entry.pinned': 'Fixada',
+    'entry.owner': 'Proprietário',
+    'entry.react': 'Reagir com {emoji}',
+    'entry.back': 'Voltar ao livro de visitas',
+    'submit.thanks': 'Obrigado! Sua mensagem foi enviada.',
+    'submit.moderated': 'Obrigado! Sua mensagem ficará visível após a moderação.',
+    'submit.failed': 'Não foi possível enviar a mensagem. Tente novamente.',
+    'submit.error': 'Ocorreu um erro. Tente novamente.',
+    'submit.verify': 'Confirme que você é humano.',
+    'footer.poweredBy': 'Desenvolvido com {link}',
+    'footer.source': '{link} disponível sob a licença GNU AGPL v3',
+    'footer.sourceLink': 'Código-fonte',
+    'error.rateLimited': 'Muitas mensagens enviadas. Tente novamente mais tarde.',
+    'error.banned': 'Você não tem permissão para escrever neste livro de visitas.',
+    'error.nameTooLong': 'Nome muito longo (máx. {max} caracteres)',
+    'error.messageTooLong': 'Mensagem muito longa (máx. {max} caracteres)',
+    'error.urlTooLong': 'URL muito longa (máx. {max} caracteres)',
+    'error.emailTooLong': 'E-mail muito longo (máx. {max} caracteres)',
+    'error.urlProtocol': 'URL do site inválida. Deve começar com http:// ou https://',
+    'error.url': 'URL do site inválida',
+    'error.required': 'Nome e mensagem são obrigatórios',
+    'error.turnstileRequired': 'A verificação do Turnstile é obrigatória',
+    'error.verificationFailed': 'A verificação falhou',
+    'error.fieldRequired': '{field} é obrigatório',
+    'error.fieldTooLong': '{field} é muito longo (máx. {max} caracteres)',
+    'error.fieldInvalid': 'Escolha uma das opções de {field}',
+    'error.spam': 'Sua mensagem foi marcada como spam.',
+    'error.reactionsUnavailable': 'As reações não estão disponíveis',
+    'error.entryNotFound': 'Mensagem não encontrada',
+    'error.reactionRateLimited': 'Muitas reações. Tente novamente mais tarde.'
+  }
+};
+
+// Admin panel strings, in the same languages as MESSAGES. Kept apart so the widget
+// and the public page scripts don't carry them.
+const ADMIN_MESSAGES = {
+  en: {
+    'nav.title': 'Admin Panel',
+    'nav.guestbook': 'Guestbook',
+    'nav.menu': 'Toggle menu',
+    'nav.entries': 'Entries',
+    'nav.import': 'Import & Backup',
+    'nav.embed': 'Embed',
+    'nav.settings': 'Settings',
+    'nav.schema': 'Schema',
+    'nav.users': 'Users',
+    'nav.account': 'Account',
+    'nav.sessions': 'Sessions',
+    'nav.viewSite': 'View Site',
+    'nav.signedInAs': 'Signed in as {username}',
+    'nav.logout': 'Logout',
+    'nav.forbidden': 'Forbidden: your role does not allow this page',
+    'common.error': 'An error occurred. Please try again.',
+    'common.logoutFailed': 'Failed to logout',
+    'common.delete': 'Delete',
+    'common.unknownError': 'Unknown error',
+    'common.errorDetail': 'An error occurred: {error}',
+    'common.cancel': 'Cancel',
+    'login.pageTitle': 'Login - {sitename}',
+    'login.logo': 'Logo',
+    'login.heading': 'Admin Login',
+    'login.firstLogin': 'Sign in with the <code>ADMIN_PASSWORD</code> to create the first owner account',
+    'login.subtitle': 'Enter your username and password to manage entries',
+    'login.username': 'Username',
+    'login.password': 'Password',
+    'login.signIn': 'Sign In',
+    'login.signingIn': 'Signing in...',
+    'login.invalid': 'Invalid username or password',
+    'login.back': 'Back to Guestbook',
+    'moderate.approve': 'Approve Entry',
+    'moderate.delete': 'Delete Entry',
+    'moderate.approved': 'Entry from {name} was approved.',
+    'moderate.deleted': 'Entry from {name} was deleted.',
+    'moderate.published': 'Published',
+    'moderate.pending': 'Awaiting approval',
+    'moderate.heading': 'Moderation',
+    'moderate.openAdmin': 'Open Admin Panel',
+    'moderate.invalidLink': 'This link is invalid or has expired.',
+    'moderate.missingEntry': 'This entry no longer exists.',
+    'embed.pageTitle': 'Embed - {sitename}',
+    'embed.heading': 'Embed Code',
+    'embed.intro': 'Copy the code below and paste it into your website where you want the guestbook to appear.',
+    'embed.introBook': 'Copy the code below and paste it into your website where you want the <strong>{name}</strong> guestbook to appear.',
+    'embed.copy': 'Copy Code',
+    'embed.copied': 'Copied!',
+    'schema.pageTitle': 'Schema - {sitename}',
+    'schema.applied': 'Applied',
+    'schema.pending': 'Pending',
+    'schema.lastFailed': 'Last migration attempt failed: {error}',
+    'schema.current': 'Current version',
+    'schema.latest': 'Latest version',
+    'schema.run': 'Run Pending Migrations',
+    'schema.migrations': 'Migrations',
+    'schema.version': 'Version',
+    'schema.name': 'Name',
+    'schema.status': 'Status',
+    'schema.running': 'Running...',
+    'schema.failed': 'Migration failed',
+    'role.viewer': 'Viewer',
+    'role.moderator': 'Moderator',
+    'role.owner': 'Owner',
+    'role.viewerHelp': 'Viewer: can read entries',
+    'role.moderatorHelp': 'Moderator: can moderate entries and ban submitters',
+    'role.ownerHelp': 'Owner: can also change settings, guestbooks, data and users',
+    'users.pageTitle': 'Users - {sitename}',
+    'users.heading': 'Users',
+    'users.username': 'Username',
+    'users.role': 'Role',
+    'users.lastLogin': 'Last Login',
+    'users.you': '(you)',
+    'users.never': 'Never',
+    'users.setPassword': 'Set Password',
+    'users.passwordPlaceholder': 'Password ({min}+ characters)',
+    'users.add': 'Add User',
+    'users.addFailed': 'Failed to add user',
+    'users.roleFailed': 'Failed to change role',
+    'users.passwordPrompt': 'New password for {username} (at least {min} characters):',
+    'users.passwordFailed': 'Failed to set password',
+    'users.passwordSet': 'Password updated.',
+    'users.confirmDelete': 'Delete the account "{username}"? They will be signed out.',
+    'users.deleteFailed': 'Failed to delete user',
+    'account.heading': 'Your Account',
+    'account.signedInAs': 'Signed in as <strong>{username}</strong> ({role}).',
+    'account.currentPassword': 'Current Password',
+    'account.newPassword': 'New Password',
+    'account.changePassword': 'Change Password',
+    'account.passwordChanged': 'Password changed.',
+    'sessions.pageTitle': 'Sessions - {sitename}',
+    'sessions.active': 'Active Sessions',
+    'sessions.yours': 'Your Sessions',
+    'sessions.revokeAllUsers': 'Log Out All Users',
+    'sessions.revokeEverywhere': 'Log Out Everywhere',
+    'sessions.user': 'User',
+    'sessions.device': 'Device',
+    'sessions.ip': 'IP Address',
+    'sessions.signedIn': 'Signed In',
+    'sessions.lastSeen': 'Last Seen',
+    'sessions.expires': 'Expires',
+    'sessions.unknownDevice': 'Unknown',
+    'sessions.current': 'This session',
+    'sessions.revoke': 'Revoke',
+    'sessions.help': 'Sessions last {days} days from sign-in. Logging out, changing a password or deleting a user ends their sessions.',
+    'sessions.revokeFailed': 'Failed to revoke session',
+    'sessions.confirmRevokeAllUsers': 'Log out every user, including you?',
+    'sessions.confirmRevokeEverywhere': 'Log out all of your sessions, including this one?',
+    'sessions.revokeAllFailed': 'Failed to log out sessions',
+    'import.pageTitle': 'Import & Backup - {sitename}',
+    'import.heading': 'Import Entries',
+    'import.intro': 'Bring in entries from a MyGB export (<code>/data.csv</code> or <code>/data.json</code>) or another guestbook\'s CSV export. Preview first: nothing is saved until you confirm. Original dates are kept and entries that already exist are skipped.',
+    'import.target': 'Entries go into <strong>{name}</strong>.',
+    'import.format': 'Format',
+    'import.formatAuto': 'Detect (MyGB CSV or JSON)',
+    'import.formatCsv': 'MyGB CSV (Name,Message,Website,Date)',
+    'import.formatJson': 'MyGB JSON',
+    'import.formatCustom': 'Other CSV (map columns)',
+    'import.file': 'File',
+    'import.column.name': 'Name column',
+    'import.column.message': 'Message column',
+    'import.column.email': 'Email column',
+    'import.column.site': 'Website column',
+    'import.column.date': 'Date column',
+    'import.required': 'required',
+    'import.optional': 'optional',
+    'import.paste': 'Or paste the contents',
+    'import.approve': 'Publish imported entries (otherwise they wait in the moderation queue)',
+    'import.preview': 'Preview',
+    'import.import': 'Import',
+    'import.line': 'Line',
+    'import.name': 'Name',
+    'import.message': 'Message',
+    'import.date': 'Date',
+    'import.status': 'Status',
+    'import.rows': 'Rows',
+    'import.ready': 'Ready',
+    'import.imported': 'Imported',
+    'import.duplicates': 'Duplicates',
+    'import.duplicate': 'Duplicate',
+    'import.invalid': 'Invalid',
+    'import.now': 'Now',
+    'import.checking': 'Checking...',
+    'import.importing': 'Importing...',
+    'import.failed': 'Import failed',
+    'import.importCount': 'Import {count} entries',
+    'import.importedCount': 'Imported {count} entries.',
+    'import.viewEntries': 'View entries',
+    'import.confirm': 'Import these entries now?',
+    'import.importOne': 'Import 1 entry',
+    'import.error.empty': 'The file is empty',
+    'import.error.json': 'Invalid JSON: {error}',
+    'import.error.notArray': 'Expected a JSON array of entries',
+    'import.error.column': 'Column "{column}" not found. Columns in this file: {columns}',
+    'import.error.mapping': 'Map at least the name and message columns',
+    'import.error.date': 'Unreadable date "{date}"',
+    'backup.heading': 'Backup',
+    'backup.intro': 'A complete copy of the whole deployment, not just this guestbook: every guestbook with its entries (pending, hidden and spam included, with emails), edit history, reactions and settings, plus the shared bans and webhooks. Restoring in Replace mode overwrites all guestbooks. Keep it private. The public exports leave most of this out on purpose.',
+    'backup.redact': 'Leave out secrets (Turnstile secret key, notification token, webhook secrets)',
+    'backup.download': 'Download Backup',
+    'restore.heading': 'Restore',
+    'restore.file': 'Backup file',
+    'restore.mode': 'Mode',
+    'restore.merge': 'Merge: add what\'s missing, keep everything here',
+    'restore.replace': 'Replace: delete all guestbooks and their data first',
+    'restore.check': 'Check Backup',
+    'restore.restore': 'Restore',
+    'restore.chooseFile': 'Choose a backup file first',
+    'restore.invalidJson': 'That file is not valid JSON',
+    'restore.failed': 'Restore failed',
+    'restore.removed': 'Entries removed',
+    'restore.entries': 'Entries',
+    'restore.skipped': 'Already here',
+    'restore.guestbooks': 'Guestbooks',
+    'restore.revisions': 'Revisions',
+    'restore.reactions': 'Reactions',
+    'restore.settings': 'Settings',
+    'restore.bans': 'Bans',
+    'restore.webhooks': 'Webhooks',
+    'restore.confirmReplace': 'This deletes all {count} current entries, guestbooks, settings, bans and webhooks and restores the backup. Continue?',
+    'restore.confirmMerge': 'Add the missing data from this backup?',
+    'restore.restoring': 'Restoring...',
+    'restore.restored': 'Backup restored.',
+    'restore.error.format': 'This is not a MyGB backup file',
+    'restore.error.version': 'Unsupported backup version {version}. This MyGB reads version {supported} and older.',
+    'restore.error.schema': 'The backup comes from a newer database schema (v{version}, this one is v{current}). Run pending migrations or update MyGB first.',
+    'restore.error.list': '"{table}" must be a list',
+    'restore.error.empty': 'The backup has no entries or settings',
+    'restore.error.guestbook': 'A guestbook is missing its id, slug or name',
+    'restore.error.entryFields': 'Entry #{number} is missing its name, message or date',
+    'restore.error.entryId': 'Entry #{number} has a missing or repeated id',
+    'restore.error.entryBook': 'Entry #{number} belongs to a guestbook that isn\'t in the backup',
+    'restore.error.setting': 'A settings row is missing its key',
+    'api.forbidden': 'Your role does not allow this',
+    'api.guestbookInvalid': 'A name and a slug of up to 40 lowercase letters, digits and dashes are required',
+    'api.slugTaken': 'That slug is already taken',
+    'api.defaultGuestbook': 'The default guestbook cannot be deleted',
+    'api.usernameInvalid': 'Usernames are 2-40 lowercase letters, digits, dots, dashes or underscores',
+    'api.userInvalid': 'A role and a password of at least {min} characters are required',
+    'api.usernameTaken': 'That username is already taken',
+    'api.passwordShort': 'Passwords need at least {min} characters',
+    'api.lastOwner': 'There must be at least one owner',
+    'api.wrongPassword': 'Current password is incorrect',
+    'api.sessionNotFound': 'Session not found',
+    'api.banType': 'Invalid ban type',
+    'api.banEmpty': 'Nothing to ban for that type',
+    'api.importRequest': 'Invalid import request',
+    'api.importTooMany': 'Too many rows ({count}). Split the file into parts of at most {max}.',
+    'api.restoreRequest': 'Invalid restore request',
+    'api.restoreFailed': 'Restore failed, nothing was changed: {error}',
+    'api.webhookInvalid': 'A valid http(s) URL and at least one event are required',
+    'api.deliveryNotFound': 'Delivery or webhook not found',
+    'api.entryNotFound': 'Entry not found',
+    'api.revisionNotFound': 'Revision not found',
+    'api.unknownAction': 'Unknown action',
+    'api.noSelection': 'No entries selected',
+    'api.replyTooLong': 'Reply too long (max {max} chars)',
+    'status.spam': 'Spam',
+    'status.hidden': 'Hidden',
+    'status.approved': 'Approved',
+    'status.pending': 'Pending',
+    'status.pinned': 'Pinned',
+    'ban.byIp': 'By IP address',
+    'ban.byEmail': 'By email ({email})',
+    'ban.byDomain': 'By domain ({domain})',
+    'ban.reject': 'Reject new posts',
+    'ban.shadow': 'Shadow-hold new posts',
+    'ban.forOneDay': 'For 1 day',
+    'ban.forDays': 'For {days} days',
+    'ban.permanently': 'Permanently',
+    'ban.reasonOptional': 'Reason (optional)',
+    'ban.alsoDelete': 'Also delete this entry',
+    'ban.submit': 'Ban Submitter',
+    'ban.type.ip': 'IP address',
+    'ban.type.email': 'Email',
+    'ban.type.domain': 'Website domain',
+    'ban.valuePlaceholder': '203.0.113.7, troll@example.com or example.com',
+    'ban.mode.reject': 'Reject',
+    'ban.mode.shadow': 'Shadow-hold',
+    'ban.oneDay': '1 day',
+    'ban.days': '{days} days',
+    'ban.permanent': 'Permanent',
+    'ban.add': 'Add Ban',
+    'ban.type': 'Type',
+    'ban.value': 'Value',
+    'ban.mode': 'Mode',
+    'ban.reason': 'Reason',
+    'ban.expires': 'Expires',
+    'entries.pageTitle': 'Admin - {sitename}',
+    'entries.heading': 'All Entries',
+    'entries.private': '(private)',
+    'entries.empty': 'No entries found.',
+    'entries.selectPage': 'Select all on this page',
+    'entries.status': 'Status',
+    'entries.name': 'Name',
+    'entries.website': 'Website',
+    'entries.message': 'Message',
+    'entries.date': 'Date',
+    'entries.actions': 'Actions',
+    'entries.spamScore': 'Spam score {score}',
+    'entries.yourReply': 'Your reply',
+    'entries.saveChanges': 'Save Changes',
+    'entries.editedOnce': 'Edited 1 time',
+    'entries.edited': 'Edited {count} times',
+    'entries.beforeEdit': 'Before edit on {date}',
+    'entries.revert': 'Revert',
+    'entries.replyPlaceholder': 'Write a public reply...',
+    'entries.saveReply': 'Save Reply',
+    'entries.removeReply': 'Remove Reply',
+    'entries.approveFailed': 'Failed to approve entry',
+    'entries.actionFailed': 'Failed to update entry',
+    'entries.saveFailed': 'Failed to save entry',
+    'entries.confirmRevert': 'Restore this earlier version? The current text will be kept in the history.',
+    'entries.revertFailed': 'Failed to revert entry',
+    'entries.banFailed': 'Failed to ban submitter',
+    'entries.replyFailed': 'Failed to save reply',
+    'entries.confirmRemoveReply': 'Remove your reply to this entry?',
+    'entries.confirmDelete': 'Are you sure you want to delete this entry?',
+    'entries.deleteFailed': 'Failed to delete entry',
+    'action.approve': 'Approve',
+    'action.unapprove': 'Unapprove',
+    'action.unapproveTitle': 'Move back to pending',
+    'action.hide': 'Hide',
+    'action.hideTitle': 'Hide from the public page',
+    'action.spam': 'Mark as spam',
+    'action.pin': 'Pin',
+    'action.pinTitle': 'Keep at the top of the guestbook',
+    'action.unpin': 'Unpin',
+    'action.unpinTitle': 'Remove from the top of the guestbook',
+    'action.edit': 'Edit',
+    'action.reply': 'Reply',
+    'action.editReply': 'Edit Reply',
+    'action.ban': 'Ban',
+    'action.banTitle': 'Ban this submitter',
+    'filter.search': 'Search',
+    'filter.searchPlaceholder': 'Name, message, email or website',
+    'filter.all': 'All',
+    'filter.from': 'From',
+    'filter.to': 'To',
+    'filter.submit': 'Filter',
+    'filter.reset': 'Reset',
+    'bulk.selectAll': 'Select all {count} matching entries',
+    'bulk.allSelected': 'All {count} matching entries selected.',
+    'bulk.pageSelected': '{count} selected on this page.',
+    'bulk.confirm': 'Apply "{action}" to {count} entries?',
+    'bulk.apply': 'Apply',
+    'bulk.applying': 'Applying...',
+    'bulk.partial': '{succeeded} updated, {failed} failed:',
+    'bulk.failed': 'Bulk action failed',
+    'pagination.previous': 'Previous',
+    'pagination.next': 'Next',
+    'pagination.page': 'Page {page} of {pageCount}',
+    'settings.pageTitle': 'Settings - {sitename}',
+    'settings.guestbooks': 'Guestbooks',
+    'settings.guestbooksIntro': 'Each guestbook has its own entries, settings and embed code. The settings below are for <strong>{name}</strong>; switch books next to the Admin Panel title. Bans, webhooks and backups are shared by all of them.',
+    'settings.bookName': 'Name',
+    'settings.bookPage': 'Public Page',
+    'settings.bookEntries': 'Entries',
+    'settings.bookNamePlaceholder': 'Name, e.g. Photo Blog',
+    'settings.bookSlugPlaceholder': 'Slug, e.g. photos',
+    'settings.addBook': 'Add Guestbook',
+    'settings.bookHelp': 'New guestbooks start with a copy of the default guestbook\'s settings and are served at <code>/b/slug</code>.',
+    'settings.general': 'General',
+    'settings.SITENAME': 'Site Name',
+    'settings.SITENAME.help': 'Used as the page title.',
+    'settings.SITE_INTRO': 'Site Intro',
+    'settings.SITE_INTRO.help': 'Displayed on the home page above the form. Supports basic HTML.',
+    'settings.SITE_DESCRIPTION': 'Site Description',
+    'settings.SITE_DESCRIPTION.help': 'Used for meta description and social media cards.',
+    'settings.SITE_ICON_URL': 'Site Icon URL',
+    'settings.SITE_ICON_URL.help': 'URL to your site\'s favicon or logo (square recommended).',
+    'settings.SITE_COVER_IMAGE_URL': 'Site Cover Image URL',
+    'settings.SITE_COVER_IMAGE_URL.help': 'URL to an image used for social media sharing (Open Graph / Twitter). Recommended size: 1200x630.',
+    'settings.CANONICAL_URL': 'Canonical URL',
+    'settings.CANONICAL_URL.help': 'The authoritative URL for your guestbook. Useful if you embed the guestbook on another site.',
+    'settings.ALLOW_INDEXING': 'Allow Search Engine Indexing',
+    'settings.ALLOW_INDEXING.help': 'If unchecked, adds <code>noindex, nofollow</code> to prevent search engines from indexing this page.',
+    'settings.FEEDS_ENABLED': 'Publish Feeds',
+    'settings.FEEDS_ENABLED.help': 'Serves approved entries at <code>/feed.xml</code> (RSS), <code>/atom.xml</code> (Atom) and <code>/feed.json</code> (JSON Feed) for feed readers.',
+    'settings.navigation': 'Navigation',
+    'settings.navigationIntro': 'Add links to your main website or other pages. These will appear in the header.',
+    'settings.addLink': '+ Add Link',
+    'settings.formFields': 'Form Fields',
+    'settings.formFieldsIntro': 'Ask visitors for more than a name and a message, up to {max} extra fields. Public answers are shown with the entry and included in the exports; private ones only appear here in the admin panel.',
+    'settings.addField': '+ Add Field',
+    'settings.formFieldsHelp': 'Dropdown options are separated by commas. Removing a field hides its answers from the public page but keeps them in the database.',
+    'settings.moderation': 'Moderation',
+    'settings.ENTRY_MODERATION': 'Require approval for new entries',
+    'settings.ENTRY_MODERATION.help': 'If checked, entries will not appear publicly until you approve them.',
+    'settings.reactions': 'Reactions',
+    'settings.REACTIONS_ENABLED': 'Let visitors react to entries',
+    'settings.REACTION_EMOJIS': 'Emoji',
+    'settings.REACTION_EMOJIS.help': 'Separated by spaces, up to {max}. Removing one hides it but keeps its counts. Each visitor can react once per emoji; clicking again takes it back.',
+    'settings.spamFilter': 'Spam Filter',
+    'settings.SPAM_FILTER_ENABLED': 'Enable rule-based spam scoring',
+    'settings.SPAM_FILTER_ENABLED.help': 'Each rule that trips adds its score. Set a score to 0, or leave a field blank, to turn that rule off.',
+    'settings.SPAM_BLOCKLIST': 'Blocklist',
+    'settings.SPAM_BLOCKLIST.help': 'One keyword per line, or <code>/regex/flags</code>. Checked against the name, message, website and email.',
+    'settings.SPAM_BLOCKLIST_SCORE': 'Blocklist score',
+    'settings.SPAM_HONEYPOT_SCORE': 'Honeypot score',
+    'settings.SPAM_MAX_LINKS': 'Max links in message',
+    'settings.SPAM_LINKS_SCORE': 'Too many links score',
+    'settings.SPAM_MIN_SUBMIT_SECONDS': 'Min seconds to submit',
+    'settings.SPAM_MIN_TIME_SCORE': 'Too fast score',
+    'settings.SPAM_DUPLICATE_HOURS': 'Duplicate window (hours)',
+    'settings.SPAM_DUPLICATE_SCORE': 'Duplicate message score',
+    'settings.SPAM_HOLD_SCORE': 'Hold for moderation at',
+    'settings.SPAM_REJECT_SCORE': 'Reject at',
+    'settings.RATE_LIMIT_WINDOW_MINUTES': 'Window (minutes)',
+    'settings.RATE_LIMIT_PER_IP': 'Submissions per IP',
+    'settings.RATE_LIMIT_PER_EMAIL': 'Submissions per email',
+    'settings.NOTIFY_ENABLED': 'Email me when a new entry is posted',
+    'settings.NOTIFY_TRANSPORT': 'Transport',
+    'settings.NOTIFY_EMAIL_TO': 'Send To',
+    'settings.NOTIFY_EMAIL_FROM': 'Send From',
+    'settings.NOTIFY_HTTP_URL': 'Mail API URL',
+    'settings.NOTIFY_HTTP_TOKEN': 'Mail API Token',
+    'settings.TURNSTILE_ENABLED': 'Enable Turnstile CAPTCHA',
+    'settings.TURNSTILE_SITE_KEY': 'Site Key',
+    'settings.TURNSTILE_SECRET_KEY': 'Secret Key',
+    'settings.THEME': 'Theme',
+    'settings.MESSAGE_FORMATTING': 'Format Messages',
+    'settings.AVATAR_MODE': 'Avatars',
+    'settings.DEFAULT_LOCALE': 'Default Language',
+    'settings.CUSTOM_CSS': 'Custom CSS',
+    'settings.spamScoresHelp': 'Entries scoring at or above the hold score wait for approval even when moderation is off. Entries at or above the reject score are refused.',
+    'settings.notifications': 'Notifications',
+    'settings.NOTIFY_ENABLED.help': 'The email includes the entry and signed links to approve or delete it without logging in. Entries filed as spam don\'t trigger a notification.',
+    'settings.transportLog': 'Log only (for testing)',
+    'settings.transportHttp': 'HTTP mail API',
+    'settings.NOTIFY_TRANSPORT.help': 'Log only prints the email to the worker logs (<code>wrangler tail</code>).',
+    'settings.NOTIFY_HTTP_URL.help': 'Receives a JSON POST with <code>from</code>, <code>to</code>, <code>subject</code>, <code>text</code> and <code>html</code>.',
+    'settings.NOTIFY_HTTP_TOKEN.help': 'Sent as a <code>Bearer</code> token in the <code>Authorization</code> header.',
+    'settings.testNotification': 'Send Test Notification',
+    'settings.testNotificationHelp': 'Uses the saved settings, so save first.',
+    'settings.webhooks': 'Webhooks',
+    'settings.webhooksIntro': 'Send a signed JSON POST to other services when something happens. Verify the <code>X-MyGB-Signature</code> header, <code>sha256=</code> followed by the hex HMAC-SHA256 of the body using the endpoint\'s secret.',
+    'settings.addWebhook': 'Add Webhook',
+    'settings.noWebhooks': 'No webhooks yet.',
+    'settings.webhookUrl': 'URL',
+    'settings.webhookEvents': 'Events',
+    'settings.webhookSecret': 'Secret',
+    'settings.webhookPaused': '(paused)',
+    'settings.pause': 'Pause',
+    'settings.resume': 'Resume',
+    'settings.deliveries': 'Recent deliveries',
+    'settings.noDeliveries': 'Nothing delivered yet.',
+    'settings.deliveryEvent': 'Event',
+    'settings.deliveryEndpoint': 'Endpoint',
+    'settings.deliveryStatus': 'Status',
+    'settings.deliveryAttempts': 'Attempts',
+    'settings.deliveryLastAttempt': 'Last attempt',
+    'settings.deliveryDeleted': '(deleted)',
+    'settings.retry': 'Retry',
+    'settings.rateLimiting': 'Rate Limiting',
+    'settings.rateLimitingHelp': 'Clients over a limit get a 429 response until the window ends. Set a value to 0 to turn that limit off. IP addresses are stored hashed.',
+    'settings.throttled': 'Currently throttled',
+    'settings.noThrottled': 'No clients are being throttled right now.',
+    'settings.throttledClient': 'Client',
+    'settings.throttledUntil': 'Until',
+    'settings.throttledIp': 'IP {hash}',
+    'settings.throttledEmail': 'Email {email}',
+    'settings.lift': 'Lift',
+    'settings.bans': 'Bans',
+    'settings.bansIntro': 'Banned submitters are refused, or with shadow-hold their entries are quietly filed as spam. Ban someone from the Entries table, or add a ban here.',
+    'settings.noBans': 'No active bans.',
+    'settings.security': 'Security (Cloudflare Turnstile)',
+    'settings.TURNSTILE_SECRET_KEY.help': 'Keep this secret! It\'s used to verify tokens.',
+    'settings.theme': 'Theme',
+    'settings.THEME.help': 'Used by the guestbook page, entry permalinks and the embed widget; the admin panel keeps the default look. An embed can pick another theme with a <code>data-gb-theme</code> attribute, and <code>?theme=retro</code> on the page URL previews one without saving it.',
+    'settings.pageColours': 'Page Colours',
+    'settings.widgetColours': 'Widget Colours',
+    'settings.resetTheme': 'Reset to Theme Colours',
+    'settings.themeColoursHelp': 'Empty fields use the theme\'s own colour, shown greyed out. Any CSS colour works, e.g. <code>#2563eb</code>, <code>rgb(37 99 235)</code> or <code>tomato</code>.',
+    'settings.pagePreview': 'Guestbook page preview',
+    'settings.widgetPreview': 'Embed widget preview',
+    'settings.appearance': 'Appearance',
+    'settings.MESSAGE_FORMATTING.help': 'Renders <code>**bold**</code>, <code>*italics*</code>, <code>`code`</code>, <code>&gt; quotes</code> and links in messages. Links get <code>rel="nofollow ugc"</code>.',
+    'settings.avatarInitials': 'First letter of the name',
+    'settings.avatarIdenticon': 'Generated pattern (identicon)',
+    'settings.avatarGravatar': 'Gravatar, identicon without email',
+    'settings.AVATAR_MODE.help': 'Identicons are generated from a salted hash of the email (or the name) and served by this worker. Gravatar receives a hash of the email address, never the address itself. The embed widget shows avatars only in the identicon and Gravatar modes.',
+    'settings.DEFAULT_LOCALE.help': 'The guestbook page and the admin panel are shown in the browser\'s language when it\'s one of these, otherwise in this one. Add <code>?lang=de</code> to a link to force a language. The embed widget uses this one unless it has a <code>data-gb-lang</code> attribute.',
+    'settings.CUSTOM_CSS.placeholder': '.container { max-width: 800px; } /* Target classes like .entry, .card, .btn */',
+    'settings.CUSTOM_CSS.help': 'Add custom CSS to style both the guestbook and admin UI. <br><strong>Common targets:</strong> <code>.container</code>, <code>.card</code>, <code>.entry</code>, <code>.entry-header</code>, <code>.entry-content</code>, <code>button</code>.',
+    'settings.export': 'Export Data',
+    'settings.exportIntro': 'Download your guestbook data. Email addresses are excluded from these public exports.',
+    'settings.downloadJson': 'Download JSON',
+    'settings.downloadCsv': 'Download CSV',
+    'settings.save': 'Save Settings',
+    'settings.noLinks': 'No links added yet.',
+    'settings.linkLabel': 'Label',
+    'settings.linkUrl': 'URL',
+    'settings.noFields': 'No extra fields yet.',
+    'settings.fieldLabel': 'Label, e.g. Where are you from?',
+    'settings.fieldText': 'Text',
+    'settings.fieldTextarea': 'Long text',
+    'settings.fieldSelect': 'Dropdown',
+    'settings.fieldOptions': 'Options, e.g. Search, A friend, Social media',
+    'settings.fieldMaxLength': 'Max length',
+    'settings.fieldRequired': 'Required',
+    'settings.fieldPublic': 'Public',
+    'settings.tooManyFields': 'You can add up to {max} fields.',
+    'settings.liftLimitFailed': 'Failed to lift limit',
+    'settings.testSent': 'Test notification sent.',
+    'settings.testFailed': 'Failed to send',
+    'settings.addWebhookFailed': 'Failed to add webhook',
+    'settings.updateWebhookFailed': 'Failed to update webhook',
+    'settings.confirmDeleteWebhook': 'Delete this webhook and its delivery log?',
+    'settings.deleteWebhookFailed': 'Failed to delete webhook',
+    'settings.retrying': 'Retrying...',
+    'settings.retryFailed': 'Failed to retry delivery',
+    'settings.stillFailing': 'The endpoint still did not accept the delivery.',
+    'settings.addBookFailed': 'Failed to add guestbook',
+    'settings.confirmDeleteBook': 'Delete "{name}" with all of its entries and settings? This cannot be undone.',
+    'settings.deleteBookFailed': 'Failed to delete guestbook',
+    'settings.addBanFailed': 'Failed to add ban',
+    'settings.confirmLiftBan': 'Lift this ban?',
+    'settings.liftBanFailed': 'Failed to lift ban',
+    'settings.saving': 'Saving...',
+    'settings.saved': 'Settings saved successfully. Reloading...',
+    'settings.saveFailed': 'Failed to save settings',
+    'theme.default': 'Default (follows light/dark mode)',
+    'theme.minimal': 'Minimal',
+    'theme.retro': 'Retro 90s guestbook',
+    'theme.dark': 'Dark',
+    'theme.paper': 'Paper',
+    'themeVar.primary': 'Primary',
+    'themeVar.primaryHover': 'Primary (hover)',
+    'themeVar.primaryText': 'Button text',
+    'themeVar.bg': 'Background',
+    'themeVar.cardBg': 'Card background',
+    'themeVar.text': 'Text',
+    'themeVar.textMuted': 'Muted text',
+    'themeVar.textContent': 'Message text',
+    'themeVar.border': 'Border',
+    'themeVar.widgetPrimary': 'Widget primary',
+    'themeVar.widgetBg': 'Widget background',
+    'themeVar.widgetBorder': 'Widget border',
+    'themeVar.widgetInputBg': 'Widget input background',
+    'themeVar.widgetInputText': 'Widget input text',
+    'delivery.pending': 'pending',
+    'delivery.success': 'success',
+    'delivery.failed': 'failed'
+  },
+  de: {
+    'nav.title': 'Verwaltung',
+    'nav.guestbook': 'Gästebuch',
+    'nav.menu': 'Menü ein-/ausblenden',
+    'nav.entries': 'Einträge',
+    'nav.import': 'Import & Sicherung',
+    'nav.embed': 'Einbetten',
+    'nav.settings': 'Einstellungen',
+    'nav.schema': 'Schema',
+    'nav.users': 'Benutzer',
+    'nav.account': 'Konto',
+    'nav.sessions': 'Sitzungen',
+    'nav.viewSite': 'Seite ansehen',
+    'nav.signedInAs': 'Angemeldet als {username}',
+    'nav.logout': 'Abmelden',
+    'nav.forbidden': 'Verboten: Deine Rolle erlaubt diese Seite nicht',
+    'common.error': 'Ein Fehler ist aufgetreten. Bitte versuche es erneut.',
+    'common.logoutFailed': 'Abmelden fehlgeschlagen',
+    'common.delete': 'Löschen',
+    'common.unknownError': 'Unbekannter Fehler',
+    'common.errorDetail': 'Ein Fehler ist aufgetreten: {error}',
+    'common.cancel': 'Abbrechen',
+    'login.pageTitle': 'Anmelden - {sitename}',
+    'login.logo': 'Logo',
+    'login.heading': 'Admin-Anmeldung',
+    'login.firstLogin': 'Melde dich mit dem <code>ADMIN_PASSWORD</code> an, um das erste Inhaberkonto anzulegen',
+    'login.subtitle': 'Gib Benutzername und Passwort ein, um Einträge zu verwalten',
+    'login.username': 'Benutzername',
+    'login.password': 'Passwort',
+    'login.signIn': 'Anmelden',
+    'login.signingIn': 'Anmeldung läuft...',
+    'login.invalid': 'Benutzername oder Passwort ist falsch',
+    'login.back': 'Zurück zum Gästebuch',
+    'moderate.approve': 'Eintrag freigeben',
+    'moderate.delete': 'Eintrag löschen',
+    'moderate.approved': 'Der Eintrag von {name} wurde freigegeben.',
+    'moderate.deleted': 'Der Eintrag von {name} wurde gelöscht.',
+    'moderate.published': 'Veröffentlicht',
+    'moderate.pending': 'Wartet auf Freigabe',
+    'moderate.heading': 'Moderation',
+    'moderate.openAdmin': 'Verwaltung öffnen',
+    'moderate.invalidLink': 'Dieser Link ist ungültig oder abgelaufen.',
+    'moderate.missingEntry': 'Diesen Eintrag gibt es nicht mehr.',
+    'embed.pageTitle': 'Einbetten - {sitename}',
+    'embed.heading': 'Einbettungscode',
+    'embed.intro': 'Kopiere den Code unten und füge ihn dort in deine Website ein, wo das Gästebuch erscheinen soll.',
+    'embed.introBook': 'Kopiere den Code unten und füge ihn dort in deine Website ein, wo das Gästebuch <strong>{name}</strong> erscheinen soll.',
+    'embed.copy': 'Code kopieren',
+    'embed.copied': 'Kopiert!',
+    'schema.pageTitle': 'Schema - {sitename}',
+    'schema.applied': 'Angewendet',
+    'schema.pending': 'Ausstehend',
+    'schema.lastFailed': 'Der letzte Migrationsversuch ist fehlgeschlagen: {error}',
+    'schema.current': 'Aktuelle Version',
+    'schema.latest': 'Neueste Version',
+    'schema.run': 'Ausstehende Migrationen ausführen',
+    'schema.migrations': 'Migrationen',
+    'schema.version': 'Version',
+    'schema.name': 'Name',
+    'schema.status': 'Status',
+    'schema.running': 'Wird ausgeführt...',
+    'schema.failed': 'Migration fehlgeschlagen',
+    'role.viewer': 'Betrachter',
+    'role.moderator': 'Moderator',
+    'role.owner': 'Inhaber',
+    'role.viewerHelp': 'Betrachter: kann Einträge lesen',
+    'role.moderatorHelp': 'Moderator: kann Einträge moderieren und Absender sperren',
+    'role.ownerHelp': 'Inhaber: kann außerdem Einstellungen, Gästebücher, Daten und Benutzer ändern',
+    'users.pageTitle': 'Benutzer - {sitename}',
+    'users.heading': 'Benutzer',
+    'users.username': 'Benutzername',
+    'users.role': 'Rolle',
+    'users.lastLogin': 'Letzte Anmeldung',
+    'users.you': '(du)',
+    'users.never': 'Nie',
+    'users.setPassword': 'Passwort setzen',
+    'users.passwordPlaceholder': 'Passwort ({min}+ Zeichen)',
+    'users.add': 'Benutzer hinzufügen',
+    'users.addFailed': 'Benutzer konnte nicht hinzugefügt werden',
+    'users.roleFailed': 'Rolle konnte nicht geändert werden',
+    'users.passwordPrompt': 'Neues Passwort für {username} (mindestens {min} Zeichen):',
+    'users.passwordFailed': 'Passwort konnte nicht gesetzt werden',
+    'users.passwordSet': 'Passwort aktualisiert.',
+    'users.confirmDelete': 'Das Konto „{username}“ löschen? Es wird dabei abgemeldet.',
+    'users.deleteFailed': 'Benutzer konnte nicht gelöscht werden',
+    'account.heading': 'Dein Konto',
+    'account.signedInAs': 'Angemeldet als <strong>{username}</strong> ({role}).',
+    'account.currentPassword': 'Aktuelles Passwort',
+    'account.newPassword': 'Neues Passwort',
+    'account.changePassword': 'Passwort ändern',
+    'account.passwordChanged': 'Passwort geändert.',
+    'sessions.pageTitle': 'Sitzungen - {sitename}',
+    'sessions.active': 'Aktive Sitzungen',
+    'sessions.yours': 'Deine Sitzungen',
+    'sessions.revokeAllUsers': 'Alle Benutzer abmelden',
+    'sessions.revokeEverywhere': 'Überall abmelden',
+    'sessions.user': 'Benutzer',
+    'sessions.device': 'Gerät',
+    'sessions.ip': 'IP-Adresse',
+    'sessions.signedIn': 'Angemeldet',
+    'sessions.lastSeen': 'Zuletzt aktiv',
+    'sessions.expires': 'Läuft ab',
+    'sessions.unknownDevice': 'Unbekannt',
+    'sessions.current': 'Diese Sitzung',
+    'sessions.revoke': 'Beenden',
+    'sessions.help': 'Sitzungen gelten {days} Tage ab der Anmeldung. Abmelden, ein Passwortwechsel oder das Löschen eines Benutzers beendet seine Sitzungen.',
+    'sessions.revokeFailed': 'Sitzung konnte nicht beendet werden',
+    'sessions.confirmRevokeAllUsers': 'Alle Benutzer abmelden, auch dich selbst?',
+    'sessions.confirmRevokeEverywhere': 'Alle deine Sitzungen beenden, auch diese?',
+    'sessions.revokeAllFailed': 'Sitzungen konnten nicht beendet werden',
+    'import.pageTitle': 'Import & Sicherung - {sitename}',
+    'import.heading': 'Einträge importieren',
+    'import.intro': 'Übernimm Einträge aus einem MyGB-Export (<code>/data.csv</code> oder <code>/data.json</code>) oder dem CSV-Export eines anderen Gästebuchs. Sieh dir zuerst die Vorschau an: Gespeichert wird erst nach deiner Bestätigung. Die ursprünglichen Daten bleiben erhalten und bereits vorhandene Einträge werden übersprungen.',
+    'import.target': 'Die Einträge kommen in <strong>{name}</strong>.',
+    'import.format': 'Format',
+    'import.formatAuto': 'Erkennen (MyGB-CSV oder -JSON)',
+    'import.formatCsv': 'MyGB-CSV (Name,Message,Website,Date)',
+    'import.formatJson': 'MyGB-JSON',
+    'import.formatCustom': 'Anderes CSV (Spalten zuordnen)',
+    'import.file': 'Datei',
+    'import.column.name': 'Spalte für den Namen',
+    'import.column.message': 'Spalte für die Nachricht',
+    'import.column.email': 'Spalte für die E-Mail',
+    'import.column.site': 'Spalte für die Website',
+    'import.column.date': 'Spalte für das Datum',
+    'import.required': 'erforderlich',
+    'import.optional': 'optional',
+    'import.paste': 'Oder den Inhalt einfügen',
+    'import.approve': 'Importierte Einträge veröffentlichen (sonst warten sie auf Freigabe)',
+    'import.preview': 'Vorschau',
+    'import.import': 'Importieren',
+    'import.line': 'Zeile',
+    'import.name': 'Name',
+    'import.message': 'Nachricht',
+    'import.date': 'Datum',
+    'import.status': 'Status',
+    'import.rows': 'Zeilen',
+    'import.ready': 'Bereit',
+    'import.imported': 'Importiert',
+    'import.duplicates': 'Duplikate',
+    'import.duplicate': 'Duplikat',
+    'import.invalid': 'Ungültig',
+    'import.now': 'Jetzt',
+    'import.checking': 'Wird geprüft...',
+    'import.importing': 'Wird importiert...',
+    'import.failed': 'Import fehlgeschlagen',
+    'import.importCount': '{count} Einträge importieren',
+    'import.importedCount': '{count} Einträge importiert.',
+    'import.viewEntries': 'Einträge ansehen',
+    'import.confirm': 'Diese Einträge jetzt importieren?',
+    'import.importOne': '1 Eintrag importieren',
+    'import.error.empty': 'Die Datei ist leer',
+    'import.error.json': 'Ungültiges JSON: {error}',
+    'import.error.notArray': 'Erwartet wird ein JSON-Array von Einträgen',
+    'import.error.column': 'Spalte „{column}“ nicht gefunden. Spalten in dieser Datei: {columns}',
+    'import.error.mapping': 'Ordne mindestens die Spalten für Name und Nachricht zu',
+    'import.error.date': 'Unlesbares Datum „{date}“',
+    'backup.heading': 'Sicherung',
+    'backup.intro': 'Eine vollständige Kopie der gesamten Installation, nicht nur dieses Gästebuchs: alle Gästebücher mit ihren Einträgen (auch ausstehende, verborgene und Spam, mit E-Mail-Adressen), Bearbeitungsverlauf, Reaktionen und Einstellungen, dazu die gemeinsamen Sperren und Webhooks. Eine Wiederherstellung im Modus Ersetzen überschreibt alle Gästebücher. Bewahre sie privat auf. Die öffentlichen Exporte lassen das meiste davon bewusst weg.',
+    'backup.redact': 'Geheimnisse weglassen (Turnstile-Geheimschlüssel, Benachrichtigungs-Token, Webhook-Geheimnisse)',
+    'backup.download': 'Sicherung herunterladen',
+    'restore.heading': 'Wiederherstellen',
+    'restore.file': 'Sicherungsdatei',
+    'restore.mode': 'Modus',
+    'restore.merge': 'Zusammenführen: Fehlendes ergänzen, alles Vorhandene behalten',
+    'restore.replace': 'Ersetzen: zuerst alle Gästebücher und ihre Daten löschen',
+    'restore.check': 'Sicherung prüfen',
+    'restore.restore': 'Wiederherstellen',
+    'restore.chooseFile': 'Wähle zuerst eine Sicherungsdatei',
+    'restore.invalidJson': 'Diese Datei ist kein gültiges JSON',
+    'restore.failed': 'Wiederherstellung fehlgeschlagen',
+    'restore.removed': 'Entfernte Einträge',
+    'restore.entries': 'Einträge',
+    'restore.skipped': 'Bereits vorhanden',
+    'restore.guestbooks': 'Gästebücher',
+    'restore.revisions': 'Versionen',
+    'restore.reactions': 'Reaktionen',
+    'restore.settings': 'Einstellungen',
+    'restore.bans': 'Sperren',
+    'restore.webhooks': 'Webhooks',
+    'restore.confirmReplace': 'Dadurch werden alle {count} aktuellen Einträge, Gästebücher, Einstellungen, Sperren und Webhooks gelöscht und die Sicherung wiederhergestellt. Fortfahren?',
+    'restore.confirmMerge': 'Die fehlenden Daten aus dieser Sicherung hinzufügen?',
+    'restore.restoring': 'Wird wiederhergestellt...',
+    'restore.restored': 'Sicherung wiederhergestellt.',
+    'restore.error.format': 'Das ist keine MyGB-Sicherungsdatei',
+    'restore.error.version': 'Nicht unterstützte Sicherungsversion {version}. Dieses MyGB liest Version {supported} und älter.',
+    'restore.error.schema': 'Die Sicherung stammt von einem neueren Datenbankschema (v{version}, dieses ist v{current}). Führe zuerst die ausstehenden Migrationen aus oder aktualisiere MyGB.',
+    'restore.error.list': '„{table}“ muss eine Liste sein',
+    'restore.error.empty': 'Die Sicherung enthält keine Einträge oder Einstellungen',
+    'restore.error.guestbook': 'Einem Gästebuch fehlt die ID, der Slug oder der Name',
+    'restore.error.entryFields': 'Eintrag #{number} fehlt der Name, die Nachricht oder das Datum',
+    'restore.error.entryId': 'Eintrag #{number} hat eine fehlende oder doppelte ID',
+    'restore.error.entryBook': 'Eintrag #{number} gehört zu einem Gästebuch, das nicht in der Sicherung ist',
+    'restore.error.setting': 'Einer Einstellungszeile fehlt der Schlüssel',
+    'api.forbidden': 'Deine Rolle erlaubt das nicht',
+    'api.guestbookInvalid': 'Erforderlich sind ein Name und ein Slug aus bis zu 40 Kleinbuchstaben, Ziffern und Bindestrichen',
+    'api.slugTaken': 'Dieser Slug ist bereits vergeben',
+    'api.defaultGuestbook': 'Das Standard-Gästebuch kann nicht gelöscht werden',
+    'api.usernameInvalid': 'Benutzernamen bestehen aus 2-40 Kleinbuchstaben, Ziffern, Punkten, Binde- oder Unterstrichen',
+    'api.userInvalid': 'Erforderlich sind eine Rolle und ein Passwort mit mindestens {min} Zeichen',
+    'api.usernameTaken': 'Dieser Benutzername ist bereits vergeben',
+    'api.passwordShort': 'Passwörter brauchen mindestens {min} Zeichen',
+    'api.lastOwner': 'Es muss mindestens einen Inhaber geben',
+    'api.wrongPassword': 'Das aktuelle Passwort ist falsch',
+    'api.sessionNotFound': 'Sitzung nicht gefunden',
+    'api.banType': 'Ungültige Sperrart',
+    'api.banEmpty': 'Für diese Art gibt es nichts zu sperren',
+    'api.importRequest': 'Ungültige Importanfrage',
+    'api.importTooMany': 'Zu viele Zeilen ({count}). Teile die Datei in Teile mit höchstens {max} Zeilen.',
+    'api.restoreRequest': 'Ungültige Wiederherstellungsanfrage',
+    'api.restoreFailed': 'Wiederherstellung fehlgeschlagen, nichts wurde geändert: {error}',
+    'api.webhookInvalid': 'Erforderlich sind eine gültige http(s)-URL und mindestens ein Ereignis',
+    'api.deliveryNotFound': 'Zustellung oder Webhook nicht gefunden',
+    'api.entryNotFound': 'Eintrag nicht gefunden',
+    'api.revisionNotFound': 'Version nicht gefunden',
+    'api.unknownAction': 'Unbekannte Aktion',
+    'api.noSelection': 'Keine Einträge ausgewählt',
+    'api.replyTooLong': 'Antwort zu lang (max. {max} Zeichen)',
+    'status.spam': 'Spam',
+    'status.hidden': 'Verborgen',
+    'status.approved': 'Freigegeben',
+    'status.pending': 'Ausstehend',
+    'status.pinned': 'Angeheftet',
+    'ban.byIp': 'Nach IP-Adresse',
+    'ban.byEmail': 'Nach E-Mail ({email})',
+    'ban.byDomain': 'Nach Domain ({domain})',
+    'ban.reject': 'Neue Beiträge ablehnen',
+    'ban.shadow': 'Neue Beiträge still zurückhalten',
+    'ban.forOneDay': 'Für 1 Tag',
+    'ban.forDays': 'Für {days} Tage',
+    'ban.permanently': 'Dauerhaft',
+    'ban.reasonOptional': 'Grund (optional)',
+    'ban.alsoDelete': 'Diesen Eintrag auch löschen',
+    'ban.submit': 'Absender sperren',
+    'ban.type.ip': 'IP-Adresse',
+    'ban.type.email': 'E-Mail',
+    'ban.type.domain': 'Website-Domain',
+    'ban.valuePlaceholder': '203.0.113.7, troll@example.com oder example.com',
+    'ban.mode.reject': 'Ablehnen',
+    'ban.mode.shadow': 'Still zurückhalten',
+    'ban.oneDay': '1 Tag',
+    'ban.days': '{days} Tage',
+    'ban.permanent': 'Dauerhaft',
+    'ban.add': 'Sperre hinzufügen',
+    'ban.type': 'Art',
+    'ban.value': 'Wert',
+    'ban.mode': 'Modus',
+    'ban.reason': 'Grund',
+    'ban.expires': 'Läuft ab',
+    'entries.pageTitle': 'Verwaltung - {sitename}',
+    'entries.heading': 'Alle Einträge',
+    'entries.private': '(privat)',
+    'entries.empty': 'Keine Einträge gefunden.',
+    'entries.selectPage': 'Alle auf dieser Seite auswählen',
+    'entries.status': 'Status',
+    'entries.name': 'Name',
+    'entries.website': 'Website',
+    'entries.message': 'Nachricht',
+    'entries.date': 'Datum',
+    'entries.actions': 'Aktionen',
+    'entries.spamScore': 'Spam-Wert {score}',
+    'entries.yourReply': 'Deine Antwort',
+    'entries.saveChanges': 'Änderungen speichern',
+    'entries.editedOnce': '1-mal bearbeitet',
+    'entries.edited': '{count}-mal bearbeitet',
+    'entries.beforeEdit': 'Vor der Bearbeitung am {date}',
+    'entries.revert': 'Zurücksetzen',
+    'entries.replyPlaceholder': 'Schreibe eine öffentliche Antwort...',
+    'entries.saveReply': 'Antwort speichern',
+    'entries.removeReply': 'Antwort entfernen',
+    'entries.approveFailed': 'Eintrag konnte nicht freigegeben werden',
+    'entries.actionFailed': 'Eintrag konnte nicht aktualisiert werden',
+    'entries.saveFailed': 'Eintrag konnte nicht gespeichert werden',
+    'entries.confirmRevert': 'Diese frühere Version wiederherstellen? Der aktuelle Text bleibt im Verlauf erhalten.',
+    'entries.revertFailed': 'Eintrag konnte nicht zurückgesetzt werden',
+    'entries.banFailed': 'Absender konnte nicht gesperrt werden',
+    'entries.replyFailed': 'Antwort konnte nicht gespeichert werden',
+    'entries.confirmRemoveReply': 'Deine Antwort auf diesen Eintrag entfernen?',
+    'entries.confirmDelete': 'Diesen Eintrag wirklich löschen?',
+    'entries.deleteFailed': 'Eintrag konnte nicht gelöscht werden',
+    'action.approve': 'Freigeben',
+    'action.unapprove': 'Freigabe zurückziehen',
+    'action.unapproveTitle': 'Zurück zu den ausstehenden',
+    'action.hide': 'Verbergen',
+    'action.hideTitle': 'Auf der öffentlichen Seite verbergen',
+    'action.spam': 'Als Spam markieren',
+    'action.pin': 'Anheften',
+    'action.pinTitle': 'Oben im Gästebuch halten',
+    'action.unpin': 'Lösen',
+    'action.unpinTitle': 'Nicht mehr oben im Gästebuch halten',
+    'action.edit': 'Bearbeiten',
+    'action.reply': 'Antworten',
+    'action.editReply': 'Antwort bearbeiten',
+    'action.ban': 'Sperren',
+    'action.banTitle': 'Diesen Absender sperren',
+    'filter.search': 'Suche',
+    'filter.searchPlaceholder': 'Name, Nachricht, E-Mail oder Website',
+    'filter.all': 'Alle',
+    'filter.from': 'Von',
+    'filter.to': 'Bis',
+    'filter.submit': 'Filtern',
+    'filter.reset': 'Zurücksetzen',
+    'bulk.selectAll': 'Alle {count} passenden Einträge auswählen',
+    'bulk.allSelected': 'Alle {count} passenden Einträge ausgewählt.',
+    'bulk.pageSelected': '{count} auf dieser Seite ausgewählt.',
+    'bulk.confirm': '„{action}“ auf {count} Einträge anwenden?',
+    'bulk.apply': 'Anwenden',
+    'bulk.applying': 'Wird angewendet...',
+    'bulk.partial': '{succeeded} aktualisiert, {failed} fehlgeschlagen:',
+    'bulk.failed': 'Sammelaktion fehlgeschlagen',
+    'pagination.previous': 'Zurück',
+    'pagination.next': 'Weiter',
+    'pagination.page': 'Seite {page} von {pageCount}',
+    'settings.pageTitle': 'Einstellungen - {sitename}',
+    'settings.guestbooks': 'Gästebücher',
+    'settings.guestbooksIntro': 'Jedes Gästebuch hat eigene Einträge, Einstellungen und einen eigenen Einbettungscode. Die Einstellungen unten gelten für <strong>{name}</strong>; das Gästebuch wechselst du neben dem Titel der Verwaltung. Sperren, Webhooks und Sicherungen gelten für alle gemeinsam.',
+    'settings.bookName': 'Name',
+    'settings.bookPage': 'Öffentliche Seite',
+    'settings.bookEntries': 'Einträge',
+    'settings.bookNamePlaceholder': 'Name, z. B. Fotoblog',
+    'settings.bookSlugPlaceholder': 'Slug, z. B. fotos',
+    'settings.addBook': 'Gästebuch hinzufügen',
+    'settings.bookHelp': 'Neue Gästebücher starten mit einer Kopie der Einstellungen des Standard-Gästebuchs und sind unter <code>/b/slug</code> erreichbar.',
+    'settings.general': 'Allgemein',
+    'settings.SITENAME': 'Seitenname',
+    'settings.SITENAME.help': 'Wird als Seitentitel verwendet.',
+    'settings.SITE_INTRO': 'Einleitung',
+    'settings.SITE_INTRO.help': 'Steht auf der Startseite über dem Formular. Einfaches HTML ist erlaubt.',
+    'settings.SITE_DESCRIPTION': 'Seitenbeschreibung',
+    'settings.SITE_DESCRIPTION.help': 'Wird für die Meta-Beschreibung und Social-Media-Karten verwendet.',
+    'settings.SITE_ICON_URL': 'URL des Seitensymbols',
+    'settings.SITE_ICON_URL.help': 'URL des Favicons oder Logos deiner Seite (am besten quadratisch).',
+    'settings.SITE_COVER_IMAGE_URL': 'URL des Titelbilds',
+    'settings.SITE_COVER_IMAGE_URL.help': 'URL eines Bilds zum Teilen in sozialen Medien (Open Graph / Twitter). Empfohlene Größe: 1200x630.',
+    'settings.CANONICAL_URL': 'Kanonische URL',
+    'settings.CANONICAL_URL.help': 'Die maßgebliche URL deines Gästebuchs. Nützlich, wenn du das Gästebuch auf einer anderen Seite einbettest.',
+    'settings.ALLOW_INDEXING': 'Indexierung durch Suchmaschinen erlauben',
+    'settings.ALLOW_INDEXING.help': 'Ohne Häkchen wird <code>noindex, nofollow</code> gesetzt, damit Suchmaschinen diese Seite nicht indexieren.',
+    'settings.FEEDS_ENABLED': 'Feeds veröffentlichen',
+    'settings.FEEDS_ENABLED.help': 'Stellt freigegebene Einträge unter <code>/feed.xml</code> (RSS), <code>/atom.xml</code> (Atom) und <code>/feed.json</code> (JSON Feed) für Feedreader bereit.',
+    'settings.navigation': 'Navigation',
+    'settings.navigationIntro': 'Füge Links zu deiner Hauptseite oder anderen Seiten hinzu. Sie erscheinen in der Kopfzeile.',
+    'settings.addLink': '+ Link hinzufügen',
+    'settings.formFields': 'Formularfelder',
+    'settings.formFieldsIntro': 'Frage Besucher nach mehr als Name und Nachricht, mit bis zu {max} zusätzlichen Feldern. Öffentliche Antworten werden mit dem Eintrag angezeigt und exportiert; private erscheinen nur hier in der Verwaltung.',
+    'settings.addField': '+ Feld hinzufügen',
+    'settings.formFieldsHelp': 'Auswahloptionen werden durch Kommas getrennt. Ein entferntes Feld blendet seine Antworten auf der öffentlichen Seite aus, behält sie aber in der Datenbank.',
+    'settings.moderation': 'Moderation',
+    'settings.ENTRY_MODERATION': 'Neue Einträge müssen freigegeben werden',
+    'settings.ENTRY_MODERATION.help': 'Mit Häkchen erscheinen Einträge erst öffentlich, wenn du sie freigibst.',
+    'settings.reactions': 'Reaktionen',
+    'settings.REACTIONS_ENABLED': 'Besucher dürfen auf Einträge reagieren',
+    'settings.REACTION_EMOJIS': 'Emoji',
+    'settings.REACTION_EMOJIS.help': 'Durch Leerzeichen getrennt, bis zu {max}. Ein entferntes Emoji wird ausgeblendet, seine Zählung bleibt erhalten. Jeder Besucher kann pro Emoji einmal reagieren; ein erneuter Klick nimmt es zurück.',
+    'settings.spamFilter': 'Spamfilter',
+    'settings.SPAM_FILTER_ENABLED': 'Regelbasierte Spam-Bewertung aktivieren',
+    'settings.SPAM_FILTER_ENABLED.help': 'Jede zutreffende Regel addiert ihren Wert. Setze einen Wert auf 0 oder lass ein Feld leer, um die Regel abzuschalten.',
+    'settings.SPAM_BLOCKLIST': 'Sperrliste',
+    'settings.SPAM_BLOCKLIST.help': 'Ein Stichwort pro Zeile oder <code>/regex/flags</code>. Geprüft werden Name, Nachricht, Website und E-Mail.',
+    'settings.SPAM_BLOCKLIST_SCORE': 'Wert für die Sperrliste',
+    'settings.SPAM_HONEYPOT_SCORE': 'Wert für den Honeypot',
+    'settings.SPAM_MAX_LINKS': 'Max. Links in der Nachricht',
+    'settings.SPAM_LINKS_SCORE': 'Wert für zu viele Links',
+    'settings.SPAM_MIN_SUBMIT_SECONDS': 'Min. Sekunden bis zum Absenden',
+    'settings.SPAM_MIN_TIME_SCORE': 'Wert für zu schnelles Absenden',
+    'settings.SPAM_DUPLICATE_HOURS': 'Zeitraum für Duplikate (Stunden)',
+    'settings.SPAM_DUPLICATE_SCORE': 'Wert für doppelte Nachrichten',
+    'settings.SPAM_HOLD_SCORE': 'Zur Freigabe zurückhalten ab',
+    'settings.SPAM_REJECT_SCORE': 'Ablehnen ab',
+    'settings.RATE_LIMIT_WINDOW_MINUTES': 'Zeitraum (Minuten)',
+    'settings.RATE_LIMIT_PER_IP': 'Beiträge pro IP',
+    'settings.RATE_LIMIT_PER_EMAIL': 'Beiträge pro E-Mail',
+    'settings.NOTIFY_ENABLED': 'Mir bei neuen Einträgen eine E-Mail schicken',
+    'settings.NOTIFY_TRANSPORT': 'Versand',
+    'settings.NOTIFY_EMAIL_TO': 'Senden an',
+    'settings.NOTIFY_EMAIL_FROM': 'Senden von',
+    'settings.NOTIFY_HTTP_URL': 'URL der Mail-API',
+    'settings.NOTIFY_HTTP_TOKEN': 'Token der Mail-API',
+    'settings.TURNSTILE_ENABLED': 'Turnstile-CAPTCHA aktivieren',
+    'settings.TURNSTILE_SITE_KEY': 'Websiteschlüssel',
+    'settings.TURNSTILE_SECRET_KEY': 'Geheimer Schlüssel',
+    'settings.THEME': 'Design',
+    'settings.MESSAGE_FORMATTING': 'Nachrichten formatieren',
+    'settings.AVATAR_MODE': 'Avatare',
+    'settings.DEFAULT_LOCALE': 'Standardsprache',
+    'settings.CUSTOM_CSS': 'Eigenes CSS',
+    'settings.spamScoresHelp': 'Einträge mit einem Wert ab dem Zurückhalten-Wert warten auf Freigabe, auch wenn die Moderation aus ist. Einträge ab dem Ablehnen-Wert werden abgewiesen.',
+    'settings.notifications': 'Benachrichtigungen',
+    'settings.NOTIFY_ENABLED.help': 'Die E-Mail enthält den Eintrag und signierte Links, um ihn ohne Anmeldung freizugeben oder zu löschen. Als Spam eingestufte Einträge lösen keine Benachrichtigung aus.',
+    'settings.transportLog': 'Nur protokollieren (zum Testen)',
+    'settings.transportHttp': 'HTTP-Mail-API',
+    'settings.NOTIFY_TRANSPORT.help': 'Nur protokollieren schreibt die E-Mail ins Worker-Log (<code>wrangler tail</code>).',
+    'settings.NOTIFY_HTTP_URL.help': 'Empfängt einen JSON-POST mit <code>from</code>, <code>to</code>, <code>subject</code>, <code>text</code> und <code>html</code>.',
+    'settings.NOTIFY_HTTP_TOKEN.help': 'Wird als <code>Bearer</code>-Token im <code>Authorization</code>-Header gesendet.',
+    'settings.testNotification': 'Testbenachrichtigung senden',
+    'settings.testNotificationHelp': 'Verwendet die gespeicherten Einstellungen, also zuerst speichern.',
+    'settings.webhooks': 'Webhooks',
+    'settings.webhooksIntro': 'Sende einen signierten JSON-POST an andere Dienste, wenn etwas passiert. Prüfe den Header <code>X-MyGB-Signature</code>: <code>sha256=</code>, gefolgt vom hexadezimalen HMAC-SHA256 des Bodys mit dem Geheimnis des Endpunkts.',
+    'settings.addWebhook': 'Webhook hinzufügen',
+    'settings.noWebhooks': 'Noch keine Webhooks.',
+    'settings.webhookUrl': 'URL',
+    'settings.webhookEvents': 'Ereignisse',
+    'settings.webhookSecret': 'Geheimnis',
+    'settings.webhookPaused': '(pausiert)',
+    'settings.pause': 'Pausieren',
+    'settings.resume': 'Fortsetzen',
+    'settings.deliveries': 'Letzte Zustellungen',
+    'settings.noDeliveries': 'Noch nichts zugestellt.',
+    'settings.deliveryEvent': 'Ereignis',
+    'settings.deliveryEndpoint': 'Endpunkt',
+    'settings.deliveryStatus': 'Status',
+    'settings.deliveryAttempts': 'Versuche',
+    'settings.deliveryLastAttempt': 'Letzter Versuch',
+    'settings.deliveryDeleted': '(gelöscht)',
+    'settings.retry': 'Erneut versuchen',
+    'settings.rateLimiting': 'Ratenbegrenzung',
+    'settings.rateLimitingHelp': 'Clients über einem Limit erhalten bis zum Ende des Zeitraums eine 429-Antwort. Setze einen Wert auf 0, um das Limit abzuschalten. IP-Adressen werden gehasht gespeichert.',
+    'settings.throttled': 'Derzeit begrenzt',
+    'settings.noThrottled': 'Gerade wird kein Client begrenzt.',
+    'settings.throttledClient': 'Client',
+    'settings.throttledUntil': 'Bis',
+    'settings.throttledIp': 'IP {hash}',
+    'settings.throttledEmail': 'E-Mail {email}',
+    'settings.lift': 'Aufheben',
+    'settings.bans': 'Sperren',
+    'settings.bansIntro': 'Gesperrte Absender werden abgewiesen, oder ihre Einträge landen beim stillen Zurückhalten unbemerkt im Spam. Sperre jemanden über die Eintragstabelle oder füge hier eine Sperre hinzu.',
+    'settings.noBans': 'Keine aktiven Sperren.',
+    'settings.security': 'Sicherheit (Cloudflare Turnstile)',
+    'settings.TURNSTILE_SECRET_KEY.help': 'Halte ihn geheim! Er wird zum Prüfen der Tokens verwendet.',
+    'settings.theme': 'Design',
+    'settings.THEME.help': 'Gilt für die Gästebuchseite, Permalinks zu Einträgen und das Einbettungs-Widget; die Verwaltung behält das Standardaussehen. Eine Einbettung kann mit dem Attribut <code>data-gb-theme</code> ein anderes Design wählen, und <code>?theme=retro</code> in der Seiten-URL zeigt eines als Vorschau, ohne es zu speichern.',
+    'settings.pageColours': 'Seitenfarben',
+    'settings.widgetColours': 'Widget-Farben',
+    'settings.resetTheme': 'Auf Designfarben zurücksetzen',
+    'settings.themeColoursHelp': 'Leere Felder verwenden die Farbe des Designs, grau angezeigt. Jede CSS-Farbe funktioniert, z. B. <code>#2563eb</code>, <code>rgb(37 99 235)</code> oder <code>tomato</code>.',
+    'settings.pagePreview': 'Vorschau der Gästebuchseite',
+    'settings.widgetPreview': 'Vorschau des Einbettungs-Widgets',
+    'settings.appearance': 'Darstellung',
+    'settings.MESSAGE_FORMATTING.help': 'Stellt <code>**fett**</code>, <code>*kursiv*</code>, <code>`Code`</code>, <code>&gt; Zitate</code> und Links in Nachrichten dar. Links erhalten <code>rel="nofollow ugc"</code>.',
+    'settings.avatarInitials': 'Anfangsbuchstabe des Namens',
+    'settings.avatarIdenticon': 'Erzeugtes Muster (Identicon)',
+    'settings.avatarGravatar': 'Gravatar, Identicon ohne E-Mail',
+    'settings.AVATAR_MODE.help': 'Identicons werden aus einem gesalzenen Hash der E-Mail (oder des Namens) erzeugt und von diesem Worker ausgeliefert. Gravatar erhält einen Hash der E-Mail-Adresse, nie die Adresse selbst. Das Einbettungs-Widget zeigt Avatare nur in den Modi Identicon und Gravatar.',
+    'settings.DEFAULT_LOCALE.help': 'Die Gästebuchseite und die Verwaltung erscheinen in der Sprache des Browsers, wenn sie eine dieser ist, sonst in dieser. Mit <code>?lang=de</code> in einem Link erzwingst du eine Sprache. Das Einbettungs-Widget nutzt diese, außer es hat ein Attribut <code>data-gb-lang</code>.',
+    'settings.CUSTOM_CSS.placeholder': '.container { max-width: 800px; } /* Klassen wie .entry, .card, .btn ansprechen */',
+    'settings.CUSTOM_CSS.help': 'Eigenes CSS für das Gästebuch und die Verwaltung. <br><strong>Häufige Ziele:</strong> <code>.container</code>, <code>.card</code>, <code>.entry</code>, <code>.entry-header</code>, <code>.entry-content</code>, <code>button</code>.',
+    'settings.export': 'Daten exportieren',
+    'settings.exportIntro': 'Lade die Daten deines Gästebuchs herunter. E-Mail-Adressen sind in diesen öffentlichen Exporten nicht enthalten.',
+    'settings.downloadJson': 'JSON herunterladen',
+    'settings.downloadCsv': 'CSV herunterladen',
+    'settings.save': 'Einstellungen speichern',
+    'settings.noLinks': 'Noch keine Links.',
+    'settings.linkLabel': 'Bezeichnung',
+    'settings.linkUrl': 'URL',
+    'settings.noFields': 'Noch keine zusätzlichen Felder.',
+    'settings.fieldLabel': 'Bezeichnung, z. B. Woher kommst du?',
+    'settings.fieldText': 'Text',
+    'settings.fieldTextarea': 'Langer Text',
+    'settings.fieldSelect': 'Auswahl',
+    'settings.fieldOptions': 'Optionen, z. B. Suche, Freunde, Soziale Medien',
+    'settings.fieldMaxLength': 'Max. Länge',
+    'settings.fieldRequired': 'Pflichtfeld',
+    'settings.fieldPublic': 'Öffentlich',
+    'settings.tooManyFields': 'Du kannst bis zu {max} Felder hinzufügen.',
+    'settings.liftLimitFailed': 'Begrenzung konnte nicht aufgehoben werden',
+    'settings.testSent': 'Testbenachrichtigung gesendet.',
+    'settings.testFailed': 'Senden fehlgeschlagen',
+    'settings.addWebhookFailed': 'Webhook konnte nicht hinzugefügt werden',
+    'settings.updateWebhookFailed': 'Webhook konnte nicht aktualisiert werden',
+    'settings.confirmDeleteWebhook': 'Diesen Webhook und sein Zustellprotokoll löschen?',
+    'settings.deleteWebhookFailed': 'Webhook konnte nicht gelöscht werden',
+    'settings.retrying': 'Neuer Versuch...',
+    'settings.retryFailed': 'Zustellung konnte nicht wiederholt werden',
+    'settings.stillFailing': 'Der Endpunkt hat die Zustellung wieder nicht angenommen.',
+    'settings.addBookFailed': 'Gästebuch konnte nicht hinzugefügt werden',
+    'settings.confirmDeleteBook': '„{name}“ mit allen Einträgen und Einstellungen löschen? Das kann nicht rückgängig gemacht werden.',
+    'settings.deleteBookFailed': 'Gästebuch konnte nicht gelöscht werden',
+    'settings.addBanFailed': 'Sperre konnte nicht hinzugefügt werden',
+    'settings.confirmLiftBan': 'Diese Sperre aufheben?',
+    'settings.liftBanFailed': 'Sperre konnte nicht aufgehoben werden',
+    'settings.saving': 'Wird gespeichert...',
+    'settings.saved': 'Einstellungen gespeichert. Seite wird neu geladen...',
+    'settings.saveFailed': 'Einstellungen konnten nicht gespeichert werden',
+    'theme.default': 'Standard (folgt hellem/dunklem Modus)',
+    'theme.minimal': 'Minimal',
+    'theme.retro': 'Retro-Gästebuch der 90er',
+    'theme.dark': 'Dunkel',
+    'theme.paper': 'Papier',
+    'themeVar.primary': 'Hauptfarbe',
+    'themeVar.primaryHover': 'Hauptfarbe (Hover)',
+    'themeVar.primaryText': 'Schaltflächentext',
+    'themeVar.bg': 'Hintergrund',
+    'themeVar.cardBg': 'Kartenhintergrund',
+    'themeVar.text': 'Text',
+    'themeVar.textMuted': 'Gedämpfter Text',
+    'themeVar.textContent': 'Nachrichtentext',
+    'themeVar.border': 'Rahmen',
+    'themeVar.widgetPrimary': 'Widget-Hauptfarbe',
+    'themeVar.widgetBg': 'Widget-Hintergrund',
+    'themeVar.widgetBorder': 'Widget-Rahmen',
+    'themeVar.widgetInputBg': 'Widget-Eingabehintergrund',
+    'themeVar.widgetInputText': 'Widget-Eingabetext',
+    'delivery.pending': 'ausstehend',
+    'delivery.success': 'erfolgreich',
+    'delivery.failed': 'fehlgeschlagen'
+  },
+  fr: {
+    'nav.title': 'Administration',
+    'nav.guestbook': 'Livre d\'or',
+    'nav.menu': 'Afficher/masquer le menu',
+    'nav.entries': 'Messages',
+    'nav.import': 'Import et sauvegarde',
+    'nav.embed': 'Intégration',
+    'nav.settings': 'Paramètres',
+    'nav.schema': 'Schéma',
+    'nav.users': 'Utilisateurs',
+    'nav.account': 'Compte',
+    'nav.sessions': 'Sessions',
+    'nav.viewSite': 'Voir le site',
+    'nav.signedInAs': 'Connecté en tant que {username}',
+    'nav.logout': 'Déconnexion',
+    'nav.forbidden': 'Interdit : votre rôle ne permet pas d\'accéder à cette page',
+    'common.error': 'Une erreur est survenue. Veuillez réessayer.',
+    'common.logoutFailed': 'Échec de la déconnexion',
+    'common.delete': 'Supprimer',
+    'common.unknownError': 'Erreur inconnue',
+    'common.errorDetail': 'Une erreur est survenue : {error}',
+    'common.cancel': 'Annuler',
+    'login.pageTitle': 'Connexion - {sitename}',
+    'login.logo': 'Logo',
+    'login.heading': 'Connexion administrateur',
+    'login.firstLogin': 'Connectez-vous avec le <code>ADMIN_PASSWORD</code> pour créer le premier compte propriétaire',
+    'login.subtitle': 'Saisissez votre nom d\'utilisateur et votre mot de passe pour gérer les messages',
+    'login.username': 'Nom d\'utilisateur',
+    'login.password': 'Mot de passe',
+    'login.signIn': 'Se connecter',
+    'login.signingIn': 'Connexion...',
+    'login.invalid': 'Nom d\'utilisateur ou mot de passe incorrect',
+    'login.back': 'Retour au livre d\'or',
+    'moderate.approve': 'Approuver le message',
+    'moderate.delete': 'Supprimer le message',
+    'moderate.approved': 'Le message de {name} a été approuvé.',
+    'moderate.deleted': 'Le message de {name} a été supprimé.',
+    'moderate.published': 'Publié',
+    'moderate.pending': 'En attente d\'approbation',
+    'moderate.heading': 'Modération',
+    'moderate.openAdmin': 'Ouvrir l\'administration',
+    'moderate.invalidLink': 'Ce lien est invalide ou a expiré.',
+    'moderate.missingEntry': 'Ce message n\'existe plus.',
+    'embed.pageTitle': 'Intégration - {sitename}',
+    'embed.heading': 'Code d\'intégration',
+    'embed.intro': 'Copiez le code ci-dessous et collez-le dans votre site à l\'endroit où le livre d\'or doit apparaître.',
+    'embed.introBook': 'Copiez le code ci-dessous et collez-le dans votre site à l\'endroit où le livre d\'or <strong>{name}</strong> doit apparaître.',
+    'embed.copy': 'Copier le code',
+    'embed.copied': 'Copié !',
+    'schema.pageTitle': 'Schéma - {sitename}',
+    'schema.applied': 'Appliquée',
+    'schema.pending': 'En attente',
+    'schema.lastFailed': 'La dernière tentative de migration a échoué : {error}',
+    'schema.current': 'Version actuelle',
+    'schema.latest': 'Dernière version',
+    'schema.run': 'Lancer les migrations en attente',
+    'schema.migrations': 'Migrations',
+    'schema.version': 'Version',
+    'schema.name': 'Nom',
+    'schema.status': 'État',
+    'schema.running': 'En cours...',
+    'schema.failed': 'Échec de la migration',
+    'role.viewer': 'Lecteur',
+    'role.moderator': 'Modérateur',
+    'role.owner': 'Propriétaire',
+    'role.viewerHelp': 'Lecteur : peut lire les messages',
+    'role.moderatorHelp': 'Modérateur : peut modérer les messages et bannir des auteurs',
+    'role.ownerHelp': 'Propriétaire : peut aussi modifier les paramètres, les livres d\'or, les données et les utilisateurs',
+    'users.pageTitle': 'Utilisateurs - {sitename}',
+    'users.heading': 'Utilisateurs',
+    'users.username': 'Nom d\'utilisateur',
+    'users.role': 'Rôle',
+    'users.lastLogin': 'Dernière connexion',
+    'users.you': '(vous)',
+    'users.never': 'Jamais',
+    'users.setPassword': 'Définir le mot de passe',
+    'users.passwordPlaceholder': 'Mot de passe ({min} caractères ou plus)',
+    'users.add': 'Ajouter l\'utilisateur',
+    'users.addFailed': 'Impossible d\'ajouter l\'utilisateur',
+    'users.roleFailed': 'Impossible de changer le rôle',
+    'users.passwordPrompt': 'Nouveau mot de passe pour {username} (au moins {min} caractères) :',
+    'users.passwordFailed': 'Impossible de définir le mot de passe',
+    'users.passwordSet': 'Mot de passe mis à jour.',
+    'users.confirmDelete': 'Supprimer le compte « {username} » ? Ses sessions seront fermées.',
+    'users.deleteFailed': 'Impossible de supprimer l\'utilisateur',
+    'account.heading': 'Votre compte',
+    'account.signedInAs': 'Connecté en tant que <strong>{username}</strong> ({role}).',
+    'account.currentPassword': 'Mot de passe actuel',
+    'account.newPassword': 'Nouveau mot de passe',
+    'account.changePassword': 'Changer le mot de passe',
+    'account.passwordChanged': 'Mot de passe modifié.',
+    'sessions.pageTitle': 'Sessions - {sitename}',
+    'sessions.active': 'Sessions actives',
+    'sessions.yours': 'Vos sessions',
+    'sessions.revokeAllUsers': 'Déconnecter tous les utilisateurs',
+    'sessions.revokeEverywhere': 'Se déconnecter partout',
+    'sessions.user': 'Utilisateur',
+    'sessions.device': 'Appareil',
+    'sessions.ip': 'Adresse IP',
+    'sessions.signedIn': 'Connexion',
+    'sessions.lastSeen': 'Dernière activité',
+    'sessions.expires': 'Expiration',
+    'sessions.unknownDevice': 'Inconnu',
+    'sessions.current': 'Cette session',
+    'sessions.revoke': 'Révoquer',
+    'sessions.help': 'Les sessions durent {days} jours à partir de la connexion. Se déconnecter, changer de mot de passe ou supprimer un utilisateur met fin à ses sessions.',
+    'sessions.revokeFailed': 'Impossible de révoquer la session',
+    'sessions.confirmRevokeAllUsers': 'Déconnecter tous les utilisateurs, vous compris ?',
+    'sessions.confirmRevokeEverywhere': 'Fermer toutes vos sessions, y compris celle-ci ?',
+    'sessions.revokeAllFailed': 'Impossible de fermer les sessions',
+    'import.pageTitle': 'Import et sauvegarde - {sitename}',
+    'import.heading': 'Importer des messages',
+    'import.intro': 'Importez des messages depuis un export MyGB (<code>/data.csv</code> ou <code>/data.json</code>) ou l\'export CSV d\'un autre livre d\'or. Vérifiez d\'abord l\'aperçu : rien n\'est enregistré avant votre confirmation. Les dates d\'origine sont conservées et les messages déjà présents sont ignorés.',
+    'import.target': 'Les messages iront dans <strong>{name}</strong>.',
+    'import.format': 'Format',
+    'import.formatAuto': 'Détecter (CSV ou JSON MyGB)',
+    'import.formatCsv': 'CSV MyGB (Name,Message,Website,Date)',
+    'import.formatJson': 'JSON MyGB',
+    'import.formatCustom': 'Autre CSV (associer les colonnes)',
+    'import.file': 'Fichier',
+    'import.column.name': 'Colonne du nom',
+    'import.column.message': 'Colonne du message',
+    'import.column.email': 'Colonne de l\'e-mail',
+    'import.column.site': 'Colonne du site web',
+    'import.column.date': 'Colonne de la date',
+    'import.required': 'obligatoire',
+    'import.optional': 'facultatif',
+    'import.paste': 'Ou collez le contenu',
+    'import.approve': 'Publier les messages importés (sinon ils attendent dans la file de modération)',
+    'import.preview': 'Aperçu',
+    'import.import': 'Importer',
+    'import.line': 'Ligne',
+    'import.name': 'Nom',
+    'import.message': 'Message',
+    'import.date': 'Date',
+    'import.status': 'État',
+    'import.rows': 'Lignes',
+    'import.ready': 'Prêts',
+    'import.imported': 'Importés',
+    'import.duplicates': 'Doublons',
+    'import.duplicate': 'Doublon',
+    'import.invalid': 'Invalide',
+    'import.now': 'Maintenant',
+    'import.checking': 'Vérification...',
+    'import.importing': 'Import en cours...',
+    'import.failed': 'Échec de l\'import',
+    'import.importCount': 'Importer {count} messages',
+    'import.importedCount': '{count} messages importés.',
+    'import.viewEntries': 'Voir les messages',
+    'import.confirm': 'Importer ces messages maintenant ?',
+    'import.importOne': 'Importer 1 message',
+    'import.error.empty': 'Le fichier est vide',
+    'import.error.json': 'JSON invalide : {error}',
+    'import.error.notArray': 'Un tableau JSON de messages est attendu',
+    'import.error.column': 'Colonne « {column} » introuvable. Colonnes de ce fichier : {columns}',
+    'import.error.mapping': 'Associez au moins les colonnes du nom et du message',
+    'import.error.date': 'Date illisible « {date} »',
+    'backup.heading': 'Sauvegarde',
+    'backup.intro': 'Une copie complète de toute l\'installation, pas seulement de ce livre d\'or : chaque livre d\'or avec ses messages (y compris en attente, masqués et indésirables, avec les e-mails), l\'historique des modifications, les réactions et les paramètres, ainsi que les bannissements et webhooks partagés. Une restauration en mode Remplacer écrase tous les livres d\'or. Gardez-la privée. Les exports publics en omettent volontairement la plus grande partie.',
+    'backup.redact': 'Omettre les secrets (clé secrète Turnstile, jeton de notification, secrets des webhooks)',
+    'backup.download': 'Télécharger la sauvegarde',
+    'restore.heading': 'Restauration',
+    'restore.file': 'Fichier de sauvegarde',
+    'restore.mode': 'Mode',
+    'restore.merge': 'Fusionner : ajouter ce qui manque, tout garder ici',
+    'restore.replace': 'Remplacer : supprimer d\'abord tous les livres d\'or et leurs données',
+    'restore.check': 'Vérifier la sauvegarde',
+    'restore.restore': 'Restaurer',
+    'restore.chooseFile': 'Choisissez d\'abord un fichier de sauvegarde',
+    'restore.invalidJson': 'Ce fichier n\'est pas du JSON valide',
+    'restore.failed': 'Échec de la restauration',
+    'restore.removed': 'Messages supprimés',
+    'restore.entries': 'Messages',
+    'restore.skipped': 'Déjà présents',
+    'restore.guestbooks': 'Livres d\'or',
+    'restore.revisions': 'Révisions',
+    'restore.reactions': 'Réactions',
+    'restore.settings': 'Paramètres',
+    'restore.bans': 'Bannissements',
+    'restore.webhooks': 'Webhooks',
+    'restore.confirmReplace': 'Cela supprime les {count} messages actuels, les livres d\'or, les paramètres, les bannissements et les webhooks, puis restaure la sauvegarde. Continuer ?',
+    'restore.confirmMerge': 'Ajouter les données manquantes de cette sauvegarde ?',
+    'restore.restoring': 'Restauration...',
+    'restore.restored': 'Sauvegarde restaurée.',
+    'restore.error.format': 'Ce n\'est pas un fichier de sauvegarde MyGB',
+    'restore.error.version': 'Version de sauvegarde {version} non prise en charge. Ce MyGB lit la version {supported} et les précédentes.',
+    'restore.error.schema': 'La sauvegarde provient d\'un schéma de base de données plus récent (v{version}, celui-ci est en v{current}). Lancez d\'abord les migrations en attente ou mettez MyGB à jour.',
+    'restore.error.list': '« {table} » doit être une liste',
+    'restore.error.empty': 'La sauvegarde ne contient ni messages ni paramètres',
+    'restore.error.guestbook': 'Il manque l\'identifiant, le slug ou le nom d\'un livre d\'or',
+    'restore.error.entryFields': 'Il manque le nom, le message ou la date du message n°{number}',
+    'restore.error.entryId': 'Le message n°{number} a un identifiant manquant ou en double',
+    'restore.error.entryBook': 'Le message n°{number} appartient à un livre d\'or absent de la sauvegarde',
+    'restore.error.setting': 'Il manque la clé d\'une ligne de paramètres',
+    'api.forbidden': 'Votre rôle ne le permet pas',
+    'api.guestbookInvalid': 'Un nom et un slug de 40 lettres minuscules, chiffres et tirets au plus sont obligatoires',
+    'api.slugTaken': 'Ce slug est déjà pris',
+    'api.defaultGuestbook': 'Le livre d\'or par défaut ne peut pas être supprimé',
+    'api.usernameInvalid': 'Les noms d\'utilisateur comptent 2 à 40 lettres minuscules, chiffres, points, tirets ou tirets bas',
+    'api.userInvalid': 'Un rôle et un mot de passe d\'au moins {min} caractères sont obligatoires',
+    'api.usernameTaken': 'Ce nom d\'utilisateur est déjà pris',
+    'api.passwordShort': 'Les mots de passe doivent compter au moins {min} caractères',
+    'api.lastOwner': 'Il doit rester au moins un propriétaire',
+    'api.wrongPassword': 'Le mot de passe actuel est incorrect',
+    'api.sessionNotFound': 'Session introuvable',
+    'api.banType': 'Type de bannissement invalide',
+    'api.banEmpty': 'Rien à bannir pour ce type',
+    'api.importRequest': 'Requête d\'import invalide',
+    'api.importTooMany': 'Trop de lignes ({count}). Découpez le fichier en parties de {max} lignes au plus.',
+    'api.restoreRequest': 'Requête de restauration invalide',
+    'api.restoreFailed': 'Échec de la restauration, rien n\'a été modifié : {error}',
+    'api.webhookInvalid': 'Une URL http(s) valide et au moins un événement sont obligatoires',
+    'api.deliveryNotFound': 'Envoi ou webhook introuvable',
+    'api.entryNotFound': 'Message introuvable',
+    'api.revisionNotFound': 'Révision introuvable',
+    'api.unknownAction': 'Action inconnue',
+    'api.noSelection': 'Aucun message sélectionné',
+    'api.replyTooLong': 'Réponse trop longue ({max} caractères max.)',
+    'status.spam': 'Indésirable',
+    'status.hidden': 'Masqué',
+    'status.approved': 'Approuvé',
+    'status.pending': 'En attente',
+    'status.pinned': 'Épinglé',
+    'ban.byIp': 'Par adresse IP',
+    'ban.byEmail': 'Par e-mail ({email})',
+    'ban.byDomain': 'Par domaine ({domain})',
+    'ban.reject': 'Refuser les nouveaux messages',
+    'ban.shadow': 'Retenir discrètement les nouveaux messages',
+    'ban.forOneDay': 'Pendant 1 jour',
+    'ban.forDays': 'Pendant {days} jours',
+    'ban.permanently': 'Définitivement',
+    'ban.reasonOptional': 'Motif (facultatif)',
+    'ban.alsoDelete': 'Supprimer aussi ce message',
+    'ban.submit': 'Bannir l\'auteur',
+    'ban.type.ip': 'Adresse IP',
+    'ban.type.email': 'E-mail',
+    'ban.type.domain': 'Domaine du site web',
+    'ban.valuePlaceholder': '203.0.113.7, troll@example.com ou example.com',
+    'ban.mode.reject': 'Refuser',
+    'ban.mode.shadow': 'Retenir discrètement',
+    'ban.oneDay': '1 jour',
+    'ban.days': '{days} jours',
+    'ban.permanent': 'Permanent',
+    'ban.add': 'Ajouter le bannissement',
+    'ban.type': 'Type',
+    'ban.value': 'Valeur',
+    'ban.mode': 'Mode',
+    'ban.reason': 'Motif',
+    'ban.expires': 'Expiration',
+    'entries.pageTitle': 'Administration - {sitename}',
+    'entries.heading': 'Tous les messages',
+    'entries.private': '(privé)',
+    'entries.empty': 'Aucun message trouvé.',
+    'entries.selectPage': 'Tout sélectionner sur cette page',
+    'entries.status': 'État',
+    'entries.name': 'Nom',
+    'entries.website': 'Site web',
+    'entries.message': 'Message',
+    'entries.date': 'Date',
+    'entries.actions': 'Actions',
+    'entries.spamScore': 'Score de spam {score}',
+    'entries.yourReply': 'Votre réponse',
+    'entries.saveChanges': 'Enregistrer les modifications',
+    'entries.editedOnce': 'Modifié 1 fois',
+    'entries.edited': 'Modifié {count} fois',
+    'entries.beforeEdit': 'Avant la modification du {date}',
+    'entries.revert': 'Rétablir',
+    'entries.replyPlaceholder': 'Écrivez une réponse publique...',
+    'entries.saveReply': 'Enregistrer la réponse',
+    'entries.removeReply': 'Supprimer la réponse',
+    'entries.approveFailed': 'Impossible d\'approuver le message',
+    'entries.actionFailed': 'Impossible de mettre à jour le message',
+    'entries.saveFailed': 'Impossible d\'enregistrer le message',
+    'entries.confirmRevert': 'Rétablir cette version antérieure ? Le texte actuel sera conservé dans l\'historique.',
+    'entries.revertFailed': 'Impossible de rétablir le message',
+    'entries.banFailed': 'Impossible de bannir l\'auteur',
+    'entries.replyFailed': 'Impossible d\'enregistrer la réponse',
+    'entries.confirmRemoveReply': 'Supprimer votre réponse à ce message ?',
+    'entries.confirmDelete': 'Voulez-vous vraiment supprimer ce message ?',
+    'entries.deleteFailed': 'Impossible de supprimer le message',
+    'action.approve': 'Approuver',
+    'action.unapprove': 'Retirer l\'approbation',
+    'action.unapproveTitle': 'Remettre en attente',
+    'action.hide': 'Masquer',
+    'action.hideTitle': 'Masquer sur la page publique',
+    'action.spam': 'Marquer comme indésirable',
+    'action.pin': 'Épingler',
+    'action.pinTitle': 'Garder en haut du livre d\'or',
+    'action.unpin': 'Désépingler',
+    'action.unpinTitle': 'Ne plus garder en haut du livre d\'or',
+    'action.edit': 'Modifier',
+    'action.reply': 'Répondre',
+    'action.editReply': 'Modifier la réponse',
+    'action.ban': 'Bannir',
+    'action.banTitle': 'Bannir cet auteur',
+    'filter.search': 'Recherche',
+    'filter.searchPlaceholder': 'Nom, message, e-mail ou site web',
+    'filter.all': 'Tous',
+    'filter.from': 'Du',
+    'filter.to': 'Au',
+    'filter.submit': 'Filtrer',
+    'filter.reset': 'Réinitialiser',
+    'bulk.selectAll': 'Sélectionner les {count} messages correspondants',
+    'bulk.allSelected': 'Les {count} messages correspondants sont sélectionnés.',
+    'bulk.pageSelected': '{count} sélectionnés sur cette page.',
+    'bulk.confirm': 'Appliquer « {action} » à {count} messages ?',
+    'bulk.apply': 'Appliquer',
+    'bulk.applying': 'Application...',
+    'bulk.partial': '{succeeded} mis à jour, {failed} en échec :',
+    'bulk.failed': 'Échec de l\'action groupée',
+    'pagination.previous': 'Précédent',
+    'pagination.next': 'Suivant',
+    'pagination.page': 'Page {page} sur {pageCount}',
+    'settings.pageTitle': 'Paramètres - {sitename}',
+    'settings.guestbooks': 'Livres d\'or',
+    'settings.guestbooksIntro': 'Chaque livre d\'or a ses propres messages, paramètres et code d\'intégration. Les paramètres ci-dessous concernent <strong>{name}</strong> ; changez de livre à côté du titre Administration. Les bannissements, webhooks et sauvegardes sont communs à tous.',
+    'settings.bookName': 'Nom',
+    'settings.bookPage': 'Page publique',
+    'settings.bookEntries': 'Messages',
+    'settings.bookNamePlaceholder': 'Nom, p. ex. Blog photo',
+    'settings.bookSlugPlaceholder': 'Slug, p. ex. photos',
+    'settings.addBook': 'Ajouter un livre d\'or',
+    'settings.bookHelp': 'Les nouveaux livres d\'or reprennent une copie des paramètres du livre d\'or par défaut et sont servis à <code>/b/slug</code>.',
+    'settings.general': 'Général',
+    'settings.SITENAME': 'Nom du site',
+    'settings.SITENAME.help': 'Utilisé comme titre de la page.',
+    'settings.SITE_INTRO': 'Introduction',
+    'settings.SITE_INTRO.help': 'Affichée sur la page d\'accueil au-dessus du formulaire. Accepte le HTML simple.',
+    'settings.SITE_DESCRIPTION': 'Description du site',
+    'settings.SITE_DESCRIPTION.help': 'Utilisée pour la méta-description et les cartes des réseaux sociaux.',
+    'settings.SITE_ICON_URL': 'URL de l\'icône du site',
+    'settings.SITE_ICON_URL.help': 'URL du favicon ou du logo de votre site (carré de préférence).',
+    'settings.SITE_COVER_IMAGE_URL': 'URL de l\'image de couverture',
+    'settings.SITE_COVER_IMAGE_URL.help': 'URL d\'une image utilisée pour le partage sur les réseaux sociaux (Open Graph / Twitter). Taille recommandée : 1200x630.',
+    'settings.CANONICAL_URL': 'URL canonique',
+    'settings.CANONICAL_URL.help': 'L\'URL de référence de votre livre d\'or. Utile si vous l\'intégrez dans un autre site.',
+    'settings.ALLOW_INDEXING': 'Autoriser l\'indexation par les moteurs de recherche',
+    'settings.ALLOW_INDEXING.help': 'Si la case est décochée, ajoute <code>noindex, nofollow</code> pour empêcher les moteurs de recherche d\'indexer cette page.',
+    'settings.FEEDS_ENABLED': 'Publier des flux',
+    'settings.FEEDS_ENABLED.help': 'Sert les messages approuvés à <code>/feed.xml</code> (RSS), <code>/atom.xml</code> (Atom) et <code>/feed.json</code> (JSON Feed) pour les lecteurs de flux.',
+    'settings.navigation': 'Navigation',
+    'settings.navigationIntro': 'Ajoutez des liens vers votre site principal ou d\'autres pages. Ils apparaîtront dans l\'en-tête.',
+    'settings.addLink': '+ Ajouter un lien',
+    'settings.formFields': 'Champs du formulaire',
+    'settings.formFieldsIntro': 'Demandez aux visiteurs plus qu\'un nom et un message, avec jusqu\'à {max} champs supplémentaires. Les réponses publiques s\'affichent avec le message et figurent dans les exports ; les privées n\'apparaissent qu\'ici, dans l\'administration.',
+    'settings.addField': '+ Ajouter un champ',
+    'settings.formFieldsHelp': 'Les options des listes déroulantes sont séparées par des virgules. Supprimer un champ masque ses réponses sur la page publique mais les garde dans la base de données.',
+    'settings.moderation': 'Modération',
+    'settings.ENTRY_MODERATION': 'Exiger une approbation pour les nouveaux messages',
+    'settings.ENTRY_MODERATION.help': 'Si la case est cochée, les messages n\'apparaissent publiquement qu\'après votre approbation.',
+    'settings.reactions': 'Réactions',
+    'settings.REACTIONS_ENABLED': 'Permettre aux visiteurs de réagir aux messages',
+    'settings.REACTION_EMOJIS': 'Emoji',
+    'settings.REACTION_EMOJIS.help': 'Séparés par des espaces, jusqu\'à {max}. Retirer un emoji le masque mais garde ses compteurs. Chaque visiteur peut réagir une fois par emoji ; un second clic annule la réaction.',
+    'settings.spamFilter': 'Filtre anti-spam',
+    'settings.SPAM_FILTER_ENABLED': 'Activer le score de spam par règles',
+    'settings.SPAM_FILTER_ENABLED.help': 'Chaque règle déclenchée ajoute son score. Mettez un score à 0, ou laissez un champ vide, pour désactiver la règle.',
+    'settings.SPAM_BLOCKLIST': 'Liste de blocage',
+    'settings.SPAM_BLOCKLIST.help': 'Un mot-clé par ligne, ou <code>/regex/flags</code>. Vérifiée sur le nom, le message, le site web et l\'e-mail.',
+    'settings.SPAM_BLOCKLIST_SCORE': 'Score de la liste de blocage',
+    'settings.SPAM_HONEYPOT_SCORE': 'Score du pot de miel',
+    'settings.SPAM_MAX_LINKS': 'Liens max. dans le message',
+    'settings.SPAM_LINKS_SCORE': 'Score pour trop de liens',
+    'settings.SPAM_MIN_SUBMIT_SECONDS': 'Secondes min. avant l\'envoi',
+    'settings.SPAM_MIN_TIME_SCORE': 'Score pour un envoi trop rapide',
+    'settings.SPAM_DUPLICATE_HOURS': 'Fenêtre des doublons (heures)',
+    'settings.SPAM_DUPLICATE_SCORE': 'Score pour un message en double',
+    'settings.SPAM_HOLD_SCORE': 'Retenir pour modération à partir de',
+    'settings.SPAM_REJECT_SCORE': 'Refuser à partir de',
+    'settings.RATE_LIMIT_WINDOW_MINUTES': 'Fenêtre (minutes)',
+    'settings.RATE_LIMIT_PER_IP': 'Envois par IP',
+    'settings.RATE_LIMIT_PER_EMAIL': 'Envois par e-mail',
+    'settings.NOTIFY_ENABLED': 'M\'envoyer un e-mail à chaque nouveau message',
+    'settings.NOTIFY_TRANSPORT': 'Transport',
+    'settings.NOTIFY_EMAIL_TO': 'Destinataire',
+    'settings.NOTIFY_EMAIL_FROM': 'Expéditeur',
+    'settings.NOTIFY_HTTP_URL': 'URL de l\'API mail',
+    'settings.NOTIFY_HTTP_TOKEN': 'Jeton de l\'API mail',
+    'settings.TURNSTILE_ENABLED': 'Activer le CAPTCHA Turnstile',
+    'settings.TURNSTILE_SITE_KEY': 'Clé du site',
+    'settings.TURNSTILE_SECRET_KEY': 'Clé secrète',
+    'settings.THEME': 'Thème',
+    'settings.MESSAGE_FORMATTING': 'Mettre en forme les messages',
+    'settings.AVATAR_MODE': 'Avatars',
+    'settings.DEFAULT_LOCALE': 'Langue par défaut',
+    'settings.CUSTOM_CSS': 'CSS personnalisé',
+    'settings.spamScoresHelp': 'Les messages dont le score atteint le seuil de rétention attendent une approbation même si la modération est désactivée. Ceux qui atteignent le seuil de refus sont rejetés.',
+    'settings.notifications': 'Notifications',
+    'settings.NOTIFY_ENABLED.help': 'L\'e-mail contient le message et des liens signés pour l\'approuver ou le supprimer sans se connecter. Les messages classés comme indésirables ne déclenchent pas de notification.',
+    'settings.transportLog': 'Journal uniquement (pour les tests)',
+    'settings.transportHttp': 'API mail HTTP',
+    'settings.NOTIFY_TRANSPORT.help': 'Journal uniquement écrit l\'e-mail dans les journaux du worker (<code>wrangler tail</code>).',
+    'settings.NOTIFY_HTTP_URL.help': 'Reçoit un POST JSON avec <code>from</code>, <code>to</code>, <code>subject</code>, <code>text</code> et <code>html</code>.',
+    'settings.NOTIFY_HTTP_TOKEN.help': 'Envoyé comme jeton <code>Bearer</code> dans l\'en-tête <code>Authorization</code>.',
+    'settings.testNotification': 'Envoyer une notification de test',
+    'settings.testNotificationHelp': 'Utilise les paramètres enregistrés : enregistrez d\'abord.',
+    'settings.webhooks': 'Webhooks',
+    'settings.webhooksIntro': 'Envoyez un POST JSON signé à d\'autres services quand quelque chose se produit. Vérifiez l\'en-tête <code>X-MyGB-Signature</code> : <code>sha256=</code> suivi du HMAC-SHA256 hexadécimal du corps, calculé avec le secret du point de terminaison.',
+    'settings.addWebhook': 'Ajouter un webhook',
+    'settings.noWebhooks': 'Aucun webhook pour l\'instant.',
+    'settings.webhookUrl': 'URL',
+    'settings.webhookEvents': 'Événements',
+    'settings.webhookSecret': 'Secret',
+    'settings.webhookPaused': '(en pause)',
+    'settings.pause': 'Mettre en pause',
+    'settings.resume': 'Reprendre',
+    'settings.deliveries': 'Envois récents',
+    'settings.noDeliveries': 'Rien n\'a encore été envoyé.',
+    'settings.deliveryEvent': 'Événement',
+    'settings.deliveryEndpoint': 'Point de terminaison',
+    'settings.deliveryStatus': 'État',
+    'settings.deliveryAttempts': 'Tentatives',
+    'settings.deliveryLastAttempt': 'Dernière tentative',
+    'settings.deliveryDeleted': '(supprimé)',
+    'settings.retry': 'Réessayer',
+    'settings.rateLimiting': 'Limitation du débit',
+    'settings.rateLimitingHelp': 'Les clients au-delà d\'une limite reçoivent une réponse 429 jusqu\'à la fin de la fenêtre. Mettez une valeur à 0 pour désactiver la limite. Les adresses IP sont stockées sous forme de hachage.',
+    'settings.throttled': 'Actuellement limités',
+    'settings.noThrottled': 'Aucun client n\'est limité en ce moment.',
+    'settings.throttledClient': 'Client',
+    'settings.throttledUntil': 'Jusqu\'à',
+    'settings.throttledIp': 'IP {hash}',
+    'settings.throttledEmail': 'E-mail {email}',
+    'settings.lift': 'Lever',
+    'settings.bans': 'Bannissements',
+    'settings.bansIntro': 'Les auteurs bannis sont refusés, ou avec la rétention discrète leurs messages sont classés comme indésirables sans qu\'ils le sachent. Bannissez quelqu\'un depuis le tableau des messages, ou ajoutez un bannissement ici.',
+    'settings.noBans': 'Aucun bannissement actif.',
+    'settings.security': 'Sécurité (Cloudflare Turnstile)',
+    'settings.TURNSTILE_SECRET_KEY.help': 'Gardez-la secrète ! Elle sert à vérifier les jetons.',
+    'settings.theme': 'Thème',
+    'settings.THEME.help': 'Utilisé par la page du livre d\'or, les liens permanents des messages et le widget intégré ; l\'administration garde l\'apparence par défaut. Une intégration peut choisir un autre thème avec l\'attribut <code>data-gb-theme</code>, et <code>?theme=retro</code> dans l\'URL de la page en donne un aperçu sans l\'enregistrer.',
+    'settings.pageColours': 'Couleurs de la page',
+    'settings.widgetColours': 'Couleurs du widget',
+    'settings.resetTheme': 'Revenir aux couleurs du thème',
+    'settings.themeColoursHelp': 'Les champs vides utilisent la couleur du thème, affichée en grisé. Toute couleur CSS fonctionne, p. ex. <code>#2563eb</code>, <code>rgb(37 99 235)</code> ou <code>tomato</code>.',
+    'settings.pagePreview': 'Aperçu de la page du livre d\'or',
+    'settings.widgetPreview': 'Aperçu du widget intégré',
+    'settings.appearance': 'Apparence',
+    'settings.MESSAGE_FORMATTING.help': 'Affiche <code>**gras**</code>, <code>*italique*</code>, <code>`code`</code>, <code>&gt; citations</code> et les liens dans les messages. Les liens reçoivent <code>rel="nofollow ugc"</code>.',
+    'settings.avatarInitials': 'Première lettre du nom',
+    'settings.avatarIdenticon': 'Motif généré (identicon)',
+    'settings.avatarGravatar': 'Gravatar, identicon sans e-mail',
+    'settings.AVATAR_MODE.help': 'Les identicons sont générés à partir d\'un hachage salé de l\'e-mail (ou du nom) et servis par ce worker. Gravatar reçoit un hachage de l\'adresse e-mail, jamais l\'adresse elle-même. Le widget intégré n\'affiche les avatars qu\'en modes identicon et Gravatar.',
+    'settings.DEFAULT_LOCALE.help': 'La page du livre d\'or et l\'administration s\'affichent dans la langue du navigateur si elle en fait partie, sinon dans celle-ci. Ajoutez <code>?lang=de</code> à un lien pour imposer une langue. Le widget intégré utilise celle-ci, sauf s\'il a un attribut <code>data-gb-lang</code>.',
+    'settings.CUSTOM_CSS.placeholder': '.container { max-width: 800px; } /* Ciblez des classes comme .entry, .card, .btn */',
+    'settings.CUSTOM_CSS.help': 'Ajoutez du CSS personnalisé pour styliser le livre d\'or et l\'administration. <br><strong>Cibles courantes :</strong> <code>.container</code>, <code>.card</code>, <code>.entry</code>, <code>.entry-header</code>, <code>.entry-content</code>, <code>button</code>.',
+    'settings.export': 'Exporter les données',
+    'settings.exportIntro': 'Téléchargez les données de votre livre d\'or. Les adresses e-mail sont exclues de ces exports publics.',
+    'settings.downloadJson': 'Télécharger en JSON',
+    'settings.downloadCsv': 'Télécharger en CSV',
+    'settings.save': 'Enregistrer les paramètres',
+    'settings.noLinks': 'Aucun lien pour l\'instant.',
+    'settings.linkLabel': 'Libellé',
+    'settings.linkUrl': 'URL',
+    'settings.noFields': 'Aucun champ supplémentaire pour l\'instant.',
+    'settings.fieldLabel': 'Libellé, p. ex. D\'où venez-vous ?',
+    'settings.fieldText': 'Texte',
+    'settings.fieldTextarea': 'Texte long',
+    'settings.fieldSelect': 'Liste déroulante',
+    'settings.fieldOptions': 'Options, p. ex. Recherche, Un ami, Réseaux sociaux',
+    'settings.fieldMaxLength': 'Longueur max.',
+    'settings.fieldRequired': 'Obligatoire',
+    'settings.fieldPublic': 'Public',
+    'settings.tooManyFields': 'Vous pouvez ajouter jusqu\'à {max} champs.',
+    'settings.liftLimitFailed': 'Impossible de lever la limite',
+    'settings.testSent': 'Notification de test envoyée.',
+    'settings.testFailed': 'Échec de l\'envoi',
+    'settings.addWebhookFailed': 'Impossible d\'ajouter le webhook',
+    'settings.updateWebhookFailed': 'Impossible de mettre à jour le webhook',
+    'settings.confirmDeleteWebhook': 'Supprimer ce webhook et son journal d\'envois ?',
+    'settings.deleteWebhookFailed': 'Impossible de supprimer le webhook',
+    'settings.retrying': 'Nouvelle tentative...',
+    'settings.retryFailed': 'Impossible de relancer l\'envoi',
+    'settings.stillFailing': 'Le point de terminaison n\'a toujours pas accepté l\'envoi.',
+    'settings.addBookFailed': 'Impossible d\'ajouter le livre d\'or',
+    'settings.confirmDeleteBook': 'Supprimer « {name} » avec tous ses messages et paramètres ? Cette action est irréversible.',
+    'settings.deleteBookFailed': 'Impossible de supprimer le livre d\'or',
+    'settings.addBanFailed': 'Impossible d\'ajouter le bannissement',
+    'settings.confirmLiftBan': 'Lever ce bannissement ?',
+    'settings.liftBanFailed': 'Impossible de lever le bannissement',
+    'settings.saving': 'Enregistrement...',
+    'settings.saved': 'Paramètres enregistrés. Rechargement...',
+    'settings.saveFailed': 'Impossible d\'enregistrer les paramètres',
+    'theme.default': 'Par défaut (suit le mode clair/sombre)',
+    'theme.minimal': 'Minimal',
+    'theme.retro': 'Livre d\'or rétro années 90',
+    'theme.dark': 'Sombre',
+    'theme.paper': 'Papier',
+    'themeVar.primary': 'Couleur principale',
+    'themeVar.primaryHover': 'Couleur principale (survol)',
+    'themeVar.primaryText': 'Texte des boutons',
+    'themeVar.bg': 'Arrière-plan',
+    'themeVar.cardBg': 'Arrière-plan des cartes',
+    'themeVar.text': 'Texte',
+    'themeVar.textMuted': 'Texte atténué',
+    'themeVar.textContent': 'Texte des messages',
+    'themeVar.border': 'Bordure',
+    'themeVar.widgetPrimary': 'Couleur principale du widget',
+    'themeVar.widgetBg': 'Arrière-plan du widget',
+    'themeVar.widgetBorder': 'Bordure du widget',
+    'themeVar.widgetInputBg': 'Arrière-plan des champs du widget',
+    'themeVar.widgetInputText': 'Texte des champs du widget',
+    'delivery.pending': 'en attente',
+    'delivery.success': 'réussi',
+    'delivery.failed': 'échoué'
+  },
+  es: {
+    'nav.title': 'Administración',
+    'nav.guestbook': 'Libro de visitas',
+    'nav.menu': 'Mostrar/ocultar menú',
+    'nav.entries': 'Mensajes',
+    'nav.import': 'Importar y copia de seguridad',
+    'nav.embed': 'Insertar',
+    'nav.settings': 'Ajustes',
+    'nav.schema': 'Esquema',
+    'nav.users': 'Usuarios',
+    'nav.account': 'Cuenta',
+    'nav.sessions': 'Sesiones',
+    'nav.viewSite': 'Ver sitio',
+    'nav.signedInAs': 'Sesión iniciada como {username}',
+    'nav.logout': 'Cerrar sesión',
+    'nav.forbidden': 'Prohibido: tu rol no permite ver esta página',
+    'common.error': 'Se ha producido un error. Inténtalo de nuevo.',
+    'common.logoutFailed': 'No se pudo cerrar la sesión',
+    'common.delete': 'Eliminar',
+    'common.unknownError': 'Error desconocido',
+    'common.errorDetail': 'Se ha producido un error: {error}',
+    'common.cancel': 'Cancelar',
+    'login.pageTitle': 'Iniciar sesión - {sitename}',
+    'login.logo': 'Logo',
+    'login.heading': 'Acceso de administración',
+    'login.firstLogin': 'Inicia sesión con la <code>ADMIN_PASSWORD</code> para crear la primera cuenta de propietario',
+    'login.subtitle': 'Introduce tu usuario y contraseña para gestionar los mensajes',
+    'login.username': 'Usuario',
+    'login.password': 'Contraseña',
+    'login.signIn': 'Iniciar sesión',
+    'login.signingIn': 'Iniciando sesión...',
+    'login.invalid': 'Usuario o contraseña incorrectos',
+    'login.back': 'Volver al libro de visitas',
+    'moderate.approve': 'Aprobar mensaje',
+    'moderate.delete': 'Eliminar mensaje',
+    'moderate.approved': 'Se ha aprobado el mensaje de {name}.',
+    'moderate.deleted': 'Se ha eliminado el mensaje de {name}.',
+    'moderate.published': 'Publicado',
+    'moderate.pending': 'Pendiente de aprobación',
+    'moderate.heading': 'Moderación',
+    'moderate.openAdmin': 'Abrir la administración',
+    'moderate.invalidLink': 'Este enlace no es válido o ha caducado.',
+    'moderate.missingEntry': 'Este mensaje ya no existe.',
+    'embed.pageTitle': 'Insertar - {sitename}',
+    'embed.heading': 'Código de inserción',
+    'embed.intro': 'Copia el código de abajo y pégalo en tu sitio web donde quieras que aparezca el libro de visitas.',
+    'embed.introBook': 'Copia el código de abajo y pégalo en tu sitio web donde quieras que aparezca el libro de visitas <strong>{name}</strong>.',
+    'embed.copy': 'Copiar código',
+    'embed.copied': '¡Copiado!',
+    'schema.pageTitle': 'Esquema - {sitename}',
+    'schema.applied': 'Aplicada',
+    'schema.pending': 'Pendiente',
+    'schema.lastFailed': 'El último intento de migración falló: {error}',
+    'schema.current': 'Versión actual',
+    'schema.latest': 'Última versión',
+    'schema.run': 'Ejecutar migraciones pendientes',
+    'schema.migrations': 'Migraciones',
+    'schema.version': 'Versión',
+    'schema.name': 'Nombre',
+    'schema.status': 'Estado',
+    'schema.running': 'Ejecutando...',
+    'schema.failed': 'La migración falló',
+    'role.viewer': 'Lector',
+    'role.moderator': 'Moderador',
+    'role.owner': 'Propietario',
+    'role.viewerHelp': 'Lector: puede leer los mensajes',
+    'role.moderatorHelp': 'Moderador: puede moderar mensajes y bloquear a sus autores',
+    'role.ownerHelp': 'Propietario: además puede cambiar ajustes, libros de visitas, datos y usuarios',
+    'users.pageTitle': 'Usuarios - {sitename}',
+    'users.heading': 'Usuarios',
+    'users.username': 'Usuario',
+    'users.role': 'Rol',
+    'users.lastLogin': 'Último acceso',
+    'users.you': '(tú)',
+    'users.never': 'Nunca',
+    'users.setPassword': 'Establecer contraseña',
+    'users.passwordPlaceholder': 'Contraseña ({min}+ caracteres)',
+    'users.add': 'Añadir usuario',
+    'users.addFailed': 'No se pudo añadir el usuario',
+    'users.roleFailed': 'No se pudo cambiar el rol',
+    'users.passwordPrompt': 'Nueva contraseña para {username} (al menos {min} caracteres):',
+    'users.passwordFailed': 'No se pudo establecer la contraseña',
+    'users.passwordSet': 'Contraseña actualizada.',
+    'users.confirmDelete': '¿Eliminar la cuenta «{username}»? Se cerrarán sus sesiones.',
+    'users.deleteFailed': 'No se pudo eliminar el usuario',
+    'account.heading': 'Tu cuenta',
+    'account.signedInAs': 'Sesión iniciada como <strong>{username}</strong> ({role}).',
+    'account.currentPassword': 'Contraseña actual',
+    'account.newPassword': 'Nueva contraseña',
+    'account.changePassword': 'Cambiar contraseña',
+    'account.passwordChanged': 'Contraseña cambiada.',
+    'sessions.pageTitle': 'Sesiones - {sitename}',
+    'sessions.active': 'Sesiones activas',
+    'sessions.yours': 'Tus sesiones',
+    'sessions.revokeAllUsers': 'Cerrar la sesión de todos los usuarios',
+    'sessions.revokeEverywhere': 'Cerrar sesión en todas partes',
+    'sessions.user': 'Usuario',
+    'sessions.device': 'Dispositivo',
+    'sessions.ip': 'Dirección IP',
+    'sessions.signedIn': 'Inicio de sesión',
+    'sessions.lastSeen': 'Última actividad',
+    'sessions.expires': 'Caduca',
+    'sessions.unknownDevice': 'Desconocido',
+    'sessions.current': 'Esta sesión',
+    'sessions.revoke': 'Revocar',
+    'sessions.help': 'Las sesiones duran {days} días desde el inicio de sesión. Cerrar sesión, cambiar la contraseña o eliminar un usuario termina sus sesiones.',
+    'sessions.revokeFailed': 'No se pudo revocar la sesión',
+    'sessions.confirmRevokeAllUsers': '¿Cerrar la sesión de todos los usuarios, incluido tú?',
+    'sessions.confirmRevokeEverywhere': '¿Cerrar todas tus sesiones, incluida esta?',
+    'sessions.revokeAllFailed': 'No se pudieron cerrar las sesiones',
+    'import.pageTitle': 'Importar y copia de seguridad - {sitename}',
+    'import.heading': 'Importar mensajes',
+    'import.intro': 'Trae mensajes de una exportación de MyGB (<code>/data.csv</code> o <code>/data.json</code>) o de la exportación CSV de otro libro de visitas. Revisa primero la vista previa: no se guarda nada hasta que confirmes. Se conservan las fechas originales y se omiten los mensajes que ya existen.',
+    'import.target': 'Los mensajes irán a <strong>{name}</strong>.',
+    'import.format': 'Formato',
+    'import.formatAuto': 'Detectar (CSV o JSON de MyGB)',
+    'import.formatCsv': 'CSV de MyGB (Name,Message,Website,Date)',
+    'import.formatJson': 'JSON de MyGB',
+    'import.formatCustom': 'Otro CSV (asignar columnas)',
+    'import.file': 'Archivo',
+    'import.column.name': 'Columna del nombre',
+    'import.column.message': 'Columna del mensaje',
+    'import.column.email': 'Columna del correo',
+    'import.column.site': 'Columna del sitio web',
+    'import.column.date': 'Columna de la fecha',
+    'import.required': 'obligatoria',
+    'import.optional': 'opcional',
+    'import.paste': 'O pega el contenido',
+    'import.approve': 'Publicar los mensajes importados (si no, esperan en la cola de moderación)',
+    'import.preview': 'Vista previa',
+    'import.import': 'Importar',
+    'import.line': 'Línea',
+    'import.name': 'Nombre',
+    'import.message': 'Mensaje',
+    'import.date': 'Fecha',
+    'import.status': 'Estado',
+    'import.rows': 'Filas',
+    'import.ready': 'Listos',
+    'import.imported': 'Importados',
+    'import.duplicates': 'Duplicados',
+    'import.duplicate': 'Duplicado',
+    'import.invalid': 'No válido',
+    'import.now': 'Ahora',
+    'import.checking': 'Comprobando...',
+    'import.importing': 'Importando...',
+    'import.failed': 'La importación falló',
+    'import.importCount': 'Importar {count} mensajes',
+    'import.importedCount': 'Se importaron {count} mensajes.',
+    'import.viewEntries': 'Ver mensajes',
+    'import.confirm': '¿Importar estos mensajes ahora?',
+    'import.importOne': 'Importar 1 mensaje',
+    'import.error.empty': 'El archivo está vacío',
+    'import.error.json': 'JSON no válido: {error}',
+    'import.error.notArray': 'Se esperaba un array JSON de mensajes',
+    'import.error.column': 'No se encontró la columna «{column}». Columnas de este archivo: {columns}',
+    'import.error.mapping': 'Asigna al menos las columnas del nombre y del mensaje',
+    'import.error.date': 'Fecha ilegible «{date}»',
+    'backup.heading': 'Copia de seguridad',
+    'backup.intro': 'Una copia completa de toda la instalación, no solo de este libro de visitas: cada libro de visitas con sus mensajes (incluidos los pendientes, ocultos y de spam, con correos), el historial de ediciones, las reacciones y los ajustes, además de los bloqueos y webhooks compartidos. Restaurar en modo Reemplazar sobrescribe todos los libros de visitas. Guárdala en privado. Las exportaciones públicas dejan fuera casi todo esto a propósito.',
+    'backup.redact': 'Omitir los secretos (clave secreta de Turnstile, token de notificaciones, secretos de los webhooks)',
+    'backup.download': 'Descargar copia de seguridad',
+    'restore.heading': 'Restaurar',
+    'restore.file': 'Archivo de copia de seguridad',
+    'restore.mode': 'Modo',
+    'restore.merge': 'Combinar: añadir lo que falte y conservar todo lo de aquí',
+    'restore.replace': 'Reemplazar: borrar primero todos los libros de visitas y sus datos',
+    'restore.check': 'Comprobar copia',
+    'restore.restore': 'Restaurar',
+    'restore.chooseFile': 'Elige primero un archivo de copia de seguridad',
+    'restore.invalidJson': 'Ese archivo no es JSON válido',
+    'restore.failed': 'La restauración falló',
+    'restore.removed': 'Mensajes eliminados',
+    'restore.entries': 'Mensajes',
+    'restore.skipped': 'Ya existentes',
+    'restore.guestbooks': 'Libros de visitas',
+    'restore.revisions': 'Revisiones',
+    'restore.reactions': 'Reacciones',
+    'restore.settings': 'Ajustes',
+    'restore.bans': 'Bloqueos',
+    'restore.webhooks': 'Webhooks',
+    'restore.confirmReplace': 'Esto elimina los {count} mensajes actuales, los libros de visitas, los ajustes, los bloqueos y los webhooks, y restaura la copia. ¿Continuar?',
+    'restore.confirmMerge': '¿Añadir los datos que faltan de esta copia?',
+    'restore.restoring': 'Restaurando...',
+    'restore.restored': 'Copia de seguridad restaurada.',
+    'restore.error.format': 'No es un archivo de copia de seguridad de MyGB',
+    'restore.error.version': 'Versión de copia {version} no admitida. Este MyGB lee la versión {supported} y anteriores.',
+    'restore.error.schema': 'La copia procede de un esquema de base de datos más reciente (v{version}, este es v{current}). Ejecuta antes las migraciones pendientes o actualiza MyGB.',
+    'restore.error.list': '«{table}» debe ser una lista',
+    'restore.error.empty': 'La copia no tiene mensajes ni ajustes',
+    'restore.error.guestbook': 'A un libro de visitas le falta el id, el slug o el nombre',
+    'restore.error.entryFields': 'Al mensaje n.º {number} le falta el nombre, el mensaje o la fecha',
+    'restore.error.entryId': 'El mensaje n.º {number} tiene un id ausente o repetido',
+    'restore.error.entryBook': 'El mensaje n.º {number} pertenece a un libro de visitas que no está en la copia',
+    'restore.error.setting': 'A una fila de ajustes le falta la clave',
+    'api.forbidden': 'Tu rol no lo permite',
+    'api.guestbookInvalid': 'Se necesitan un nombre y un slug de hasta 40 minúsculas, dígitos y guiones',
+    'api.slugTaken': 'Ese slug ya está en uso',
+    'api.defaultGuestbook': 'El libro de visitas predeterminado no se puede eliminar',
+    'api.usernameInvalid': 'Los nombres de usuario tienen de 2 a 40 minúsculas, dígitos, puntos, guiones o guiones bajos',
+    'api.userInvalid': 'Se necesitan un rol y una contraseña de al menos {min} caracteres',
+    'api.usernameTaken': 'Ese nombre de usuario ya está en uso',
+    'api.passwordShort': 'Las contraseñas necesitan al menos {min} caracteres',
+    'api.lastOwner': 'Debe haber al menos un propietario',
+    'api.wrongPassword': 'La contraseña actual es incorrecta',
+    'api.sessionNotFound': 'Sesión no encontrada',
+    'api.banType': 'Tipo de bloqueo no válido',
+    'api.banEmpty': 'No hay nada que bloquear para ese tipo',
+    'api.importRequest': 'Solicitud de importación no válida',
+    'api.importTooMany': 'Demasiadas filas ({count}). Divide el archivo en partes de {max} como máximo.',
+    'api.restoreRequest': 'Solicitud de restauración no válida',
+    'api.restoreFailed': 'La restauración falló y no se cambió nada: {error}',
+    'api.webhookInvalid': 'Se necesitan una URL http(s) válida y al menos un evento',
+    'api.deliveryNotFound': 'Envío o webhook no encontrado',
+    'api.entryNotFound': 'Mensaje no encontrado',
+    'api.revisionNotFound': 'Revisión no encontrada',
+    'api.unknownAction': 'Acción desconocida',
+    'api.noSelection': 'No hay mensajes seleccionados',
+    'api.replyTooLong': 'Respuesta demasiado larga (máx. {max} caracteres)',
+    'status.spam': 'Spam',
+    'status.hidden': 'Oculto',
+    'status.approved': 'Aprobado',
+    'status.pending': 'Pendiente',
+    'status.pinned': 'Fijado',
+    'ban.byIp': 'Por dirección IP',
+    'ban.byEmail': 'Por correo ({email})',
+    'ban.byDomain': 'Por dominio ({domain})',
+    'ban.reject': 'Rechazar nuevos mensajes',
+    'ban.shadow': 'Retener en silencio los nuevos mensajes',
+    'ban.forOneDay': 'Durante 1 día',
+    'ban.forDays': 'Durante {days} días',
+    'ban.permanently': 'Para siempre',
+    'ban.reasonOptional': 'Motivo (opcional)',
+    'ban.alsoDelete': 'Eliminar también este mensaje',
+    'ban.submit': 'Bloquear al autor',
+    'ban.type.ip': 'Dirección IP',
+    'ban.type.email': 'Correo',
+    'ban.type.domain': 'Dominio del sitio web',
+    'ban.valuePlaceholder': '203.0.113.7, troll@example.com o example.com',
+    'ban.mode.reject': 'Rechazar',
+    'ban.mode.shadow': 'Retener en silencio',
+    'ban.oneDay': '1 día',
+    'ban.days': '{days} días',
+    'ban.permanent': 'Permanente',
+    'ban.add': 'Añadir bloqueo',
+    'ban.type': 'Tipo',
+    'ban.value': 'Valor',
+    'ban.mode': 'Modo',
+    'ban.reason': 'Motivo',
+    'ban.expires': 'Caduca',
+    'entries.pageTitle': 'Administración - {sitename}',
+    'entries.heading': 'Todos los mensajes',
+    'entries.private': '(privado)',
+    'entries.empty': 'No se encontraron mensajes.',
+    'entries.selectPage': 'Seleccionar todos en esta página',
+    'entries.status': 'Estado',
+    'entries.name': 'Nombre',
+    'entries.website': 'Sitio web',
+    'entries.message': 'Mensaje',
+    'entries.date': 'Fecha',
+    'entries.actions': 'Acciones',
+    'entries.spamScore': 'Puntuación de spam {score}',
+    'entries.yourReply': 'Tu respuesta',
+    'entries.saveChanges': 'Guardar cambios',
+    'entries.editedOnce': 'Editado 1 vez',
+    'entries.edited': 'Editado {count} veces',
+    'entries.beforeEdit': 'Antes de la edición del {date}',
+    'entries.revert': 'Revertir',
+    'entries.replyPlaceholder': 'Escribe una respuesta pública...',
+    'entries.saveReply': 'Guardar respuesta',
+    'entries.removeReply': 'Quitar respuesta',
+    'entries.approveFailed': 'No se pudo aprobar el mensaje',
+    'entries.actionFailed': 'No se pudo actualizar el mensaje',
+    'entries.saveFailed': 'No se pudo guardar el mensaje',
+    'entries.confirmRevert': '¿Restaurar esta versión anterior? El texto actual se guardará en el historial.',
+    'entries.revertFailed': 'No se pudo revertir el mensaje',
+    'entries.banFailed': 'No se pudo bloquear al autor',
+    'entries.replyFailed': 'No se pudo guardar la respuesta',
+    'entries.confirmRemoveReply': '¿Quitar tu respuesta a este mensaje?',
+    'entries.confirmDelete': '¿Seguro que quieres eliminar este mensaje?',
+    'entries.deleteFailed': 'No se pudo eliminar el mensaje',
+    'action.approve': 'Aprobar',
+    'action.unapprove': 'Retirar aprobación',
+    'action.unapproveTitle': 'Devolver a pendientes',
+    'action.hide': 'Ocultar',
+    'action.hideTitle': 'Ocultar en la página pública',
+    'action.spam': 'Marcar como spam',
+    'action.pin': 'Fijar',
+    'action.pinTitle': 'Mantener arriba en el libro de visitas',
+    'action.unpin': 'Desfijar',
+    'action.unpinTitle': 'Dejar de mantener arriba en el libro de visitas',
+    'action.edit': 'Editar',
+    'action.reply': 'Responder',
+    'action.editReply': 'Editar respuesta',
+    'action.ban': 'Bloquear',
+    'action.banTitle': 'Bloquear a este autor',
+    'filter.search': 'Buscar',
+    'filter.searchPlaceholder': 'Nombre, mensaje, correo o sitio web',
+    'filter.all': 'Todos',
+    'filter.from': 'Desde',
+    'filter.to': 'Hasta',
+    'filter.submit': 'Filtrar',
+    'filter.reset': 'Restablecer',
+    'bulk.selectAll': 'Seleccionar los {count} mensajes que coinciden',
+    'bulk.allSelected': 'Seleccionados los {count} mensajes que coinciden.',
+    'bulk.pageSelected': '{count} seleccionados en esta página.',
+    'bulk.confirm': '¿Aplicar «{action}» a {count} mensajes?',
+    'bulk.apply': 'Aplicar',
+    'bulk.applying': 'Aplicando...',
+    'bulk.partial': '{succeeded} actualizados, {failed} con error:',
+    'bulk.failed': 'La acción en bloque falló',
+    'pagination.previous': 'Anterior',
+    'pagination.next': 'Siguiente',
+    'pagination.page': 'Página {page} de {pageCount}',
+    'settings.pageTitle': 'Ajustes - {sitename}',
+    'settings.guestbooks': 'Libros de visitas',
+    'settings.guestbooksIntro': 'Cada libro de visitas tiene sus propios mensajes, ajustes y código de inserción. Los ajustes de abajo son para <strong>{name}</strong>; cambia de libro junto al título Administración. Los bloqueos, webhooks y copias de seguridad son comunes a todos.',
+    'settings.bookName': 'Nombre',
+    'settings.bookPage': 'Página pública',
+    'settings.bookEntries': 'Mensajes',
+    'settings.bookNamePlaceholder': 'Nombre, p. ej. Blog de fotos',
+    'settings.bookSlugPlaceholder': 'Slug, p. ej. fotos',
+    'settings.addBook': 'Añadir libro de visitas',
+    'settings.bookHelp': 'Los nuevos libros de visitas empiezan con una copia de los ajustes del predeterminado y se sirven en <code>/b/slug</code>.',
+    'settings.general': 'General',
+    'settings.SITENAME': 'Nombre del sitio',
+    'settings.SITENAME.help': 'Se usa como título de la página.',
+    'settings.SITE_INTRO': 'Introducción',
+    'settings.SITE_INTRO.help': 'Se muestra en la página principal sobre el formulario. Admite HTML básico.',
+    'settings.SITE_DESCRIPTION': 'Descripción del sitio',
+    'settings.SITE_DESCRIPTION.help': 'Se usa para la meta descripción y las tarjetas de redes sociales.',
+    'settings.SITE_ICON_URL': 'URL del icono del sitio',
+    'settings.SITE_ICON_URL.help': 'URL del favicon o logo de tu sitio (mejor cuadrado).',
+    'settings.SITE_COVER_IMAGE_URL': 'URL de la imagen de portada',
+    'settings.SITE_COVER_IMAGE_URL.help': 'URL de una imagen para compartir en redes sociales (Open Graph / Twitter). Tamaño recomendado: 1200x630.',
+    'settings.CANONICAL_URL': 'URL canónica',
+    'settings.CANONICAL_URL.help': 'La URL de referencia de tu libro de visitas. Útil si lo insertas en otro sitio.',
+    'settings.ALLOW_INDEXING': 'Permitir la indexación en buscadores',
+    'settings.ALLOW_INDEXING.help': 'Si no está marcado, añade <code>noindex, nofollow</code> para que los buscadores no indexen esta página.',
+    'settings.FEEDS_ENABLED': 'Publicar feeds',
+    'settings.FEEDS_ENABLED.help': 'Sirve los mensajes aprobados en <code>/feed.xml</code> (RSS), <code>/atom.xml</code> (Atom) y <code>/feed.json</code> (JSON Feed) para lectores de feeds.',
+    'settings.navigation': 'Navegación',
+    'settings.navigationIntro': 'Añade enlaces a tu sitio principal u otras páginas. Aparecerán en la cabecera.',
+    'settings.addLink': '+ Añadir enlace',
+    'settings.formFields': 'Campos del formulario',
+    'settings.formFieldsIntro': 'Pide a los visitantes algo más que un nombre y un mensaje, con hasta {max} campos adicionales. Las respuestas públicas se muestran con el mensaje y se incluyen en las exportaciones; las privadas solo aparecen aquí, en la administración.',
+    'settings.addField': '+ Añadir campo',
+    'settings.formFieldsHelp': 'Las opciones de las listas desplegables se separan con comas. Quitar un campo oculta sus respuestas en la página pública, pero las conserva en la base de datos.',
+    'settings.moderation': 'Moderación',
+    'settings.ENTRY_MODERATION': 'Exigir aprobación para los mensajes nuevos',
+    'settings.ENTRY_MODERATION.help': 'Si está marcado, los mensajes no aparecen en público hasta que los apruebes.',
+    'settings.reactions': 'Reacciones',
+    'settings.REACTIONS_ENABLED': 'Permitir que los visitantes reaccionen a los mensajes',
+    'settings.REACTION_EMOJIS': 'Emoji',
+    'settings.REACTION_EMOJIS.help': 'Separados por espacios, hasta {max}. Quitar uno lo oculta pero conserva sus recuentos. Cada visitante puede reaccionar una vez por emoji; al volver a pulsar se retira.',
+    'settings.spamFilter': 'Filtro de spam',
+    'settings.SPAM_FILTER_ENABLED': 'Activar la puntuación de spam por reglas',
+    'settings.SPAM_FILTER_ENABLED.help': 'Cada regla que salta suma su puntuación. Pon una puntuación a 0, o deja un campo vacío, para desactivar esa regla.',
+    'settings.SPAM_BLOCKLIST': 'Lista de bloqueo',
+    'settings.SPAM_BLOCKLIST.help': 'Una palabra clave por línea, o <code>/regex/flags</code>. Se comprueba en el nombre, el mensaje, el sitio web y el correo.',
+    'settings.SPAM_BLOCKLIST_SCORE': 'Puntuación de la lista de bloqueo',
+    'settings.SPAM_HONEYPOT_SCORE': 'Puntuación del honeypot',
+    'settings.SPAM_MAX_LINKS': 'Máx. de enlaces en el mensaje',
+    'settings.SPAM_LINKS_SCORE': 'Puntuación por demasiados enlaces',
+    'settings.SPAM_MIN_SUBMIT_SECONDS': 'Segundos mín. para enviar',
+    'settings.SPAM_MIN_TIME_SCORE': 'Puntuación por envío demasiado rápido',
+    'settings.SPAM_DUPLICATE_HOURS': 'Ventana de duplicados (horas)',
+    'settings.SPAM_DUPLICATE_SCORE': 'Puntuación por mensaje duplicado',
+    'settings.SPAM_HOLD_SCORE': 'Retener para moderación desde',
+    'settings.SPAM_REJECT_SCORE': 'Rechazar desde',
+    'settings.RATE_LIMIT_WINDOW_MINUTES': 'Ventana (minutos)',
+    'settings.RATE_LIMIT_PER_IP': 'Envíos por IP',
+    'settings.RATE_LIMIT_PER_EMAIL': 'Envíos por correo',
+    'settings.NOTIFY_ENABLED': 'Avisarme por correo de cada mensaje nuevo',
+    'settings.NOTIFY_TRANSPORT': 'Transporte',
+    'settings.NOTIFY_EMAIL_TO': 'Enviar a',
+    'settings.NOTIFY_EMAIL_FROM': 'Enviar desde',
+    'settings.NOTIFY_HTTP_URL': 'URL de la API de correo',
+    'settings.NOTIFY_HTTP_TOKEN': 'Token de la API de correo',
+    'settings.TURNSTILE_ENABLED': 'Activar el CAPTCHA Turnstile',
+    'settings.TURNSTILE_SITE_KEY': 'Clave del sitio',
+    'settings.TURNSTILE_SECRET_KEY': 'Clave secreta',
+    'settings.THEME': 'Tema',
+    'settings.MESSAGE_FORMATTING': 'Dar formato a los mensajes',
+    'settings.AVATAR_MODE': 'Avatares',
+    'settings.DEFAULT_LOCALE': 'Idioma predeterminado',
+    'settings.CUSTOM_CSS': 'CSS personalizado',
+    'settings.spamScoresHelp': 'Los mensajes que alcanzan la puntuación de retención esperan aprobación aunque la moderación esté desactivada. Los que alcanzan la de rechazo se rechazan.',
+    'settings.notifications': 'Notificaciones',
+    'settings.NOTIFY_ENABLED.help': 'El correo incluye el mensaje y enlaces firmados para aprobarlo o eliminarlo sin iniciar sesión. Los mensajes clasificados como spam no generan aviso.',
+    'settings.transportLog': 'Solo registro (para pruebas)',
+    'settings.transportHttp': 'API de correo HTTP',
+    'settings.NOTIFY_TRANSPORT.help': 'Solo registro escribe el correo en los registros del worker (<code>wrangler tail</code>).',
+    'settings.NOTIFY_HTTP_URL.help': 'Recibe un POST JSON con <code>from</code>, <code>to</code>, <code>subject</code>, <code>text</code> y <code>html</code>.',
+    'settings.NOTIFY_HTTP_TOKEN.help': 'Se envía como token <code>Bearer</code> en la cabecera <code>Authorization</code>.',
+    'settings.testNotification': 'Enviar notificación de prueba',
+    'settings.testNotificationHelp': 'Usa los ajustes guardados, así que guarda primero.',
+    'settings.webhooks': 'Webhooks',
+    'settings.webhooksIntro': 'Envía un POST JSON firmado a otros servicios cuando ocurre algo. Comprueba la cabecera <code>X-MyGB-Signature</code>: <code>sha256=</code> seguido del HMAC-SHA256 hexadecimal del cuerpo con el secreto del endpoint.',
+    'settings.addWebhook': 'Añadir webhook',
+    'settings.noWebhooks': 'Todavía no hay webhooks.',
+    'settings.webhookUrl': 'URL',
+    'settings.webhookEvents': 'Eventos',
+    'settings.webhookSecret': 'Secreto',
+    'settings.webhookPaused': '(en pausa)',
+    'settings.pause': 'Pausar',
+    'settings.resume': 'Reanudar',
+    'settings.deliveries': 'Envíos recientes',
+    'settings.noDeliveries': 'Todavía no se ha enviado nada.',
+    'settings.deliveryEvent': 'Evento',
+    'settings.deliveryEndpoint': 'Endpoint',
+    'settings.deliveryStatus': 'Estado',
+    'settings.deliveryAttempts': 'Intentos',
+    'settings.deliveryLastAttempt': 'Último intento',
+    'settings.deliveryDeleted': '(eliminado)',
+    'settings.retry': 'Reintentar',
+    'settings.rateLimiting': 'Límite de envíos',
+    'settings.rateLimitingHelp': 'Los clientes que superan un límite reciben una respuesta 429 hasta que termina la ventana. Pon un valor a 0 para desactivar ese límite. Las direcciones IP se guardan cifradas con hash.',
+    'settings.throttled': 'Limitados ahora',
+    'settings.noThrottled': 'Ahora mismo no hay clientes limitados.',
+    'settings.throttledClient': 'Cliente',
+    'settings.throttledUntil': 'Hasta',
+    'settings.throttledIp': 'IP {hash}',
+    'settings.throttledEmail': 'Correo {email}',
+    'settings.lift': 'Levantar',
+    'settings.bans': 'Bloqueos',
+    'settings.bansIntro': 'A los autores bloqueados se les rechaza, o con la retención silenciosa sus mensajes se archivan como spam sin avisarles. Bloquea a alguien desde la tabla de mensajes o añade un bloqueo aquí.',
+    'settings.noBans': 'No hay bloqueos activos.',
+    'settings.security': 'Seguridad (Cloudflare Turnstile)',
+    'settings.TURNSTILE_SECRET_KEY.help': '¡Mantenla en secreto! Se usa para verificar los tokens.',
+    'settings.theme': 'Tema',
+    'settings.THEME.help': 'Lo usan la página del libro de visitas, los enlaces permanentes de los mensajes y el widget insertado; la administración mantiene el aspecto predeterminado. Una inserción puede elegir otro tema con el atributo <code>data-gb-theme</code>, y <code>?theme=retro</code> en la URL de la página muestra una vista previa sin guardarlo.',
+    'settings.pageColours': 'Colores de la página',
+    'settings.widgetColours': 'Colores del widget',
+    'settings.resetTheme': 'Volver a los colores del tema',
+    'settings.themeColoursHelp': 'Los campos vacíos usan el color del propio tema, que se muestra en gris. Sirve cualquier color CSS, p. ej. <code>#2563eb</code>, <code>rgb(37 99 235)</code> o <code>tomato</code>.',
+    'settings.pagePreview': 'Vista previa de la página del libro de visitas',
+    'settings.widgetPreview': 'Vista previa del widget insertado',
+    'settings.appearance': 'Apariencia',
+    'settings.MESSAGE_FORMATTING.help': 'Muestra <code>**negrita**</code>, <code>*cursiva*</code>, <code>`código`</code>, <code>&gt; citas</code> y enlaces en los mensajes. Los enlaces llevan <code>rel="nofollow ugc"</code>.',
+    'settings.avatarInitials': 'Primera letra del nombre',
+    'settings.avatarIdenticon': 'Patrón generado (identicon)',
+    'settings.avatarGravatar': 'Gravatar, identicon sin correo',
+    'settings.AVATAR_MODE.help': 'Los identicons se generan a partir de un hash con sal del correo (o del nombre) y los sirve este worker. Gravatar recibe un hash de la dirección de correo, nunca la dirección. El widget insertado solo muestra avatares en los modos identicon y Gravatar.',
+    'settings.DEFAULT_LOCALE.help': 'La página del libro de visitas y la administración se muestran en el idioma del navegador si es uno de estos; si no, en este. Añade <code>?lang=de</code> a un enlace para forzar un idioma. El widget insertado usa este, salvo que tenga un atributo <code>data-gb-lang</code>.',
+    'settings.CUSTOM_CSS.placeholder': '.container { max-width: 800px; } /* Clases como .entry, .card, .btn */',
+    'settings.CUSTOM_CSS.help': 'Añade CSS personalizado para dar estilo al libro de visitas y a la administración. <br><strong>Selectores habituales:</strong> <code>.container</code>, <code>.card</code>, <code>.entry</code>, <code>.entry-header</code>, <code>.entry-content</code>, <code>button</code>.',
+    'settings.export': 'Exportar datos',
+    'settings.exportIntro': 'Descarga los datos de tu libro de visitas. Las direcciones de correo no se incluyen en estas exportaciones públicas.',
+    'settings.downloadJson': 'Descargar JSON',
+    'settings.downloadCsv': 'Descargar CSV',
+    'settings.save': 'Guardar ajustes',
+    'settings.noLinks': 'Todavía no hay enlaces.',
+    'settings.linkLabel': 'Texto',
+    'settings.linkUrl': 'URL',
+    'settings.noFields': 'Todavía no hay campos adicionales.',
+    'settings.fieldLabel': 'Etiqueta, p. ej. ¿De dónde eres?',
+    'settings.fieldText': 'Texto',
+    'settings.fieldTextarea': 'Texto largo',
+    'settings.fieldSelect': 'Lista desplegable',
+    'settings.fieldOptions': 'Opciones, p. ej. Buscador, Un amigo, Redes sociales',
+    'settings.fieldMaxLength': 'Longitud máx.',
+    'settings.fieldRequired': 'Obligatorio',
+    'settings.fieldPublic': 'Público',
+    'settings.tooManyFields': 'Puedes añadir hasta {max} campos.',
+    'settings.liftLimitFailed': 'No se pudo levantar el límite',
+    'settings.testSent': 'Notificación de prueba enviada.',
+    'settings.testFailed': 'No se pudo enviar',
+    'settings.addWebhookFailed': 'No se pudo añadir el webhook',
+    'settings.updateWebhookFailed': 'No se pudo actualizar el webhook',
+    'settings.confirmDeleteWebhook': '¿Eliminar este webhook y su registro de envíos?',
+    'settings.deleteWebhookFailed': 'No se pudo eliminar el webhook',
+    'settings.retrying': 'Reintentando...',
+    'settings.retryFailed': 'No se pudo reintentar el envío',
+    'settings.stillFailing': 'El endpoint sigue sin aceptar el envío.',
+    'settings.addBookFailed': 'No se pudo añadir el libro de visitas',
+    'settings.confirmDeleteBook': '¿Eliminar «{name}» con todos sus mensajes y ajustes? No se puede deshacer.',
+    'settings.deleteBookFailed': 'No se pudo eliminar el libro de visitas',
+    'settings.addBanFailed': 'No se pudo añadir el bloqueo',
+    'settings.confirmLiftBan': '¿Levantar este bloqueo?',
+    'settings.liftBanFailed': 'No se pudo levantar el bloqueo',
+    'settings.saving': 'Guardando...',
+    'settings.saved': 'Ajustes guardados. Recargando...',
+    'settings.saveFailed': 'No se pudieron guardar los ajustes',
+    'theme.default': 'Predeterminado (sigue el modo claro/oscuro)',
+    'theme.minimal': 'Minimalista',
+    'theme.retro': 'Libro de visitas retro de los 90',
+    'theme.dark': 'Oscuro',
+    'theme.paper': 'Papel',
+    'themeVar.primary': 'Principal',
+    'themeVar.primaryHover': 'Principal (al pasar el ratón)',
+    'themeVar.primaryText': 'Texto de los botones',
+    'themeVar.bg': 'Fondo',
+    'themeVar.cardBg': 'Fondo de las tarjetas',
+    'themeVar.text': 'Texto',
+    'themeVar.textMuted': 'Texto atenuado',
+    'themeVar.textContent': 'Texto de los mensajes',
+    'themeVar.border': 'Borde',
+    'themeVar.widgetPrimary': 'Principal del widget',
+    'themeVar.widgetBg': 'Fondo del widget',
+    'themeVar.widgetBorder': 'Borde del widget',
+    'themeVar.widgetInputBg': 'Fondo de los campos del widget',
+    'themeVar.widgetInputText': 'Texto de los campos del widget',
+    'delivery.pending': 'pendiente',
+    'delivery.success': 'correcto',
+    'delivery.failed': 'fallido'
+  },
+  pt: {
+    'nav.title': 'Painel de administração',
+    'nav.guestbook': 'Livro de visitas',
+    'nav.menu': 'Mostrar/ocultar menu',
+    'nav.entries': 'Mensagens',
+    'nav.import': 'Importação e backup',
+    'nav.embed': 'Incorporar',
+    'nav.settings': 'Configurações',
+    'nav.schema': 'Esquema',
+    'nav.users': 'Usuários',
+    'nav.account': 'Conta',
+    'nav.sessions': 'Sessões',
+    'nav.viewSite': 'Ver site',
+    'nav.signedInAs': 'Conectado como {username}',
+    'nav.logout': 'Sair',
+    'nav.forbidden': 'Proibido: sua função não permite esta página',
+    'common.error': 'Ocorreu um erro. Tente novamente.',
+    'common.logoutFailed': 'Não foi possível sair',
+    'common.delete': 'Excluir',
+    'common.unknownError': 'Erro desconhecido',
+    'common.errorDetail': 'Ocorreu um erro: {error}',
+    'common.cancel': 'Cancelar',
+    'login.pageTitle': 'Entrar - {sitename}',
+    'login.logo': 'Logo',
+    'login.heading': 'Acesso de administração',
+    'login.firstLogin': 'Entre com a <code>ADMIN_PASSWORD</code> para criar a primeira conta de proprietário',
+    'login.subtitle': 'Informe seu usuário e senha para gerenciar as mensagens',
+    'login.username': 'Usuário',
+    'login.password': 'Senha',
+    'login.signIn': 'Entrar',
+    'login.signingIn': 'Entrando...',
+    'login.invalid': 'Usuário ou senha inválidos',
+    'login.back': 'Voltar ao livro de visitas',
+    'moderate.approve': 'Aprovar mensagem',
+    'moderate.delete': 'Excluir mensagem',
+    'moderate.approved': 'A mensagem de {name} foi aprovada.',
+    'moderate.deleted': 'A mensagem de {name} foi excluída.',
+    'moderate.published': 'Publicada',
+    'moderate.pending': 'Aguardando aprovação',
+    'moderate.heading': 'Moderação',
+    'moderate.openAdmin': 'Abrir o painel de administração',
+    'moderate.invalidLink': 'Este link é inválido ou expirou.',
+    'moderate.missingEntry': 'Esta mensagem não existe mais.',
+    'embed.pageTitle': 'Incorporar - {sitename}',
+    'embed.heading': 'Código de incorporação',
+    'embed.intro': 'Copie o código abaixo e cole no seu site onde o livro de visitas deve aparecer.',
+    'embed.introBook': 'Copie o código abaixo e cole no seu site onde o livro de visitas <strong>{name}</strong> deve aparecer.',
+    'embed.copy': 'Copiar código',
+    'embed.copied': 'Copiado!',
+    'schema.pageTitle': 'Esquema - {sitename}',
+    'schema.applied': 'Aplicada',
+    'schema.pending': 'Pendente',
+    'schema.lastFailed': 'A última tentativa de migração falhou: {error}',
+    'schema.current': 'Versão atual',
+    'schema.latest': 'Versão mais recente',
+    'schema.run': 'Executar migrações pendentes',
+    'schema.migrations': 'Migrações',
+    'schema.version': 'Versão',
+    'schema.name': 'Nome',
+    'schema.status': 'Situação',
+    'schema.running': 'Executando...',
+    'schema.failed': 'A migração falhou',
+    'role.viewer': 'Leitor',
+    'role.moderator': 'Moderador',
+    'role.owner': 'Proprietário',
+    'role.viewerHelp': 'Leitor: pode ler as mensagens',
+    'role.moderatorHelp': 'Moderador: pode moderar mensagens e banir autores',
+    'role.ownerHelp': 'Proprietário: também pode alterar configurações, livros de visitas, dados e usuários',
+    'users.pageTitle': 'Usuários - {sitename}',
+    'users.heading': 'Usuários',
+    'users.username': 'Usuário',
+    'users.role': 'Função',
+    'users.lastLogin': 'Último acesso',
+    'users.you': '(você)',
+    'users.never': 'Nunca',
+    'users.setPassword': 'Definir senha',
+    'users.passwordPlaceholder': 'Senha ({min}+ caracteres)',
+    'users.add': 'Adicionar usuário',
+    'users.addFailed': 'Não foi possível adicionar o usuário',
+    'users.roleFailed': 'Não foi possível alterar a função',
+    'users.passwordPrompt': 'Nova senha para {username} (pelo menos {min} caracteres):',
+    'users.passwordFailed': 'Não foi possível definir a senha',
+    'users.passwordSet': 'Senha atualizada.',
+    'users.confirmDelete': 'Excluir a conta "{username}"? As sessões dela serão encerradas.',
+    'users.deleteFailed': 'Não foi possível excluir o usuário',
+    'account.heading': 'Sua conta',
+    'account.signedInAs': 'Conectado como <strong>{username}</strong> ({role}).',
+    'account.currentPassword': 'Senha atual',
+    'account.newPassword': 'Nova senha',
+    'account.changePassword': 'Alterar senha',
+    'account.passwordChanged': 'Senha alterada.',
+    'sessions.pageTitle': 'Sessões - {sitename}',
+    'sessions.active': 'Sessões ativas',
+    'sessions.yours': 'Suas sessões',
+    'sessions.revokeAllUsers': 'Desconectar todos os usuários',
+    'sessions.revokeEverywhere': 'Sair de todos os lugares',
+    'sessions.user': 'Usuário',
+    'sessions.device': 'Dispositivo',
+    'sessions.ip': 'Endereço IP',
+    'sessions.signedIn': 'Entrada',
+    'sessions.lastSeen': 'Última atividade',
+    'sessions.expires': 'Expira',
+    'sessions.unknownDevice': 'Desconhecido',
+    'sessions.current': 'Esta sessão',
+    'sessions.revoke': 'Revogar',
+    'sessions.help': 'As sessões duram {days} dias a partir da entrada. Sair, trocar a senha ou excluir um usuário encerra as sessões dele.',
+    'sessions.revokeFailed': 'Não foi possível revogar a sessão',
+    'sessions.confirmRevokeAllUsers': 'Desconectar todos os usuários, incluindo você?',
+    'sessions.confirmRevokeEverywhere': 'Encerrar todas as suas sessões, incluindo esta?',
+    'sessions.revokeAllFailed': 'Não foi possível encerrar as sessões',
+    'import.pageTitle': 'Importação e backup - {sitename}',
+    'import.heading': 'Importar mensagens',
+    'import.intro': 'Traga mensagens de uma exportação do MyGB (<code>/data.csv</code> ou <code>/data.json</code>) ou da exportação CSV de outro livro de visitas. Veja a prévia primeiro: nada é salvo até você confirmar. As datas originais são mantidas e as mensagens que já existem são ignoradas.',
+    'import.target': 'As mensagens vão para <strong>{name}</strong>.',
+    'import.format': 'Formato',
+    'import.formatAuto': 'Detectar (CSV ou JSON do MyGB)',
+    'import.formatCsv': 'CSV do MyGB (Name,Message,Website,Date)',
+    'import.formatJson': 'JSON do MyGB',
+    'import.formatCustom': 'Outro CSV (mapear colunas)',
+    'import.file': 'Arquivo',
+    'import.column.name': 'Coluna do nome',
+    'import.column.message': 'Coluna da mensagem',
+    'import.column.email': 'Coluna do e-mail',
+    'import.column.site': 'Coluna do site',
+    'import.column.date': 'Coluna da data',
+    'import.required': 'obrigatória',
+    'import.optional': 'opcional',
+    'import.paste': 'Ou cole o conteúdo',
+    'import.approve': 'Publicar as mensagens importadas (senão elas aguardam na fila de moderação)',
+    'import.preview': 'Prévia',
+    'import.import': 'Importar',
+    'import.line': 'Linha',
+    'import.name': 'Nome',
+    'import.message': 'Mensagem',
+    'import.date': 'Data',
+    'import.status': 'Situação',
+    'import.rows': 'Linhas',
+    'import.ready': 'Prontas',
+    'import.imported': 'Importadas',
+    'import.duplicates': 'Duplicadas',
+    'import.duplicate': 'Duplicada',
+    'import.invalid': 'Inválida',
+    'import.now': 'Agora',
+    'import.checking': 'Verificando...',
+    'import.importing': 'Importando...',
+    'import.failed': 'A importação falhou',
+    'import.importCount': 'Importar {count} mensagens',
+    'import.importedCount': '{count} mensagens importadas.',
+    'import.viewEntries': 'Ver mensagens',
+    'import.confirm': 'Importar estas mensagens agora?',
+    'import.importOne': 'Importar 1 mensagem',
+    'import.error.empty': 'O arquivo está vazio',
+    'import.error.json': 'JSON inválido: {error}',
+    'import.error.notArray': 'Era esperado um array JSON de mensagens',
+    'import.error.column': 'Coluna "{column}" não encontrada. Colunas deste arquivo: {columns}',
+    'import.error.mapping': 'Mapeie pelo menos as colunas do nome e da mensagem',
+    'import.error.date': 'Data ilegível "{date}"',
+    'backup.heading': 'Backup',
+    'backup.intro': 'Uma cópia completa de toda a instalação, não só deste livro de visitas: cada livro de visitas com suas mensagens (inclusive pendentes, ocultas e spam, com e-mails), histórico de edições, reações e configurações, além dos banimentos e webhooks compartilhados. Restaurar no modo Substituir sobrescreve todos os livros de visitas. Guarde-a em sigilo. As exportações públicas deixam quase tudo isso de fora de propósito.',
+    'backup.redact': 'Omitir segredos (chave secreta do Turnstile, token de notificação, segredos dos webhooks)',
+    'backup.download': 'Baixar backup',
+    'restore.heading': 'Restaurar',
+    'restore.file': 'Arquivo de backup',
+    'restore.mode': 'Modo',
+    'restore.merge': 'Mesclar: adicionar o que falta e manter tudo o que há aqui',
+    'restore.replace': 'Substituir: apagar primeiro todos os livros de visitas e seus dados',
+    'restore.check': 'Verificar backup',
+    'restore.restore': 'Restaurar',
+    'restore.chooseFile': 'Escolha um arquivo de backup primeiro',
+    'restore.invalidJson': 'Esse arquivo não é um JSON válido',
+    'restore.failed': 'A restauração falhou',
+    'restore.removed': 'Mensagens removidas',
+    'restore.entries': 'Mensagens',
+    'restore.skipped': 'Já existentes',
+    'restore.guestbooks': 'Livros de visitas',
+    'restore.revisions': 'Revisões',
+    'restore.reactions': 'Reações',
+    'restore.settings': 'Configurações',
+    'restore.bans': 'Banimentos',
+    'restore.webhooks': 'Webhooks',
+    'restore.confirmReplace': 'Isso exclui as {count} mensagens atuais, os livros de visitas, as configurações, os banimentos e os webhooks e restaura o backup. Continuar?',
+    'restore.confirmMerge': 'Adicionar os dados que faltam deste backup?',
+    'restore.restoring': 'Restaurando...',
+    'restore.restored': 'Backup restaurado.',
+    'restore.error.format': 'Este não é um arquivo de backup do MyGB',
+    'restore.error.version': 'Versão de backup {version} não suportada. Este MyGB lê a versão {supported} e anteriores.',
+    'restore.error.schema': 'O backup vem de um esquema de banco de dados mais novo (v{version}, este é v{current}). Execute as migrações pendentes ou atualize o MyGB primeiro.',
+    'restore.error.list': '"{table}" precisa ser uma lista',
+    'restore.error.empty': 'O backup não tem mensagens nem configurações',
+    'restore.error.guestbook': 'Falta o id, o slug ou o nome de um livro de visitas',
+    'restore.error.entryFields': 'Falta o nome, a mensagem ou a data da mensagem nº {number}',
+    'restore.error.entryId': 'A mensagem nº {number} tem um id ausente ou repetido',
+    'restore.error.entryBook': 'A mensagem nº {number} pertence a um livro de visitas que não está no backup',
+    'restore.error.setting': 'Falta a chave de uma linha de configurações',
+    'api.forbidden': 'Sua função não permite isso',
+    'api.guestbookInvalid': 'São obrigatórios um nome e um slug de até 40 letras minúsculas, dígitos e hifens',
+    'api.slugTaken': 'Esse slug já está em uso',
+    'api.defaultGuestbook': 'O livro de visitas padrão não pode ser excluído',
+    'api.usernameInvalid': 'Nomes de usuário têm de 2 a 40 letras minúsculas, dígitos, pontos, hifens ou sublinhados',
+    'api.userInvalid': 'São obrigatórios uma função e uma senha de pelo menos {min} caracteres',
+    'api.usernameTaken': 'Esse nome de usuário já está em uso',
+    'api.passwordShort': 'As senhas precisam de pelo menos {min} caracteres',
+    'api.lastOwner': 'É preciso haver pelo menos um proprietário',
+    'api.wrongPassword': 'A senha atual está incorreta',
+    'api.sessionNotFound': 'Sessão não encontrada',
+    'api.banType': 'Tipo de banimento inválido',
+    'api.banEmpty': 'Nada a banir para esse tipo',
+    'api.importRequest': 'Pedido de importação inválido',
+    'api.importTooMany': 'Linhas demais ({count}). Divida o arquivo em partes de no máximo {max}.',
+    'api.restoreRequest': 'Pedido de restauração inválido',
+    'api.restoreFailed': 'A restauração falhou e nada foi alterado: {error}',
+    'api.webhookInvalid': 'São obrigatórios uma URL http(s) válida e pelo menos um evento',
+    'api.deliveryNotFound': 'Envio ou webhook não encontrado',
+    'api.entryNotFound': 'Mensagem não encontrada',
+    'api.revisionNotFound': 'Revisão não encontrada',
+    'api.unknownAction': 'Ação desconhecida',
+    'api.noSelection': 'Nenhuma mensagem selecionada',
+    'api.replyTooLong': 'Resposta longa demais (máx. {max} caracteres)',
+    'status.spam': 'Spam',
+    'status.hidden': 'Oculta',
+    'status.approved': 'Aprovada',
+    'status.pending': 'Pendente',
+    'status.pinned': 'Fixada',
+    'ban.byIp': 'Por endereço IP',
+    'ban.byEmail': 'Por e-mail ({email})',
+    'ban.byDomain': 'Por domínio ({domain})',
+    'ban.reject': 'Recusar novas mensagens',
+    'ban.shadow': 'Reter novas mensagens em silêncio',
+    'ban.forOneDay': 'Por 1 dia',
+    'ban.forDays': 'Por {days} dias',
+    'ban.permanently': 'Permanentemente',
+    'ban.reasonOptional': 'Motivo (opcional)',
+    'ban.alsoDelete': 'Excluir também esta mensagem',
+    'ban.submit': 'Banir autor',
+    'ban.type.ip': 'Endereço IP',
+    'ban.type.email': 'E-mail',
+    'ban.type.domain': 'Domínio do site',
+    'ban.valuePlaceholder': '203.0.113.7, troll@example.com ou example.com',
+    'ban.mode.reject': 'Recusar',
+    'ban.mode.shadow': 'Reter em silêncio',
+    'ban.oneDay': '1 dia',
+    'ban.days': '{days} dias',
+    'ban.permanent': 'Permanente',
+    'ban.add': 'Adicionar banimento',
+    'ban.type': 'Tipo',
+    'ban.value': 'Valor',
+    'ban.mode': 'Modo',
+    'ban.reason': 'Motivo',
+    'ban.expires': 'Expira',
+    'entries.pageTitle': 'Administração - {sitename}',
+    'entries.heading': 'Todas as mensagens',
+    'entries.private': '(privado)',
+    'entries.empty': 'Nenhuma mensagem encontrada.',
+    'entries.selectPage': 'Selecionar todas nesta página',
+    'entries.status': 'Situação',
+    'entries.name': 'Nome',
+    'entries.website': 'Site',
+    'entries.message': 'Mensagem',
+    'entries.date': 'Data',
+    'entries.actions': 'Ações',
+    'entries.spamScore': 'Pontuação de spam {score}',
+    'entries.yourReply': 'Sua resposta',
+    'entries.saveChanges': 'Salvar alterações',
+    'entries.editedOnce': 'Editada 1 vez',
+    'entries.edited': 'Editada {count} vezes',
+    'entries.beforeEdit': 'Antes da edição de {date}',
+    'entries.revert': 'Reverter',
+    'entries.replyPlaceholder': 'Escreva uma resposta pública...',
+    'entries.saveReply': 'Salvar resposta',
+    'entries.removeReply': 'Remover resposta',
+    'entries.approveFailed': 'Não foi possível aprovar a mensagem',
+    'entries.actionFailed': 'Não foi possível atualizar a mensagem',
+    'entries.saveFailed': 'Não foi possível salvar a mensagem',
+    'entries.confirmRevert': 'Restaurar esta versão anterior? O texto atual será mantido no histórico.',
+    'entries.revertFailed': 'Não foi possível reverter a mensagem',
+    'entries.banFailed': 'Não foi possível banir o autor',
+    'entries.replyFailed': 'Não foi possível salvar a resposta',
+    'entries.confirmRemoveReply': 'Remover sua resposta a esta mensagem?',
+    'entries.confirmDelete': 'Tem certeza de que deseja excluir esta mensagem?',
+    'entries.deleteFailed': 'Não foi possível excluir a mensagem',
+    'action.approve': 'Aprovar',
+    'action.unapprove': 'Desaprovar',
+    'action.unapproveTitle': 'Voltar para pendentes',
+    'action.hide': 'Ocultar',
+    'action.hideTitle': 'Ocultar da página pública',
+    'action.spam': 'Marcar como spam',
+    'action.pin': 'Fixar',
+    'action.pinTitle': 'Manter no topo do livro de visitas',
+    'action.unpin': 'Desafixar',
+    'action.unpinTitle': 'Tirar do topo do livro de visitas',
+    'action.edit': 'Editar',
+    'action.reply': 'Responder',
+    'action.editReply': 'Editar resposta',
+    'action.ban': 'Banir',
+    'action.banTitle': 'Banir este autor',
+    'filter.search': 'Buscar',
+    'filter.searchPlaceholder': 'Nome, mensagem, e-mail ou site',
+    'filter.all': 'Todas',
+    'filter.from': 'De',
+    'filter.to': 'Até',
+    'filter.submit': 'Filtrar',
+    'filter.reset': 'Limpar',
+    'bulk.selectAll': 'Selecionar todas as {count} mensagens correspondentes',
+    'bulk.allSelected': 'Todas as {count} mensagens correspondentes estão selecionadas.',
+    'bulk.pageSelected': '{count} selecionadas nesta página.',
+    'bulk.confirm': 'Aplicar "{action}" a {count} mensagens?',
+    'bulk.apply': 'Aplicar',
+    'bulk.applying': 'Aplicando...',
+    'bulk.partial': '{succeeded} atualizadas, {failed} com falha:',
+    'bulk.failed': 'A ação em massa falhou',
+    'pagination.previous': 'Anterior',
+    'pagination.next': 'Próxima',
+    'pagination.page': 'Página {page} de {pageCount}',
+    'settings.pageTitle': 'Configurações - {sitename}',
+    'settings.guestbooks': 'Livros de visitas',
+    'settings.guestbooksIntro': 'Cada livro de visitas tem suas próprias mensagens, configurações e código de incorporação. As configurações abaixo são de <strong>{name}</strong>; troque de livro ao lado do título do painel. Banimentos, webhooks e backups são compartilhados por todos.',
+    'settings.bookName': 'Nome',
+    'settings.bookPage': 'Página pública',
+    'settings.bookEntries': 'Mensagens',
+    'settings.bookNamePlaceholder': 'Nome, ex.: Blog de fotos',
+    'settings.bookSlugPlaceholder': 'Slug, ex.: fotos',
+    'settings.addBook': 'Adicionar livro de visitas',
+    'settings.bookHelp': 'Novos livros de visitas começam com uma cópia das configurações do livro padrão e ficam em <code>/b/slug</code>.',
+    'settings.general': 'Geral',
+    'settings.SITENAME': 'Nome do site',
+    'settings.SITENAME.help': 'Usado como título da página.',
+    'settings.SITE_INTRO': 'Introdução',
+    'settings.SITE_INTRO.help': 'Exibida na página inicial acima do formulário. Aceita HTML básico.',
+    'settings.SITE_DESCRIPTION': 'Descrição do site',
+    'settings.SITE_DESCRIPTION.help': 'Usada na meta descrição e nos cartões de redes sociais.',
+    'settings.SITE_ICON_URL': 'URL do ícone do site',
+    'settings.SITE_ICON_URL.help': 'URL do favicon ou logo do seu site (de preferência quadrado).',
+    'settings.SITE_COVER_IMAGE_URL': 'URL da imagem de capa',
+    'settings.SITE_COVER_IMAGE_URL.help': 'URL de uma imagem usada ao compartilhar em redes sociais (Open Graph / Twitter). Tamanho recomendado: 1200x630.',
+    'settings.CANONICAL_URL': 'URL canônica',
+    'settings.CANONICAL_URL.help': 'A URL oficial do seu livro de visitas. Útil se você o incorpora em outro site.',
+    'settings.ALLOW_INDEXING': 'Permitir indexação por buscadores',
+    'settings.ALLOW_INDEXING.help': 'Se desmarcado, adiciona <code>noindex, nofollow</code> para que os buscadores não indexem esta página.',
+    'settings.FEEDS_ENABLED': 'Publicar feeds',
+    'settings.FEEDS_ENABLED.help': 'Disponibiliza as mensagens aprovadas em <code>/feed.xml</code> (RSS), <code>/atom.xml</code> (Atom) e <code>/feed.json</code> (JSON Feed) para leitores de feeds.',
+    'settings.navigation': 'Navegação',
+    'settings.navigationIntro': 'Adicione links para o seu site principal ou outras páginas. Eles aparecem no cabeçalho.',
+    'settings.addLink': '+ Adicionar link',
+    'settings.formFields': 'Campos do formulário',
+    'settings.formFieldsIntro': 'Peça aos visitantes mais do que um nome e uma mensagem, com até {max} campos extras. As respostas públicas aparecem com a mensagem e entram nas exportações; as privadas só aparecem aqui, no painel de administração.',
+    'settings.addField': '+ Adicionar campo',
+    'settings.formFieldsHelp': 'As opções das listas são separadas por vírgulas. Remover um campo oculta as respostas dele na página pública, mas as mantém no banco de dados.',
+    'settings.moderation': 'Moderação',
+    'settings.ENTRY_MODERATION': 'Exigir aprovação para novas mensagens',
+    'settings.ENTRY_MODERATION.help': 'Se marcado, as mensagens só aparecem publicamente depois que você as aprovar.',
+    'settings.reactions': 'Reações',
+    'settings.REACTIONS_ENABLED': 'Permitir que visitantes reajam às mensagens',
+    'settings.REACTION_EMOJIS': 'Emoji',
+    'settings.REACTION_EMOJIS.help': 'Separados por espaços, até {max}. Remover um emoji o oculta, mas mantém as contagens. Cada visitante pode reagir uma vez por emoji; clicar de novo desfaz a reação.',
+    'settings.spamFilter': 'Filtro de spam',
+    'settings.SPAM_FILTER_ENABLED': 'Ativar pontuação de spam por regras',
+    'settings.SPAM_FILTER_ENABLED.help': 'Cada regra acionada soma sua pontuação. Defina uma pontuação como 0, ou deixe um campo em branco, para desligar a regra.',
+    'settings.SPAM_BLOCKLIST': 'Lista de bloqueio',
+    'settings.SPAM_BLOCKLIST.help': 'Uma palavra-chave por linha, ou <code>/regex/flags</code>. Verificada no nome, na mensagem, no site e no e-mail.',
+    'settings.SPAM_BLOCKLIST_SCORE': 'Pontuação da lista de bloqueio',
+    'settings.SPAM_HONEYPOT_SCORE': 'Pontuação do honeypot',
+    'settings.SPAM_MAX_LINKS': 'Máx. de links na mensagem',
+    'settings.SPAM_LINKS_SCORE': 'Pontuação por excesso de links',
+    'settings.SPAM_MIN_SUBMIT_SECONDS': 'Segundos mín. para enviar',
+    'settings.SPAM_MIN_TIME_SCORE': 'Pontuação por envio rápido demais',
+    'settings.SPAM_DUPLICATE_HOURS': 'Janela de duplicadas (horas)',
+    'settings.SPAM_DUPLICATE_SCORE': 'Pontuação por mensagem duplicada',
+    'settings.SPAM_HOLD_SCORE': 'Reter para moderação a partir de',
+    'settings.SPAM_REJECT_SCORE': 'Recusar a partir de',
+    'settings.RATE_LIMIT_WINDOW_MINUTES': 'Janela (minutos)',
+    'settings.RATE_LIMIT_PER_IP': 'Envios por IP',
+    'settings.RATE_LIMIT_PER_EMAIL': 'Envios por e-mail',
+    'settings.NOTIFY_ENABLED': 'Enviar um e-mail quando houver uma nova mensagem',
+    'settings.NOTIFY_TRANSPORT': 'Transporte',
+    'settings.NOTIFY_EMAIL_TO': 'Enviar para',
+    'settings.NOTIFY_EMAIL_FROM': 'Enviar de',
+    'settings.NOTIFY_HTTP_URL': 'URL da API de e-mail',
+    'settings.NOTIFY_HTTP_TOKEN': 'Token da API de e-mail',
+    'settings.TURNSTILE_ENABLED': 'Ativar o CAPTCHA Turnstile',
+    'settings.TURNSTILE_SITE_KEY': 'Chave do site',
+    'settings.TURNSTILE_SECRET_KEY': 'Chave secreta',
+    'settings.THEME': 'Tema',
+    'settings.MESSAGE_FORMATTING': 'Formatar mensagens',
+    'settings.AVATAR_MODE': 'Avatares',
+    'settings.DEFAULT_LOCALE': 'Idioma padrão',
+    'settings.CUSTOM_CSS': 'CSS personalizado',
+    'settings.spamScoresHelp': 'Mensagens com pontuação igual ou acima da de retenção aguardam aprovação mesmo com a moderação desligada. As que atingem a de recusa são recusadas.',
+    'settings.notifications': 'Notificações',
+    'settings.NOTIFY_ENABLED.help': 'O e-mail inclui a mensagem e links assinados para aprová-la ou excluí-la sem entrar. Mensagens classificadas como spam não geram notificação.',
+    'settings.transportLog': 'Só registrar (para testes)',
+    'settings.transportHttp': 'API de e-mail HTTP',
+    'settings.NOTIFY_TRANSPORT.help': 'Só registrar grava o e-mail nos logs do worker (<code>wrangler tail</code>).',
+    'settings.NOTIFY_HTTP_URL.help': 'Recebe um POST JSON com <code>from</code>, <code>to</code>, <code>subject</code>, <code>text</code> e <code>html</code>.',
+    'settings.NOTIFY_HTTP_TOKEN.help': 'Enviado como token <code>Bearer</code> no cabeçalho <code>Authorization</code>.',
+    'settings.testNotification': 'Enviar notificação de teste',
+    'settings.testNotificationHelp': 'Usa as configurações salvas, então salve primeiro.',
+    'settings.webhooks': 'Webhooks',
+    'settings.webhooksIntro': 'Envie um POST JSON assinado para outros serviços quando algo acontecer. Verifique o cabeçalho <code>X-MyGB-Signature</code>: <code>sha256=</code> seguido do HMAC-SHA256 hexadecimal do corpo com o segredo do endpoint.',
+    'settings.addWebhook': 'Adicionar webhook',
+    'settings.noWebhooks': 'Nenhum webhook ainda.',
+    'settings.webhookUrl': 'URL',
+    'settings.webhookEvents': 'Eventos',
+    'settings.webhookSecret': 'Segredo',
+    'settings.webhookPaused': '(pausado)',
+    'settings.pause': 'Pausar',
+    'settings.resume': 'Retomar',
+    'settings.deliveries': 'Envios recentes',
+    'settings.noDeliveries': 'Nada foi enviado ainda.',
+    'settings.deliveryEvent': 'Evento',
+    'settings.deliveryEndpoint': 'Endpoint',
+    'settings.deliveryStatus': 'Situação',
+    'settings.deliveryAttempts': 'Tentativas',
+    'settings.deliveryLastAttempt': 'Última tentativa',
+    'settings.deliveryDeleted': '(excluído)',
+    'settings.retry': 'Tentar de novo',
+    'settings.rateLimiting': 'Limite de envios',
+    'settings.rateLimitingHelp': 'Clientes acima de um limite recebem uma resposta 429 até o fim da janela. Defina um valor como 0 para desligar esse limite. Os endereços IP são guardados como hash.',
+    'settings.throttled': 'Limitados agora',
+    'settings.noThrottled': 'Nenhum cliente está sendo limitado agora.',
+    'settings.throttledClient': 'Cliente',
+    'settings.throttledUntil': 'Até',
+    'settings.throttledIp': 'IP {hash}',
+    'settings.throttledEmail': 'E-mail {email}',
+    'settings.lift': 'Liberar',
+    'settings.bans': 'Banimentos',
+    'settings.bansIntro': 'Autores banidos são recusados ou, com a retenção silenciosa, têm suas mensagens arquivadas como spam sem aviso. Bana alguém pela tabela de mensagens ou adicione um banimento aqui.',
+    'settings.noBans': 'Nenhum banimento ativo.',
+    'settings.security': 'Segurança (Cloudflare Turnstile)',
+    'settings.TURNSTILE_SECRET_KEY.help': 'Mantenha em segredo! Ela é usada para verificar os tokens.',
+    'settings.theme': 'Tema',
+    'settings.THEME.help': 'Usado pela página do livro de visitas, pelos links permanentes das mensagens e pelo widget incorporado; o painel de administração mantém a aparência padrão. Uma incorporação pode escolher outro tema com o atributo <code>data-gb-theme</code>, e <code>?theme=retro</code> na URL da página mostra uma prévia sem salvar.',
+    'settings.pageColours': 'Cores da página',
+    'settings.widgetColours': 'Cores do widget',
+    'settings.resetTheme': 'Voltar às cores do tema',
+    'settings.themeColoursHelp': 'Campos vazios usam a cor do próprio tema, mostrada em cinza. Qualquer cor CSS funciona, ex.: <code>#2563eb</code>, <code>rgb(37 99 235)</code> ou <code>tomato</code>.',
+    'settings.pagePreview': 'Prévia da página do livro de visitas',
+    'settings.widgetPreview': 'Prévia do widget incorporado',
+    'settings.appearance': 'Aparência',
+    'settings.MESSAGE_FORMATTING.help': 'Exibe <code>**negrito**</code>, <code>*itálico*</code>, <code>`código`</code>, <code>&gt; citações</code> e links nas mensagens. Os links recebem <code>rel="nofollow ugc"</code>.',
+    'settings.avatarInitials': 'Primeira letra do nome',
+    'settings.avatarIdenticon': 'Padrão gerado (identicon)',
+    'settings.avatarGravatar': 'Gravatar, identicon sem e-mail',
+    'settings.AVATAR_MODE.help': 'Os identicons são gerados a partir de um hash com sal do e-mail (ou do nome) e servidos por este worker. O Gravatar recebe um hash do endereço de e-mail, nunca o endereço em si. O widget incorporado só mostra avatares nos modos identicon e Gravatar.',
+    'settings.DEFAULT_LOCALE.help': 'A página do livro de visitas e o painel de administração aparecem no idioma do navegador quando ele é um destes; caso contrário, neste. Adicione <code>?lang=de</code> a um link para forçar um idioma. O widget incorporado usa este, a menos que tenha um atributo <code>data-gb-lang</code>.',
+    'settings.CUSTOM_CSS.placeholder': '.container { max-width: 800px; } /* Classes como .entry, .card, .btn */',
+    'settings.CUSTOM_CSS.help': 'Adicione CSS personalizado para estilizar o livro de visitas e o painel de administração. <br><strong>Alvos comuns:</strong> <code>.container</code>, <code>.card</code>, <code>.entry</code>, <code>.entry-header</code>, <code>.entry-content</code>, <code>button</code>.',
+    'settings.export': 'Exportar dados',
+    'settings.exportIntro': 'Baixe os dados do seu livro de visitas. Os endereços de e-mail ficam de fora destas exportações públicas.',
+    'settings.downloadJson': 'Baixar JSON',
+    'settings.downloadCsv': 'Baixar CSV',
+    'settings.save': 'Salvar configurações',
+    'settings.noLinks': 'Nenhum link ainda.',
+    'settings.linkLabel': 'Rótulo',
+    'settings.linkUrl': 'URL',
+    'settings.noFields': 'Nenhum campo extra ainda.',
+    'settings.fieldLabel': 'Rótulo, ex.: De onde você é?',
+    'settings.fieldText': 'Texto',
+    'settings.fieldTextarea': 'Texto longo',
+    'settings.fieldSelect': 'Lista',
+    'settings.fieldOptions': 'Opções, ex.: Busca, Um amigo, Redes sociais',
+    'settings.fieldMaxLength': 'Tamanho máx.',
+    'settings.fieldRequired': 'Obrigatório',
+    'settings.fieldPublic': 'Público',
+    'settings.tooManyFields': 'Você pode adicionar até {max} campos.',
+    'settings.liftLimitFailed': 'Não foi possível liberar o limite',
+    'settings.testSent': 'Notificação de teste enviada.',
+    'settings.testFailed': 'Não foi possível enviar',
+    'settings.addWebhookFailed': 'Não foi possível adicionar o webhook',
+    'settings.updateWebhookFailed': 'Não foi possível atualizar o webhook',
+    'settings.confirmDeleteWebhook': 'Excluir este webhook e o registro de envios dele?',
+    'settings.deleteWebhookFailed': 'Não foi possível excluir o webhook',
+    'settings.retrying': 'Tentando de novo...',
+    'settings.retryFailed': 'Não foi possível repetir o envio',
+    'settings.stillFailing': 'O endpoint ainda não aceitou o envio.',
+    'settings.addBookFailed': 'Não foi possível adicionar o livro de visitas',
+    'settings.confirmDeleteBook': 'Excluir "{name}" com todas as mensagens e configurações? Isso não pode ser desfeito.',
+    'settings.deleteBookFailed': 'Não foi possível excluir o livro de visitas',
+    'settings.addBanFailed': 'Não foi possível adicionar o banimento',
+    'settings.confirmLiftBan': 'Retirar este banimento?',
+    'settings.liftBanFailed': 'Não foi possível retirar o banimento',
+    'settings.saving': 'Salvando...',
+    'settings.saved': 'Configurações salvas. Recarregando...',
+    'settings.saveFailed': 'Não foi possível salvar as configurações',
+    'theme.default': 'Padrão (segue o modo claro/escuro)',
+    'theme.minimal': 'Minimalista',
+    'theme.retro': 'Livro de visitas retrô anos 90',
+    'theme.dark': 'Escuro',
+    'theme.paper': 'Papel',
+    'themeVar.primary': 'Principal',
+    'themeVar.primaryHover': 'Principal (ao passar o mouse)',
+    'themeVar.primaryText': 'Texto dos botões',
+    'themeVar.bg': 'Fundo',
+    'themeVar.cardBg': 'Fundo dos cartões',
+    'themeVar.text': 'Texto',
+    'themeVar.textMuted': 'Texto suave',
+    'themeVar.textContent': 'Texto das mensagens',
+    'themeVar.border': 'Borda',
+    'themeVar.widgetPrimary': 'Principal do widget',
+    'themeVar.widgetBg': 'Fundo do widget',
+    'themeVar.widgetBorder': 'Borda do widget',
+    'themeVar.widgetInputBg': 'Fundo dos campos do widget',
+    'themeVar.widgetInputText': 'Texto dos campos do widget',
+    'delivery.pending': 'pendente',
+    'delivery.success': 'sucesso',
+    'delivery.failed': 'falhou'
+  }
+};
+
+// Looks a key up in a catalogue shaped like MESSAGES and fills in {placeholders}.
+// The widget carries its own copy, so this must stay self-contained like renderMessage.
+function translate(messages, locale, key, params) {
+  const table = messages[locale] || {};
+  const text = table[key] !== undefined ? table[key] : messages.en[key];
+  if (text === undefined) return key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+// 'de-CH' and 'de_CH' both become 'de'; null if the language isn't bundled
+function normalizeLocale(tag) {
+  const base = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[base] ? base : null;
+}
+
+// Picks the visitor's most preferred bundled language from an Accept-Language header
+function negotiateLocale(acceptLanguage, fallback) {
+  const ranges = String(acceptLanguage || '').split(',').map((part, index) => {
+    const [tag, ...params] = part.split(';').map(s => s.trim());
+    const q = params.find(p => p.startsWith('q='));
+    return { tag, q: q ? parseFloat(q.slice(2)) : 1, index };
+  }).filter(range => range.tag && range.q > 0);
+  ranges.sort((a, b) => b.q - a.q || a.index - b.index);
+  for (const range of ranges) {
+    const locale = normalizeLocale(range.tag);
+    if (locale) return locale;
+  }
+  return fallback;
+}
+
+// ?lang= wins, then the browser's languages, then the guestbook's default
+function getRequestLocale(request, config) {
+  const fallback = normalizeLocale(config.DEFAULT_LOCALE) || FALLBACK_LOCALE;
+  return normalizeLocale(new URL(request.url).searchParams.get('lang')) ||
+    negotiateLocale(request.headers.get('Accept-Language'), fallback);
+}
+
+// Renders an entry message as HTML. Plain mode escapes and keeps line breaks; formatting mode adds
+// **bold**, *italics*, `code`, > quotes and links. The same source is sent to the browser (see
+// CLIENT_COMMON_JS and getClientScript), so it must stay self-contained: no other helpers, no template literals.
+function renderMessage(text, formatting) {
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+  if (!formatting) return escape(text || '').replace(/\n/g, '<br>');
+  
+  const emphasis = html => html
+    .replace(/\*\*(?=\S)([^*]+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+  
+  const link = url => {
+    // Sentence punctuation right after a link isn't part of it
+    const trailing = url.match(/[.,!?;:)\]]*$/)[0];
+    const href = url.slice(0, url.length - trailing.length);
+    return '<a href="' + escape(href) + '" target="_blank" rel="nofollow ugc">' + escape(href) + '</a>' + escape(trailing);
+  };
+  
+  // Code spans are taken out first so nothing inside them is formatted
+  const inline = line => line.split(/(`[^`]+`)/).map((part, i) => {
+    if (i % 2 === 1) return '<code>' + escape(part.slice(1, -1)) + '</code>';
+    return part.split(/(https?:\/\/[^\s<>"']+)/).map((piece, j) => j % 2 === 1 ? link(piece) : emphasis(escape(piece))).join('');
+  }).join('');
+  
+  const blocks = [];
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const quote = line.match(/^>\s?(.*)$/);
+    const type = quote ? 'quote' : 'text';
+    const last = blocks[blocks.length - 1];
+    const html = inline(quote ? quote[1] : line);
+    if (last && last.type === type) last.lines.push(html);
+    else blocks.push({ type: type, lines: [html] });
+  });
+  
+  return blocks.map(block => block.type === 'quote'
+    ? '<blockquote>' + block.lines.join('<br>') + '</blockquote>'
+    : block.lines.join('<br>')).join('');
+}
+
+// Renders the reaction buttons under an entry. Like renderMessage, this source is also sent to the
+// browser, so it has to stay self-contained. prefix is 'entry' on the guestbook page and 'gb-entry' in the widget;
+// label is the translated 'React with {emoji}'.
+function renderReactions(entryId, counts, emojis, reacted, prefix, label) {
+  if (!emojis || emojis.length === 0) return '';
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  return '<div class="' + prefix + '-reactions">' + emojis.map(emoji => {
+    const count = (counts && counts[emoji]) || 0;
+    const mine = reacted && reacted.indexOf(entryId + ':' + emoji) !== -1;
+    return '<button type="button" class="' + prefix + '-reaction' + (mine ? ' reacted' : '') + '" data-entry="' + escape(entryId) +
+      '" data-emoji="' + escape(emoji) + '" aria-label="' + escape((label || 'React with {emoji}').replace('{emoji}', () => emoji)) + '">' +
+      escape(emoji) + ' <span>' + (count || '') + '</span></button>';
+  }).join('') + '</div>';
+}
+
+// Renders the public answers to custom form fields, as attached by attachCustomFields.
+// Sent to the browser as well, so it stays self-contained. prefix works as in renderReactions.
+function renderEntryFields(fields, prefix) {
+  if (!fields || fields.length === 0) return '';
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  return '<dl class="' + prefix + '-fields">' + fields.map(field =>
+    '<div><dt>' + escape(field.label) + '</dt><dd>' + escape(field.value).replace(/\n/g, '<br>') + '</dd></div>'
+  ).join('') + '</dl>';
+}
+
+// Browser side of reactions, shared by the guestbook page, entry permalinks and the widget.
+// Which reactions are the visitor's own is remembered in localStorage.
+const REACTION_CLIENT_JS = `
+  ${renderReactions.toString()}
+
+  function getRememberedReactions() {
+    try {
+      return JSON.parse(localStorage.getItem('gb_reactions') || '[]');
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function rememberReaction(key, reacted) {
+    const list = getRememberedReactions().filter(k => k !== key);
+    if (reacted) list.push(key);
+    try {
+      localStorage.setItem('gb_reactions', JSON.stringify(list.slice(-500)));
+    } catch (e) {
+      // Private mode or storage full; the highlight just won't persist
+    }
+  }
+
+  // Server-rendered buttons can't know who reacted, so highlight them here
+  function markRememberedReactions(root) {
+    const remembered = getRememberedReactions();
+    root.querySelectorAll('[data-emoji]').forEach(btn => {
+      if (remembered.indexOf(btn.getAttribute('data-entry') + ':' + btn.getAttribute('data-emoji')) !== -1) {
+        btn.classList.add('reacted');
+      }
+    });
+  }
+
+  // apiBase is the guestbook's API root, e.g. '/api' or 'https://gb.example.com/api/b/slug'
+  async function sendReaction(apiBase, btn, emojis, prefix, label, locale) {
+    const entryId = btn.getAttribute('data-entry');
+    const emoji = btn.getAttribute('data-emoji');
+    btn.disabled = true;
+    try {
+      const formData = new FormData();
+      formData.append('emoji', emoji);
+      formData.append('gb_lang', locale);
+      const response = await fetch(apiBase + '/react/' + entryId, { method: 'POST', body: formData });
+      const result = await response.json();
+      if (result.success) {
+        rememberReaction(entryId + ':' + emoji, result.reacted);
+        btn.parentElement.outerHTML = renderReactions(entryId, result.reactions, emojis, getRememberedReactions(), prefix, label);
+        return;
+      }
+    } catch (error) {
+      // Leave the button as it was
+    }
+    btn.disabled = false;
+  }
+`;
+
 const CLIENT_COMMON_JS = `
+  ${renderMessage.toString()}
+  ${renderEntryFields.toString()}
+
   function escapeHtml(text) {
     if (!text) return '';
     return String(text)
@@ -28,7 +3033,8 @@ const CLIENT_COMMON_JS = `
     const isoDate = dateStr.replace(' ', 'T') + (dateStr.includes('Z') ? '' : 'Z');
     const date = new Date(isoDate);
     if (isNaN(date.getTime())) return dateStr;
-    return date.toLocaleString('en-US', { 
+    // Pages set <html lang> to the locale they were rendered in
+    return date.toLocaleString(document.documentElement.lang || 'en', { 
       month: 'short', day: 'numeric', year: 'numeric', 
       hour: 'numeric', minute: '2-digit' 
     });
@@ -45,15 +3051,19 @@ const CLIENT_COMMON_JS = `
   document.addEventListener('DOMContentLoaded', formatClientDates);
 `;
 
-async function sign(data, secret) {
+async function hmacSha256(data, secret) {
   const encoder = new TextEncoder();
   const keyData = encoder.encode(secret);
   const key = await crypto.subtle.importKey(
     'raw', keyData, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
   );
-  const signature = await crypto.subtle.sign(
+  return await crypto.subtle.sign(
     'HMAC', key, encoder.encode(data)
   );
+}
+
+async function sign(data, secret) {
+  const signature = await hmacSha256(data, secret);
   // Use URL-safe base64 to avoid cookie issues
   return data + '.' + btoa(String.fromCharCode(...new Uint8Array(signature))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
@@ -66,25 +3076,115 @@ async function verify(token, secret) {
   return expectedToken === token ? data : null;
 }
 
-async function createSessionToken(env) {
-  const random = crypto.randomUUID();
+// Session cookies are signed with the first secret and accepted with any of them, so setting
+// SESSION_SECRET_PREVIOUS to the old value while rotating SESSION_SECRET keeps everyone signed in
+function getSessionSecrets(env) {
   // Use SESSION_SECRET if available, otherwise fallback to ADMIN_PASSWORD
-  const secret = env.SESSION_SECRET || env.ADMIN_PASSWORD || 'default-insecure-secret-god';
-  return await sign(random, secret);
+  const current = env.SESSION_SECRET || env.ADMIN_PASSWORD || 'default-insecure-secret';
+  return env.SESSION_SECRET_PREVIOUS ? [current, env.SESSION_SECRET_PREVIOUS] : [current];
 }
 
-async function verifySession(request, env) {
+// Sessions are stored under a hash of their token, so the table alone can't be used to sign in
+async function createSession(env, request, userId) {
+  const token = crypto.randomUUID();
+  await env.DB.prepare(`
+    INSERT INTO sessions (id, user_id, created_at, last_seen_at, expires_at, ip, user_agent)
+    VALUES (?, ?, datetime('now'), datetime('now'), datetime('now', ?), ?, ?)
+  `).bind(
+    await sha256Hex(token),
+    userId,
+    `+${SESSION_DURATION / 1000} seconds`,
+    request.headers.get('CF-Connecting-IP'),
+    (request.headers.get('User-Agent') || '').slice(0, 300)
+  ).run();
+  return await sign(token, getSessionSecrets(env)[0]);
+}
+
+function getCookie(request, name) {
   const cookie = request.headers.get('Cookie');
   if (!cookie) return null;
   
   const cookies = Object.fromEntries(
     cookie.split(';').map(c => c.trim().split('='))
   );
-  const sessionToken = cookies[SESSION_COOKIE_NAME];
+  return cookies[name] || null;
+}
+
+// Id of the session in the request's cookie, if the cookie is validly signed
+async function getSessionId(request, env) {
+  const sessionToken = getCookie(request, SESSION_COOKIE_NAME);
   if (!sessionToken) return null;
   
-  const secret = env.SESSION_SECRET || env.ADMIN_PASSWORD || 'default-insecure-secret';
-  return await verify(sessionToken, secret);
+  for (const secret of getSessionSecrets(env)) {
+    const token = await verify(sessionToken, secret);
+    if (token) return await sha256Hex(token);
+  }
+  return null;
+}
+
+// Returns the signed-in user ({ id, username, role, sessionId }) or null
+async function verifySession(request, env) {
+  const sessionId = await getSessionId(request, env);
+  if (!sessionId) return null;
+  
+  // Looked up every time, so expiry, revocation, deleted users and role changes take effect at once
+  const session = await env.DB.prepare(`
+    SELECT s.last_seen_at, u.id, u.username, u.role
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.id = ? AND s.expires_at > datetime('now')
+  `).bind(sessionId).first();
+  if (!session) return null;
+  
+  // At most one write a minute per session
+  if (Date.now() - new Date(session.last_seen_at.replace(' ', 'T') + 'Z').getTime() > 60 * 1000) {
+    await env.DB.prepare("UPDATE sessions SET last_seen_at = datetime('now'), ip = ? WHERE id = ?")
+      .bind(request.headers.get('CF-Connecting-IP'), sessionId).run();
+  }
+  return { id: session.id, username: session.username, role: session.role, sessionId };
+}
+
+// Active sessions, newest activity first; all users' when userId is null
+async function getSessions(env, userId = null) {
+  const query = `
+    SELECT s.id, s.user_id, u.username, s.created_at, s.last_seen_at, s.expires_at, s.ip, s.user_agent
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.expires_at > datetime('now') ${userId === null ? '' : 'AND s.user_id = ?'}
+    ORDER BY s.last_seen_at DESC
+  `;
+  const statement = env.DB.prepare(query);
+  const rows = await (userId === null ? statement : statement.bind(userId)).all();
+  return rows.results || [];
+}
+
+async function pruneSessions(env) {
+  await env.DB.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+}
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The salt for hashIdentifier is random, created once by migration 15 and never changed:
+// stored IP hashes, IP bans, reaction votes and identicons all depend on it. Cached per isolate.
+let identifierSaltPromise = null;
+
+function getIdentifierSalt(env) {
+  if (!identifierSaltPromise) {
+    identifierSaltPromise = env.DB.prepare("SELECT value FROM deployment_secrets WHERE key = 'identifier_salt'").first()
+      .then(row => {
+        if (!row) throw new Error('The identifier salt is missing, run the pending migrations');
+        return row.value;
+      });
+    // Allow the next request to retry
+    identifierSaltPromise.catch(() => { identifierSaltPromise = null; });
+  }
+  return identifierSaltPromise;
+}
+
+// One-way hash for identifiers like IP addresses that we need to match but shouldn't store
+async function hashIdentifier(value, env) {
+  return sha256Hex(await getIdentifierSalt(env) + ':' + value);
 }
 
 async function checkPassword(input, expected) {
@@ -106,6 +3206,81 @@ async function checkPassword(input, expected) {
   return result === 0;
 }
 
+// Admin roles, lowest first, with the ADMIN_MESSAGES key that describes each.
+// Each role can do everything the ones before it can.
+const ADMIN_ROLES = {
+  viewer: 'role.viewerHelp',
+  moderator: 'role.moderatorHelp',
+  owner: 'role.ownerHelp'
+};
+// Admin API routes that need the owner role; the rest of the admin API is for moderators
+const OWNER_API_PATHS = /^\/api\/(settings|migrations|guestbooks|import|restore|webhooks|notifications|users)(\/|$)/;
+const USERNAME_PATTERN = /^[a-z0-9._-]{2,40}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_HASH_ITERATIONS = 100000; // The most PBKDF2 iterations Workers allow
+
+function hasRole(user, role) {
+  const roles = Object.keys(ADMIN_ROLES);
+  return !!user && roles.indexOf(user.role) >= roles.indexOf(role);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// Stored as pbkdf2-sha256$<iterations>$<salt>$<hash> so the cost can be raised later
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_HASH_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return `pbkdf2-sha256$${iterations}$${toBase64(salt)}$${toBase64(new Uint8Array(bits))}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'pbkdf2-sha256' || !hash || !password) return false;
+  const candidate = await hashPassword(password, fromBase64(salt), parseInt(iterations));
+  return await checkPassword(candidate, stored);
+}
+
+// Returns the user for a correct username and password, otherwise null.
+// Until the first account exists, ADMIN_PASSWORD signs in and creates it as an owner.
+async function authenticateUser(env, username, password) {
+  username = String(username || '').trim().toLowerCase();
+  const user = await env.DB.prepare('SELECT id, username, role, password_hash FROM users WHERE username = ?').bind(username).first();
+  if (!user) {
+    const count = await env.DB.prepare('SELECT COUNT(*) AS count FROM users').first('count');
+    if (count === 0 && await checkPassword(password, env.ADMIN_PASSWORD)) {
+      const name = USERNAME_PATTERN.test(username) ? username : 'admin';
+      await env.DB.prepare(
+        'INSERT INTO users (username, password_hash, role, created_at) SELECT ?, ?, ?, datetime("now") WHERE NOT EXISTS (SELECT 1 FROM users)'
+      ).bind(name, await hashPassword(password), 'owner').run();
+      return await authenticateUser(env, name, password);
+    }
+    // Spend the same time as a real check so usernames can't be probed
+    await hashPassword(password || '');
+    return null;
+  }
+  if (!await verifyPassword(password, user.password_hash)) return null;
+  await env.DB.prepare('UPDATE users SET last_login_at = datetime("now") WHERE id = ?').bind(user.id).run();
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+async function getUsers(env) {
+  const rows = await env.DB.prepare('SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username').all();
+  return rows.results || [];
+}
+
+// Demoting or deleting the last owner would lock everyone out of settings and user management
+async function isLastOwner(env, userId) {
+  const owners = await env.DB.prepare("SELECT id FROM users WHERE role = 'owner'").all();
+  const ids = (owners.results || []).map(row => row.id);
+  return ids.length === 1 && ids[0] === userId;
+}
+
 function setSessionCookie(sessionToken) {
   const expires = new Date(Date.now() + SESSION_DURATION).toUTCString();
   return `${SESSION_COOKIE_NAME}=${sessionToken}; Path=/; HttpOnly; Secure; SameSite=Lax; Expires=${expires}`;
@@ -134,1176 +3309,2429 @@ async function verifyTurnstile(token, env) {
   return result.success === true;
 }
 
-const COMMON_CSS = `
-    :root {
-      --primary: #2563eb;
-      --primary-hover: #1d4ed8;
-      --bg: #f8fafc;
-      --card-bg: #ffffff;
-      --text: #1e293b;
-      --text-muted: #64748b;
-      --text-content: #334155;
-      --border: #e2e8f0;
-      --shadow: 0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1);
-      --success: #10b981;
-      --warning: #f59e0b;
-      --danger: #ef4444;
-      --active-nav-bg: #eff6ff;
-      --active-nav-color: var(--primary);
-    }
-
-    @media (prefers-color-scheme: dark) {
-      :root {
-        --primary: #60a5fa;
-        --primary-hover: #93c5fd;
-        --bg: #0f172a;
-        --card-bg: #1e293b;
-        --text: #f1f5f9;
-        --text-muted: #94a3b8;
-        --text-content: #e2e8f0;
-        --border: #334155;
-        --shadow: 0 4px 6px -1px rgb(0 0 0 / 0.5), 0 2px 4px -2px rgb(0 0 0 / 0.5);
-        --active-nav-bg: #1e40af;
-        --active-nav-color: #e0f2fe;
-      }
-      
-      input, textarea {
-        background-color: var(--card-bg) !important;
-        color: var(--text) !important;
-        border-color: var(--border) !important;
-      }
-      
-      .entries-table th {
-        background-color: #1e293b !important;
-        color: var(--text-muted) !important;
-        border-bottom-color: var(--border) !important;
-      }
-      
-      .row-pending {
-        background-color: #121b2b !important;
-      }
-      
-      .badge-warning {
-        background-color: #451a03 !important;
-        color: #fcd34d !important;
-      }
-      
-      .message-content {
-        color: #e2e8f0 !important;
-      }
-      
-      pre {
-        background-color: #020617 !important;
-        color: #e2e8f0 !important;
-        border-color: var(--border) !important;
-      }
-      
-      .entry-site:hover {
-        background-color: #1e3a8a !important;
-      }
+// Spam filter pipeline
+// Each rule returns null when the submission passes, or { score, reason } when it trips.
+// Rules with a score of 0 or a blank threshold are effectively disabled. Add new rules to SPAM_RULES.
+const HONEYPOT_FIELD = 'gb_website';
 
-      /* Dark mode overrides for mobile menu */
-      @media (max-width: 768px) {
-        .nav-links {
-          background-color: var(--card-bg) !important;
-          border-color: var(--border) !important;
-        }
-        .nav-links a:hover {
-          background-color: var(--border) !important;
+function parseBlocklist(text) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      // /pattern/flags is a regex, anything else is a case-insensitive keyword
+      const regexMatch = line.match(/^\/(.+)\/([gimsuy]*)$/);
+      if (regexMatch) {
+        try {
+          const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+          return { label: line, test: value => regex.test(value) };
+        } catch (e) {
+          // Skip invalid patterns rather than failing every submission
+          return null;
         }
       }
+      const keyword = line.toLowerCase();
+      return { label: line, test: value => value.toLowerCase().includes(keyword) };
+    })
+    .filter(Boolean);
+}
+
+const SPAM_RULES = [
+  {
+    id: 'honeypot',
+    async check(submission, config) {
+      if (!submission.honeypot) return null;
+      return { score: parseInt(config.SPAM_HONEYPOT_SCORE) || 0, reason: 'Honeypot field filled in' };
     }
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-      line-height: 1.5;
-      color: var(--text);
-      background: var(--bg);
-      padding: 2rem 1rem;
-    }
-    .container {
-      max-width: var(--container-width, 1000px);
-      margin: 0 auto;
-    }
-    header {
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      margin-bottom: 2rem;
-      padding-bottom: 1rem;
-      border-bottom: 1px solid var(--border);
-    }
-    h1 {
-       font-size: 1.25rem;
-       font-weight: 700;
-       color: var(--text);
-     }
-    .nav-links a {
-      color: var(--text-muted);
-      text-decoration: none;
-      font-size: 0.875rem;
-      font-weight: 500;
-      padding: 0.5rem 1rem;
-      border-radius: 0.375rem;
-      transition: all 0.2s;
-      margin-left: 0.5rem;
-    }
-    .nav-links a:hover {
-      background: var(--border);
-      color: var(--text);
-    }
-    .nav-links a.active {
-      background: var(--active-nav-bg);
-      color: var(--active-nav-color);
+  },
+  {
+    id: 'blocklist',
+    async check(submission, config) {
+      const text = [submission.name, submission.message, submission.site, submission.email].filter(Boolean).join('\n');
+      const hit = parseBlocklist(config.SPAM_BLOCKLIST).find(entry => entry.test(text));
+      if (!hit) return null;
+      return { score: parseInt(config.SPAM_BLOCKLIST_SCORE) || 0, reason: 'Matched blocklist: ' + hit.label };
     }
-    .card {
-      background: var(--card-bg);
-      border-radius: 0.75rem;
-      box-shadow: var(--shadow);
-      border: 1px solid var(--border);
-      overflow: hidden;
-      margin-bottom: 2rem;
+  },
+  {
+    id: 'links',
+    async check(submission, config) {
+      const links = (submission.message.match(/(https?:\/\/|www\.)/gi) || []).length;
+      const maxLinks = parseInt(config.SPAM_MAX_LINKS);
+      if (isNaN(maxLinks) || links <= maxLinks) return null;
+      return { score: parseInt(config.SPAM_LINKS_SCORE) || 0, reason: `${links} links in message (max ${maxLinks})` };
     }
-    .form-group {
-      margin-bottom: 1.5rem;
+  },
+  {
+    id: 'min_time',
+    async check(submission, config) {
+      const minSeconds = parseFloat(config.SPAM_MIN_SUBMIT_SECONDS) || 0;
+      // A missing timer means the form wasn't rendered by our page or widget
+      const elapsed = submission.elapsedMs / 1000;
+      if (!minSeconds || elapsed >= minSeconds) return null;
+      return { score: parseInt(config.SPAM_MIN_TIME_SCORE) || 0, reason: `Submitted ${elapsed.toFixed(1)}s after loading the form` };
     }
-    label {
-      display: block;
-      margin-bottom: 0.5rem;
-      font-weight: 500;
-      color: var(--text);
-      font-size: 0.9375rem;
+  },
+  {
+    id: 'duplicate',
+    async check(submission, config, env) {
+      const hours = parseInt(config.SPAM_DUPLICATE_HOURS) || 0;
+      if (!hours) return null;
+      const existing = await env.DB.prepare(
+        'SELECT id FROM entries WHERE guestbook_id = ? AND message = ? AND created_at >= datetime("now", ?) LIMIT 1'
+      ).bind(submission.guestbookId, submission.message, `-${hours} hours`).first();
+      if (!existing) return null;
+      return { score: parseInt(config.SPAM_DUPLICATE_SCORE) || 0, reason: `Duplicate of entry #${existing.id}` };
     }
-    input[type="text"],
-    input[type="email"],
-    input[type="url"],
-    input[type="password"],
-    textarea {
-      width: 100%;
-      padding: 0.75rem 1rem;
-      border: 1px solid var(--border);
-      border-radius: 0.5rem;
-      font-size: 1rem;
-      transition: border-color 0.15s;
-      background: #fff;
-    }
-    input:focus, textarea:focus {
-      outline: none;
-      border-color: var(--primary);
-      box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1);
-    }
-    button {
-      background: var(--primary);
-      color: white;
-      border: none;
-      padding: 0.75rem 1.5rem;
-      border-radius: 0.5rem;
-      cursor: pointer;
-      font-size: 1rem;
-      font-weight: 600;
-      transition: background-color 0.15s;
-    }
-    button:hover {
-      background: var(--primary-hover);
-    }
-    button:disabled {
-      background: var(--text-muted);
-      cursor: not-allowed;
-      opacity: 0.7;
-    }
-    .message {
-      padding: 1rem;
-      border-radius: 0.5rem;
-      margin-bottom: 1.5rem;
-      font-size: 0.9375rem;
+  }
+];
+
+// Runs every rule and turns the total score into approve / hold / reject
+async function runSpamFilter(submission, config, env) {
+  const hits = [];
+  for (const rule of SPAM_RULES) {
+    const hit = await rule.check(submission, config, env);
+    if (hit && hit.score > 0) hits.push(hit);
+  }
+  
+  const score = hits.reduce((total, hit) => total + hit.score, 0);
+  const rejectScore = parseInt(config.SPAM_REJECT_SCORE) || 0;
+  const holdScore = parseInt(config.SPAM_HOLD_SCORE) || 0;
+  
+  let verdict = 'approve';
+  if (rejectScore && score >= rejectScore) {
+    verdict = 'reject';
+  } else if (holdScore && score >= holdScore) {
+    verdict = 'hold';
+  }
+  
+  return { score, verdict, reasons: hits.map(hit => hit.reason) };
+}
+
+// Submission rate limiting
+// Fixed-window counters in D1, keyed by "ip:<hash>" or "email:<address>".
+// Counters expire on their own; expired rows are swept in the background whenever a new window starts.
+async function hitRateLimit(env, ctx, key, max, windowSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const row = await env.DB.prepare(`
+    INSERT INTO rate_limits (key, count, expires_at) VALUES (?, 1, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      count = CASE WHEN expires_at <= ? THEN 1 ELSE count + 1 END,
+      expires_at = CASE WHEN expires_at <= ? THEN excluded.expires_at ELSE expires_at END
+    RETURNING count, expires_at
+  `).bind(key, now + windowSeconds, now, now).first();
+  
+  if (row && row.count === 1) {
+    ctx.waitUntil(pruneRateLimits(env).catch(e => console.error('Failed to prune rate limits', e)));
+  }
+  if (row && row.count > max) {
+    return { limited: true, retryAfter: Math.max(1, row.expires_at - now) };
+  }
+  return { limited: false };
+}
+
+// Returns the longest Retry-After across the IP and email limits, or null if the client may submit
+async function checkSubmissionRateLimits(env, ctx, config, { ipHash, email }) {
+  const windowSeconds = (parseInt(config.RATE_LIMIT_WINDOW_MINUTES) || 0) * 60;
+  if (!windowSeconds) return null;
+  
+  const checks = [];
+  const perIp = parseInt(config.RATE_LIMIT_PER_IP) || 0;
+  const perEmail = parseInt(config.RATE_LIMIT_PER_EMAIL) || 0;
+  if (perIp && ipHash) {
+    checks.push(hitRateLimit(env, ctx, 'ip:' + ipHash, perIp, windowSeconds));
+  }
+  if (perEmail && email) {
+    checks.push(hitRateLimit(env, ctx, 'email:' + email.trim().toLowerCase(), perEmail, windowSeconds));
+  }
+  
+  const results = await Promise.all(checks);
+  const limited = results.filter(r => r.limited);
+  return limited.length > 0 ? Math.max(...limited.map(r => r.retryAfter)) : null;
+}
+
+async function getThrottledClients(env, config) {
+  const now = Math.floor(Date.now() / 1000);
+  const perIp = parseInt(config.RATE_LIMIT_PER_IP) || 0;
+  const perEmail = parseInt(config.RATE_LIMIT_PER_EMAIL) || 0;
+  const rows = await env.DB.prepare(
+    'SELECT key, count, expires_at FROM rate_limits WHERE expires_at > ? ORDER BY expires_at DESC'
+  ).bind(now).all();
+  
+  return (rows.results || []).filter(row => {
+    // Other counters (reactions) share the table but aren't submission limits
+    if (!row.key.startsWith('ip:') && !row.key.startsWith('email:')) return false;
+    const max = row.key.startsWith('ip:') ? perIp : perEmail;
+    return max && row.count > max;
+  });
+}
+
+async function pruneRateLimits(env) {
+  await env.DB.prepare('DELETE FROM rate_limits WHERE expires_at <= ?')
+    .bind(Math.floor(Date.now() / 1000)).run();
+}
+
+// Reactions
+// Counts live in entry_reactions; reaction_votes remembers who reacted (by hashed IP) so a second
+// click takes the reaction back instead of counting twice.
+const REACTION_RATE_LIMIT = 30; // per visitor and window
+const REACTION_RATE_WINDOW = 10 * 60; // seconds
+const MAX_REACTION_EMOJIS = 8;
+
+// The configured emoji set, or [] when reactions are off
+function getReactionEmojis(config) {
+  if (!config.REACTIONS_ENABLED) return [];
+  return String(config.REACTION_EMOJIS || '').split(/\s+/).filter(emoji => emoji && emoji.length <= 16).slice(0, MAX_REACTION_EMOJIS);
+}
+
+// Adds { emoji: count } as entry.reactions to each entry
+async function attachReactions(env, entries) {
+  entries.forEach(entry => { entry.reactions = {}; });
+  const ids = entries.map(entry => entry.id);
+  for (let i = 0; i < ids.length; i += BULK_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + BULK_CHUNK_SIZE);
+    const rows = await env.DB.prepare(
+      `SELECT entry_id, emoji, count FROM entry_reactions WHERE count > 0 AND entry_id IN (${chunk.map(() => '?').join(', ')})`
+    ).bind(...chunk).all();
+    for (const row of rows.results || []) {
+      const entry = entries.find(e => e.id === row.entry_id);
+      if (entry) entry.reactions[row.emoji] = row.count;
     }
-    .message.success {
-      background: #ecfdf5;
-      color: #065f46;
-      border: 1px solid #a7f3d0;
+  }
+  return entries;
+}
+
+// Toggles the visitor's reaction and returns { reacted, reactions }
+async function toggleReaction(env, entryId, emoji, voterHash) {
+  const existing = await env.DB.prepare(
+    'SELECT 1 FROM reaction_votes WHERE entry_id = ? AND emoji = ? AND voter_hash = ?'
+  ).bind(entryId, emoji, voterHash).first();
+  
+  // Two clicks can both pass the check above, so the count only moves when the vote row
+  // actually changed (changes() still refers to the vote statement inside the batch)
+  if (existing) {
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM reaction_votes WHERE entry_id = ? AND emoji = ? AND voter_hash = ?').bind(entryId, emoji, voterHash),
+      env.DB.prepare('UPDATE entry_reactions SET count = count - 1 WHERE entry_id = ? AND emoji = ? AND count > 0 AND changes() = 1').bind(entryId, emoji)
+    ]);
+  } else {
+    await env.DB.batch([
+      env.DB.prepare('INSERT OR IGNORE INTO reaction_votes (entry_id, emoji, voter_hash, created_at) VALUES (?, ?, ?, datetime("now"))').bind(entryId, emoji, voterHash),
+      env.DB.prepare(`
+        INSERT INTO entry_reactions (entry_id, emoji, count) SELECT ?, ?, 1 WHERE changes() = 1
+        ON CONFLICT(entry_id, emoji) DO UPDATE SET count = count + 1
+      `).bind(entryId, emoji)
+    ]);
+  }
+  
+  const [entry] = await attachReactions(env, [{ id: entryId }]);
+  return { reacted: !existing, reactions: entry.reactions };
+}
+
+// Avatars
+// 'initials' is the letter circle, 'identicon' a generated SVG served from /avatar/<key>.svg and
+// 'gravatar' the submitter's Gravatar (identicon when they left no email). Emails never leave the server:
+// identicon keys are salted hashes, and Gravatar gets the unsalted SHA-256 it requires.
+const AVATAR_MODES = ['initials', 'identicon', 'gravatar'];
+
+async function getAvatarUrl(env, mode, origin, { name, email }) {
+  const normalizedEmail = email ? email.trim().toLowerCase() : '';
+  if (mode === 'gravatar' && normalizedEmail) {
+    return `https://www.gravatar.com/avatar/${await sha256Hex(normalizedEmail)}?s=80&d=identicon`;
+  }
+  const key = (await hashIdentifier('avatar:' + (normalizedEmail || name.trim().toLowerCase()), env)).slice(0, 32);
+  return `${origin}/avatar/${key}.svg`;
+}
+
+// Adds entry.avatar (a URL, or null in initials mode). Emails are looked up here so the
+// public entry queries never select them.
+async function attachAvatars(env, config, origin, entries) {
+  entries.forEach(entry => { entry.avatar = null; });
+  if (config.AVATAR_MODE === 'initials' || !AVATAR_MODES.includes(config.AVATAR_MODE)) return entries;
+  
+  const emails = {};
+  const ids = entries.map(entry => entry.id);
+  for (let i = 0; i < ids.length; i += BULK_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + BULK_CHUNK_SIZE);
+    const rows = await env.DB.prepare(
+      `SELECT id, email FROM entries WHERE id IN (${chunk.map(() => '?').join(', ')})`
+    ).bind(...chunk).all();
+    (rows.results || []).forEach(row => { emails[row.id] = row.email; });
+  }
+  
+  for (const entry of entries) {
+    entry.avatar = await getAvatarUrl(env, config.AVATAR_MODE, origin, { name: entry.name, email: emails[entry.id] });
+  }
+  return entries;
+}
+
+// Pinned entries sit above the feed and stay out of the paginated list
+async function getPinnedEntries(env, config, origin) {
+  const pinned = await env.DB.prepare(
+    'SELECT id, name, message, site, created_at, reply, replied_at, pinned, custom_fields FROM entries WHERE guestbook_id = ? AND approved = 1 AND pinned = 1 ORDER BY id DESC'
+  ).bind(config.BOOK.id).all();
+  const results = pinned.results || [];
+  if (config.REACTIONS_ENABLED) await attachReactions(env, results);
+  await attachAvatars(env, config, origin, results);
+  return attachCustomFields(config, results);
+}
+
+// 5x5 mirrored grid, coloured from the key
+function getIdenticonSVG(key) {
+  const hue = parseInt(key.slice(0, 3), 16) % 360;
+  const color = `hsl(${hue}, 55%, 50%)`;
+  let cells = '';
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 3; col++) {
+      if (parseInt(key[3 + row * 3 + col], 16) % 2 !== 0) continue;
+      cells += `<rect x="${col + 1}" y="${row + 1}" width="1" height="1"/>`;
+      if (col < 2) cells += `<rect x="${5 - col}" y="${row + 1}" width="1" height="1"/>`;
     }
-    .message.error {
-      background: #fef2f2;
-      color: #991b1b;
-      border: 1px solid #fecaca;
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 7 7" width="80" height="80" shape-rendering="crispEdges">` +
+    `<rect width="7" height="7" fill="hsl(${hue}, 55%, 94%)"/><g fill="${color}">${cells}</g></svg>`;
+}
+
+// Custom form fields
+// The CUSTOM_FIELDS setting is a JSON list of { key, label, type, options, required, maxLength, public }.
+// Entries keep the answers in custom_fields, a JSON object keyed by field key.
+const CUSTOM_FIELD_TYPES = ['text', 'textarea', 'select'];
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z0-9_]{1,40}$/;
+const CUSTOM_FIELD_MAX_LENGTH = 1000;
+const MAX_CUSTOM_FIELDS = 10;
+
+// Cleans up field definitions from the settings form. A field keeps the key it was first given,
+// so relabelling it doesn't orphan the answers stored under the old key.
+function normalizeCustomFields(list) {
+  if (!Array.isArray(list)) return [];
+  const isValidKey = key => typeof key === 'string' && CUSTOM_FIELD_KEY_PATTERN.test(key);
+  const givenKeys = new Set(list.map(field => field && field.key).filter(isValidKey));
+  const keys = new Set();
+  const fields = [];
+  
+  for (const field of list) {
+    if (!field || typeof field !== 'object') continue;
+    const label = String(field.label || '').trim().slice(0, 100);
+    const type = CUSTOM_FIELD_TYPES.includes(field.type) ? field.type : 'text';
+    const options = type !== 'select' ? [] : [...new Set(
+      (Array.isArray(field.options) ? field.options : String(field.options || '').split(','))
+        .map(option => String(option).trim().slice(0, 100))
+        .filter(Boolean)
+    )];
+    if (!label || (type === 'select' && options.length === 0)) continue;
+    
+    let key = field.key;
+    if (!isValidKey(key) || keys.has(key)) {
+      const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 30) || 'field';
+      key = base;
+      for (let n = 2; keys.has(key) || givenKeys.has(key); n++) key = base + '_' + n;
     }
-    .text-muted { color: var(--text-muted); }
-    .text-sm { font-size: 0.75rem; }
+    keys.add(key);
+    
+    const maxLength = parseInt(field.maxLength);
+    fields.push({
+      key,
+      label,
+      type,
+      options,
+      required: !!field.required,
+      maxLength: maxLength >= 1 ? Math.min(maxLength, CUSTOM_FIELD_MAX_LENGTH) : 200,
+      public: !!field.public
+    });
+    if (fields.length === MAX_CUSTOM_FIELDS) break;
+  }
+  
+  return fields;
+}
 
-    .logout { 
-      color: #ef4444 !important; 
+function getCustomFields(config) {
+  try {
+    return normalizeCustomFields(JSON.parse(config.CUSTOM_FIELDS || '[]'));
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseCustomFieldValues(json) {
+  try {
+    const values = JSON.parse(json || '{}');
+    return values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Reads the answers from a submission (inputs are named field_<key>). Returns { values } or { error }.
+function readCustomFieldValues(formData, fields, locale) {
+  const values = {};
+  for (const field of fields) {
+    const value = String(formData.get('field_' + field.key) || '').trim();
+    if (!value) {
+      if (field.required) return { error: translate(MESSAGES, locale, 'error.fieldRequired', { field: field.label }) };
+      continue;
     }
-    .logout:hover { 
-      background: #fef2f2 !important; 
+    if (value.length > field.maxLength) {
+      return { error: translate(MESSAGES, locale, 'error.fieldTooLong', { field: field.label, max: field.maxLength }) };
     }
-    /* Mobile Menu */
-    .hamburger { display: none; background: none; border: none; font-size: 1.5rem; padding: 0.5rem; color: var(--text); cursor: pointer; }
-    @media (max-width: 768px) {
-      .hamburger { display: block; }
-      .nav-links {
-        display: none;
-        position: absolute;
-        top: 100%;
-        left: 0;
-        right: 0;
-        background: var(--card-bg);
-        border-bottom: 1px solid var(--border);
-        flex-direction: column;
-        padding: 1rem;
-        box-shadow: var(--shadow);
-        z-index: 50;
-      }
-      .nav-links.active { display: flex; }
-      .nav-links a { margin: 0 0 0.5rem 0; display: block; text-align: center; padding: 0.75rem; }
-      header { position: relative; }
+    if (field.type === 'select' && !field.options.includes(value)) {
+      return { error: translate(MESSAGES, locale, 'error.fieldInvalid', { field: field.label }) };
     }
-`;
-
-function getHead(title, siteIcon, extraStyles = '', extraHead = '', noIndex = false) {
-  let metaTags = '';
-  if (noIndex) {
-    metaTags += '<meta name="robots" content="noindex, nofollow">\n';
+    values[field.key] = value;
   }
-  return `
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  ${metaTags}
-  <title>${escapeHtml(title)}</title>
-  <link rel="icon" href="${escapeHtml(siteIcon)}">
-  <link rel="apple-touch-icon" href="${escapeHtml(siteIcon)}">
-  <style>
-    ${COMMON_CSS}
-    ${extraStyles}
-  </style>
-  ${extraHead}
-</head>`;
+  return { values };
 }
 
-function getAdminHeader(activePage) {
-  return `
-    <header>
-      <h1>Admin Panel</h1>
-      <button class="hamburger" onclick="document.querySelector('.nav-links').classList.toggle('active')" aria-label="Toggle menu">☰</button>
-      <div class="nav-links">
-        <a href="/admin" class="${activePage === 'entries' ? 'active' : ''}">Entries</a>
-        <a href="/admin/embed" class="${activePage === 'embed' ? 'active' : ''}">Embed</a>
-        <a href="/admin/settings" class="${activePage === 'settings' ? 'active' : ''}">Settings</a>
-        <a href="/" target="_blank">View Site</a>
-        <a href="#" onclick="logout(); return false;" class="logout">Logout</a>
-      </div>
-    </header>`;
+// Swaps the raw custom_fields column for the public answers, as [{ key, label, value }] in field order.
+// Private answers and answers to fields that have since been removed stay out of public output.
+function attachCustomFields(config, entries) {
+  const fields = getCustomFields(config).filter(field => field.public);
+  for (const entry of entries) {
+    const values = parseCustomFieldValues(entry.custom_fields);
+    entry.fields = fields
+      .filter(field => values[field.key])
+      .map(field => ({ key: field.key, label: field.label, value: String(values[field.key]) }));
+    delete entry.custom_fields;
+  }
+  return entries;
 }
 
-// Configuration Helpers
-async function initializeDatabase(env) {
+// Ban list
+// Bans match on the submitter's hashed IP, exact email, or website domain (including subdomains).
+// "reject" refuses the submission, "shadow" accepts it silently but files it under spam.
+const BAN_TYPES = ['ip', 'email', 'domain'];
+const BAN_MODES = ['reject', 'shadow'];
+
+function getSiteDomain(site) {
+  if (!site) return null;
   try {
-    const batch = [
-      env.DB.prepare(`CREATE TABLE IF NOT EXISTS entries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        message TEXT NOT NULL,
-        site TEXT,
-        email TEXT,
-        created_at TEXT NOT NULL DEFAULT (datetime('now')),
-        approved INTEGER NOT NULL DEFAULT 0
-      )`),
-      env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_approved ON entries(approved)`),
-      env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_created_at ON entries(created_at)`),
-      env.DB.prepare(`CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT
-      )`)
-    ];
-    await env.DB.batch(batch);
-    console.log('Database initialized');
+    return new URL(site).hostname.toLowerCase().replace(/^www\./, '') || null;
   } catch (e) {
-    console.error('Failed to initialize database', e);
+    return null;
   }
 }
 
-async function getAppConfig(env) {
-  // Initialize defaults from env
-  const config = {
-    SITENAME: env.SITENAME || 'Guestbook',
-    SITE_INTRO: env.SITE_INTRO || 'A simple guestbook powered by Cloudflare Workers. You can edit this in /admin/settings.',
-    SITE_DESCRIPTION: env.SITE_DESCRIPTION || 'A simple guestbook powered by Cloudflare Workers.',
-    SITE_ICON_URL: env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp',
-    SITE_COVER_IMAGE_URL: env.SITE_COVER_IMAGE_URL || '',
-    NAV_LINKS: env.NAV_LINKS || '[]',
-    CANONICAL_URL: env.CANONICAL_URL || '',
-    ALLOW_INDEXING: env.ALLOW_INDEXING !== 'false',
-    TURNSTILE_ENABLED: env.TURNSTILE_ENABLED !== 'false',
-    TURNSTILE_SITE_KEY: env.TURNSTILE_SITE_KEY || '',
-    TURNSTILE_SECRET_KEY: env.TURNSTILE_SECRET_KEY || '',
-    ENTRY_MODERATION: env.ENTRY_MODERATION !== 'false',
-    CUSTOM_CSS: env.CUSTOM_CSS || '',
-    // These remain cloudflare-main-env-only
-    ADMIN_PASSWORD: env.ADMIN_PASSWORD,
-    SESSION_SECRET: env.SESSION_SECRET,
-    DB: env.DB,
-    API_URL: env.API_URL
-  };
+async function findActiveBan(env, { ipHash, email, domain }) {
+  return await env.DB.prepare(`
+    SELECT * FROM bans
+    WHERE (expires_at IS NULL OR expires_at > datetime('now'))
+      AND ((type = 'ip' AND value = ?)
+        OR (type = 'email' AND value = ?)
+        OR (type = 'domain' AND (value = ? OR ? LIKE '%.' || value)))
+    ORDER BY CASE mode WHEN 'reject' THEN 0 ELSE 1 END
+    LIMIT 1
+  `).bind(ipHash || null, email ? email.toLowerCase() : null, domain, domain).first();
+}
 
-  try {
-    // Try to fetch settings from DB
-    const settings = await env.DB.prepare('SELECT key, value FROM settings').all();
-    if (settings.results) {
-      settings.results.forEach(row => {
-        if (row.key === 'TURNSTILE_ENABLED' || row.key === 'ENTRY_MODERATION' || row.key === 'ALLOW_INDEXING') {
-           config[row.key] = row.value === 'true';
-        } else {
-           config[row.key] = row.value;
-        }
-      });
+// days = 0 means the ban never expires
+async function addBan(env, { type, value, mode, days, reason }) {
+  await env.DB.prepare(`
+    INSERT INTO bans (type, value, mode, reason, created_at, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now'), CASE WHEN ? > 0 THEN datetime('now', '+' || ? || ' days') ELSE NULL END)
+    ON CONFLICT(type, value) DO UPDATE SET
+      mode = excluded.mode, reason = excluded.reason, created_at = excluded.created_at, expires_at = excluded.expires_at
+  `).bind(type, value, mode, reason || null, days, days).run();
+}
+
+async function getActiveBans(env) {
+  const rows = await env.DB.prepare(
+    "SELECT * FROM bans WHERE expires_at IS NULL OR expires_at > datetime('now') ORDER BY created_at DESC"
+  ).all();
+  return rows.results || [];
+}
+
+// Email notifications
+// Transports take a { to, from, subject, text, html } message. Add new ones to MAIL_TRANSPORTS.
+const MAIL_TRANSPORTS = {
+  // Prints the message to the worker logs, handy with `wrangler dev` or `wrangler tail`
+  log: async (message) => {
+    console.log('[mail]', JSON.stringify(message, null, 2));
+  },
+  // Generic JSON mail API (Resend, Postmark-style relays, your own endpoint...)
+  http: async (message, config) => {
+    if (!config.NOTIFY_HTTP_URL) throw new Error('Mail API URL is not configured');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.NOTIFY_HTTP_TOKEN) headers['Authorization'] = 'Bearer ' + config.NOTIFY_HTTP_TOKEN;
+    const response = await fetch(config.NOTIFY_HTTP_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`Mail API responded with ${response.status}: ${(await response.text()).slice(0, 200)}`);
     }
-  } catch (e) {
-    // Table might not exist yet, try to initialize
-    await initializeDatabase(env);
   }
+};
+const MODERATION_LINK_DURATION = 7 * 24 * 60 * 60; // seconds
 
-  return config;
+async function sendMail(config, message) {
+  const transport = MAIL_TRANSPORTS[config.NOTIFY_TRANSPORT];
+  if (!transport) throw new Error(`Unknown mail transport '${config.NOTIFY_TRANSPORT}'`);
+  await transport({ from: config.NOTIFY_EMAIL_FROM, to: config.NOTIFY_EMAIL_TO, ...message }, config);
+}
+
+// Moderation links use their own keys so they can never double as session tokens.
+// Like sessions, links signed with SESSION_SECRET_PREVIOUS still work during a rotation.
+function getModerationSecrets(env) {
+  return getSessionSecrets(env).map(secret => secret + ':moderation');
+}
+
+async function createModerationToken(env, action, entryId) {
+  const expires = Math.floor(Date.now() / 1000) + MODERATION_LINK_DURATION;
+  return await sign(`${action}:${entryId}:${expires}`, getModerationSecrets(env)[0]);
 }
 
-async function saveAppSettings(env, settings) {
-  // Ensure table exists (lazy init)
+// Returns { action, entryId } for a valid, unexpired token, otherwise null
+async function verifyModerationToken(env, token) {
+  let data = null;
+  for (const secret of getModerationSecrets(env)) {
+    data = await verify(token, secret);
+    if (data) break;
+  }
+  if (!data) return null;
+  const [action, entryId, expires] = data.split(':');
+  if (!['approve', 'delete'].includes(action)) return null;
+  if (!(parseInt(expires) > Date.now() / 1000)) return null;
+  return { action, entryId: parseInt(entryId) };
+}
+
+async function sendEntryNotification(env, config, entry, baseUrl) {
+  const approveUrl = baseUrl + '/moderate?t=' + encodeURIComponent(await createModerationToken(env, 'approve', entry.id));
+  const deleteUrl = baseUrl + '/moderate?t=' + encodeURIComponent(await createModerationToken(env, 'delete', entry.id));
+  const status = entry.approved ? 'Published' : 'Awaiting approval';
+  const sitename = config.SITENAME || 'Guestbook';
+  
+  const text = [
+    `New entry on ${sitename} (${status})`,
+    '',
+    `Name: ${entry.name}`,
+    entry.email ? `Email: ${entry.email}` : null,
+    entry.site ? `Website: ${entry.site}` : null,
+    '',
+    entry.message,
+    '',
+    entry.approved ? null : `Approve: ${approveUrl}`,
+    `Delete: ${deleteUrl}`,
+    `Admin: ${baseUrl}/admin`
+  ].filter(line => line !== null).join('\n');
+  
+  const html = `
+    <p><strong>New entry on ${escapeHtml(sitename)}</strong> (${status})</p>
+    <p>
+      <strong>${escapeHtml(entry.name)}</strong>
+      ${entry.email ? `&lt;${escapeHtml(entry.email)}&gt;` : ''}
+      ${entry.site ? `<br><a href="${escapeHtml(entry.site)}">${escapeHtml(entry.site)}</a>` : ''}
+    </p>
+    <blockquote style="border-left: 3px solid #ccc; margin: 0; padding-left: 1em;">${escapeHtml(entry.message).replace(/\n/g, '<br>')}</blockquote>
+    <p>
+      ${entry.approved ? '' : `<a href="${escapeHtml(approveUrl)}">Approve</a> &middot; `}
+      <a href="${escapeHtml(deleteUrl)}">Delete</a> &middot;
+      <a href="${escapeHtml(baseUrl)}/admin">Open admin</a>
+    </p>
+    <p style="color: #888; font-size: 0.85em;">These links expire in 7 days.</p>`;
+  
+  await sendMail(config, { subject: `New guestbook entry from ${entry.name}`, text, html });
+}
+
+// Outgoing webhooks
+// Each delivery is a JSON POST signed with the endpoint's secret:
+//   X-MyGB-Signature: sha256=<hex HMAC of the raw body>
+// Failed deliveries are retried a few times in the background and can be retried by hand from settings.
+const WEBHOOK_EVENTS = ['entry.created', 'entry.approved', 'entry.deleted', 'settings.updated'];
+// All attempts and their back-off have to finish inside the ~30s ctx.waitUntil allows after the response:
+// 3 x 5s timeouts + 8s of delays leaves room for the log updates. Anything still failing waits for the Retry button.
+const WEBHOOK_RETRY_DELAYS = [0, 2000, 6000]; // ms before each attempt
+const WEBHOOK_TIMEOUT = 5000; // ms per attempt
+const WEBHOOK_LOG_SIZE = 200;
+
+// Public view of an entry for webhook payloads (no email or IP hash)
+const WEBHOOK_ENTRY_FIELDS = 'id, guestbook_id, name, message, site, created_at, approved, reply, replied_at';
+
+async function getWebhookEntries(env, ids) {
+  const entries = [];
+  for (let i = 0; i < ids.length; i += BULK_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + BULK_CHUNK_SIZE);
+    const rows = await env.DB.prepare(
+      `SELECT ${WEBHOOK_ENTRY_FIELDS} FROM entries WHERE id IN (${chunk.map(() => '?').join(', ')})`
+    ).bind(...chunk).all();
+    entries.push(...(rows.results || []));
+  }
+  return entries;
+}
+
+async function getActiveWebhooks(env, event) {
+  const rows = await env.DB.prepare('SELECT * FROM webhooks WHERE active = 1').all();
+  return (rows.results || []).filter(hook => hook.events.split(',').includes(event));
+}
+
+async function attemptWebhookDelivery(env, webhook, delivery) {
+  const signature = Array.from(new Uint8Array(await hmacSha256(delivery.payload, webhook.secret)))
+    .map(b => b.toString(16).padStart(2, '0')).join('');
+  let responseStatus = null;
+  let error = null;
+  
   try {
-    await env.DB.prepare('CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT)').run();
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MyGB-Webhooks',
+        'X-MyGB-Event': delivery.event,
+        'X-MyGB-Delivery': String(delivery.id),
+        'X-MyGB-Signature': 'sha256=' + signature
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
   } catch (e) {
-    console.error('Failed to create settings table', e);
+    error = e.message;
   }
+  
+  await env.DB.prepare(`
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1, status = ?, response_status = ?, error = ?, last_attempt_at = datetime('now')
+    WHERE id = ?
+  `).bind(error ? 'failed' : 'success', responseStatus, error, delivery.id).run();
+  
+  return !error;
+}
 
-  const stmt = env.DB.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
-  const batch = [];
+async function deliverWebhook(env, webhook, delivery) {
+  for (const delay of WEBHOOK_RETRY_DELAYS) {
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+    if (await attemptWebhookDelivery(env, webhook, delivery)) return true;
+  }
+  return false;
+}
+
+// Records and delivers one event to every subscribed endpoint. Call inside ctx.waitUntil.
+async function dispatchWebhookEvent(env, event, data) {
+  const hooks = await getActiveWebhooks(env, event);
+  if (hooks.length === 0) return;
   
-  for (const [key, value] of Object.entries(settings)) {
-    batch.push(stmt.bind(key, String(value)));
+  const payload = JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data
+  });
+  
+  const deliveries = [];
+  for (const hook of hooks) {
+    const result = await env.DB.prepare(
+      'INSERT INTO webhook_deliveries (webhook_id, event, payload, created_at) VALUES (?, ?, ?, datetime("now"))'
+    ).bind(hook.id, event, payload).run();
+    deliveries.push(deliverWebhook(env, hook, { id: result.meta.last_row_id, event, payload }));
   }
+  await Promise.all(deliveries);
   
-  await env.DB.batch(batch);
+  await env.DB.prepare(
+    'DELETE FROM webhook_deliveries WHERE id NOT IN (SELECT id FROM webhook_deliveries ORDER BY id DESC LIMIT ?)'
+  ).bind(WEBHOOK_LOG_SIZE).run();
 }
 
-function getSettingsHTML(config) {
-  const sitename = config.SITENAME || 'Guestbook';
-  const siteIcon = config.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
-  
-  const extraStyles = `
-    .help-text { font-size: 0.875rem; color: var(--text-muted); margin-top: 0.25rem; }
-    .checkbox-group { display: flex; align-items: center; gap: 0.75rem; }
-    .checkbox-group input { width: 1rem; height: 1rem; margin: 0; cursor: pointer; }
-    .checkbox-group label { margin-bottom: 0; cursor: pointer; font-weight: 400; }
-    .btn-export {
-      text-decoration: none;
-      display: inline-flex;
+function queueWebhookEvent(env, ctx, event, data) {
+  ctx.waitUntil(
+    dispatchWebhookEvent(env, event, data).catch(e => console.error(`Failed to dispatch ${event} webhook`, e))
+  );
+}
+
+async function getWebhookSettingsData(env) {
+  const hooks = await env.DB.prepare('SELECT * FROM webhooks ORDER BY id').all();
+  const deliveries = await env.DB.prepare(`
+    SELECT d.id, d.webhook_id, d.event, d.status, d.attempts, d.response_status, d.error, d.created_at, d.last_attempt_at, w.url
+    FROM webhook_deliveries d LEFT JOIN webhooks w ON w.id = d.webhook_id
+    ORDER BY d.id DESC LIMIT 25
+  `).all();
+  return { webhooks: hooks.results || [], deliveries: deliveries.results || [] };
+}
+
+const COMMON_CSS = `
+    :root {
+      --primary: #2563eb;
+      --primary-hover: #1d4ed8;
+      --bg: #f8fafc;
+      --card-bg: #ffffff;
+      --text: #1e293b;
+      --text-muted: #64748b;
+      --text-content: #334155;
+      --border: #e2e8f0;
+      --shadow: 0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1);
+      --success: #10b981;
+      --warning: #f59e0b;
+      --danger: #ef4444;
+      --active-nav-bg: #eff6ff;
+      --active-nav-color: var(--primary);
+    }
+
+    @media (prefers-color-scheme: dark) {
+      :root {
+        --primary: #60a5fa;
+        --primary-hover: #93c5fd;
+        --bg: #0f172a;
+        --card-bg: #1e293b;
+        --text: #f1f5f9;
+        --text-muted: #94a3b8;
+        --text-content: #e2e8f0;
+        --border: #334155;
+        --shadow: 0 4px 6px -1px rgb(0 0 0 / 0.5), 0 2px 4px -2px rgb(0 0 0 / 0.5);
+        --active-nav-bg: #1e40af;
+        --active-nav-color: #e0f2fe;
+      }
+      
+      input, textarea {
+        background-color: var(--card-bg) !important;
+        color: var(--text) !important;
+        border-color: var(--border) !important;
+      }
+      
+      .entries-table th {
+        background-color: #1e293b !important;
+        color: var(--text-muted) !important;
+        border-bottom-color: var(--border) !important;
+      }
+      
+      .row-pending {
+        background-color: #121b2b !important;
+      }
+      
+      .badge-warning {
+        background-color: #451a03 !important;
+        color: #fcd34d !important;
+      }
+      
+      .message-content {
+        color: #e2e8f0 !important;
+      }
+      
+      pre {
+        background-color: #020617 !important;
+        color: #e2e8f0 !important;
+        border-color: var(--border) !important;
+      }
+      
+      .entry-site:hover {
+        background-color: #1e3a8a !important;
+      }
+
+      /* Dark mode overrides for mobile menu */
+      @media (max-width: 768px) {
+        .nav-links {
+          background-color: var(--card-bg) !important;
+          border-color: var(--border) !important;
+        }
+        .nav-links a:hover {
+          background-color: var(--border) !important;
+        }
+      }
+    }
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      line-height: 1.5;
+      color: var(--text);
+      background: var(--bg);
+      padding: 2rem 1rem;
+    }
+    .container {
+      max-width: var(--container-width, 1000px);
+      margin: 0 auto;
+    }
+    header {
+      display: flex;
+      justify-content: space-between;
       align-items: center;
-      justify-content: center;
-      padding: 0.5rem 1rem;
+      margin-bottom: 2rem;
+      padding-bottom: 1rem;
+      border-bottom: 1px solid var(--border);
+    }
+    h1 {
+       font-size: 1.25rem;
+       font-weight: 700;
+       color: var(--text);
+     }
+    .book-switcher {
+      margin-left: 0.75rem;
+      padding: 0.25rem 0.5rem;
+      font-size: 0.875rem;
       border: 1px solid var(--border);
       border-radius: 0.375rem;
-      color: var(--text);
       background: var(--card-bg);
+      color: var(--text);
+    }
+    .nav-links a {
+      color: var(--text-muted);
+      text-decoration: none;
       font-size: 0.875rem;
       font-weight: 500;
-      transition: background 0.15s;
+      padding: 0.5rem 1rem;
+      border-radius: 0.375rem;
+      transition: all 0.2s;
+      margin-left: 0.5rem;
     }
-    .btn-export:hover {
+    .nav-links a:hover {
       background: var(--border);
+      color: var(--text);
     }
-    .card-header {
-      padding: 1.25rem 1.5rem;
-      border-bottom: 1px solid var(--border);
+    .nav-links a.active {
+      background: var(--active-nav-bg);
+      color: var(--active-nav-color);
     }
-    .card-header h3 {
-      margin: 0;
-      font-size: 1.125rem;
+    .card {
+      background: var(--card-bg);
+      border-radius: 0.75rem;
+      box-shadow: var(--shadow);
+      border: 1px solid var(--border);
+      overflow: hidden;
+      margin-bottom: 2rem;
+    }
+    .form-group {
+      margin-bottom: 1.5rem;
+    }
+    label {
+      display: block;
+      margin-bottom: 0.5rem;
+      font-weight: 500;
+      color: var(--text);
+      font-size: 0.9375rem;
+    }
+    input[type="text"],
+    input[type="email"],
+    input[type="url"],
+    input[type="password"],
+    input[type="number"],
+    textarea {
+      width: 100%;
+      padding: 0.75rem 1rem;
+      border: 1px solid var(--border);
+      border-radius: 0.5rem;
+      font-size: 1rem;
+      transition: border-color 0.15s;
+      background: #fff;
+    }
+    input:focus, textarea:focus {
+      outline: none;
+      border-color: var(--primary);
+      box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.1);
+    }
+    button {
+      background: var(--primary);
+      color: var(--primary-text, white);
+      border: none;
+      padding: 0.75rem 1.5rem;
+      border-radius: 0.5rem;
+      cursor: pointer;
+      font-size: 1rem;
       font-weight: 600;
+      transition: background-color 0.15s;
     }
-    .card-body {
-      padding: 1.5rem;
+    button:hover {
+      background: var(--primary-hover);
     }
-  `;
+    button:disabled {
+      background: var(--text-muted);
+      cursor: not-allowed;
+      opacity: 0.7;
+    }
+    .message {
+      padding: 1rem;
+      border-radius: 0.5rem;
+      margin-bottom: 1.5rem;
+      font-size: 0.9375rem;
+    }
+    .message.success {
+      background: #ecfdf5;
+      color: #065f46;
+      border: 1px solid #a7f3d0;
+    }
+    .message.error {
+      background: #fef2f2;
+      color: #991b1b;
+      border: 1px solid #fecaca;
+    }
+    .text-muted { color: var(--text-muted); }
+    .text-sm { font-size: 0.75rem; }
 
-  return `<!DOCTYPE html>
-<html lang="en">
-${getHead('Settings - ' + sitename, siteIcon, extraStyles + (config.CUSTOM_CSS || ''), '', true)}
-<body>
-  <div class="container">
-    ${getAdminHeader('settings')}
-    
-    <div id="message-container"></div>
-    
-    <form id="settings-form">
-      <!-- General Settings -->
-      <div class="card">
-        <div class="card-header">
-          <h3>General</h3>
-        </div>
-        <div class="card-body">
-          <div class="form-group">
-            <label for="SITENAME">Site Name</label>
-            <input type="text" id="SITENAME" name="SITENAME" value="${escapeHtml(config.SITENAME)}">
-            <div class="help-text">Used as the page title.</div>
-          </div>
-          <div class="form-group">
-            <label for="SITE_INTRO">Site Intro</label>
-            <textarea id="SITE_INTRO" name="SITE_INTRO" rows="3" style="width: 100%; box-sizing: border-box;">${escapeHtml(config.SITE_INTRO || '')}</textarea>
-            <div class="help-text">Displayed on the home page above the form. Supports basic HTML.</div>
-          </div>
-          <div class="form-group">
-            <label for="SITE_DESCRIPTION">Site Description</label>
-            <textarea id="SITE_DESCRIPTION" name="SITE_DESCRIPTION" rows="2" style="width: 100%; box-sizing: border-box;">${escapeHtml(config.SITE_DESCRIPTION || '')}</textarea>
-            <div class="help-text">Used for meta description and social media cards.</div>
-          </div>
-          <div class="form-group">
-            <label for="SITE_ICON_URL">Site Icon URL</label>
-            <input type="url" id="SITE_ICON_URL" name="SITE_ICON_URL" value="${escapeHtml(config.SITE_ICON_URL)}">
-            <div class="help-text">URL to your site's favicon or logo (square recommended).</div>
-          </div>
-          <div class="form-group">
-            <label for="SITE_COVER_IMAGE_URL">Site Cover Image URL</label>
-            <input type="url" id="SITE_COVER_IMAGE_URL" name="SITE_COVER_IMAGE_URL" value="${escapeHtml(config.SITE_COVER_IMAGE_URL || '')}">
-            <div class="help-text">URL to an image used for social media sharing (Open Graph / Twitter). Recommended size: 1200x630.</div>
-          </div>
-          <div class="form-group">
-            <label for="CANONICAL_URL">Canonical URL</label>
-            <input type="url" id="CANONICAL_URL" name="CANONICAL_URL" value="${escapeHtml(config.CANONICAL_URL || '')}">
-            <div class="help-text">The authoritative URL for your guestbook. Useful if you embed the guestbook on another site.</div>
-          </div>
-          <div class="checkbox-group" style="margin-top: 1rem;">
-            <input type="checkbox" id="ALLOW_INDEXING" name="ALLOW_INDEXING" ${config.ALLOW_INDEXING ? 'checked' : ''}>
-            <label for="ALLOW_INDEXING">Allow Search Engine Indexing</label>
-          </div>
-          <div class="help-text">If unchecked, adds <code>noindex, nofollow</code> to prevent search engines from indexing this page.</div>
-        </div>
-      </div>
-      
-      <!-- Navigation Settings -->
-      <div class="card">
-        <div class="card-header">
-          <h3>Navigation</h3>
-        </div>
-        <div class="card-body">
-          <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">Add links to your main website or other pages. These will appear in the header.</p>
-          <div id="nav-links-container"></div>
-          <button type="button" id="add-link-btn" style="margin-top: 1rem; background: var(--card-bg); color: var(--text); border: 1px dashed var(--border); width: auto;">+ Add Link</button>
-          <input type="hidden" id="NAV_LINKS" name="NAV_LINKS" value="${escapeHtml(config.NAV_LINKS || '[]')}">
-        </div>
-      </div>
-      
-      <!-- Moderation Settings -->
-      <div class="card">
-        <div class="card-header">
-          <h3>Moderation</h3>
-        </div>
-        <div class="card-body">
-          <div class="checkbox-group">
-            <input type="checkbox" id="ENTRY_MODERATION" name="ENTRY_MODERATION" ${config.ENTRY_MODERATION ? 'checked' : ''}>
-            <label for="ENTRY_MODERATION">Require approval for new entries</label>
-          </div>
-          <div class="help-text">If checked, entries will not appear publicly until you approve them.</div>
-        </div>
-      </div>
-      
-      <!-- Security Settings -->
-      <div class="card">
-        <div class="card-header">
-          <h3>Security (Cloudflare Turnstile)</h3>
-        </div>
-        <div class="card-body">
-          <div class="checkbox-group" style="margin-bottom: 1rem;">
-            <input type="checkbox" id="TURNSTILE_ENABLED" name="TURNSTILE_ENABLED" ${config.TURNSTILE_ENABLED ? 'checked' : ''}>
-            <label for="TURNSTILE_ENABLED">Enable Turnstile CAPTCHA</label>
-          </div>
-          
-          <div class="form-group">
-            <label for="TURNSTILE_SITE_KEY">Site Key</label>
-            <input type="text" id="TURNSTILE_SITE_KEY" name="TURNSTILE_SITE_KEY" value="${escapeHtml(config.TURNSTILE_SITE_KEY)}">
-          </div>
-          <div class="form-group">
-            <label for="TURNSTILE_SECRET_KEY">Secret Key</label>
-            <input type="password" id="TURNSTILE_SECRET_KEY" name="TURNSTILE_SECRET_KEY" value="${escapeHtml(config.TURNSTILE_SECRET_KEY)}">
-            <div class="help-text">Keep this secret! It's used to verify tokens.</div>
-          </div>
-        </div>
-      </div>
+    .logout { 
+      color: #ef4444 !important; 
+    }
+    .logout:hover { 
+      background: #fef2f2 !important; 
+    }
+    /* Mobile Menu */
+    .hamburger { display: none; background: none; border: none; font-size: 1.5rem; padding: 0.5rem; color: var(--text); cursor: pointer; }
+    @media (max-width: 768px) {
+      .hamburger { display: block; }
+      .nav-links {
+        display: none;
+        position: absolute;
+        top: 100%;
+        left: 0;
+        right: 0;
+        background: var(--card-bg);
+        border-bottom: 1px solid var(--border);
+        flex-direction: column;
+        padding: 1rem;
+        box-shadow: var(--shadow);
+        z-index: 50;
+      }
+      .nav-links.active { display: flex; }
+      .nav-links a { margin: 0 0 0.5rem 0; display: block; text-align: center; padding: 0.75rem; }
+      header { position: relative; }
+    }
+`;
 
-      <!-- Appearance Settings -->
-      <div class="card">
-        <div class="card-header">
-          <h3>Appearance</h3>
-        </div>
-        <div class="card-body">
-          <div class="form-group">
-            <label for="CUSTOM_CSS">Custom CSS</label>
-            <textarea id="CUSTOM_CSS" name="CUSTOM_CSS" placeholder=".container { max-width: 800px; } /* Target classes like .entry, .card, .btn */" style="font-family: monospace; min-height: 150px; width: 100%; box-sizing: border-box;">${escapeHtml(config.CUSTOM_CSS || '')}</textarea>
-            <div class="help-text">
-              Add custom CSS to style both the guestbook and admin UI. 
-              <br><strong>Common targets:</strong> <code>.container</code>, <code>.card</code>, <code>.entry</code>, <code>.entry-header</code>, <code>.entry-content</code>, <code>button</code>.
-            </div>
-          </div>
-        </div>
-      </div>
+function getHead(title, siteIcon, extraStyles = '', extraHead = '', noIndex = false) {
+  let metaTags = '';
+  if (noIndex) {
+    metaTags += '<meta name="robots" content="noindex, nofollow">\n';
+  }
+  return `
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  ${metaTags}
+  <title>${escapeHtml(title)}</title>
+  <link rel="icon" href="${escapeHtml(siteIcon)}">
+  <link rel="apple-touch-icon" href="${escapeHtml(siteIcon)}">
+  <style>
+    ${COMMON_CSS}
+    ${extraStyles}
+  </style>
+  ${extraHead}
+</head>`;
+}
 
-      <!-- Export Data -->
-      <div class="card">
-        <div class="card-header">
-          <h3>Export Data</h3>
-        </div>
-        <div class="card-body">
-          <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">Download your guestbook data. Email addresses are excluded from these public exports.</p>
-          <div style="display: flex; gap: 1rem;">
-            <a href="/data.json" target="_blank" class="btn-export">Download JSON</a>
-            <a href="/data.csv" target="_blank" class="btn-export">Download CSV</a>
-          </div>
-        </div>
-      </div>
-      
-      <div style="position: sticky; bottom: 1rem; z-index: 10;">
-        <button type="submit" style="width: 100%; padding: 0.75rem 1.5rem; box-shadow: 0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1);">Save Settings</button>
+function getAdminHeader(activePage, env) {
+  const books = env.BOOKS || [];
+  const isOwner = hasRole(env.USER, 'owner');
+  const t = (key, params) => translate(ADMIN_MESSAGES, env.LOCALE || FALLBACK_LOCALE, key, params);
+  // Only worth showing once there's a second guestbook
+  const switcher = books.length > 1 ? `
+      <select class="book-switcher" aria-label="${escapeHtml(t('nav.guestbook'))}" onchange="location.href = '/admin/book?slug=' + this.value + '&next=' + encodeURIComponent(location.pathname)">
+        ${books.map(book => `<option value="${escapeHtml(book.slug)}" ${book.id === env.BOOK.id ? 'selected' : ''}>${escapeHtml(book.name)}</option>`).join('')}
+      </select>` : '';
+  return `
+    <header>
+      <h1>${escapeHtml(t('nav.title'))}${switcher}</h1>
+      <button class="hamburger" onclick="document.querySelector('.nav-links').classList.toggle('active')" aria-label="${escapeHtml(t('nav.menu'))}">☰</button>
+      <div class="nav-links">
+        <a href="/admin" class="${activePage === 'entries' ? 'active' : ''}">${escapeHtml(t('nav.entries'))}</a>
+        ${isOwner ? `<a href="/admin/import" class="${activePage === 'import' ? 'active' : ''}">${escapeHtml(t('nav.import'))}</a>` : ''}
+        <a href="/admin/embed" class="${activePage === 'embed' ? 'active' : ''}">${escapeHtml(t('nav.embed'))}</a>
+        ${isOwner ? `<a href="/admin/settings" class="${activePage === 'settings' ? 'active' : ''}">${escapeHtml(t('nav.settings'))}</a>` : ''}
+        ${isOwner ? `<a href="/admin/schema" class="${activePage === 'schema' ? 'active' : ''}">${escapeHtml(t('nav.schema'))}</a>` : ''}
+        <a href="/admin/users" class="${activePage === 'users' ? 'active' : ''}">${escapeHtml(isOwner ? t('nav.users') : t('nav.account'))}</a>
+        <a href="/admin/sessions" class="${activePage === 'sessions' ? 'active' : ''}">${escapeHtml(t('nav.sessions'))}</a>
+        <a href="${bookUrl(env, '/')}" target="_blank">${escapeHtml(t('nav.viewSite'))}</a>
+        <a href="#" onclick="logout(); return false;" class="logout" title="${escapeHtml(t('nav.signedInAs', { username: env.USER ? env.USER.username : '' }))}">${escapeHtml(t('nav.logout'))}</a>
       </div>
-    </form>
-  </div>
-  
-  <script>
-    // Navigation Links Management
-    const navLinksInput = document.getElementById('NAV_LINKS');
-    const navLinksContainer = document.getElementById('nav-links-container');
-    const addLinkBtn = document.getElementById('add-link-btn');
-    
-    let navLinks = [];
+    </header>`;
+}
+
+// Database migrations
+// Migrations run once each, in version order, and are recorded in schema_migrations.
+// Never edit a migration that has already shipped - append a new one instead.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Create entries and settings tables',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        message TEXT NOT NULL,
+        site TEXT,
+        email TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        approved INTEGER NOT NULL DEFAULT 0
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_approved ON entries(approved)`,
+      `CREATE INDEX IF NOT EXISTS idx_created_at ON entries(created_at)`,
+      `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'Add owner replies to entries',
+    statements: [
+      `ALTER TABLE entries ADD COLUMN reply TEXT`,
+      `ALTER TABLE entries ADD COLUMN replied_at TEXT`
+    ]
+  },
+  {
+    version: 3,
+    name: 'Add spam flag to entries',
+    statements: [
+      `ALTER TABLE entries ADD COLUMN spam INTEGER NOT NULL DEFAULT 0`
+    ]
+  },
+  {
+    version: 4,
+    name: 'Add hidden flag and entry edit history',
+    statements: [
+      `ALTER TABLE entries ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0`,
+      `CREATE TABLE IF NOT EXISTS entry_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        message TEXT NOT NULL,
+        site TEXT,
+        edited_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_entry_revisions_entry ON entry_revisions(entry_id)`,
+      `CREATE TRIGGER IF NOT EXISTS trg_entries_delete_revisions AFTER DELETE ON entries
+      BEGIN
+        DELETE FROM entry_revisions WHERE entry_id = OLD.id;
+      END`
+    ]
+  },
+  {
+    version: 5,
+    name: 'Record spam filter scores on entries',
+    statements: [
+      `ALTER TABLE entries ADD COLUMN spam_score INTEGER NOT NULL DEFAULT 0`,
+      `ALTER TABLE entries ADD COLUMN spam_reasons TEXT`
+    ]
+  },
+  {
+    version: 6,
+    name: 'Add submission rate limit counters',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits(expires_at)`
+    ]
+  },
+  {
+    version: 7,
+    name: 'Add submitter IP hash and ban list',
+    statements: [
+      `ALTER TABLE entries ADD COLUMN ip_hash TEXT`,
+      `CREATE TABLE IF NOT EXISTS bans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'reject',
+        reason TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        expires_at TEXT,
+        UNIQUE(type, value)
+      )`
+    ]
+  },
+  {
+    version: 8,
+    name: 'Add webhooks and delivery log',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_attempt_at TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id)`
+    ]
+  },
+  {
+    version: 9,
+    name: 'Add entry reactions',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS entry_reactions (
+        entry_id INTEGER NOT NULL,
+        emoji TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (entry_id, emoji)
+      )`,
+      `CREATE TABLE IF NOT EXISTS reaction_votes (
+        entry_id INTEGER NOT NULL,
+        emoji TEXT NOT NULL,
+        voter_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (entry_id, emoji, voter_hash)
+      )`,
+      `CREATE TRIGGER IF NOT EXISTS trg_entries_delete_reactions AFTER DELETE ON entries
+      BEGIN
+        DELETE FROM entry_reactions WHERE entry_id = OLD.id;
+        DELETE FROM reaction_votes WHERE entry_id = OLD.id;
+      END`
+    ]
+  },
+  {
+    version: 10,
+    name: 'Add pinned flag to entries',
+    statements: [
+      `ALTER TABLE entries ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0`
+    ]
+  },
+  {
+    version: 11,
+    name: 'Add guestbooks',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS guestbooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )`,
+      `INSERT OR IGNORE INTO guestbooks (id, slug, name) VALUES (1, 'default', 'Default')`,
+      `ALTER TABLE entries ADD COLUMN guestbook_id INTEGER NOT NULL DEFAULT 1`,
+      `CREATE INDEX IF NOT EXISTS idx_entries_guestbook ON entries(guestbook_id, approved, id)`,
+      // Settings become per guestbook; the existing ones belong to the default book
+      `CREATE TABLE settings_new (
+        guestbook_id INTEGER NOT NULL DEFAULT 1,
+        key TEXT NOT NULL,
+        value TEXT,
+        PRIMARY KEY (guestbook_id, key)
+      )`,
+      `INSERT INTO settings_new (guestbook_id, key, value) SELECT 1, key, value FROM settings`,
+      `DROP TABLE settings`,
+      `ALTER TABLE settings_new RENAME TO settings`
+    ]
+  },
+  {
+    version: 12,
+    name: 'Add custom form field answers to entries',
+    statements: [
+      `ALTER TABLE entries ADD COLUMN custom_fields TEXT`
+    ]
+  },
+  {
+    version: 13,
+    name: 'Add admin user accounts',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'moderator',
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_login_at TEXT
+      )`
+    ]
+  },
+  {
+    version: 14,
+    name: 'Add server-side admin sessions',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        last_seen_at TEXT NOT NULL DEFAULT (datetime('now')),
+        expires_at TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)`,
+      `CREATE TRIGGER IF NOT EXISTS trg_users_delete_sessions AFTER DELETE ON users
+      BEGIN
+        DELETE FROM sessions WHERE user_id = OLD.id;
+      END`
+    ]
+  },
+  {
+    version: 15,
+    name: 'Add a stable salt for hashed identifiers',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS deployment_secrets (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )`,
+      // Hashes used to be salted with SESSION_SECRET, so IP bans and reaction votes made before this start over once
+      `INSERT OR IGNORE INTO deployment_secrets (key, value) VALUES ('identifier_salt', lower(hex(randomblob(32))))`
+    ]
+  }
+];
+
+// Migration state is kept per isolate so only the first request pays for the check
+let migrationPromise = null;
+let lastMigrationError = null;
+
+async function getAppliedMigrations(env) {
+  try {
+    const rows = await env.DB.prepare(
+      'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    ).all();
+    return rows.results || [];
+  } catch (e) {
+    // Table doesn't exist yet
+    return [];
+  }
+}
+
+async function runMigrations(env) {
+  await env.DB.prepare(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`).run();
+
+  const applied = new Set((await getAppliedMigrations(env)).map(m => m.version));
+  const ran = [];
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    // Statements and the version record go in one batch so a failure leaves nothing half-applied
+    const batch = migration.statements.map(sql => env.DB.prepare(sql));
+    batch.push(
+      env.DB.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, datetime("now"))')
+        .bind(migration.version, migration.name)
+    );
+
     try {
-      navLinks = JSON.parse(navLinksInput.value || '[]');
+      await env.DB.batch(batch);
     } catch (e) {
-      navLinks = [];
+      // Another isolate may have applied it at the same time
+      const row = await env.DB.prepare('SELECT version FROM schema_migrations WHERE version = ?')
+        .bind(migration.version).first();
+      if (!row) {
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+      }
     }
+    ran.push(migration.version);
+  }
 
-    function renderNavLinks() {
-      navLinksContainer.innerHTML = '';
-      if (navLinks.length === 0) {
-        navLinksContainer.innerHTML = '<p class="text-muted" style="font-style: italic; font-size: 0.875rem;">No links added yet.</p>';
-      }
-      navLinks.forEach((link, index) => {
-        const row = document.createElement('div');
-        row.style.cssText = 'display: flex; gap: 0.5rem; margin-bottom: 0.5rem; align-items: center;';
-        // Simple escape for attribute values
-        const safeLabel = (link.label || '').replace(/"/g, '&quot;');
-        const safeUrl = (link.url || '').replace(/"/g, '&quot;');
-        
-        row.innerHTML = 
-          '<input type="text" placeholder="Label" value="' + safeLabel + '" data-index="' + index + '" data-key="label" class="nav-link-input" style="flex: 1;">' +
-          '<input type="url" placeholder="URL" value="' + safeUrl + '" data-index="' + index + '" data-key="url" class="nav-link-input" style="flex: 2;">' +
-          '<button type="button" data-index="' + index + '" class="remove-link-btn" style="padding: 0.5rem 0.75rem; background: #fee2e2; color: #dc2626; border: 1px solid #fecaca; border-radius: 0.375rem; cursor: pointer; width: auto; font-weight: bold;">&times;</button>';
-        navLinksContainer.appendChild(row);
+  if (ran.length > 0) {
+    console.log('Applied database migrations:', ran.join(', '));
+  }
+  return ran;
+}
+
+async function ensureDatabase(env) {
+  if (!migrationPromise) {
+    migrationPromise = runMigrations(env)
+      .then(() => { lastMigrationError = null; })
+      .catch(e => {
+        console.error('Failed to migrate database', e);
+        lastMigrationError = e.message;
+        // Allow the next request to retry
+        migrationPromise = null;
       });
-    }
+  }
+  return migrationPromise;
+}
 
-    function updateHiddenInput() {
-      navLinksInput.value = JSON.stringify(navLinks);
-    }
+async function getSchemaStatus(env) {
+  const applied = await getAppliedMigrations(env);
+  const appliedVersions = new Set(applied.map(m => m.version));
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+    applied,
+    pending: MIGRATIONS.filter(m => !appliedVersions.has(m.version)),
+    error: lastMigrationError
+  };
+}
 
-    // Event delegation for inputs
-    navLinksContainer.addEventListener('input', (e) => {
-      if (e.target.classList.contains('nav-link-input')) {
-        const index = parseInt(e.target.dataset.index);
-        const key = e.target.dataset.key;
-        navLinks[index][key] = e.target.value;
-        updateHiddenInput();
-      }
-    });
+// Configuration Helpers
+// Settings stored as 'true'/'false' strings that getAppConfig turns back into booleans
+const BOOLEAN_SETTINGS = ['TURNSTILE_ENABLED', 'ENTRY_MODERATION', 'ALLOW_INDEXING', 'FEEDS_ENABLED', 'MESSAGE_FORMATTING', 'REACTIONS_ENABLED', 'SPAM_FILTER_ENABLED', 'NOTIFY_ENABLED'];
 
-    // Event delegation for remove buttons
-    navLinksContainer.addEventListener('click', (e) => {
-      if (e.target.classList.contains('remove-link-btn')) {
-        const index = parseInt(e.target.dataset.index);
-        navLinks.splice(index, 1);
-        renderNavLinks();
-        updateHiddenInput();
-      }
-    });
+// Guestbooks
+// Every deployment has the default guestbook, served at the original paths. Other books live
+// under /b/:slug (pages) and /api/b/:slug (API), each with its own entries and settings.
+const DEFAULT_BOOK = { id: 1, slug: 'default', name: 'Default' };
+const BOOK_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const BOOK_PATH_PATTERN = /^(\/api)?\/b\/([a-z0-9-]+)(\/.*)?$/;
 
-    addLinkBtn.addEventListener('click', () => {
-      navLinks.push({ label: '', url: '' });
-      renderNavLinks();
-      updateHiddenInput();
-    });
+async function getGuestbook(env, slug) {
+  return await env.DB.prepare('SELECT id, slug, name FROM guestbooks WHERE slug = ?').bind(slug).first();
+}
 
-    renderNavLinks();
+async function getGuestbooks(env) {
+  const rows = await env.DB.prepare(`
+    SELECT g.id, g.slug, g.name, g.created_at, COUNT(e.id) AS entries
+    FROM guestbooks g LEFT JOIN entries e ON e.guestbook_id = g.id
+    GROUP BY g.id ORDER BY g.id
+  `).all();
+  return rows.results || [];
+}
 
-    document.getElementById('settings-form').addEventListener('submit', async (e) => {
-      e.preventDefault();
-      const form = e.target;
-      const button = form.querySelector('button[type="submit"]');
-      const messageContainer = document.getElementById('message-container');
-      const formData = new FormData(form);
-      
-      button.disabled = true;
-      button.textContent = 'Saving...';
-      
-      try {
-        const response = await fetch('/api/settings', {
-          method: 'POST',
-          body: formData
-        });
-        
-        const result = await response.json();
-        
-        if (result.success) {
-          messageContainer.innerHTML = '<div class="message success">Settings saved successfully. Reloading...</div>';
-          setTimeout(() => location.reload(), 1000);
-        } else {
-          messageContainer.innerHTML = '<div class="message error">' + (result.error || 'Failed to save settings') + '</div>';
-        }
-      } catch (error) {
-        messageContainer.innerHTML = '<div class="message error">An error occurred. Please try again.</div>';
-      } finally {
-        button.disabled = false;
-        button.textContent = 'Save Settings';
-      }
-    });
-    
-    async function logout() {
-      try {
-        await fetch('/logout', { method: 'POST' });
-        window.location.href = '/login';
-      } catch (error) {
-        window.location.href = '/login';
-      }
-    }
-  </script>
-</body>
-</html>`;
+// New books start with a copy of the default book's settings under their own name
+async function createGuestbook(env, { slug, name }) {
+  const bookId = '(SELECT id FROM guestbooks WHERE slug = ?)';
+  await env.DB.batch([
+    env.DB.prepare('INSERT INTO guestbooks (slug, name, created_at) VALUES (?, ?, datetime("now"))').bind(slug, name),
+    env.DB.prepare(`INSERT INTO settings (guestbook_id, key, value) SELECT ${bookId}, key, value FROM settings WHERE guestbook_id = ? AND key != 'SITENAME'`)
+      .bind(slug, DEFAULT_BOOK.id),
+    env.DB.prepare(`INSERT INTO settings (guestbook_id, key, value) VALUES (${bookId}, 'SITENAME', ?)`).bind(slug, name)
+  ]);
 }
 
-// HTML templates
-function getIndexHTML(entries, env, currentHostname) {
-  const sitename = env.SITENAME || 'Guestbook';
-  // Ensure turnstileSiteKey is always a primitive string (not String object)
-  let turnstileSiteKey = env.TURNSTILE_SITE_KEY;
-  if (typeof turnstileSiteKey !== 'string') {
-    turnstileSiteKey = String(turnstileSiteKey || '');
-  }
-  // Ensure it's a primitive string, not a String object
-  turnstileSiteKey = '' + turnstileSiteKey;
-  
-  const entriesHTML = entries.length === 0 
-    ? `<div class="empty-state"><img src="${escapeHtml(env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp')}" alt="Guestbook" class="empty-icon-img" width="64" height="64"><p>No entries yet. Be the first to sign!</p></div>`
-    : entries.map(entry => `
-      <div class="entry">
-        <div class="entry-header">
-          <div class="entry-avatar">${escapeHtml(entry.name).charAt(0).toUpperCase()}</div>
-          <div class="entry-meta">
-            <strong class="entry-name">
-              ${entry.site 
-                ? `<a href="${escapeHtml(entry.site)}${entry.site.includes('?') ? '&' : '?'}via=${escapeHtml(currentHostname || '')}" target="_blank" rel="nofollow" class="name-link">${escapeHtml(entry.name)}</a>` 
-                : escapeHtml(entry.name)
-              }
-            </strong>
-            <span class="entry-date client-date" datetime="${entry.created_at}">${formatDate(entry.created_at)}</span>
-          </div>
-        </div>
-        <div class="entry-content">${escapeHtml(entry.message).replace(/\n/g, '<br>')}</div>
-      </div>
-    `).join('');
-  
-  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
-  
-  // Meta tags
-   const siteDescription = env.SITE_DESCRIPTION || 'A simple guestbook powered by Cloudflare Workers.';
-   const siteCoverImage = env.SITE_COVER_IMAGE_URL || '';
-   const canonicalUrl = env.CANONICAL_URL || '';
-   const allowIndexing = env.ALLOW_INDEXING !== false; // Default to true
-   
-   let extraHead = '<script src="https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit" async defer></script><script>' + CLIENT_COMMON_JS + '</script>';
-   
-   if (!allowIndexing) {
-     extraHead += `
-   <meta name="robots" content="noindex, nofollow">`;
-   }
-   
-   if (canonicalUrl) {
-     extraHead += `
-   <link rel="canonical" href="${escapeHtml(canonicalUrl)}">`;
-   }
-   
-   if (siteDescription) {
-     extraHead += `
-   <meta name="description" content="${escapeHtml(siteDescription)}">`;
-   }
-  
-  extraHead += `
-  <meta property="og:title" content="${escapeHtml(sitename)}">`;
+// Entries take their revisions and reactions with them (see the triggers on entries)
+async function deleteGuestbook(env, id) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM entries WHERE guestbook_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM settings WHERE guestbook_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM guestbooks WHERE id = ?').bind(id)
+  ]);
+}
 
-  if (siteDescription) {
-    extraHead += `
-  <meta property="og:description" content="${escapeHtml(siteDescription)}">`;
-  }
+// Path of a page or API route of the configured guestbook; the default book keeps the original paths
+function bookUrl(config, path) {
+  const book = config.BOOK;
+  if (!book || book.id === DEFAULT_BOOK.id) return path;
+  if (path === '/api' || path.startsWith('/api/')) return `/api/b/${book.slug}${path.slice(4)}`;
+  return `/b/${book.slug}${path}`;
+}
 
-  if (siteCoverImage) {
-    extraHead += `
-  <meta property="og:image" content="${escapeHtml(siteCoverImage)}">`;
-  }
+// config.BOOK is null when no guestbook has that slug
+async function getAppConfig(env, bookSlug = DEFAULT_BOOK.slug) {
+  // Initialize defaults from env
+  const config = {
+    SITENAME: env.SITENAME || 'Guestbook',
+    SITE_INTRO: env.SITE_INTRO || 'A simple guestbook powered by Cloudflare Workers. You can edit this in /admin/settings.',
+    SITE_DESCRIPTION: env.SITE_DESCRIPTION || 'A simple guestbook powered by Cloudflare Workers.',
+    SITE_ICON_URL: env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp',
+    SITE_COVER_IMAGE_URL: env.SITE_COVER_IMAGE_URL || '',
+    NAV_LINKS: env.NAV_LINKS || '[]',
+    CUSTOM_FIELDS: env.CUSTOM_FIELDS || '[]',
+    CANONICAL_URL: env.CANONICAL_URL || '',
+    ALLOW_INDEXING: env.ALLOW_INDEXING !== 'false',
+    FEEDS_ENABLED: env.FEEDS_ENABLED !== 'false',
+    TURNSTILE_ENABLED: env.TURNSTILE_ENABLED !== 'false',
+    TURNSTILE_SITE_KEY: env.TURNSTILE_SITE_KEY || '',
+    TURNSTILE_SECRET_KEY: env.TURNSTILE_SECRET_KEY || '',
+    ENTRY_MODERATION: env.ENTRY_MODERATION !== 'false',
+    SPAM_FILTER_ENABLED: env.SPAM_FILTER_ENABLED === 'true',
+    SPAM_BLOCKLIST: env.SPAM_BLOCKLIST || '',
+    SPAM_BLOCKLIST_SCORE: env.SPAM_BLOCKLIST_SCORE || '5',
+    SPAM_MAX_LINKS: env.SPAM_MAX_LINKS || '2',
+    SPAM_LINKS_SCORE: env.SPAM_LINKS_SCORE || '3',
+    SPAM_HONEYPOT_SCORE: env.SPAM_HONEYPOT_SCORE || '10',
+    SPAM_MIN_SUBMIT_SECONDS: env.SPAM_MIN_SUBMIT_SECONDS || '3',
+    SPAM_MIN_TIME_SCORE: env.SPAM_MIN_TIME_SCORE || '5',
+    SPAM_DUPLICATE_HOURS: env.SPAM_DUPLICATE_HOURS || '24',
+    SPAM_DUPLICATE_SCORE: env.SPAM_DUPLICATE_SCORE || '5',
+    SPAM_HOLD_SCORE: env.SPAM_HOLD_SCORE || '3',
+    SPAM_REJECT_SCORE: env.SPAM_REJECT_SCORE || '10',
+    RATE_LIMIT_WINDOW_MINUTES: env.RATE_LIMIT_WINDOW_MINUTES || '10',
+    RATE_LIMIT_PER_IP: env.RATE_LIMIT_PER_IP || '5',
+    RATE_LIMIT_PER_EMAIL: env.RATE_LIMIT_PER_EMAIL || '3',
+    NOTIFY_ENABLED: env.NOTIFY_ENABLED === 'true',
+    NOTIFY_TRANSPORT: env.NOTIFY_TRANSPORT || 'log',
+    NOTIFY_EMAIL_TO: env.NOTIFY_EMAIL_TO || '',
+    NOTIFY_EMAIL_FROM: env.NOTIFY_EMAIL_FROM || '',
+    NOTIFY_HTTP_URL: env.NOTIFY_HTTP_URL || '',
+    NOTIFY_HTTP_TOKEN: env.NOTIFY_HTTP_TOKEN || '',
+    MESSAGE_FORMATTING: env.MESSAGE_FORMATTING === 'true',
+    AVATAR_MODE: env.AVATAR_MODE || 'initials',
+    DEFAULT_LOCALE: env.DEFAULT_LOCALE || FALLBACK_LOCALE,
+    REACTIONS_ENABLED: env.REACTIONS_ENABLED === 'true',
+    REACTION_EMOJIS: env.REACTION_EMOJIS || '👍 ❤️ 😂 🎉',
+    THEME: env.THEME || 'default',
+    THEME_VARIABLES: env.THEME_VARIABLES || '{}',
+    CUSTOM_CSS: env.CUSTOM_CSS || '',
+    // These remain cloudflare-main-env-only
+    ADMIN_PASSWORD: env.ADMIN_PASSWORD,
+    SESSION_SECRET: env.SESSION_SECRET,
+    DB: env.DB,
+    API_URL: env.API_URL
+  };
 
-  extraHead += `
-  <meta name="twitter:title" content="${escapeHtml(sitename)}">`;
+  // Bring the schema up to date before the first query
+  await ensureDatabase(env);
 
-  if (siteDescription) {
-    extraHead += `
-  <meta name="twitter:description" content="${escapeHtml(siteDescription)}">`;
-  }
-  
-  if (siteCoverImage) {
-    extraHead += `
-  <meta name="twitter:image" content="${escapeHtml(siteCoverImage)}">
-  <meta name="twitter:card" content="summary_large_image">`;
-  } else {
-    extraHead += `
-  <meta name="twitter:card" content="summary">`;
+  try {
+    config.BOOK = await getGuestbook(env, bookSlug);
+  } catch (e) {
+    // Not migrated yet, only the default book exists
+    config.BOOK = bookSlug === DEFAULT_BOOK.slug ? { ...DEFAULT_BOOK } : null;
   }
-  
-  let navLinks = [];
+  if (!config.BOOK) return config;
+
   try {
-    navLinks = JSON.parse(env.NAV_LINKS || '[]');
+    // Try to fetch settings from DB
+    const settings = await env.DB.prepare('SELECT key, value FROM settings WHERE guestbook_id = ?').bind(config.BOOK.id).all();
+    if (settings.results) {
+      settings.results.forEach(row => {
+        if (BOOLEAN_SETTINGS.includes(row.key)) {
+           config[row.key] = row.value === 'true';
+        } else {
+           config[row.key] = row.value;
+        }
+      });
+    }
   } catch (e) {
-    navLinks = [];
+    console.error('Failed to load settings', e);
   }
+
+  return config;
+}
+
+async function saveAppSettings(env, bookId, settings) {
+  const stmt = env.DB.prepare('INSERT OR REPLACE INTO settings (guestbook_id, key, value) VALUES (?, ?, ?)');
+  const batch = [];
   
-  const navLinksHTML = navLinks.length > 0 ? `
-    <nav class="header-nav">
-      ${navLinks.map(link => `<a href="${escapeHtml(link.url)}" class="nav-link">${escapeHtml(link.label)}</a>`).join('')}
-    </nav>` : '';
+  for (const [key, value] of Object.entries(settings)) {
+    batch.push(stmt.bind(bookId, key, String(value)));
+  }
+  
+  await env.DB.batch(batch);
+}
+
+function getSettingsHTML(config, data = {}) {
+  const throttled = data.throttled || [];
+  const bans = data.bans || [];
+  const webhooks = data.webhooks || [];
+  const deliveries = data.deliveries || [];
+  const books = data.books || [];
+  const sitename = config.SITENAME || 'Guestbook';
+  const siteIcon = config.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = config.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
   
   const extraStyles = `
-    .container { max-width: 700px; }
-    h1 { font-size: 1.5rem; letter-spacing: -0.025em; }
-    .header-nav { display: flex; gap: 1rem; align-items: center; }
-    .nav-link { color: var(--text-muted); text-decoration: none; font-size: 0.9375rem; font-weight: 500; transition: color 0.2s; }
-    .nav-link:hover { color: var(--primary); }
-    .card { padding: 2rem; }
-    .turnstile-container { margin: 1.5rem 0; min-height: 65px; }
-    button { width: 100%; }
-    textarea { min-height: 120px; resize: vertical; }
-    h2 {
-      font-size: 1.5rem;
-      font-weight: 600;
-      margin-bottom: 1.5rem;
-      color: var(--text);
-      display: flex;
+    .help-text { font-size: 0.875rem; color: var(--text-muted); margin-top: 0.25rem; }
+    .checkbox-group { display: flex; align-items: center; gap: 0.75rem; }
+    .checkbox-group input { width: 1rem; height: 1rem; margin: 0; cursor: pointer; }
+    .checkbox-group label { margin-bottom: 0; cursor: pointer; font-weight: 400; }
+    .btn-export {
+      text-decoration: none;
+      display: inline-flex;
       align-items: center;
-      gap: 0.5rem;
-    }
-    .entry {
-      background: var(--card-bg);
-      border-radius: 0.75rem;
-      padding: 1.5rem;
-      margin-bottom: 1rem;
+      justify-content: center;
+      padding: 0.5rem 1rem;
       border: 1px solid var(--border);
-      box-shadow: var(--shadow);
+      border-radius: 0.375rem;
+      color: var(--text);
+      background: var(--card-bg);
+      font-size: 0.875rem;
+      font-weight: 500;
+      transition: background 0.15s;
     }
-    .entry-header {
-      display: flex;
-      align-items: center;
-      gap: 1rem;
-      margin-bottom: 1rem;
+    .btn-export:hover {
+      background: var(--border);
     }
-    .entry-avatar {
-      width: 40px;
-      height: 40px;
-      background: linear-gradient(135deg, var(--primary), #60a5fa);
-      color: white;
-      border-radius: 50%;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      font-weight: 600;
+    .card-header {
+      padding: 1.25rem 1.5rem;
+      border-bottom: 1px solid var(--border);
+    }
+    .card-header h3 {
+      margin: 0;
       font-size: 1.125rem;
-      flex-shrink: 0;
+      font-weight: 600;
     }
-    .entry-meta { flex: 1; display: flex; flex-direction: column; }
-    .entry-name { color: var(--text); font-size: 1rem; }
-    .name-link { color: var(--text); text-decoration: none; transition: color 0.2s; }
-    .name-link:hover { color: var(--primary); text-decoration: underline; }
-    .entry-date { color: var(--text-muted); font-size: 0.75rem; }
-    .entry-site {
-      color: var(--text-muted);
-      text-decoration: none;
-      font-size: 1.25rem;
-      padding: 0.25rem;
-      border-radius: 0.25rem;
-      transition: all 0.2s;
+    .card-body {
+      padding: 1.5rem;
     }
-    .entry-site:hover { color: var(--primary); background: #eff6ff; }
-    .entry-content {
-      color: var(--text-content);
-      line-height: 1.625;
-      font-size: 0.9375rem;
-      padding-left: 3.5rem;
+    .mini-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; margin-top: 0.5rem; }
+    .mini-table th { text-align: left; color: var(--text-muted); font-weight: 600; padding: 0.5rem; border-bottom: 1px solid var(--border); }
+    .mini-table td { padding: 0.5rem; border-bottom: 1px solid var(--border); word-break: break-all; }
+    .mini-table button { padding: 0.25rem 0.75rem; font-size: 0.75rem; width: auto; }
+    .custom-field-row { padding: 0.75rem; border: 1px solid var(--border); border-radius: 0.5rem; margin-bottom: 0.5rem; }
+    .custom-field-line { display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap; }
+    .custom-field-line + .custom-field-line { margin-top: 0.5rem; }
+    .custom-field-line label { display: flex; align-items: center; gap: 0.375rem; font-weight: 400; }
+    .settings-select {
+      width: 100%;
+      padding: 0.75rem 1rem;
+      font-size: 1rem;
+      border: 1px solid var(--border);
+      border-radius: 0.5rem;
+      background: var(--card-bg);
+      color: var(--text);
     }
-    .empty-state { text-align: center; padding: 4rem 2rem; color: var(--text-muted); }
-    .empty-icon { font-size: 3rem; margin-bottom: 1rem; }
-    @media (max-width: 640px) {
-      .entry-content { padding-left: 0; margin-top: 1rem; }
+    .webhook-add { display: flex; flex-direction: column; gap: 0.75rem; margin-bottom: 1rem; }
+    .webhook-events { display: flex; flex-wrap: wrap; gap: 1rem; }
+    .webhook-events label { display: flex; align-items: center; gap: 0.375rem; margin: 0; font-weight: 400; font-size: 0.875rem; }
+    .webhook-add button { width: auto; align-self: flex-start; padding: 0.5rem 1rem; font-size: 0.875rem; }
+    .webhook-secret { font-family: monospace; font-size: 0.75rem !important; padding: 0.25rem 0.5rem !important; min-width: 140px; }
+    .delivery-status { font-weight: 600; text-transform: capitalize; }
+    .delivery-success { color: var(--success); }
+    .delivery-failed { color: var(--danger); }
+    .delivery-pending { color: var(--warning); }
+    .ban-add-row { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; }
+    .ban-add-row input[type="text"] { flex: 1; min-width: 200px; padding: 0.5rem 0.75rem; font-size: 0.875rem; }
+    .ban-add-row select {
+      padding: 0.5rem;
+      font-size: 0.875rem;
+      border: 1px solid var(--border);
+      border-radius: 0.5rem;
+      background: var(--card-bg);
+      color: var(--text);
+    }
+    .ban-add-row button { width: auto; padding: 0.5rem 1rem; font-size: 0.875rem; }
+    .book-add-row { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 1rem; }
+    .book-add-row input { flex: 1; min-width: 160px; padding: 0.5rem 0.75rem; font-size: 0.875rem; }
+    .book-add-row button { width: auto; padding: 0.5rem 1rem; font-size: 0.875rem; }
+    .spam-rule-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 0 1rem; }
+    .theme-editor { display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1.5fr); gap: 1.5rem; }
+    .theme-editor h4 { font-size: 0.875rem; margin: 0 0 0.75rem; color: var(--text-muted); }
+    .theme-variable-row { display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem; }
+    .theme-variable-row label { flex: 1; margin: 0; font-size: 0.875rem; font-weight: 400; }
+    .theme-variable-row input[type="color"] { width: 2.5rem; height: 2.25rem; padding: 0.125rem; border: 1px solid var(--border); border-radius: 0.375rem; background: var(--card-bg); cursor: pointer; }
+    .theme-variable-row input[type="text"] { width: 9rem; padding: 0.5rem; font-size: 0.8125rem; font-family: monospace; }
+    .theme-preview iframe { display: block; width: 100%; border: 1px solid var(--border); border-radius: 0.5rem; background: #ffffff; }
+    #theme-preview-page { height: 420px; }
+    #theme-preview-widget { height: 360px; margin-top: 1rem; }
+    @media (max-width: 768px) {
+      .theme-editor { grid-template-columns: 1fr; }
     }
   `;
+  const themeName = getThemeName(config);
+  const themeVariables = parseThemeVariables(config.THEME_VARIABLES);
+  const themeVariableRows = vars => Object.entries(vars).map(([name, key]) => `
+              <div class="theme-variable-row">
+                <label for="theme-var${name}">${escapeHtml(t(key))}</label>
+                <input type="color" class="theme-color" data-var="${name}" aria-label="${escapeHtml(t(key))}">
+                <input type="text" id="theme-var${name}" class="theme-value" data-var="${name}" value="${escapeHtml(themeVariables[name] || '')}">
+              </div>`).join('');
+  // Same-origin frames, so the editor can set variables on them directly
+  const widgetPreviewDoc = `<!DOCTYPE html><html><body style="margin: 16px; font-family: system-ui, sans-serif;"><div data-gb></div><script src="${bookUrl(config, '/client.js')}?turnstile=false&theme=${themeName}"></script></body></html>`;
 
   return `<!DOCTYPE html>
-<html lang="en">
-${getHead(sitename, siteIcon, extraStyles + (env.CUSTOM_CSS || ''), extraHead)}
+<html lang="${locale}">
+${getHead(t('settings.pageTitle', { sitename }), siteIcon, extraStyles + (config.CUSTOM_CSS || ''), '', true)}
 <body>
   <div class="container">
-    <header>
-      <h1 class="site-name">${escapeHtml(sitename)}</h1>
-      ${navLinksHTML}
-    </header>
+    ${getAdminHeader('settings', config)}
     
-    <div class="card">
-      ${env.SITE_INTRO ? `<div style="margin-bottom: 1.5rem; color: var(--text); line-height: 1.6;">${env.SITE_INTRO}</div>` : ''}
-      <form id="guestbook-form">
-        <div class="form-group">
-          <label for="name">Name</label>
-          <input type="text" id="name" name="name" required placeholder="Your name">
-        </div>
-        <div class="form-group">
-          <label for="email">Email <span style="color:var(--text-muted);font-weight:400">(optional, private)</span></label>
-          <input type="email" id="email" name="email" placeholder="you@example.com">
-        </div>
-        <div class="form-group">
-          <label for="site">Website <span style="color:var(--text-muted);font-weight:400">(optional)</span></label>
-          <input type="url" id="site" name="site" placeholder="https://example.com">
-        </div>
-        <div class="form-group">
-          <label for="message">Message</label>
-          <textarea id="message" name="message" required placeholder="Leave a message..."></textarea>
-        </div>
-        ${env.TURNSTILE_ENABLED ? `<div class="turnstile-container">
-          <div class="cf-turnstile"></div>
-        </div>` : ''}
-        <button type="button" id="submit-btn">Post Message</button>
-      </form>
-      <div id="message-container" style="margin-top: 1rem"></div>
-    </div>
+    <div id="message-container"></div>
     
-    <div class="entries-section">
-      <h2 style="font-size: 1.25rem; color: var(--text-muted); margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem;">
-        <span>Guestbook Entries</span>
-      </h2>
-      <div id="entries-container">
-        ${entriesHTML}
+    <!-- Guestbooks -->
+    <div class="card">
+      <div class="card-header">
+        <h3>${escapeHtml(t('settings.guestbooks'))}</h3>
       </div>
-      <div id="load-more-container" style="text-align: center; margin-top: 2rem; display: ${entries.length >= 20 ? 'block' : 'none'};">
-        <button id="load-more-btn" style="background: var(--card-bg); color: var(--text); border: 1px solid var(--border); padding: 0.5rem 1rem; border-radius: 0.5rem; cursor: pointer; font-size: 0.875rem;" data-cursor="${entries.length > 0 ? entries[entries.length - 1].id : ''}">Load More</button>
+      <div class="card-body">
+        <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">${t('settings.guestbooksIntro', { name: escapeHtml(config.BOOK.name) })}</p>
+        <table class="mini-table">
+          <thead><tr><th>${escapeHtml(t('settings.bookName'))}</th><th>${escapeHtml(t('settings.bookPage'))}</th><th>${escapeHtml(t('settings.bookEntries'))}</th><th></th></tr></thead>
+          <tbody>
+            ${books.map(book => `
+              <tr>
+                <td>${escapeHtml(book.name)}</td>
+                <td><a href="${book.id === DEFAULT_BOOK.id ? '/' : '/b/' + escapeHtml(book.slug)}" target="_blank">${book.id === DEFAULT_BOOK.id ? '/' : '/b/' + escapeHtml(book.slug)}</a></td>
+                <td>${book.entries}</td>
+                <td>${book.id === DEFAULT_BOOK.id ? '' : `<button type="button" data-id="${book.id}" data-name="${escapeHtml(book.name)}" class="delete-book-btn">${escapeHtml(t('common.delete'))}</button>`}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="book-add-row">
+          <input type="text" id="book-name" placeholder="${escapeHtml(t('settings.bookNamePlaceholder'))}">
+          <input type="text" id="book-slug" placeholder="${escapeHtml(t('settings.bookSlugPlaceholder'))}" pattern="[a-z0-9-]+">
+          <button type="button" id="add-book-btn">${escapeHtml(t('settings.addBook'))}</button>
+        </div>
+        <div class="help-text">${t('settings.bookHelp')}</div>
       </div>
     </div>
-
-    <footer style="text-align: center; margin-top: 3rem; padding-top: 1.5rem; border-top: 1px solid var(--border); color: var(--text-muted); font-size: 0.875rem;">
-      <p style="margin-bottom: 0.5rem;">Powered by <a href="https://mighil.com/mygb" target="_blank" rel="noopener noreferrer" style="color: inherit; text-decoration: underline;">MyGB</a></p>
-      <p style="margin: 0;"><a href="https://github.com/verfasor/mygb" target="_blank" rel="noopener noreferrer" style="color: inherit; text-decoration: underline;">Source</a> available under GNU AGPL v3</p>
-    </footer>
-  </div>
-  
-  <script>
-    let turnstileWidgetId = null;
-    let turnstileReady = false;
-    let isSubmitting = false;
-    const TURNSTILE_SITE_KEY = ${turnstileSiteKey ? JSON.stringify(String(turnstileSiteKey)) : '""'};
-    const TURNSTILE_ENABLED = ${env.TURNSTILE_ENABLED};
-    
-    // Load More functionality
-    const loadMoreBtn = document.getElementById('load-more-btn');
-    const entriesContainer = document.getElementById('entries-container');
-    
-    if (loadMoreBtn) {
-      loadMoreBtn.addEventListener('click', async () => {
-        const cursor = loadMoreBtn.getAttribute('data-cursor');
-        loadMoreBtn.disabled = true;
-        loadMoreBtn.textContent = 'Loading...';
-        
-        try {
-          const response = await fetch('/api/entries?cursor=' + cursor);
-          const data = await response.json();
-          
-          if (data.success && data.entries.length > 0) {
-            data.entries.forEach(entry => {
-              const entryHtml = \`
-                <div class="entry">
-                  <div class="entry-header">
-                    <div class="entry-avatar">\${escapeHtml(entry.name).charAt(0).toUpperCase()}</div>
-                    <div class="entry-meta">
-                      <strong class="entry-name">
-                        \${entry.site 
-                          ? '<a href="' + escapeHtml(entry.site) + (entry.site.includes('?') ? '&' : '?') + 'via=' + escapeHtml(window.location.hostname) + '" target="_blank" rel="nofollow" class="name-link">' + escapeHtml(entry.name) + '</a>' 
-                          : escapeHtml(entry.name)
-                        }
-                      </strong>
-                      <span class="entry-date client-date" datetime="\${entry.created_at}">\${formatDateString(entry.created_at)}</span>
-                    </div>
-                  </div>
-                  <div class="entry-content">\${escapeHtml(entry.message).replace(/\\n/g, '<br>')}</div>
-                </div>
-              \`;
-              entriesContainer.insertAdjacentHTML('beforeend', entryHtml);
-            });
-            
-            if (data.nextCursor) {
-              loadMoreBtn.setAttribute('data-cursor', data.nextCursor);
-              loadMoreBtn.disabled = false;
-              loadMoreBtn.textContent = 'Load More';
-            } else {
-              loadMoreBtn.style.display = 'none';
-            }
-          } else {
-            loadMoreBtn.style.display = 'none';
-          }
-        } catch (error) {
-          console.error('Error loading more entries:', error);
-          loadMoreBtn.disabled = false;
-          loadMoreBtn.textContent = 'Load More';
-        }
-      });
-    }
-
-
     
-    // Render Turnstile automatically
-    function renderTurnstile() {
-      if (!TURNSTILE_ENABLED) return null;
+    <form id="settings-form">
+      <!-- General Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.general'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="form-group">
+            <label for="SITENAME">${escapeHtml(t('settings.SITENAME'))}</label>
+            <input type="text" id="SITENAME" name="SITENAME" value="${escapeHtml(config.SITENAME)}">
+            <div class="help-text">${escapeHtml(t('settings.SITENAME.help'))}</div>
+          </div>
+          <div class="form-group">
+            <label for="SITE_INTRO">${escapeHtml(t('settings.SITE_INTRO'))}</label>
+            <textarea id="SITE_INTRO" name="SITE_INTRO" rows="3" style="width: 100%; box-sizing: border-box;">${escapeHtml(config.SITE_INTRO || '')}</textarea>
+            <div class="help-text">${escapeHtml(t('settings.SITE_INTRO.help'))}</div>
+          </div>
+          <div class="form-group">
+            <label for="SITE_DESCRIPTION">${escapeHtml(t('settings.SITE_DESCRIPTION'))}</label>
+            <textarea id="SITE_DESCRIPTION" name="SITE_DESCRIPTION" rows="2" style="width: 100%; box-sizing: border-box;">${escapeHtml(config.SITE_DESCRIPTION || '')}</textarea>
+            <div class="help-text">${escapeHtml(t('settings.SITE_DESCRIPTION.help'))}</div>
+          </div>
+          <div class="form-group">
+            <label for="SITE_ICON_URL">${escapeHtml(t('settings.SITE_ICON_URL'))}</label>
+            <input type="url" id="SITE_ICON_URL" name="SITE_ICON_URL" value="${escapeHtml(config.SITE_ICON_URL)}">
+            <div class="help-text">${escapeHtml(t('settings.SITE_ICON_URL.help'))}</div>
+          </div>
+          <div class="form-group">
+            <label for="SITE_COVER_IMAGE_URL">${escapeHtml(t('settings.SITE_COVER_IMAGE_URL'))}</label>
+            <input type="url" id="SITE_COVER_IMAGE_URL" name="SITE_COVER_IMAGE_URL" value="${escapeHtml(config.SITE_COVER_IMAGE_URL || '')}">
+            <div class="help-text">${escapeHtml(t('settings.SITE_COVER_IMAGE_URL.help'))}</div>
+          </div>
+          <div class="form-group">
+            <label for="CANONICAL_URL">${escapeHtml(t('settings.CANONICAL_URL'))}</label>
+            <input type="url" id="CANONICAL_URL" name="CANONICAL_URL" value="${escapeHtml(config.CANONICAL_URL || '')}">
+            <div class="help-text">${escapeHtml(t('settings.CANONICAL_URL.help'))}</div>
+          </div>
+          <div class="checkbox-group" style="margin-top: 1rem;">
+            <input type="checkbox" id="ALLOW_INDEXING" name="ALLOW_INDEXING" ${config.ALLOW_INDEXING ? 'checked' : ''}>
+            <label for="ALLOW_INDEXING">${escapeHtml(t('settings.ALLOW_INDEXING'))}</label>
+          </div>
+          <div class="help-text">${t('settings.ALLOW_INDEXING.help')}</div>
+          <div class="checkbox-group" style="margin-top: 1rem;">
+            <input type="checkbox" id="FEEDS_ENABLED" name="FEEDS_ENABLED" ${config.FEEDS_ENABLED ? 'checked' : ''}>
+            <label for="FEEDS_ENABLED">${escapeHtml(t('settings.FEEDS_ENABLED'))}</label>
+          </div>
+          <div class="help-text">${t('settings.FEEDS_ENABLED.help')}</div>
+        </div>
+      </div>
       
-      if (turnstileWidgetId !== null || !window.turnstile) {
-        return turnstileWidgetId;
-      }
+      <!-- Navigation Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.navigation'))}</h3>
+        </div>
+        <div class="card-body">
+          <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">${escapeHtml(t('settings.navigationIntro'))}</p>
+          <div id="nav-links-container"></div>
+          <button type="button" id="add-link-btn" style="margin-top: 1rem; background: var(--card-bg); color: var(--text); border: 1px dashed var(--border); width: auto;">${escapeHtml(t('settings.addLink'))}</button>
+          <input type="hidden" id="NAV_LINKS" name="NAV_LINKS" value="${escapeHtml(config.NAV_LINKS || '[]')}">
+        </div>
+      </div>
       
-      // Ensure sitekey is a valid non-empty string
-      if (!TURNSTILE_SITE_KEY || typeof TURNSTILE_SITE_KEY !== 'string' || TURNSTILE_SITE_KEY === '') {
-        console.error('Turnstile site key is missing or invalid. Type:', typeof TURNSTILE_SITE_KEY, 'Value:', TURNSTILE_SITE_KEY);
-        return null;
-      }
+      <!-- Form Field Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.formFields'))}</h3>
+        </div>
+        <div class="card-body">
+          <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">${escapeHtml(t('settings.formFieldsIntro', { max: MAX_CUSTOM_FIELDS }))}</p>
+          <div id="custom-fields-container"></div>
+          <button type="button" id="add-field-btn" style="margin-top: 1rem; background: var(--card-bg); color: var(--text); border: 1px dashed var(--border); width: auto;">${escapeHtml(t('settings.addField'))}</button>
+          <input type="hidden" id="CUSTOM_FIELDS" name="CUSTOM_FIELDS" value="${escapeHtml(JSON.stringify(getCustomFields(config)))}">
+          <div class="help-text">${escapeHtml(t('settings.formFieldsHelp'))}</div>
+        </div>
+      </div>
       
-      const container = document.querySelector('.cf-turnstile');
-      if (container) {
-        try {
-          // Ensure it's definitely a string
-          const siteKeyStr = String(TURNSTILE_SITE_KEY);
-          turnstileWidgetId = window.turnstile.render(container, {
-            sitekey: siteKeyStr,
-            theme: 'auto',
-            callback: function(token) {
-              // Store token but don't auto-submit
-              // We'll submit when user clicks the button
-            }
-          });
-          return turnstileWidgetId;
-        } catch (error) {
-          console.error('Turnstile render error:', error);
-          return null;
-        }
-      }
-      return null;
-    }
-    
-    // Wait for Turnstile script to load and then render
-    function waitForTurnstile() {
-      if (window.turnstile) {
-        turnstileReady = true;
-        renderTurnstile();
-        return;
-      }
+      <!-- Moderation Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.moderation'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="checkbox-group">
+            <input type="checkbox" id="ENTRY_MODERATION" name="ENTRY_MODERATION" ${config.ENTRY_MODERATION ? 'checked' : ''}>
+            <label for="ENTRY_MODERATION">${escapeHtml(t('settings.ENTRY_MODERATION'))}</label>
+          </div>
+          <div class="help-text">${escapeHtml(t('settings.ENTRY_MODERATION.help'))}</div>
+        </div>
+      </div>
       
-      window.addEventListener('load', () => {
-        const checkTurnstile = setInterval(() => {
-          if (window.turnstile) {
-            clearInterval(checkTurnstile);
-            turnstileReady = true;
-            renderTurnstile();
-          }
-        }, 100);
-        // Timeout after 5 seconds
-        setTimeout(() => clearInterval(checkTurnstile), 5000);
-      });
-    }
-    
-    waitForTurnstile();
-    
-    async function submitForm(token) {
-      // Prevent multiple simultaneous submissions
-      if (isSubmitting) {
-        return;
-      }
+      <!-- Reaction Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.reactions'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="checkbox-group">
+            <input type="checkbox" id="REACTIONS_ENABLED" name="REACTIONS_ENABLED" ${config.REACTIONS_ENABLED ? 'checked' : ''}>
+            <label for="REACTIONS_ENABLED">${escapeHtml(t('settings.REACTIONS_ENABLED'))}</label>
+          </div>
+          <div class="form-group" style="margin-top: 1rem;">
+            <label for="REACTION_EMOJIS">${escapeHtml(t('settings.REACTION_EMOJIS'))}</label>
+            <input type="text" id="REACTION_EMOJIS" name="REACTION_EMOJIS" value="${escapeHtml(config.REACTION_EMOJIS || '')}">
+            <div class="help-text">${escapeHtml(t('settings.REACTION_EMOJIS.help', { max: MAX_REACTION_EMOJIS }))}</div>
+          </div>
+        </div>
+      </div>
       
-      isSubmitting = true;
-      const form = document.getElementById('guestbook-form');
-      const button = document.getElementById('submit-btn');
-      const messageContainer = document.getElementById('message-container');
+      <!-- Spam Filter Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.spamFilter'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="checkbox-group" style="margin-bottom: 0.5rem;">
+            <input type="checkbox" id="SPAM_FILTER_ENABLED" name="SPAM_FILTER_ENABLED" ${config.SPAM_FILTER_ENABLED ? 'checked' : ''}>
+            <label for="SPAM_FILTER_ENABLED">${escapeHtml(t('settings.SPAM_FILTER_ENABLED'))}</label>
+          </div>
+          <div class="help-text" style="margin-bottom: 1.5rem;">${escapeHtml(t('settings.SPAM_FILTER_ENABLED.help'))}</div>
+          
+          <div class="form-group">
+            <label for="SPAM_BLOCKLIST">${escapeHtml(t('settings.SPAM_BLOCKLIST'))}</label>
+            <textarea id="SPAM_BLOCKLIST" name="SPAM_BLOCKLIST" rows="4" placeholder="casino&#10;/buy\s+cheap/i" style="font-family: monospace; width: 100%; box-sizing: border-box;">${escapeHtml(config.SPAM_BLOCKLIST || '')}</textarea>
+            <div class="help-text">${t('settings.SPAM_BLOCKLIST.help')}</div>
+          </div>
+          <div class="spam-rule-grid">
+            <div class="form-group">
+              <label for="SPAM_BLOCKLIST_SCORE">${escapeHtml(t('settings.SPAM_BLOCKLIST_SCORE'))}</label>
+              <input type="number" min="0" id="SPAM_BLOCKLIST_SCORE" name="SPAM_BLOCKLIST_SCORE" value="${escapeHtml(config.SPAM_BLOCKLIST_SCORE)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_HONEYPOT_SCORE">${escapeHtml(t('settings.SPAM_HONEYPOT_SCORE'))}</label>
+              <input type="number" min="0" id="SPAM_HONEYPOT_SCORE" name="SPAM_HONEYPOT_SCORE" value="${escapeHtml(config.SPAM_HONEYPOT_SCORE)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_MAX_LINKS">${escapeHtml(t('settings.SPAM_MAX_LINKS'))}</label>
+              <input type="number" min="0" id="SPAM_MAX_LINKS" name="SPAM_MAX_LINKS" value="${escapeHtml(config.SPAM_MAX_LINKS)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_LINKS_SCORE">${escapeHtml(t('settings.SPAM_LINKS_SCORE'))}</label>
+              <input type="number" min="0" id="SPAM_LINKS_SCORE" name="SPAM_LINKS_SCORE" value="${escapeHtml(config.SPAM_LINKS_SCORE)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_MIN_SUBMIT_SECONDS">${escapeHtml(t('settings.SPAM_MIN_SUBMIT_SECONDS'))}</label>
+              <input type="number" min="0" step="0.5" id="SPAM_MIN_SUBMIT_SECONDS" name="SPAM_MIN_SUBMIT_SECONDS" value="${escapeHtml(config.SPAM_MIN_SUBMIT_SECONDS)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_MIN_TIME_SCORE">${escapeHtml(t('settings.SPAM_MIN_TIME_SCORE'))}</label>
+              <input type="number" min="0" id="SPAM_MIN_TIME_SCORE" name="SPAM_MIN_TIME_SCORE" value="${escapeHtml(config.SPAM_MIN_TIME_SCORE)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_DUPLICATE_HOURS">${escapeHtml(t('settings.SPAM_DUPLICATE_HOURS'))}</label>
+              <input type="number" min="0" id="SPAM_DUPLICATE_HOURS" name="SPAM_DUPLICATE_HOURS" value="${escapeHtml(config.SPAM_DUPLICATE_HOURS)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_DUPLICATE_SCORE">${escapeHtml(t('settings.SPAM_DUPLICATE_SCORE'))}</label>
+              <input type="number" min="0" id="SPAM_DUPLICATE_SCORE" name="SPAM_DUPLICATE_SCORE" value="${escapeHtml(config.SPAM_DUPLICATE_SCORE)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_HOLD_SCORE">${escapeHtml(t('settings.SPAM_HOLD_SCORE'))}</label>
+              <input type="number" min="0" id="SPAM_HOLD_SCORE" name="SPAM_HOLD_SCORE" value="${escapeHtml(config.SPAM_HOLD_SCORE)}">
+            </div>
+            <div class="form-group">
+              <label for="SPAM_REJECT_SCORE">${escapeHtml(t('settings.SPAM_REJECT_SCORE'))}</label>
+              <input type="number" min="0" id="SPAM_REJECT_SCORE" name="SPAM_REJECT_SCORE" value="${escapeHtml(config.SPAM_REJECT_SCORE)}">
+            </div>
+          </div>
+          <div class="help-text">${escapeHtml(t('settings.spamScoresHelp'))}</div>
+        </div>
+      </div>
       
-      if (!button) {
-        console.error('Submit button not found');
-        isSubmitting = false;
-        return;
-      }
+      <!-- Notification Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.notifications'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="checkbox-group" style="margin-bottom: 0.5rem;">
+            <input type="checkbox" id="NOTIFY_ENABLED" name="NOTIFY_ENABLED" ${config.NOTIFY_ENABLED ? 'checked' : ''}>
+            <label for="NOTIFY_ENABLED">${escapeHtml(t('settings.NOTIFY_ENABLED'))}</label>
+          </div>
+          <div class="help-text" style="margin-bottom: 1.5rem;">${escapeHtml(t('settings.NOTIFY_ENABLED.help'))}</div>
+          
+          <div class="form-group">
+            <label for="NOTIFY_TRANSPORT">${escapeHtml(t('settings.NOTIFY_TRANSPORT'))}</label>
+            <select id="NOTIFY_TRANSPORT" name="NOTIFY_TRANSPORT" class="settings-select">
+              <option value="log" ${config.NOTIFY_TRANSPORT === 'log' ? 'selected' : ''}>${escapeHtml(t('settings.transportLog'))}</option>
+              <option value="http" ${config.NOTIFY_TRANSPORT === 'http' ? 'selected' : ''}>${escapeHtml(t('settings.transportHttp'))}</option>
+            </select>
+            <div class="help-text">${t('settings.NOTIFY_TRANSPORT.help')}</div>
+          </div>
+          <div class="form-group">
+            <label for="NOTIFY_EMAIL_TO">${escapeHtml(t('settings.NOTIFY_EMAIL_TO'))}</label>
+            <input type="email" id="NOTIFY_EMAIL_TO" name="NOTIFY_EMAIL_TO" value="${escapeHtml(config.NOTIFY_EMAIL_TO)}" placeholder="you@example.com">
+          </div>
+          <div class="form-group">
+            <label for="NOTIFY_EMAIL_FROM">${escapeHtml(t('settings.NOTIFY_EMAIL_FROM'))}</label>
+            <input type="email" id="NOTIFY_EMAIL_FROM" name="NOTIFY_EMAIL_FROM" value="${escapeHtml(config.NOTIFY_EMAIL_FROM)}" placeholder="guestbook@example.com">
+          </div>
+          <div class="form-group">
+            <label for="NOTIFY_HTTP_URL">${escapeHtml(t('settings.NOTIFY_HTTP_URL'))}</label>
+            <input type="url" id="NOTIFY_HTTP_URL" name="NOTIFY_HTTP_URL" value="${escapeHtml(config.NOTIFY_HTTP_URL)}" placeholder="https://api.resend.com/emails">
+            <div class="help-text">${t('settings.NOTIFY_HTTP_URL.help')}</div>
+          </div>
+          <div class="form-group">
+            <label for="NOTIFY_HTTP_TOKEN">${escapeHtml(t('settings.NOTIFY_HTTP_TOKEN'))}</label>
+            <input type="password" id="NOTIFY_HTTP_TOKEN" name="NOTIFY_HTTP_TOKEN" value="${escapeHtml(config.NOTIFY_HTTP_TOKEN)}">
+            <div class="help-text">${t('settings.NOTIFY_HTTP_TOKEN.help')}</div>
+          </div>
+          <button type="button" id="test-notification-btn" style="width: auto; background: var(--card-bg); color: var(--text); border: 1px solid var(--border);">${escapeHtml(t('settings.testNotification'))}</button>
+          <div class="help-text">${escapeHtml(t('settings.testNotificationHelp'))}</div>
+        </div>
+      </div>
       
-      button.disabled = true;
-      button.textContent = 'Submitting...';
+      <!-- Webhook Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.webhooks'))}</h3>
+        </div>
+        <div class="card-body">
+          <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">
+            ${t('settings.webhooksIntro')}
+          </p>
+          <div class="webhook-add">
+            <input type="url" id="webhook-url" placeholder="https://example.com/hooks/guestbook">
+            <div class="webhook-events">
+              ${WEBHOOK_EVENTS.map(event => `
+                <label><input type="checkbox" class="webhook-event" value="${event}" checked> <code>${event}</code></label>
+              `).join('')}
+            </div>
+            <button type="button" id="add-webhook-btn">${escapeHtml(t('settings.addWebhook'))}</button>
+          </div>
+          ${webhooks.length === 0 
+            ? `<p class="text-muted" style="font-style: italic; font-size: 0.875rem;">${escapeHtml(t('settings.noWebhooks'))}</p>`
+            : `<table class="mini-table">
+              <thead><tr><th>${escapeHtml(t('settings.webhookUrl'))}</th><th>${escapeHtml(t('settings.webhookEvents'))}</th><th>${escapeHtml(t('settings.webhookSecret'))}</th><th></th></tr></thead>
+              <tbody>
+                ${webhooks.map(hook => `
+                  <tr${hook.active ? '' : ' class="text-muted"'}>
+                    <td>${escapeHtml(hook.url)}${hook.active ? '' : ' ' + escapeHtml(t('settings.webhookPaused'))}</td>
+                    <td>${hook.events.split(',').map(event => `<code>${escapeHtml(event)}</code>`).join(' ')}</td>
+                    <td><input type="text" readonly value="${escapeHtml(hook.secret)}" class="webhook-secret" onclick="this.select()"></td>
+                    <td style="white-space: nowrap;">
+                      <button type="button" data-id="${hook.id}" class="toggle-webhook-btn">${escapeHtml(t(hook.active ? 'settings.pause' : 'settings.resume'))}</button>
+                      <button type="button" data-id="${hook.id}" class="delete-webhook-btn">${escapeHtml(t('common.delete'))}</button>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>`
+          }
+          
+          <label style="margin-top: 1.5rem;">${escapeHtml(t('settings.deliveries'))}</label>
+          ${deliveries.length === 0 
+            ? `<p class="text-muted" style="font-style: italic; font-size: 0.875rem;">${escapeHtml(t('settings.noDeliveries'))}</p>`
+            : `<table class="mini-table">
+              <thead><tr><th>${escapeHtml(t('settings.deliveryEvent'))}</th><th>${escapeHtml(t('settings.deliveryEndpoint'))}</th><th>${escapeHtml(t('settings.deliveryStatus'))}</th><th>${escapeHtml(t('settings.deliveryAttempts'))}</th><th>${escapeHtml(t('settings.deliveryLastAttempt'))}</th><th></th></tr></thead>
+              <tbody>
+                ${deliveries.map(delivery => `
+                  <tr>
+                    <td><code>${escapeHtml(delivery.event)}</code></td>
+                    <td>${escapeHtml(delivery.url || t('settings.deliveryDeleted'))}</td>
+                    <td>
+                      <span class="delivery-status delivery-${escapeHtml(delivery.status)}">${escapeHtml(t('delivery.' + delivery.status))}</span>
+                      ${delivery.error ? `<div class="text-muted text-sm">${escapeHtml(delivery.error)}</div>` : ''}
+                    </td>
+                    <td>${delivery.attempts}</td>
+                    <td>${delivery.last_attempt_at ? `<span class="client-date" datetime="${delivery.last_attempt_at}">${formatDate(delivery.last_attempt_at, locale)}</span>` : '-'}</td>
+                    <td>${delivery.status === 'failed' && delivery.url ? `<button type="button" data-id="${delivery.id}" class="retry-delivery-btn">${escapeHtml(t('settings.retry'))}</button>` : ''}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>`
+          }
+        </div>
+      </div>
       
-      const formData = new FormData(form);
-      formData.append('cf-turnstile-response', token);
+      <!-- Rate Limiting Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.rateLimiting'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="spam-rule-grid">
+            <div class="form-group">
+              <label for="RATE_LIMIT_WINDOW_MINUTES">${escapeHtml(t('settings.RATE_LIMIT_WINDOW_MINUTES'))}</label>
+              <input type="number" min="0" id="RATE_LIMIT_WINDOW_MINUTES" name="RATE_LIMIT_WINDOW_MINUTES" value="${escapeHtml(config.RATE_LIMIT_WINDOW_MINUTES)}">
+            </div>
+            <div class="form-group">
+              <label for="RATE_LIMIT_PER_IP">${escapeHtml(t('settings.RATE_LIMIT_PER_IP'))}</label>
+              <input type="number" min="0" id="RATE_LIMIT_PER_IP" name="RATE_LIMIT_PER_IP" value="${escapeHtml(config.RATE_LIMIT_PER_IP)}">
+            </div>
+            <div class="form-group">
+              <label for="RATE_LIMIT_PER_EMAIL">${escapeHtml(t('settings.RATE_LIMIT_PER_EMAIL'))}</label>
+              <input type="number" min="0" id="RATE_LIMIT_PER_EMAIL" name="RATE_LIMIT_PER_EMAIL" value="${escapeHtml(config.RATE_LIMIT_PER_EMAIL)}">
+            </div>
+          </div>
+          <div class="help-text">${escapeHtml(t('settings.rateLimitingHelp'))}</div>
+          
+          <label style="margin-top: 1.5rem;">${escapeHtml(t('settings.throttled'))}</label>
+          ${throttled.length === 0 
+            ? `<p class="text-muted" style="font-style: italic; font-size: 0.875rem;">${escapeHtml(t('settings.noThrottled'))}</p>`
+            : `<table class="mini-table">
+              <thead><tr><th>${escapeHtml(t('settings.throttledClient'))}</th><th>${escapeHtml(t('settings.deliveryAttempts'))}</th><th>${escapeHtml(t('settings.throttledUntil'))}</th><th></th></tr></thead>
+              <tbody>
+                ${throttled.map(row => `
+                  <tr>
+                    <td>${row.key.startsWith('ip:') ? escapeHtml(t('settings.throttledIp', { hash: row.key.slice(3, 15) })) + '&hellip;' : escapeHtml(t('settings.throttledEmail', { email: row.key.slice(6) }))}</td>
+                    <td>${row.count}</td>
+                    <td class="client-date" datetime="${new Date(row.expires_at * 1000).toISOString()}">${formatDate(new Date(row.expires_at * 1000).toISOString(), locale)}</td>
+                    <td><button type="button" data-key="${escapeHtml(row.key)}" class="lift-limit-btn">${escapeHtml(t('settings.lift'))}</button></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>`
+          }
+        </div>
+      </div>
       
-      try {
-        const response = await fetch('/api/submit', {
-          method: 'POST',
-          body: formData
-        });
-        
-        const result = await response.json();
-        
-        if (result.success) {
-          const successMsg = result.approved 
-            ? 'Thank you! Your entry has been submitted.' 
-            : 'Thank you! Your entry will be visible after moderation.';
-          messageContainer.innerHTML = '<div class="message success">' + successMsg + '</div>';
-          form.reset();
-          // Don't reset turnstile if we're reloading - just reload immediately
-          setTimeout(() => location.reload(), 4000);
-          // Don't reset isSubmitting since we're reloading
-          return;
-        } else {
-          messageContainer.innerHTML = '<div class="message error">' + (result.error || 'Failed to submit entry. Please try again.') + '</div>';
-          if (window.turnstile && turnstileWidgetId !== null) {
-            window.turnstile.reset(turnstileWidgetId);
+      <!-- Ban List -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.bans'))}</h3>
+        </div>
+        <div class="card-body">
+          <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">${escapeHtml(t('settings.bansIntro'))}</p>
+          <div class="ban-add-row">
+            <select id="ban-type">
+              <option value="ip">${escapeHtml(t('ban.type.ip'))}</option>
+              <option value="email">${escapeHtml(t('ban.type.email'))}</option>
+              <option value="domain">${escapeHtml(t('ban.type.domain'))}</option>
+            </select>
+            <input type="text" id="ban-value" placeholder="${escapeHtml(t('ban.valuePlaceholder'))}">
+            <select id="ban-mode">
+              <option value="reject">${escapeHtml(t('ban.mode.reject'))}</option>
+              <option value="shadow">${escapeHtml(t('ban.mode.shadow'))}</option>
+            </select>
+            <select id="ban-days">
+              <option value="1">${escapeHtml(t('ban.oneDay'))}</option>
+              <option value="7">${escapeHtml(t('ban.days', { days: 7 }))}</option>
+              <option value="30" selected>${escapeHtml(t('ban.days', { days: 30 }))}</option>
+              <option value="0">${escapeHtml(t('ban.permanent'))}</option>
+            </select>
+            <button type="button" id="add-ban-btn">${escapeHtml(t('ban.add'))}</button>
+          </div>
+          ${bans.length === 0 
+            ? `<p class="text-muted" style="font-style: italic; font-size: 0.875rem;">${escapeHtml(t('settings.noBans'))}</p>`
+            : `<table class="mini-table">
+              <thead><tr><th>${escapeHtml(t('ban.type'))}</th><th>${escapeHtml(t('ban.value'))}</th><th>${escapeHtml(t('ban.mode'))}</th><th>${escapeHtml(t('ban.reason'))}</th><th>${escapeHtml(t('ban.expires'))}</th><th></th></tr></thead>
+              <tbody>
+                ${bans.map(ban => `
+                  <tr>
+                    <td>${escapeHtml(t('ban.type.' + ban.type))}</td>
+                    <td>${ban.type === 'ip' ? escapeHtml(ban.value.slice(0, 12)) + '&hellip;' : escapeHtml(ban.value)}</td>
+                    <td>${escapeHtml(t(ban.mode === 'shadow' ? 'ban.mode.shadow' : 'ban.mode.reject'))}</td>
+                    <td>${escapeHtml(ban.reason || '')}</td>
+                    <td>${ban.expires_at ? `<span class="client-date" datetime="${ban.expires_at}">${formatDate(ban.expires_at, locale)}</span>` : escapeHtml(t('users.never'))}</td>
+                    <td><button type="button" data-id="${ban.id}" class="lift-ban-btn">${escapeHtml(t('settings.lift'))}</button></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>`
           }
-        }
-      } catch (error) {
-        messageContainer.innerHTML = '<div class="message error">An error occurred. Please try again.</div>';
-        if (window.turnstile && turnstileWidgetId !== null) {
-          window.turnstile.reset(turnstileWidgetId);
-        }
-      } finally {
-        isSubmitting = false;
-        button.disabled = false;
-        button.textContent = 'Submit';
+        </div>
+      </div>
+      
+      <!-- Security Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.security'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="checkbox-group" style="margin-bottom: 1rem;">
+            <input type="checkbox" id="TURNSTILE_ENABLED" name="TURNSTILE_ENABLED" ${config.TURNSTILE_ENABLED ? 'checked' : ''}>
+            <label for="TURNSTILE_ENABLED">${escapeHtml(t('settings.TURNSTILE_ENABLED'))}</label>
+          </div>
+          
+          <div class="form-group">
+            <label for="TURNSTILE_SITE_KEY">${escapeHtml(t('settings.TURNSTILE_SITE_KEY'))}</label>
+            <input type="text" id="TURNSTILE_SITE_KEY" name="TURNSTILE_SITE_KEY" value="${escapeHtml(config.TURNSTILE_SITE_KEY)}">
+          </div>
+          <div class="form-group">
+            <label for="TURNSTILE_SECRET_KEY">${escapeHtml(t('settings.TURNSTILE_SECRET_KEY'))}</label>
+            <input type="password" id="TURNSTILE_SECRET_KEY" name="TURNSTILE_SECRET_KEY" value="${escapeHtml(config.TURNSTILE_SECRET_KEY)}">
+            <div class="help-text">${escapeHtml(t('settings.TURNSTILE_SECRET_KEY.help'))}</div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Theme -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.theme'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="form-group">
+            <label for="THEME">${escapeHtml(t('settings.THEME'))}</label>
+            <select id="THEME" name="THEME" class="settings-select">
+              ${Object.entries(THEMES).map(([name, theme]) => `<option value="${name}" ${themeName === name ? 'selected' : ''}>${escapeHtml(t('theme.' + name))}</option>`).join('')}
+            </select>
+            <div class="help-text">${t('settings.THEME.help')}</div>
+          </div>
+          <input type="hidden" id="THEME_VARIABLES" name="THEME_VARIABLES" value="${escapeHtml(JSON.stringify(themeVariables))}">
+          <div class="theme-editor">
+            <div>
+              <h4>${escapeHtml(t('settings.pageColours'))}</h4>
+              ${themeVariableRows(THEME_VARIABLES)}
+              <h4 style="margin-top: 1.5rem;">${escapeHtml(t('settings.widgetColours'))}</h4>
+              ${themeVariableRows(WIDGET_THEME_VARIABLES)}
+              <button type="button" id="reset-theme-btn" style="margin-top: 0.5rem; background: var(--card-bg); color: var(--text); border: 1px solid var(--border); width: auto; padding: 0.5rem 1rem; font-size: 0.875rem;">${escapeHtml(t('settings.resetTheme'))}</button>
+              <div class="help-text">${t('settings.themeColoursHelp')}</div>
+            </div>
+            <div class="theme-preview">
+              <iframe id="theme-preview-page" src="${bookUrl(config, '/')}?theme=${themeName}" title="${escapeHtml(t('settings.pagePreview'))}"></iframe>
+              <iframe id="theme-preview-widget" srcdoc="${escapeHtml(widgetPreviewDoc)}" title="${escapeHtml(t('settings.widgetPreview'))}"></iframe>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Appearance Settings -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.appearance'))}</h3>
+        </div>
+        <div class="card-body">
+          <div class="checkbox-group">
+            <input type="checkbox" id="MESSAGE_FORMATTING" name="MESSAGE_FORMATTING" ${config.MESSAGE_FORMATTING ? 'checked' : ''}>
+            <label for="MESSAGE_FORMATTING">${escapeHtml(t('settings.MESSAGE_FORMATTING'))}</label>
+          </div>
+          <div class="help-text" style="margin-bottom: 1.5rem;">${t('settings.MESSAGE_FORMATTING.help')}</div>
+          <div class="form-group">
+            <label for="AVATAR_MODE">${escapeHtml(t('settings.AVATAR_MODE'))}</label>
+            <select id="AVATAR_MODE" name="AVATAR_MODE" class="settings-select">
+              <option value="initials" ${config.AVATAR_MODE === 'initials' ? 'selected' : ''}>${escapeHtml(t('settings.avatarInitials'))}</option>
+              <option value="identicon" ${config.AVATAR_MODE === 'identicon' ? 'selected' : ''}>${escapeHtml(t('settings.avatarIdenticon'))}</option>
+              <option value="gravatar" ${config.AVATAR_MODE === 'gravatar' ? 'selected' : ''}>${escapeHtml(t('settings.avatarGravatar'))}</option>
+            </select>
+            <div class="help-text">${escapeHtml(t('settings.AVATAR_MODE.help'))}</div>
+          </div>
+          <div class="form-group">
+            <label for="DEFAULT_LOCALE">${escapeHtml(t('settings.DEFAULT_LOCALE'))}</label>
+            <select id="DEFAULT_LOCALE" name="DEFAULT_LOCALE" class="settings-select">
+              ${Object.entries(LOCALES).map(([code, label]) => `<option value="${code}" ${normalizeLocale(config.DEFAULT_LOCALE) === code ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+            </select>
+            <div class="help-text">${t('settings.DEFAULT_LOCALE.help')}</div>
+          </div>
+          <div class="form-group">
+            <label for="CUSTOM_CSS">${escapeHtml(t('settings.CUSTOM_CSS'))}</label>
+            <textarea id="CUSTOM_CSS" name="CUSTOM_CSS" placeholder="${escapeHtml(t('settings.CUSTOM_CSS.placeholder'))}" style="font-family: monospace; min-height: 150px; width: 100%; box-sizing: border-box;">${escapeHtml(config.CUSTOM_CSS || '')}</textarea>
+            <div class="help-text">
+              ${t('settings.CUSTOM_CSS.help')}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <!-- Export Data -->
+      <div class="card">
+        <div class="card-header">
+          <h3>${escapeHtml(t('settings.export'))}</h3>
+        </div>
+        <div class="card-body">
+          <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">${escapeHtml(t('settings.exportIntro'))}</p>
+          <div style="display: flex; gap: 1rem;">
+            <a href="${bookUrl(config, '/data.json')}" target="_blank" class="btn-export">${escapeHtml(t('settings.downloadJson'))}</a>
+            <a href="${bookUrl(config, '/data.csv')}" target="_blank" class="btn-export">${escapeHtml(t('settings.downloadCsv'))}</a>
+          </div>
+        </div>
+      </div>
+      
+      <div style="position: sticky; bottom: 1rem; z-index: 10;">
+        <button type="submit" style="width: 100%; padding: 0.75rem 1.5rem; box-shadow: 0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1);">${escapeHtml(t('settings.save'))}</button>
+      </div>
+    </form>
+  </div>
+  
+  <script>
+    const STRINGS = ${scriptJson({
+      noLinks: t('settings.noLinks'),
+      linkLabel: t('settings.linkLabel'),
+      linkUrl: t('settings.linkUrl'),
+      noFields: t('settings.noFields'),
+      fieldLabel: t('settings.fieldLabel'),
+      fieldText: t('settings.fieldText'),
+      fieldTextarea: t('settings.fieldTextarea'),
+      fieldSelect: t('settings.fieldSelect'),
+      fieldOptions: t('settings.fieldOptions'),
+      fieldMaxLength: t('settings.fieldMaxLength'),
+      fieldRequired: t('settings.fieldRequired'),
+      fieldPublic: t('settings.fieldPublic'),
+      tooManyFields: t('settings.tooManyFields', { max: MAX_CUSTOM_FIELDS }),
+      liftLimitFailed: t('settings.liftLimitFailed'),
+      testSent: t('settings.testSent'),
+      testFailed: t('settings.testFailed'),
+      addWebhookFailed: t('settings.addWebhookFailed'),
+      updateWebhookFailed: t('settings.updateWebhookFailed'),
+      confirmDeleteWebhook: t('settings.confirmDeleteWebhook'),
+      deleteWebhookFailed: t('settings.deleteWebhookFailed'),
+      retrying: t('settings.retrying'),
+      retry: t('settings.retry'),
+      retryFailed: t('settings.retryFailed'),
+      stillFailing: t('settings.stillFailing'),
+      addBookFailed: t('settings.addBookFailed'),
+      confirmDeleteBook: t('settings.confirmDeleteBook'),
+      deleteBookFailed: t('settings.deleteBookFailed'),
+      addBanFailed: t('settings.addBanFailed'),
+      confirmLiftBan: t('settings.confirmLiftBan'),
+      liftBanFailed: t('settings.liftBanFailed'),
+      saving: t('settings.saving'),
+      saved: t('settings.saved'),
+      saveFailed: t('settings.saveFailed'),
+      save: t('settings.save'),
+      unknownError: t('common.unknownError'),
+      errorDetail: t('common.errorDetail'),
+      error: t('common.error')
+    })};
+    
+    // Navigation Links Management
+    const navLinksInput = document.getElementById('NAV_LINKS');
+    const navLinksContainer = document.getElementById('nav-links-container');
+    const addLinkBtn = document.getElementById('add-link-btn');
+    
+    let navLinks = [];
+    try {
+      navLinks = JSON.parse(navLinksInput.value || '[]');
+    } catch (e) {
+      navLinks = [];
+    }
+
+    function renderNavLinks() {
+      navLinksContainer.innerHTML = '';
+      if (navLinks.length === 0) {
+        navLinksContainer.innerHTML = '<p class="text-muted" style="font-style: italic; font-size: 0.875rem;">' + STRINGS.noLinks + '</p>';
+      }
+      navLinks.forEach((link, index) => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 0.5rem; margin-bottom: 0.5rem; align-items: center;';
+        // Simple escape for attribute values
+        const safeLabel = (link.label || '').replace(/"/g, '&quot;');
+        const safeUrl = (link.url || '').replace(/"/g, '&quot;');
+        
+        row.innerHTML = 
+          '<input type="text" placeholder="' + STRINGS.linkLabel + '" value="' + safeLabel + '" data-index="' + index + '" data-key="label" class="nav-link-input" style="flex: 1;">' +
+          '<input type="url" placeholder="' + STRINGS.linkUrl + '" value="' + safeUrl + '" data-index="' + index + '" data-key="url" class="nav-link-input" style="flex: 2;">' +
+          '<button type="button" data-index="' + index + '" class="remove-link-btn" style="padding: 0.5rem 0.75rem; background: #fee2e2; color: #dc2626; border: 1px solid #fecaca; border-radius: 0.375rem; cursor: pointer; width: auto; font-weight: bold;">&times;</button>';
+        navLinksContainer.appendChild(row);
+      });
+    }
+
+    function updateHiddenInput() {
+      navLinksInput.value = JSON.stringify(navLinks);
+    }
+
+    // Event delegation for inputs
+    navLinksContainer.addEventListener('input', (e) => {
+      if (e.target.classList.contains('nav-link-input')) {
+        const index = parseInt(e.target.dataset.index);
+        const key = e.target.dataset.key;
+        navLinks[index][key] = e.target.value;
+        updateHiddenInput();
+      }
+    });
+
+    // Event delegation for remove buttons
+    navLinksContainer.addEventListener('click', (e) => {
+      if (e.target.classList.contains('remove-link-btn')) {
+        const index = parseInt(e.target.dataset.index);
+        navLinks.splice(index, 1);
+        renderNavLinks();
+        updateHiddenInput();
       }
+    });
+
+    addLinkBtn.addEventListener('click', () => {
+      navLinks.push({ label: '', url: '' });
+      renderNavLinks();
+      updateHiddenInput();
+    });
+
+    renderNavLinks();
+
+    // Custom form fields, managed the same way as the navigation links
+    const customFieldsInput = document.getElementById('CUSTOM_FIELDS');
+    const customFieldsContainer = document.getElementById('custom-fields-container');
+    
+    let customFields = [];
+    try {
+      customFields = JSON.parse(customFieldsInput.value || '[]');
+    } catch (e) {
+      customFields = [];
     }
     
-    // Handle button click instead of form submit to prevent Enter key from triggering
-    document.getElementById('submit-btn').addEventListener('click', async () => {
-      // Prevent multiple clicks
-      if (isSubmitting) {
-        return;
+    function renderCustomFields() {
+      customFieldsContainer.innerHTML = '';
+      if (customFields.length === 0) {
+        customFieldsContainer.innerHTML = '<p class="text-muted" style="font-style: italic; font-size: 0.875rem;">' + STRINGS.noFields + '</p>';
       }
-      
-      const form = document.getElementById('guestbook-form');
-      
-      // Validate form
-      if (!form.checkValidity()) {
-        form.reportValidity();
+      customFields.forEach((field, index) => {
+        const row = document.createElement('div');
+        row.className = 'custom-field-row';
+        const attr = value => String(value === undefined ? '' : value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        const typeOption = (value, label) => '<option value="' + value + '"' + (field.type === value ? ' selected' : '') + '>' + label + '</option>';
+        row.innerHTML =
+          '<div class="custom-field-line">' +
+            '<input type="text" placeholder="' + attr(STRINGS.fieldLabel) + '" value="' + attr(field.label) + '" data-index="' + index + '" data-key="label" class="custom-field-input" style="flex: 2;">' +
+            '<select data-index="' + index + '" data-key="type" class="custom-field-input settings-select" style="flex: 1; width: auto;">' +
+              typeOption('text', STRINGS.fieldText) + typeOption('textarea', STRINGS.fieldTextarea) + typeOption('select', STRINGS.fieldSelect) +
+            '</select>' +
+            '<button type="button" data-index="' + index + '" class="remove-field-btn" style="padding: 0.5rem 0.75rem; background: #fee2e2; color: #dc2626; border: 1px solid #fecaca; border-radius: 0.375rem; cursor: pointer; width: auto; font-weight: bold;">&times;</button>' +
+          '</div>' +
+          '<div class="custom-field-line">' +
+            (field.type === 'select'
+              ? '<input type="text" placeholder="' + attr(STRINGS.fieldOptions) + '" value="' + attr((field.options || []).join(', ')) + '" data-index="' + index + '" data-key="options" class="custom-field-input" style="flex: 2;">'
+              : '<label class="text-sm" style="margin: 0; white-space: nowrap;">' + STRINGS.fieldMaxLength + ' <input type="number" min="1" max="${CUSTOM_FIELD_MAX_LENGTH}" value="' + attr(field.maxLength || 200) + '" data-index="' + index + '" data-key="maxLength" class="custom-field-input" style="width: 6rem; padding: 0.5rem;"></label>') +
+            '<label class="text-sm" style="margin: 0;"><input type="checkbox" data-index="' + index + '" data-key="required" class="custom-field-input"' + (field.required ? ' checked' : '') + '> ' + STRINGS.fieldRequired + '</label>' +
+            '<label class="text-sm" style="margin: 0;"><input type="checkbox" data-index="' + index + '" data-key="public" class="custom-field-input"' + (field.public ? ' checked' : '') + '> ' + STRINGS.fieldPublic + '</label>' +
+          '</div>';
+        customFieldsContainer.appendChild(row);
+      });
+      customFieldsInput.value = JSON.stringify(customFields);
+    }
+    
+    customFieldsContainer.addEventListener('input', (e) => {
+      if (!e.target.classList.contains('custom-field-input')) return;
+      const field = customFields[parseInt(e.target.dataset.index)];
+      const key = e.target.dataset.key;
+      if (e.target.type === 'checkbox') {
+        field[key] = e.target.checked;
+      } else if (key === 'options') {
+        field.options = e.target.value.split(',').map(option => option.trim());
+      } else {
+        field[key] = e.target.value;
+      }
+      customFieldsInput.value = JSON.stringify(customFields);
+      // The second line depends on the type
+      if (key === 'type') renderCustomFields();
+    });
+    
+    customFieldsContainer.addEventListener('click', (e) => {
+      if (e.target.classList.contains('remove-field-btn')) {
+        customFields.splice(parseInt(e.target.dataset.index), 1);
+        renderCustomFields();
+      }
+    });
+    
+    document.getElementById('add-field-btn').addEventListener('click', () => {
+      if (customFields.length >= ${MAX_CUSTOM_FIELDS}) {
+        alert(STRINGS.tooManyFields);
         return;
       }
+      customFields.push({ label: '', type: 'text', required: false, maxLength: 200, public: true });
+      renderCustomFields();
+    });
+    
+    renderCustomFields();
 
-      if (!TURNSTILE_ENABLED) {
-        submitForm('disabled');
-        return;
+    // Theme editor. The previews load the built-in theme and the overrides are set on top
+    // of it as inline variables, so they update while typing.
+    const themeSelect = document.getElementById('THEME');
+    const themeVariablesInput = document.getElementById('THEME_VARIABLES');
+    const pagePreview = document.getElementById('theme-preview-page');
+    const widgetPreview = document.getElementById('theme-preview-widget');
+    const themeValueInputs = document.querySelectorAll('.theme-value');
+    
+    let themeVariables = {};
+    try {
+      themeVariables = JSON.parse(themeVariablesInput.value || '{}');
+    } catch (e) {
+      themeVariables = {};
+    }
+    
+    // Page variables live on the preview's root, widget ones on the widget itself
+    function themeTarget(name) {
+      const isWidget = name.indexOf('--gb-') === 0;
+      const doc = (isWidget ? widgetPreview : pagePreview).contentDocument;
+      if (!doc) return null;
+      return isWidget ? doc.querySelector('.gb-widget') : doc.documentElement;
+    }
+    
+    function applyThemeVariables() {
+      themeValueInputs.forEach(input => {
+        const name = input.dataset.var;
+        const target = themeTarget(name);
+        if (!target) return;
+        target.style.removeProperty(name);
+        const themeValue = getComputedStyle(target).getPropertyValue(name).trim();
+        input.placeholder = themeValue;
+        if (themeVariables[name]) target.style.setProperty(name, themeVariables[name]);
+        // Colour pickers only take #rrggbb
+        const value = themeVariables[name] || themeValue;
+        if (/^#[0-9a-f]{6}$/i.test(value)) input.parentNode.querySelector('.theme-color').value = value;
+      });
+    }
+    
+    function setThemeVariable(name, value) {
+      value = value.trim();
+      if (value) {
+        themeVariables[name] = value;
+      } else {
+        delete themeVariables[name];
       }
-      
-      // Get Turnstile response
-      const token = window.turnstile ? window.turnstile.getResponse(turnstileWidgetId) : null;
-      
-      if (!token) {
-        const messageContainer = document.getElementById('message-container');
-        messageContainer.innerHTML = '<div class="message error">Please verify you are human.</div>';
-        return;
+      themeVariablesInput.value = JSON.stringify(themeVariables);
+      applyThemeVariables();
+    }
+    
+    themeValueInputs.forEach(input => {
+      input.addEventListener('input', () => setThemeVariable(input.dataset.var, input.value));
+    });
+    document.querySelectorAll('.theme-color').forEach(picker => {
+      picker.addEventListener('input', () => {
+        picker.parentNode.querySelector('.theme-value').value = picker.value;
+        setThemeVariable(picker.dataset.var, picker.value);
+      });
+    });
+    
+    themeSelect.addEventListener('change', () => {
+      pagePreview.src = '${bookUrl(config, '/')}?theme=' + encodeURIComponent(themeSelect.value);
+      const widget = themeTarget('--gb-primary');
+      if (widget) {
+        widget.className = 'gb-widget gb-theme-' + themeSelect.value;
+        applyThemeVariables();
       }
-      
-      submitForm(token);
     });
     
-    // Prevent form submission on Enter key
-    document.getElementById('guestbook-form').addEventListener('submit', (e) => {
-      e.preventDefault();
+    document.getElementById('reset-theme-btn').addEventListener('click', () => {
+      themeVariables = {};
+      themeVariablesInput.value = '{}';
+      themeValueInputs.forEach(input => { input.value = ''; });
+      applyThemeVariables();
     });
     
-    // Format dates to client timezone
-    function formatClientDates() {
-      document.querySelectorAll('.client-date').forEach(el => {
-        const dateStr = el.getAttribute('datetime');
-        if (!dateStr) return;
-        
-        // Fix for SQLite date format (YYYY-MM-DD HH:MM:SS) to ISO (YYYY-MM-DDTHH:MM:SSZ)
-        // Assume UTC if no timezone specified
-        const isoDate = dateStr.replace(' ', 'T') + (dateStr.includes('Z') ? '' : 'Z');
-        
-        const date = new Date(isoDate);
-        if (isNaN(date.getTime())) return;
-        
-        el.textContent = date.toLocaleString('en-US', { 
-          month: 'short', 
-          day: 'numeric', 
-          year: 'numeric', 
-          hour: 'numeric', 
-          minute: '2-digit' 
-        });
+    pagePreview.addEventListener('load', applyThemeVariables);
+    widgetPreview.addEventListener('load', () => {
+      // The selection may have changed while the frame was loading
+      const widget = themeTarget('--gb-primary');
+      if (widget) widget.className = 'gb-widget gb-theme-' + themeSelect.value;
+      applyThemeVariables();
+    });
+
+    document.querySelectorAll('.lift-limit-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const formData = new FormData();
+        formData.append('key', btn.dataset.key);
+        btn.disabled = true;
+        try {
+          const response = await fetch('/api/rate-limits/clear', { method: 'POST', body: formData });
+          const result = await response.json();
+          if (result.success) {
+            btn.closest('tr').remove();
+          } else {
+            alert(STRINGS.liftLimitFailed + ': ' + (result.error || STRINGS.unknownError));
+            btn.disabled = false;
+          }
+        } catch (error) {
+          alert(STRINGS.errorDetail.replace('{error}', error.message));
+          btn.disabled = false;
+        }
       });
-    }
-    formatClientDates();
-  </script>
-</body>
-</html>`;
-}
+    });
 
-function getLoginHTML(env) {
-  const sitename = env.SITENAME || 'Guestbook';
-  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
-  
-  const extraStyles = `
-    body { display: flex; justify-content: center; align-items: center; min-height: 100vh; padding: 1rem; }
-    .login-container {
-      background: var(--card-bg);
-      padding: 2.5rem;
-      border-radius: 1rem;
-      box-shadow: var(--shadow);
-      width: 100%;
-      max-width: 400px;
-      border: 1px solid var(--border);
-    }
-    .brand { text-align: center; margin-bottom: 2rem; }
-    .brand-icon { font-size: 3rem; margin-bottom: 0.5rem; display: inline-block; }
-    h1 { margin-bottom: 0.5rem; font-size: 1.5rem; }
-    .subtitle { color: var(--text-muted); font-size: 0.875rem; }
-    button { width: 100%; padding: 0.75rem; }
-    .message { text-align: center; padding: 0.75rem; }
-    .back-link {
-      display: block;
-      text-align: center;
-      margin-top: 1.5rem;
-      color: var(--text-muted);
-      text-decoration: none;
-      font-size: 0.875rem;
-      transition: color 0.2s;
+    document.getElementById('test-notification-btn').addEventListener('click', async (e) => {
+      const btn = e.target;
+      const messageContainer = document.getElementById('message-container');
+      btn.disabled = true;
+      try {
+        const response = await fetch('${bookUrl(config, '/api/notifications/test')}', { method: 'POST' });
+        const result = await response.json();
+        messageContainer.innerHTML = result.success
+          ? '<div class="message success">' + STRINGS.testSent + '</div>'
+          : '<div class="message error">' + STRINGS.testFailed + ': ' + escapeHtml(result.error || STRINGS.unknownError) + '</div>';
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + STRINGS.error + '</div>';
+      } finally {
+        btn.disabled = false;
+      }
+    });
+
+    // Small helper for the one-off buttons in the guestbooks and webhooks cards
+    async function postAction(url, formData, errorLabel) {
+      try {
+        const response = await fetch(url, { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!result.success) {
+          alert(errorLabel + ': ' + (result.error || STRINGS.unknownError));
+        }
+        return result;
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+        return { success: false };
+      }
     }
-    .back-link:hover { color: var(--primary); }
-  `;
-  
-  return `<!DOCTYPE html>
-<html lang="en">
-${getHead('Login - ' + sitename, siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
-<body>
-  <div class="login-container">
-    <div class="brand">
-      <img src="${escapeHtml(siteIcon)}" alt="Logo" width="64" height="64" style="margin-bottom: 1rem; border-radius: 8px;">
-      <h1>Admin Login</h1>
-      <p class="subtitle">Enter your password to manage entries</p>
-    </div>
-    
-    <div id="message-container"></div>
-    
-    <form id="login-form">
-      <div class="form-group">
-        <label for="password">Password</label>
-        <input type="password" id="password" name="password" required autofocus>
-      </div>
-      <button type="submit">Sign In</button>
-    </form>
-    <a href="/" class="back-link">Back to Guestbook</a>
-  </div>
-  
-  <script>
-    document.getElementById('login-form').addEventListener('submit', async (e) => {
+
+    document.getElementById('add-webhook-btn').addEventListener('click', async () => {
+      const formData = new FormData();
+      formData.append('url', document.getElementById('webhook-url').value);
+      document.querySelectorAll('.webhook-event:checked').forEach(el => formData.append('events', el.value));
+      const result = await postAction('/api/webhooks', formData, STRINGS.addWebhookFailed);
+      if (result.success) location.reload();
+    });
+
+    document.querySelectorAll('.toggle-webhook-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const result = await postAction('/api/webhooks/toggle/' + btn.dataset.id, null, STRINGS.updateWebhookFailed);
+        if (result.success) location.reload();
+      });
+    });
+
+    document.querySelectorAll('.delete-webhook-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm(STRINGS.confirmDeleteWebhook)) return;
+        const result = await postAction('/api/webhooks/delete/' + btn.dataset.id, null, STRINGS.deleteWebhookFailed);
+        if (result.success) location.reload();
+      });
+    });
+
+    document.querySelectorAll('.retry-delivery-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        btn.textContent = STRINGS.retrying;
+        const result = await postAction('/api/webhooks/retry/' + btn.dataset.id, null, STRINGS.retryFailed);
+        if (result.success) {
+          if (!result.delivered) alert(STRINGS.stillFailing);
+          location.reload();
+        } else {
+          btn.disabled = false;
+          btn.textContent = STRINGS.retry;
+        }
+      });
+    });
+
+    document.getElementById('add-book-btn').addEventListener('click', async () => {
+      const formData = new FormData();
+      formData.append('name', document.getElementById('book-name').value);
+      formData.append('slug', document.getElementById('book-slug').value);
+      const result = await postAction('/api/guestbooks', formData, STRINGS.addBookFailed);
+      if (result.success) location.href = '/admin/book?slug=' + result.slug + '&next=/admin/settings';
+    });
+
+    document.querySelectorAll('.delete-book-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm(STRINGS.confirmDeleteBook.replace('{name}', btn.dataset.name))) return;
+        const result = await postAction('/api/guestbooks/delete/' + btn.dataset.id, null, STRINGS.deleteBookFailed);
+        if (result.success) location.reload();
+      });
+    });
+
+    document.getElementById('add-ban-btn').addEventListener('click', async () => {
+      const formData = new FormData();
+      formData.append('type', document.getElementById('ban-type').value);
+      formData.append('value', document.getElementById('ban-value').value);
+      formData.append('mode', document.getElementById('ban-mode').value);
+      formData.append('days', document.getElementById('ban-days').value);
+      try {
+        const response = await fetch('/api/bans', { method: 'POST', body: formData });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.addBanFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    });
+
+    document.querySelectorAll('.lift-ban-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm(STRINGS.confirmLiftBan)) return;
+        btn.disabled = true;
+        try {
+          const response = await fetch('/api/bans/lift/' + btn.dataset.id, { method: 'POST' });
+          const result = await response.json();
+          if (result.success) {
+            btn.closest('tr').remove();
+          } else {
+            alert(STRINGS.liftBanFailed + ': ' + (result.error || STRINGS.unknownError));
+            btn.disabled = false;
+          }
+        } catch (error) {
+          alert(STRINGS.errorDetail.replace('{error}', error.message));
+          btn.disabled = false;
+        }
+      });
+    });
+
+    document.getElementById('settings-form').addEventListener('submit', async (e) => {
       e.preventDefault();
       const form = e.target;
       const button = form.querySelector('button[type="submit"]');
@@ -1311,10 +5739,10 @@ ${getHead('Login - ' + sitename, siteIcon, extraStyles + (env.CUSTOM_CSS || ''),
       const formData = new FormData(form);
       
       button.disabled = true;
-      button.textContent = 'Logging in...';
+      button.textContent = STRINGS.saving;
       
       try {
-        const response = await fetch('/login', {
+        const response = await fetch('${bookUrl(config, '/api/settings')}', {
           method: 'POST',
           body: formData
         });
@@ -1322,287 +5750,470 @@ ${getHead('Login - ' + sitename, siteIcon, extraStyles + (env.CUSTOM_CSS || ''),
         const result = await response.json();
         
         if (result.success) {
-          window.location.href = '/admin';
+          messageContainer.innerHTML = '<div class="message success">' + STRINGS.saved + '</div>';
+          setTimeout(() => location.reload(), 1000);
         } else {
-          messageContainer.innerHTML = '<div class="message error">Invalid password</div>';
-          form.reset();
+          messageContainer.innerHTML = '<div class="message error">' + (result.error || STRINGS.saveFailed) + '</div>';
         }
       } catch (error) {
-        messageContainer.innerHTML = '<div class="message error">An error occurred. Please try again.</div>';
+        messageContainer.innerHTML = '<div class="message error">' + STRINGS.error + '</div>';
       } finally {
         button.disabled = false;
-        button.textContent = 'Login';
+        button.textContent = STRINGS.save;
       }
     });
-  </script>
-</body>
-</html>`;
-}
-
-function getEmbedHTML(env, origin) {
-  const sitename = env.SITENAME || 'Guestbook';
-  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
-  const turnstileKey = env.TURNSTILE_SITE_KEY || 'YOUR_TURNSTILE_SITE_KEY';
-  
-  const embedCode = `<!-- Guestbook Widget Container -->
-<div 
-  data-gb 
-  data-gb-api-url="${origin}"
-  data-gb-turnstile-key="${turnstileKey}"
-  data-gb-form="true"
-></div>
-
-<!-- Load the guestbook client script -->
-<script src="${origin}/client.js"></script>`;
-
-  const extraStyles = `
-    pre {
-      background: #f1f5f9;
-      padding: 1rem;
-      border-radius: 0.5rem;
-      overflow-x: auto;
-      border: 1px solid var(--border);
-      font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;
-      font-size: 0.875rem;
-      margin-bottom: 1rem;
-      color: #334155;
-    }
-    .copy-btn {
-      background: var(--primary);
-      color: white;
-      border: none;
-      padding: 0.5rem 1rem;
-      border-radius: 0.375rem;
-      font-size: 0.875rem;
-      font-weight: 500;
-      cursor: pointer;
-      transition: background 0.15s;
-    }
-    .copy-btn:hover { background: var(--primary-hover); }
-  `;
-
-  return `<!DOCTYPE html>
-<html lang="en">
-${getHead('Embed - ' + sitename, siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
-<body>
-  <div class="container">
-    ${getAdminHeader('embed')}
-    
-    <div class="card">
-      <div style="padding: 1.5rem; border-bottom: 1px solid var(--border);">
-        <h2 style="font-size: 1.125rem; font-weight: 600; margin: 0;">Embed Code</h2>
-      </div>
-      <div style="padding: 1.5rem;">
-        <p style="margin-bottom: 1rem; color: var(--text-muted);">Copy the code below and paste it into your website where you want the guestbook to appear.</p>
-        <div style="position: relative;">
-          <pre><code id="embed-code">${escapeHtml(embedCode)}</code></pre>
-          <button class="copy-btn" onclick="copyCode()">Copy Code</button>
-          <span id="copy-success" style="margin-left: 0.5rem; color: var(--success); opacity: 0; transition: opacity 0.2s;">Copied!</span>
-        </div>
-      </div>
-    </div>
-  </div>
-  
-  <script>
-    function copyCode() {
-      const code = document.getElementById('embed-code').innerText;
-      navigator.clipboard.writeText(code).then(() => {
-        const successMsg = document.getElementById('copy-success');
-        successMsg.style.opacity = '1';
-        setTimeout(() => {
-          successMsg.style.opacity = '0';
-        }, 2000);
-      });
-    }
     
     async function logout() {
       try {
         await fetch('/logout', { method: 'POST' });
         window.location.href = '/login';
       } catch (error) {
-        alert('Failed to logout');
+        window.location.href = '/login';
       }
     }
+    
+    ${CLIENT_COMMON_JS}
   </script>
 </body>
 </html>`;
 }
 
-function getAdminHTML(entries, env) {
-  const sitename = env.SITENAME || 'Guestbook';
-  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
-  
-  const entriesHTML = entries.length === 0
-    ? '<div class="empty-state">No entries found.</div>'
-    : `
-      <div class="table-responsive">
-        <table class="entries-table">
-          <thead>
-            <tr>
-              <th>Status</th>
-              <th>Name</th>
-              <th>Message</th>
-              <th>Date</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${entries.map(entry => `
-              <tr class="${entry.approved ? '' : 'row-pending'}">
-                <td>
-                  <span class="badge ${entry.approved ? 'badge-success' : 'badge-warning'}">
-                    ${entry.approved ? 'Approved' : 'Pending'}
-                  </span>
-                </td>
-                <td>
-                  <div class="font-medium">${escapeHtml(entry.name)}</div>
-                  ${entry.email ? `<div class="text-sm"><a href="mailto:${escapeHtml(entry.email)}" class="site-link">${escapeHtml(entry.email)}</a></div>` : ''}
-                  ${entry.site ? `<a href="${escapeHtml(entry.site)}" target="_blank" rel="nofollow" class="site-link">${escapeHtml(entry.site)}</a>` : ''}
-                </td>
-                <td><div class="message-content">${escapeHtml(entry.message).replace(/\n/g, '<br>')}</div></td>
-                <td class="text-muted text-sm client-date" datetime="${entry.created_at}">${formatDate(entry.created_at)}</td>
-                <td>
-                  <div class="action-buttons">
-                    ${!entry.approved ? `<button onclick="approveEntry(${entry.id})" class="btn-icon btn-approve" title="Approve">Approve</button>` : ''}
-                    <button onclick="deleteEntry(${entry.id})" class="btn-icon btn-delete" title="Delete">Delete</button>
-                  </div>
-                </td>
-              </tr>
-            `).join('')}
-          </tbody>
-        </table>
-      </div>
-    `;
-
-  const extraStyles = `
-    .logout { color: #ef4444 !important; }
-    .logout:hover { background: #fef2f2 !important; }
-    .table-responsive { overflow-x: auto; }
-    .entries-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
-    .entries-table th {
-      text-align: left;
-      padding: 1rem;
-      background: #f1f5f9;
-      color: var(--text-muted);
+// HTML templates
+// Shared by the index page and entry permalinks
+const PUBLIC_PAGE_CSS = `
+    .container { max-width: 700px; }
+    h1 { font-size: 1.5rem; letter-spacing: -0.025em; }
+    .header-nav { display: flex; gap: 1rem; align-items: center; }
+    .nav-link { color: var(--text-muted); text-decoration: none; font-size: 0.9375rem; font-weight: 500; transition: color 0.2s; }
+    .nav-link:hover { color: var(--primary); }
+    .card { padding: 2rem; }
+    .turnstile-container { margin: 1.5rem 0; min-height: 65px; }
+    .hp-field { position: absolute; left: -9999px; width: 1px; height: 1px; overflow: hidden; }
+    button { width: 100%; }
+    textarea { min-height: 120px; resize: vertical; }
+    h2 {
+      font-size: 1.5rem;
       font-weight: 600;
-      border-bottom: 1px solid var(--border);
+      margin-bottom: 1.5rem;
+      color: var(--text);
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
     }
-    .entries-table td {
-      padding: 1rem;
-      border-bottom: 1px solid var(--border);
-      vertical-align: top;
+    .entry {
+      background: var(--card-bg);
+      border-radius: 0.75rem;
+      padding: 1.5rem;
+      margin-bottom: 1rem;
+      border: 1px solid var(--border);
+      box-shadow: var(--shadow);
     }
-    .entries-table tr:last-child td { border-bottom: none; }
-    .row-pending { background-color: #fffbeb; }
-    .badge {
-      display: inline-flex;
+    .entry-header {
+      display: flex;
       align-items: center;
-      padding: 0.25rem 0.625rem;
-      border-radius: 9999px;
-      font-size: 0.75rem;
-      font-weight: 600;
+      gap: 1rem;
+      margin-bottom: 1rem;
     }
-    .badge-success { background: #ecfdf5; color: #065f46; }
-    .badge-warning { background: #fffbeb; color: #92400e; }
-    .font-medium { font-weight: 600; color: var(--text); }
-    .site-link {
-      display: block;
-      color: var(--primary);
-      text-decoration: none;
-      font-size: 0.75rem;
-      margin-top: 0.25rem;
-    }
-    .site-link:hover { text-decoration: underline; }
-    .message-content { max-width: 400px; color: var(--text-content); }
-    .action-buttons { display: flex; flex-direction: column; gap: 0.2rem; }
-    .btn-icon {
-      display: inline-flex;
+    .entry-avatar {
+      width: 40px;
+      height: 40px;
+      background: linear-gradient(135deg, var(--primary), #60a5fa);
+      color: white;
+      border-radius: 50%;
+      display: flex;
       align-items: center;
       justify-content: center;
-      width: 100%;
-      padding: 0.15rem 0.4rem;
-      border-radius: 0.2rem;
-      border: 1px solid transparent;
-      cursor: pointer;
-      font-size: 0.625rem;
       font-weight: 600;
+      font-size: 1.125rem;
+      flex-shrink: 0;
+    }
+    .entry-avatar-img { background: var(--border); object-fit: cover; }
+    .pinned-section { margin-bottom: 2rem; }
+    .entry-pinned { border-color: var(--primary); box-shadow: 0 0 0 1px var(--primary), var(--shadow); }
+    .pinned-badge { align-self: flex-start; font-size: 0.6875rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.025em; color: var(--primary); }
+    .entry-meta { flex: 1; display: flex; flex-direction: column; }
+    .entry-name { color: var(--text); font-size: 1rem; }
+    .name-link { color: var(--text); text-decoration: none; transition: color 0.2s; }
+    .name-link:hover { color: var(--primary); text-decoration: underline; }
+    .entry-date { color: var(--text-muted); font-size: 0.75rem; }
+    .entry-permalink { text-decoration: none; align-self: flex-start; }
+    .entry-permalink:hover { color: var(--primary); text-decoration: underline; }
+    .entry-site {
+      color: var(--text-muted);
+      text-decoration: none;
+      font-size: 1.25rem;
+      padding: 0.25rem;
+      border-radius: 0.25rem;
       transition: all 0.2s;
+    }
+    .entry-site:hover { color: var(--primary); background: #eff6ff; }
+    .entry-content {
+      color: var(--text-content);
+      line-height: 1.625;
+      font-size: 0.9375rem;
+      padding-left: 3.5rem;
+      overflow-wrap: anywhere;
+    }
+    .entry-content a { color: var(--primary); }
+    .entry-content code { font-size: 0.875em; background: var(--bg); border: 1px solid var(--border); border-radius: 0.25rem; padding: 0.0625rem 0.3125rem; }
+    .entry-content blockquote { margin: 0.5rem 0; padding-left: 0.75rem; border-left: 3px solid var(--border); color: var(--text-muted); }
+    .entry-fields { display: flex; flex-wrap: wrap; gap: 0.25rem 1rem; margin: 0.75rem 0 0 3.5rem; font-size: 0.8125rem; }
+    .entry-fields dt { display: inline; color: var(--text-muted); }
+    .entry-fields dt::after { content: ': '; }
+    .entry-fields dd { display: inline; margin: 0; color: var(--text-content); }
+    .entry-reply {
+      margin: 1rem 0 0 3.5rem;
+      padding: 0.75rem 1rem;
+      border-left: 3px solid var(--primary);
+      background: var(--bg);
+      border-radius: 0 0.5rem 0.5rem 0;
+    }
+    .entry-reply-header { display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; }
+    .owner-badge {
+      background: var(--primary);
+      color: var(--primary-text, white);
+      font-size: 0.6875rem;
+      font-weight: 600;
       text-transform: uppercase;
       letter-spacing: 0.025em;
+      padding: 0.125rem 0.5rem;
+      border-radius: 9999px;
     }
-    .btn-approve { background: #ecfdf5; color: #059669; border-color: #a7f3d0; }
-    .btn-approve:hover { background: #d1fae5; }
-    .btn-delete { background: #fef2f2; color: #dc2626; border-color: #fecaca; }
-    .btn-delete:hover { background: #fee2e2; }
-    .empty-state { padding: 4rem 2rem; text-align: center; color: var(--text-muted); font-style: italic; }
+    .entry-reply-content { color: var(--text-content); font-size: 0.875rem; line-height: 1.6; }
+    .entry-reactions { display: flex; flex-wrap: wrap; gap: 0.375rem; margin: 0.875rem 0 0 3.5rem; }
+    button.entry-reaction {
+      width: auto;
+      padding: 0.125rem 0.625rem;
+      font-size: 0.875rem;
+      background: var(--bg);
+      color: var(--text-muted);
+      border: 1px solid var(--border);
+      border-radius: 9999px;
+    }
+    button.entry-reaction:hover { border-color: var(--primary); background: var(--bg); }
+    button.entry-reaction.reacted { border-color: var(--primary); color: var(--primary); }
+    .empty-state { text-align: center; padding: 4rem 2rem; color: var(--text-muted); }
+    .empty-icon { font-size: 3rem; margin-bottom: 1rem; }
+    .form-group select { width: 100%; padding: 0.75rem 1rem; border: 1px solid var(--border); border-radius: 0.5rem; font-size: 1rem; background: var(--card-bg); color: var(--text); }
+    @media (max-width: 640px) {
+      .entry-content { padding-left: 0; margin-top: 1rem; }
+      .entry-fields, .entry-reply { margin-left: 0; }
+      .entry-reactions { margin-left: 0; }
+    }
+`;
+
+// Built-in themes. `vars` override the :root colours from COMMON_CSS on the public pages
+// (`dark` only when the visitor prefers a dark colour scheme) and `css` adds what the
+// variables can't express. `widget` and `widgetCss` do the same for the embed widget,
+// scoped to its `.gb-theme-<name>` class.
+// The settings dropdown names each one with its `theme.<name>` key in ADMIN_MESSAGES.
+const THEMES = {
+  default: {
+    vars: {}, css: '', widget: {}, widgetCss: ''
+  },
+  minimal: {
+    vars: {
+      '--primary': '#111827', '--primary-hover': '#374151', '--primary-text': '#ffffff',
+      '--bg': '#ffffff', '--card-bg': '#ffffff', '--text': '#111827',
+      '--text-muted': '#6b7280', '--text-content': '#1f2937', '--border': '#e5e7eb'
+    },
+    dark: {
+      '--primary': '#f9fafb', '--primary-hover': '#d1d5db', '--primary-text': '#111827',
+      '--bg': '#111827', '--card-bg': '#111827', '--text': '#f9fafb',
+      '--text-muted': '#9ca3af', '--text-content': '#e5e7eb', '--border': '#374151'
+    },
+    css: `
+    :root { --shadow: none; }
+    .entry { border-width: 0 0 1px; border-radius: 0; padding: 1.5rem 0; margin-bottom: 0; }
+    .entry-avatar { background: var(--text-muted); }
+    .card { box-shadow: none; }
+`,
+    widget: { '--gb-primary': '#111827' },
+    widgetCss: `
+    .gb-theme-minimal .gb-entry { border-width: 0 0 1px; border-radius: 0; padding: 12px 0; }
+`
+  },
+  retro: {
+    vars: {
+      '--primary': '#000080', '--primary-hover': '#0000cd', '--primary-text': '#ffffff',
+      '--bg': '#008080', '--card-bg': '#c0c0c0', '--text': '#000000',
+      '--text-muted': '#404040', '--text-content': '#000000', '--border': '#808080'
+    },
+    css: `
+    :root { --shadow: 2px 2px 0 #000000; }
+    body { font-family: 'Comic Sans MS', 'Comic Sans', 'Chalkboard SE', cursive; }
+    .site-name { color: #ffff00; text-shadow: 2px 2px 0 #000000; }
+    .card, .entry { border: 2px outset #ffffff; border-radius: 0; }
+    .entry-avatar { border-radius: 0; background: var(--primary); }
+    .entry-content a, .name-link:hover { color: #0000ee; }
+    input[type="text"], input[type="email"], input[type="url"], textarea, .form-group select { border: 2px inset #ffffff; border-radius: 0; background: #ffffff; color: #000000; }
+    button { border: 2px outset #ffffff; border-radius: 0; }
+    button.entry-reaction { border-radius: 0; background: #c0c0c0; }
+`,
+    widget: {
+      '--gb-primary': '#000080', '--gb-bg': '#c0c0c0', '--gb-border': '#808080',
+      '--gb-input-bg': '#ffffff', '--gb-input-text': '#000000'
+    },
+    widgetCss: `
+    .gb-widget.gb-theme-retro { color: #000000; padding: 12px; border: 2px outset #ffffff; font-family: 'Comic Sans MS', 'Comic Sans', 'Chalkboard SE', cursive; }
+    .gb-theme-retro .gb-entry, .gb-theme-retro .gb-form-group input, .gb-theme-retro .gb-form-group textarea, .gb-theme-retro .gb-form-group select, .gb-theme-retro .gb-form button, .gb-theme-retro .gb-entry-reaction { border-radius: 0; }
+    .gb-theme-retro .gb-form button { border: 2px outset #ffffff; }
+`
+  },
+  dark: {
+    vars: {
+      '--primary': '#818cf8', '--primary-hover': '#a5b4fc', '--primary-text': '#0b0f1a',
+      '--bg': '#0b0f1a', '--card-bg': '#161b2e', '--text': '#f1f5f9',
+      '--text-muted': '#94a3b8', '--text-content': '#e2e8f0', '--border': '#2a3150'
+    },
+    css: `
+    :root { --shadow: 0 4px 6px -1px rgb(0 0 0 / 0.5); color-scheme: dark; }
+    input[type="text"], input[type="email"], input[type="url"], textarea { background: var(--card-bg); color: var(--text); }
+    .entry-site:hover { background: var(--border); }
+`,
+    widget: {
+      '--gb-primary': '#818cf8', '--gb-bg': '#0b0f1a', '--gb-border': '#2a3150',
+      '--gb-input-bg': '#161b2e', '--gb-input-text': '#f1f5f9'
+    },
+    widgetCss: `
+    .gb-widget.gb-theme-dark { color: #f1f5f9; padding: 16px; border-radius: 10px; color-scheme: dark; }
+`
+  },
+  paper: {
+    vars: {
+      '--primary': '#8b4513', '--primary-hover': '#6b3410', '--primary-text': '#fffdf7',
+      '--bg': '#f4ecd8', '--card-bg': '#fffdf7', '--text': '#3b2f2f',
+      '--text-muted': '#7a6a58', '--text-content': '#3b2f2f', '--border': '#e0d3b8'
+    },
+    css: `
+    :root { --shadow: 0 1px 2px rgb(90 60 20 / 0.15); }
+    body { font-family: Georgia, 'Times New Roman', serif; }
+    .card, .entry { border-radius: 0.25rem; }
+    input[type="text"], input[type="email"], input[type="url"], textarea { background: var(--card-bg); color: var(--text); }
+    .entry-site:hover { background: var(--bg); }
+`,
+    widget: {
+      '--gb-primary': '#8b4513', '--gb-bg': '#fbf6e9', '--gb-border': '#e0d3b8',
+      '--gb-input-bg': '#fffdf7', '--gb-input-text': '#3b2f2f'
+    },
+    widgetCss: `
+    .gb-widget.gb-theme-paper { color: #3b2f2f; padding: 16px; border-radius: 4px; font-family: Georgia, 'Times New Roman', serif; }
+`
+  }
+};
+
+// Variables the theme editor in settings can override, with the ADMIN_MESSAGES key of each label
+const THEME_VARIABLES = {
+  '--primary': 'themeVar.primary', '--primary-hover': 'themeVar.primaryHover', '--primary-text': 'themeVar.primaryText',
+  '--bg': 'themeVar.bg', '--card-bg': 'themeVar.cardBg', '--text': 'themeVar.text',
+  '--text-muted': 'themeVar.textMuted', '--text-content': 'themeVar.textContent', '--border': 'themeVar.border'
+};
+const WIDGET_THEME_VARIABLES = {
+  '--gb-primary': 'themeVar.widgetPrimary', '--gb-bg': 'themeVar.widgetBg', '--gb-border': 'themeVar.widgetBorder',
+  '--gb-input-bg': 'themeVar.widgetInputBg', '--gb-input-text': 'themeVar.widgetInputText'
+};
+
+function getThemeName(config) {
+  return Object.prototype.hasOwnProperty.call(THEMES, config.THEME) ? config.THEME : 'default';
+}
+
+// Saved overrides from the theme editor. Values end up inside a <style> block, so anything
+// that could close the rule or the element is dropped.
+function parseThemeVariables(json) {
+  let raw;
+  try {
+    raw = JSON.parse(json || '{}');
+  } catch (e) {
+    return {};
+  }
+  const vars = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return vars;
+  for (const [name, value] of Object.entries(raw)) {
+    if (!THEME_VARIABLES[name] && !WIDGET_THEME_VARIABLES[name]) continue;
+    if (typeof value !== 'string') continue;
+    const v = value.trim();
+    if (v && v.length <= 100 && !/[<>{};\\`]/.test(v)) vars[name] = v;
+  }
+  return vars;
+}
+
+function cssVariables(selector, vars) {
+  const lines = Object.entries(vars).map(([name, value]) => `${name}: ${value};`);
+  return lines.length ? `    ${selector} { ${lines.join(' ')} }\n` : '';
+}
+
+// Page CSS for the guestbook's theme, added after PUBLIC_PAGE_CSS. `preview` (from ?theme=)
+// shows a built-in theme without the saved overrides; the editor applies those itself.
+function getThemeCSS(config, preview) {
+  const isPreview = Object.prototype.hasOwnProperty.call(THEMES, preview);
+  const theme = THEMES[isPreview ? preview : getThemeName(config)];
+  let css = cssVariables(':root', theme.vars);
+  if (theme.dark) css += `    @media (prefers-color-scheme: dark) {\n  ${cssVariables(':root', theme.dark)}    }\n`;
+  css += theme.css;
+  if (!isPreview) {
+    const overrides = parseThemeVariables(config.THEME_VARIABLES);
+    css += cssVariables(':root', Object.fromEntries(Object.entries(overrides).filter(([k]) => THEME_VARIABLES[k])));
+  }
+  return css;
+}
+
+// Widget CSS for every built-in theme, so data-gb-theme can pick any of them, followed by
+// the saved overrides for the guestbook's own theme (left out for a preview, as above)
+function getWidgetThemeCSS(config, preview) {
+  let css = '';
+  for (const [name, theme] of Object.entries(THEMES)) {
+    css += cssVariables(`.gb-widget.gb-theme-${name}`, theme.widget) + theme.widgetCss;
+  }
+  if (preview) return css;
+  const overrides = parseThemeVariables(config.THEME_VARIABLES);
+  css += cssVariables(`.gb-widget.gb-theme-${getThemeName(config)}`, Object.fromEntries(Object.entries(overrides).filter(([k]) => WIDGET_THEME_VARIABLES[k])));
+  return css;
+}
+
+function getNavLinksHTML(env) {
+  let navLinks = [];
+  try {
+    navLinks = JSON.parse(env.NAV_LINKS || '[]');
+  } catch (e) {
+    navLinks = [];
+  }
+  
+  return navLinks.length > 0 ? `
+    <nav class="header-nav">
+      ${navLinks.map(link => `<a href="${escapeHtml(link.url)}" class="nav-link">${escapeHtml(link.label)}</a>`).join('')}
+    </nav>` : '';
+}
+
+// Inputs for the custom form fields on the guestbook page
+function getCustomFieldInputsHTML(fields, t) {
+  return fields.map(field => {
+    const id = 'field_' + field.key;
+    const hint = field.required ? (field.public ? '' : t('form.private')) : t(field.public ? 'form.optional' : 'form.optionalPrivate');
+    const attrs = `id="${id}" name="${id}"${field.required ? ' required' : ''}`;
+    let input;
+    if (field.type === 'select') {
+      input = `<select ${attrs}><option value="">${escapeHtml(t('form.choose'))}</option>${field.options.map(option => `<option>${escapeHtml(option)}</option>`).join('')}</select>`;
+    } else if (field.type === 'textarea') {
+      input = `<textarea ${attrs} maxlength="${field.maxLength}"></textarea>`;
+    } else {
+      input = `<input type="text" ${attrs} maxlength="${field.maxLength}">`;
+    }
+    return `
+        <div class="form-group">
+          <label for="${id}">${escapeHtml(field.label)}${hint ? ` <span style="color:var(--text-muted);font-weight:400">${escapeHtml(hint)}</span>` : ''}</label>
+          ${input}
+        </div>`;
+  }).join('');
+}
+
+function renderPublicEntry(entry, currentHostname, { formatting, reactionEmojis, bookPath = '', locale = FALLBACK_LOCALE }) {
+  const t = (key, params) => translate(MESSAGES, locale, key, params);
+  return `
+    <div class="entry${entry.pinned ? ' entry-pinned' : ''}" id="entry-${entry.id}">
+      <div class="entry-header">
+        ${entry.avatar 
+          ? `<img src="${escapeHtml(entry.avatar)}" alt="" class="entry-avatar entry-avatar-img" width="40" height="40" loading="lazy">`
+          : `<div class="entry-avatar">${escapeHtml(entry.name).charAt(0).toUpperCase()}</div>`
+        }
+        <div class="entry-meta">
+          <strong class="entry-name">
+            ${entry.site 
+              ? `<a href="${escapeHtml(entry.site)}${entry.site.includes('?') ? '&' : '?'}via=${escapeHtml(currentHostname || '')}" target="_blank" rel="nofollow" class="name-link">${escapeHtml(entry.name)}</a>` 
+              : escapeHtml(entry.name)
+            }
+          </strong>
+          ${entry.pinned ? `<span class="pinned-badge">${escapeHtml(t('entry.pinned'))}</span>` : ''}
+          <a href="${bookPath}/entry/${entry.id}" class="entry-date entry-permalink client-date" datetime="${entry.created_at}">${formatDate(entry.created_at, locale)}</a>
+        </div>
+      </div>
+      <div class="entry-content">${renderMessage(entry.message, formatting)}</div>
+      ${renderEntryFields(entry.fields, 'entry')}
+      ${entry.reply ? `
+      <div class="entry-reply">
+        <div class="entry-reply-header">
+          <span class="owner-badge">${escapeHtml(t('entry.owner'))}</span>
+          <span class="entry-date client-date" datetime="${entry.replied_at}">${formatDate(entry.replied_at, locale)}</span>
+        </div>
+        <div class="entry-reply-content">${escapeHtml(entry.reply).replace(/\n/g, '<br>')}</div>
+      </div>` : ''}
+      ${renderReactions(entry.id, entry.reactions, reactionEmojis, null, 'entry', t('entry.react'))}
+    </div>
+  `;
+}
+
+function getEntryPageHTML(entry, env, origin) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const permalink = origin + bookUrl(env, `/entry/${entry.id}`);
+  const title = `${entry.name} - ${sitename}`;
+  const reactionEmojis = getReactionEmojis(env);
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(MESSAGES, locale, key, params);
+  // One line, cut at a word boundary where possible
+  const flat = entry.message.replace(/\s+/g, ' ').trim();
+  const excerpt = flat.length > 160 ? flat.slice(0, 160).replace(/\s+\S*$/, '') + '…' : flat;
+  
+  let extraHead = '<script>' + CLIENT_COMMON_JS + '</script>';
+  if (env.ALLOW_INDEXING === false) {
+    extraHead += `
+  <meta name="robots" content="noindex, nofollow">`;
+  }
+  extraHead += `
+  <link rel="canonical" href="${escapeHtml(permalink)}">
+  <meta name="description" content="${escapeHtml(excerpt)}">
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="${escapeHtml(sitename)}">
+  <meta property="og:title" content="${escapeHtml(entry.name)}">
+  <meta property="og:description" content="${escapeHtml(excerpt)}">
+  <meta property="og:url" content="${escapeHtml(permalink)}">
+  <meta name="twitter:card" content="${env.SITE_COVER_IMAGE_URL ? 'summary_large_image' : 'summary'}">
+  <meta name="twitter:title" content="${escapeHtml(entry.name)}">
+  <meta name="twitter:description" content="${escapeHtml(excerpt)}">`;
+  if (env.SITE_COVER_IMAGE_URL) {
+    extraHead += `
+  <meta property="og:image" content="${escapeHtml(env.SITE_COVER_IMAGE_URL)}">
+  <meta name="twitter:image" content="${escapeHtml(env.SITE_COVER_IMAGE_URL)}">`;
+  }
+  
+  const extraStyles = PUBLIC_PAGE_CSS + `
+    .site-name a { color: inherit; text-decoration: none; }
+    .back-link { display: inline-block; margin-top: 1rem; color: var(--text-muted); font-size: 0.875rem; text-decoration: none; }
+    .back-link:hover { color: var(--primary); }
   `;
 
   return `<!DOCTYPE html>
-<html lang="en">
-${getHead('Admin - ' + sitename, siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<html lang="${locale}">
+${getHead(title, siteIcon, extraStyles + getThemeCSS(env, env.THEME_PREVIEW) + (env.CUSTOM_CSS || ''), extraHead)}
 <body>
   <div class="container">
-    ${getAdminHeader('entries')}
-    
-    <div id="message-container"></div>
+    <header>
+      <h1 class="site-name"><a href="${bookUrl(env, '/')}">${escapeHtml(sitename)}</a></h1>
+      ${getNavLinksHTML(env)}
+    </header>
     
-    <div class="card">
-      <div style="padding: 1.5rem; border-bottom: 1px solid var(--border);">
-        <h2 style="font-size: 1.125rem; font-weight: 600; margin: 0;">All Entries</h2>
-      </div>
-      ${entriesHTML}
+    <div id="entries-container">
+      ${renderPublicEntry(entry, new URL(origin).hostname, { formatting: env.MESSAGE_FORMATTING, reactionEmojis, bookPath: bookUrl(env, ''), locale })}
     </div>
+    <a href="${bookUrl(env, '/')}" class="back-link">&larr; ${escapeHtml(t('entry.back'))}</a>
   </div>
-  
+  ${reactionEmojis.length > 0 ? `
   <script>
-    async function approveEntry(id) {
-      try {
-        const response = await fetch('/api/approve/' + id, { method: 'POST' });
-        const result = await response.json();
-        if (result.success) {
-          location.reload();
-        } else {
-          alert('Failed to approve entry: ' + (result.error || 'Unknown error'));
-        }
-      } catch (error) {
-        alert('An error occurred: ' + error.message);
-      }
-    }
-    
-    async function deleteEntry(id) {
-      if (!confirm('Are you sure you want to delete this entry?')) return;
-      
-      try {
-        const response = await fetch('/api/delete/' + id, { method: 'POST' });
-        const result = await response.json();
-        if (result.success) {
-          location.reload();
-        } else {
-          alert('Failed to delete entry: ' + (result.error || 'Unknown error'));
-        }
-      } catch (error) {
-        alert('An error occurred: ' + error.message);
-      }
-    }
-    
-    async function logout() {
-      try {
-        await fetch('/logout', { method: 'POST' });
-        window.location.href = '/login';
-      } catch (error) {
-        window.location.href = '/login';
-      }
-    }
-    
-    ${CLIENT_COMMON_JS}
-  </script>
+    const REACTION_EMOJIS = ${scriptJson(reactionEmojis)};
+    const REACTION_LABEL = ${scriptJson(t('entry.react'))};
+    ${REACTION_CLIENT_JS}
+    const entriesContainer = document.getElementById('entries-container');
+    markRememberedReactions(entriesContainer);
+    entriesContainer.addEventListener('click', (e) => {
+      const btn = e.target.closest('.entry-reaction');
+      if (btn) sendReaction('${bookUrl(env, '/api')}', btn, REACTION_EMOJIS, 'entry', REACTION_LABEL, ${scriptJson(locale)});
+    });
+  </script>` : ''}
 </body>
 </html>`;
 }
 
-function getClientScript(env, requestUrl) {
-  // Use API_URL from env, or derive from request URL
-  const apiUrl = env.API_URL || (requestUrl ? new URL(requestUrl).origin : '');
+function getIndexHTML(entries, env, currentHostname, pinned = []) {
+  const sitename = env.SITENAME || 'Guestbook';
   // Ensure turnstileSiteKey is always a primitive string (not String object)
   let turnstileSiteKey = env.TURNSTILE_SITE_KEY;
   if (typeof turnstileSiteKey !== 'string') {
@@ -1611,656 +6222,4540 @@ function getClientScript(env, requestUrl) {
   // Ensure it's a primitive string, not a String object
   turnstileSiteKey = '' + turnstileSiteKey;
   
-  // Check for turnstile=false query param
-  let forceDisabled = false;
-  if (requestUrl) {
-    try {
-      const url = new URL(requestUrl);
-      if (url.searchParams.get('turnstile') === 'false') {
-        forceDisabled = true;
-      }
-    } catch (e) {
-      // Ignore URL parse errors
-    }
-  }
+  const reactionEmojis = getReactionEmojis(env);
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(MESSAGES, locale, key, params);
+  const renderOptions = { formatting: env.MESSAGE_FORMATTING, reactionEmojis, bookPath: bookUrl(env, ''), locale };
   
-  const turnstileEnabled = !forceDisabled && env.TURNSTILE_ENABLED;
+  const pinnedHTML = pinned.length === 0 ? '' : `
+    <div class="pinned-section">
+      ${pinned.map(entry => renderPublicEntry(entry, currentHostname, renderOptions)).join('')}
+    </div>`;
   
-  return `(function() {
-  const GB_API_URL = ${JSON.stringify(String(apiUrl))};
-  const GB_TURNSTILE_SITE_KEY = ${JSON.stringify(turnstileSiteKey)};
-  const GB_TURNSTILE_ENABLED = ${turnstileEnabled};
+  const entriesHTML = entries.length === 0 && pinned.length === 0 
+    ? `<div class="empty-state"><img src="${escapeHtml(env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp')}" alt="Guestbook" class="empty-icon-img" width="64" height="64"><p>${escapeHtml(t('entries.empty'))}</p></div>`
+    : entries.map(entry => renderPublicEntry(entry, currentHostname, renderOptions)).join('');
   
-  // Load Turnstile script
-  if (GB_TURNSTILE_ENABLED && !document.querySelector('script[src*="turnstile"]')) {
-    const script = document.createElement('script');
-    script.src = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
-    script.async = true;
-    script.defer = true;
-    document.head.appendChild(script);
-  }
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
   
-  // Guestbook widget
-  function GuestbookWidget(config) {
-    this.container = typeof config.container === 'string' 
-      ? document.querySelector(config.container) 
-      : config.container;
-    this.apiUrl = config.apiUrl || GB_API_URL;
-    // Ensure turnstileSiteKey is always a string
-    const providedKey = config.turnstileSiteKey || GB_TURNSTILE_SITE_KEY;
-    this.turnstileSiteKey = String(providedKey || '');
-    this.turnstileEnabled = config.turnstileEnabled !== undefined ? config.turnstileEnabled : GB_TURNSTILE_ENABLED;
-    this.showForm = config.showForm !== false;
-    this.isSubmitting = false;
-    this.turnstileWidgetId = null;
-    this.init();
-  }
+  // Meta tags
+   const siteDescription = env.SITE_DESCRIPTION || 'A simple guestbook powered by Cloudflare Workers.';
+   const siteCoverImage = env.SITE_COVER_IMAGE_URL || '';
+   const canonicalUrl = env.CANONICAL_URL || '';
+   const allowIndexing = env.ALLOW_INDEXING !== false; // Default to true
+   
+   let extraHead = '<script src="https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit" async defer></script><script>' + CLIENT_COMMON_JS + '</script>';
+   
+   if (!allowIndexing) {
+     extraHead += `
+   <meta name="robots" content="noindex, nofollow">`;
+   }
+   
+   if (canonicalUrl) {
+     extraHead += `
+   <link rel="canonical" href="${escapeHtml(canonicalUrl)}">`;
+   }
+   
+   if (siteDescription) {
+     extraHead += `
+   <meta name="description" content="${escapeHtml(siteDescription)}">`;
+   }
+   
+   if (env.FEEDS_ENABLED !== false) {
+     extraHead += `
+   <link rel="alternate" type="application/rss+xml" title="${escapeHtml(sitename)} (RSS)" href="${bookUrl(env, '/feed.xml')}">
+   <link rel="alternate" type="application/atom+xml" title="${escapeHtml(sitename)} (Atom)" href="${bookUrl(env, '/atom.xml')}">
+   <link rel="alternate" type="application/feed+json" title="${escapeHtml(sitename)} (JSON Feed)" href="${bookUrl(env, '/feed.json')}">`;
+   }
   
-  GuestbookWidget.prototype.init = function() {
-    if (!this.container) {
-      console.error('Guestbook: Container not found');
-      return;
-    }
-    
-    this.render();
-    this.loadEntries();
-  };
+  extraHead += `
+  <meta property="og:title" content="${escapeHtml(sitename)}">`;
+
+  if (siteDescription) {
+    extraHead += `
+  <meta property="og:description" content="${escapeHtml(siteDescription)}">`;
+  }
+
+  if (siteCoverImage) {
+    extraHead += `
+  <meta property="og:image" content="${escapeHtml(siteCoverImage)}">`;
+  }
+
+  extraHead += `
+  <meta name="twitter:title" content="${escapeHtml(sitename)}">`;
+
+  if (siteDescription) {
+    extraHead += `
+  <meta name="twitter:description" content="${escapeHtml(siteDescription)}">`;
+  }
   
-  GuestbookWidget.prototype.render = function() {
-    let html = '<div class="gb-widget">';
+  if (siteCoverImage) {
+    extraHead += `
+  <meta name="twitter:image" content="${escapeHtml(siteCoverImage)}">
+  <meta name="twitter:card" content="summary_large_image">`;
+  } else {
+    extraHead += `
+  <meta name="twitter:card" content="summary">`;
+  }
+  
+  const navLinksHTML = getNavLinksHTML(env);
+  
+  const extraStyles = PUBLIC_PAGE_CSS;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(sitename, siteIcon, extraStyles + getThemeCSS(env, env.THEME_PREVIEW) + (env.CUSTOM_CSS || ''), extraHead)}
+<body>
+  <div class="container">
+    <header>
+      <h1 class="site-name">${escapeHtml(sitename)}</h1>
+      ${navLinksHTML}
+    </header>
     
-    if (this.showForm) {
-      html += \`
-        <div class="gb-form">
-          <form id="gb-form-\${Date.now()}">
-            <div class="gb-form-group">
-              <input type="text" name="name" required placeholder="Name">
-            </div>
-            <div class="gb-form-group">
-              <input type="email" name="email" placeholder="Email (optional)">
-            </div>
-            <div class="gb-form-group">
-              <input type="url" name="site" placeholder="Website (optional)">
-            </div>
-            <div class="gb-form-group">
-              <textarea name="message" required placeholder="Message in plain text"></textarea>
-            </div>
-            \${this.turnstileEnabled ? '<div class="gb-turnstile"></div>' : ''}
-            <button type="button" class="gb-submit-btn">Submit</button>
-          </form>
-          <div class="gb-message"></div>
+    <div class="card">
+      ${env.SITE_INTRO ? `<div style="margin-bottom: 1.5rem; color: var(--text); line-height: 1.6;">${env.SITE_INTRO}</div>` : ''}
+      <form id="guestbook-form">
+        <div class="form-group">
+          <label for="name">${escapeHtml(t('form.name'))}</label>
+          <input type="text" id="name" name="name" required placeholder="${escapeHtml(t('form.namePlaceholder'))}">
         </div>
-      \`;
-    }
+        <div class="form-group">
+          <label for="email">${escapeHtml(t('form.email'))} <span style="color:var(--text-muted);font-weight:400">${escapeHtml(t('form.optionalPrivate'))}</span></label>
+          <input type="email" id="email" name="email" placeholder="you@example.com">
+        </div>
+        <div class="form-group">
+          <label for="site">${escapeHtml(t('form.website'))} <span style="color:var(--text-muted);font-weight:400">${escapeHtml(t('form.optional'))}</span></label>
+          <input type="url" id="site" name="site" placeholder="https://example.com">
+        </div>
+        <div class="form-group">
+          <label for="message">${escapeHtml(t('form.message'))}</label>
+          <textarea id="message" name="message" required placeholder="${escapeHtml(t('form.messagePlaceholder'))}"></textarea>
+        </div>
+        ${getCustomFieldInputsHTML(getCustomFields(env), t)}
+        <div class="hp-field" aria-hidden="true">
+          <label for="${HONEYPOT_FIELD}">${escapeHtml(t('form.honeypot'))}</label>
+          <input type="text" id="${HONEYPOT_FIELD}" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off">
+        </div>
+        ${env.TURNSTILE_ENABLED ? `<div class="turnstile-container">
+          <div class="cf-turnstile"></div>
+        </div>` : ''}
+        <button type="button" id="submit-btn">${escapeHtml(t('form.post'))}</button>
+      </form>
+      <div id="message-container" style="margin-top: 1rem"></div>
+    </div>
     
-    html += '<div class="gb-entries"><div class="gb-entries-list"></div></div>';
-    html += '</div>';
+    <div class="entries-section">
+      <h2 style="font-size: 1.25rem; color: var(--text-muted); margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem;">
+        <span>${escapeHtml(t('entries.heading'))}</span>
+      </h2>
+      ${pinnedHTML}
+      <div id="entries-container">
+        ${entriesHTML}
+      </div>
+      <div id="load-more-container" style="text-align: center; margin-top: 2rem; display: ${entries.length >= 20 ? 'block' : 'none'};">
+        <button id="load-more-btn" style="background: var(--card-bg); color: var(--text); border: 1px solid var(--border); padding: 0.5rem 1rem; border-radius: 0.5rem; cursor: pointer; font-size: 0.875rem;" data-cursor="${entries.length > 0 ? entries[entries.length - 1].id : ''}">${escapeHtml(t('entries.loadMore'))}</button>
+      </div>
+    </div>
+
+    <footer style="text-align: center; margin-top: 3rem; padding-top: 1.5rem; border-top: 1px solid var(--border); color: var(--text-muted); font-size: 0.875rem;">
+      <p style="margin-bottom: 0.5rem;">${t('footer.poweredBy', { link: '<a href="https://mighil.com/mygb" target="_blank" rel="noopener noreferrer" style="color: inherit; text-decoration: underline;">MyGB</a>' })}</p>
+      <p style="margin: 0;">${t('footer.source', { link: `<a href="https://github.com/verfasor/mygb" target="_blank" rel="noopener noreferrer" style="color: inherit; text-decoration: underline;">${escapeHtml(t('footer.sourceLink'))}</a>` })}</p>
+    </footer>
+  </div>
+  
+  <script>
+    let turnstileWidgetId = null;
+    let turnstileReady = false;
+    let isSubmitting = false;
+    const formLoadedAt = Date.now();
+    const TURNSTILE_SITE_KEY = ${turnstileSiteKey ? JSON.stringify(String(turnstileSiteKey)) : '""'};
+    const TURNSTILE_ENABLED = ${env.TURNSTILE_ENABLED};
+    const MESSAGE_FORMATTING = ${!!env.MESSAGE_FORMATTING};
+    const REACTION_EMOJIS = ${scriptJson(reactionEmojis)};
+    const LOCALE = ${scriptJson(locale)};
+    // Strings the script needs, in the page's locale
+    const STRINGS = ${scriptJson({
+      loadMore: t('entries.loadMore'),
+      loading: t('entries.loading'),
+      owner: t('entry.owner'),
+      react: t('entry.react'),
+      post: t('form.post'),
+      submitting: t('form.submitting'),
+      thanks: t('submit.thanks'),
+      moderated: t('submit.moderated'),
+      failed: t('submit.failed'),
+      error: t('submit.error'),
+      verify: t('submit.verify')
+    })};
     
-    this.container.innerHTML = html;
+    // Load More functionality
+    const loadMoreBtn = document.getElementById('load-more-btn');
+    const entriesContainer = document.getElementById('entries-container');
     
-    if (this.showForm) {
-      const form = this.container.querySelector('form');
-      const submitBtn = this.container.querySelector('.gb-submit-btn');
-      const turnstileContainer = this.container.querySelector('.gb-turnstile');
-      const self = this;
-      
-      // Render Turnstile automatically
-      function renderTurnstileWidget() {
-        if (!self.turnstileEnabled) return null;
-        
-        if (self.turnstileWidgetId !== null || !window.turnstile) {
-          return self.turnstileWidgetId;
-        }
+    // Reactions (on the wrapper, so pinned entries above the feed get them too)
+    ${REACTION_CLIENT_JS}
+    const entriesSection = document.querySelector('.entries-section');
+    markRememberedReactions(entriesSection);
+    entriesSection.addEventListener('click', (e) => {
+      const btn = e.target.closest('.entry-reaction');
+      if (btn) sendReaction('${bookUrl(env, '/api')}', btn, REACTION_EMOJIS, 'entry', STRINGS.react, LOCALE);
+    });
+    
+    if (loadMoreBtn) {
+      loadMoreBtn.addEventListener('click', async () => {
+        const cursor = loadMoreBtn.getAttribute('data-cursor');
+        loadMoreBtn.disabled = true;
+        loadMoreBtn.textContent = STRINGS.loading;
         
         try {
-          if (!self.turnstileSiteKey || typeof self.turnstileSiteKey !== 'string' || self.turnstileSiteKey === '') {
-            console.error('Turnstile site key is invalid:', self.turnstileSiteKey, typeof self.turnstileSiteKey);
-            return null;
+          const response = await fetch('${bookUrl(env, '/api/entries')}?cursor=' + cursor);
+          const data = await response.json();
+          
+          if (data.success && data.entries.length > 0) {
+            data.entries.forEach(entry => {
+              const entryHtml = \`
+                <div class="entry" id="entry-\${entry.id}">
+                  <div class="entry-header">
+                    \${entry.avatar 
+                      ? '<img src="' + escapeHtml(entry.avatar) + '" alt="" class="entry-avatar entry-avatar-img" width="40" height="40" loading="lazy">'
+                      : '<div class="entry-avatar">' + escapeHtml(entry.name).charAt(0).toUpperCase() + '</div>'
+                    }
+                    <div class="entry-meta">
+                      <strong class="entry-name">
+                        \${entry.site 
+                          ? '<a href="' + escapeHtml(entry.site) + (entry.site.includes('?') ? '&' : '?') + 'via=' + escapeHtml(window.location.hostname) + '" target="_blank" rel="nofollow" class="name-link">' + escapeHtml(entry.name) + '</a>' 
+                          : escapeHtml(entry.name)
+                        }
+                      </strong>
+                      <a href="${bookUrl(env, '/entry/')}\${entry.id}" class="entry-date entry-permalink client-date" datetime="\${entry.created_at}">\${formatDateString(entry.created_at)}</a>
+                    </div>
+                  </div>
+                  <div class="entry-content">\${renderMessage(entry.message, MESSAGE_FORMATTING)}</div>
+                  \${renderEntryFields(entry.fields, 'entry')}
+                  \${entry.reply 
+                    ? '<div class="entry-reply"><div class="entry-reply-header"><span class="owner-badge">' + escapeHtml(STRINGS.owner) + '</span><span class="entry-date client-date" datetime="' + escapeHtml(entry.replied_at) + '">' + formatDateString(entry.replied_at) + '</span></div><div class="entry-reply-content">' + escapeHtml(entry.reply).replace(/\\n/g, '<br>') + '</div></div>' 
+                    : ''
+                  }
+                  \${renderReactions(entry.id, entry.reactions, REACTION_EMOJIS, getRememberedReactions(), 'entry', STRINGS.react)}
+                </div>
+              \`;
+              entriesContainer.insertAdjacentHTML('beforeend', entryHtml);
+            });
+            
+            if (data.nextCursor) {
+              loadMoreBtn.setAttribute('data-cursor', data.nextCursor);
+              loadMoreBtn.disabled = false;
+              loadMoreBtn.textContent = STRINGS.loadMore;
+            } else {
+              loadMoreBtn.style.display = 'none';
+            }
+          } else {
+            loadMoreBtn.style.display = 'none';
           }
-          // Explicitly ensure it's a string
-          const siteKeyValue = String(self.turnstileSiteKey);
-          self.turnstileWidgetId = window.turnstile.render(turnstileContainer, {
-            sitekey: siteKeyValue,
+        } catch (error) {
+          console.error('Error loading more entries:', error);
+          loadMoreBtn.disabled = false;
+          loadMoreBtn.textContent = STRINGS.loadMore;
+        }
+      });
+    }
+
+
+    
+    // Render Turnstile automatically
+    function renderTurnstile() {
+      if (!TURNSTILE_ENABLED) return null;
+      
+      if (turnstileWidgetId !== null || !window.turnstile) {
+        return turnstileWidgetId;
+      }
+      
+      // Ensure sitekey is a valid non-empty string
+      if (!TURNSTILE_SITE_KEY || typeof TURNSTILE_SITE_KEY !== 'string' || TURNSTILE_SITE_KEY === '') {
+        console.error('Turnstile site key is missing or invalid. Type:', typeof TURNSTILE_SITE_KEY, 'Value:', TURNSTILE_SITE_KEY);
+        return null;
+      }
+      
+      const container = document.querySelector('.cf-turnstile');
+      if (container) {
+        try {
+          // Ensure it's definitely a string
+          const siteKeyStr = String(TURNSTILE_SITE_KEY);
+          turnstileWidgetId = window.turnstile.render(container, {
+            sitekey: siteKeyStr,
             theme: 'auto',
             callback: function(token) {
               // Store token but don't auto-submit
               // We'll submit when user clicks the button
             }
           });
-          turnstileContainer.setAttribute('data-turnstile-rendered', 'true');
-          return self.turnstileWidgetId;
+          return turnstileWidgetId;
         } catch (error) {
           console.error('Turnstile render error:', error);
           return null;
         }
       }
-      
-      // Auto-render if Turnstile is ready
+      return null;
+    }
+    
+    // Wait for Turnstile script to load and then render
+    function waitForTurnstile() {
       if (window.turnstile) {
-        renderTurnstileWidget();
-      } else {
-        // Poll for Turnstile
+        turnstileReady = true;
+        renderTurnstile();
+        return;
+      }
+      
+      window.addEventListener('load', () => {
         const checkTurnstile = setInterval(() => {
           if (window.turnstile) {
             clearInterval(checkTurnstile);
-            renderTurnstileWidget();
+            turnstileReady = true;
+            renderTurnstile();
           }
         }, 100);
+        // Timeout after 5 seconds
         setTimeout(() => clearInterval(checkTurnstile), 5000);
-      }
-      
-      // Handle button click instead of form submit to prevent Enter key from triggering
-      submitBtn.addEventListener('click', async () => {
-        // Prevent multiple clicks
-        if (this.isSubmitting) {
-          return;
-        }
-        
-        // Validate form
-        if (!form.checkValidity()) {
-          form.reportValidity();
-          return;
-        }
-
-        if (!this.turnstileEnabled) {
-          this.handleSubmit('disabled');
-          return;
-        }
-        
-        // Get Turnstile response
-        const token = window.turnstile ? window.turnstile.getResponse(this.turnstileWidgetId) : null;
-        
-        if (!token) {
-          const messageDiv = this.container.querySelector('.gb-message');
-          messageDiv.innerHTML = '<div class="gb-error">Please verify you are human.</div>';
-          return;
-        }
-        
-        this.handleSubmit(token);
-      });
-      
-      // Prevent form submission on Enter key
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
       });
     }
-  };
-  
-  GuestbookWidget.prototype.handleSubmit = async function(token) {
-    // Prevent multiple simultaneous submissions
-    if (this.isSubmitting) {
-      return;
-    }
     
-    this.isSubmitting = true;
-    const form = this.container.querySelector('form');
-    const button = this.container.querySelector('.gb-submit-btn');
-    const messageDiv = this.container.querySelector('.gb-message');
-    
-    if (!button) {
-      console.error('Submit button not found');
-      this.isSubmitting = false;
-      return;
-    }
-    
-    button.disabled = true;
-    button.textContent = 'Submitting...';
-    
-    const formData = new FormData(form);
-    formData.append('cf-turnstile-response', token);
+    waitForTurnstile();
     
-    try {
-      const response = await fetch(this.apiUrl + '/api/submit', {
-        method: 'POST',
-        body: formData
-      });
+    async function submitForm(token) {
+      // Prevent multiple simultaneous submissions
+      if (isSubmitting) {
+        return;
+      }
       
-      const result = await response.json();
+      isSubmitting = true;
+      const form = document.getElementById('guestbook-form');
+      const button = document.getElementById('submit-btn');
+      const messageContainer = document.getElementById('message-container');
       
-      if (result.success) {
-        const successMsg = result.approved 
-          ? 'Thank you! Your entry has been submitted.' 
-          : 'Thank you! Your entry will be visible after moderation.';
-        messageDiv.innerHTML = '<div class="gb-success">' + successMsg + '</div>';
-        form.reset();
-        if (window.turnstile && this.turnstileWidgetId !== null) {
-          window.turnstile.reset(this.turnstileWidgetId);
+      if (!button) {
+        console.error('Submit button not found');
+        isSubmitting = false;
+        return;
+      }
+      
+      button.disabled = true;
+      button.textContent = STRINGS.submitting;
+      
+      const formData = new FormData(form);
+      formData.append('cf-turnstile-response', token);
+      formData.append('gb_elapsed', Date.now() - formLoadedAt);
+      formData.append('gb_lang', LOCALE);
+      
+      try {
+        const response = await fetch('${bookUrl(env, '/api/submit')}', {
+          method: 'POST',
+          body: formData
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+          const successMsg = result.approved ? STRINGS.thanks : STRINGS.moderated;
+          messageContainer.innerHTML = '<div class="message success">' + escapeHtml(successMsg) + '</div>';
+          form.reset();
+          // Don't reset turnstile if we're reloading - just reload immediately
+          setTimeout(() => location.reload(), 4000);
+          // Don't reset isSubmitting since we're reloading
+          return;
+        } else {
+          messageContainer.innerHTML = '<div class="message error">' + escapeHtml(result.error || STRINGS.failed) + '</div>';
+          if (window.turnstile && turnstileWidgetId !== null) {
+            window.turnstile.reset(turnstileWidgetId);
+          }
         }
-        this.loadEntries();
-      } else {
-        messageDiv.innerHTML = '<div class="gb-error">' + (result.error || 'Failed to submit entry.') + '</div>';
-        if (window.turnstile && this.turnstileWidgetId !== null) {
-          window.turnstile.reset(this.turnstileWidgetId);
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(STRINGS.error) + '</div>';
+        if (window.turnstile && turnstileWidgetId !== null) {
+          window.turnstile.reset(turnstileWidgetId);
         }
+      } finally {
+        isSubmitting = false;
+        button.disabled = false;
+        button.textContent = STRINGS.post;
       }
-    } catch (error) {
-      messageDiv.innerHTML = '<div class="gb-error">An error occurred. Please try again.</div>';
-      if (window.turnstile && this.turnstileWidgetId !== null) {
-        window.turnstile.reset(this.turnstileWidgetId);
+    }
+    
+    // Handle button click instead of form submit to prevent Enter key from triggering
+    document.getElementById('submit-btn').addEventListener('click', async () => {
+      // Prevent multiple clicks
+      if (isSubmitting) {
+        return;
       }
-    } finally {
-      this.isSubmitting = false;
-      button.disabled = false;
-      button.textContent = 'Submit';
+      
+      const form = document.getElementById('guestbook-form');
+      
+      // Validate form
+      if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+      }
+
+      if (!TURNSTILE_ENABLED) {
+        submitForm('disabled');
+        return;
+      }
+      
+      // Get Turnstile response
+      const token = window.turnstile ? window.turnstile.getResponse(turnstileWidgetId) : null;
+      
+      if (!token) {
+        const messageContainer = document.getElementById('message-container');
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(STRINGS.verify) + '</div>';
+        return;
+      }
+      
+      submitForm(token);
+    });
+    
+    // Prevent form submission on Enter key
+    document.getElementById('guestbook-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+    });
+    
+    // Format dates to client timezone
+    function formatClientDates() {
+      document.querySelectorAll('.client-date').forEach(el => {
+        const dateStr = el.getAttribute('datetime');
+        if (!dateStr) return;
+        
+        // Fix for SQLite date format (YYYY-MM-DD HH:MM:SS) to ISO (YYYY-MM-DDTHH:MM:SSZ)
+        // Assume UTC if no timezone specified
+        const isoDate = dateStr.replace(' ', 'T') + (dateStr.includes('Z') ? '' : 'Z');
+        
+        const date = new Date(isoDate);
+        if (isNaN(date.getTime())) return;
+        
+        el.textContent = date.toLocaleString(LOCALE, { 
+          month: 'short', 
+          day: 'numeric', 
+          year: 'numeric', 
+          hour: 'numeric', 
+          minute: '2-digit' 
+        });
+      });
     }
-  };
+    formatClientDates();
+  </script>
+</body>
+</html>`;
+}
+
+function getLoginHTML(env, { firstLogin } = {}) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
   
-  GuestbookWidget.prototype.loadEntries = async function() {
-    const entriesList = this.container.querySelector('.gb-entries-list');
-    if (!entriesList) return;
+  const extraStyles = `
+    body { display: flex; justify-content: center; align-items: center; min-height: 100vh; padding: 1rem; }
+    .login-container {
+      background: var(--card-bg);
+      padding: 2.5rem;
+      border-radius: 1rem;
+      box-shadow: var(--shadow);
+      width: 100%;
+      max-width: 400px;
+      border: 1px solid var(--border);
+    }
+    .brand { text-align: center; margin-bottom: 2rem; }
+    .brand-icon { font-size: 3rem; margin-bottom: 0.5rem; display: inline-block; }
+    h1 { margin-bottom: 0.5rem; font-size: 1.5rem; }
+    .subtitle { color: var(--text-muted); font-size: 0.875rem; }
+    button { width: 100%; padding: 0.75rem; }
+    .message { text-align: center; padding: 0.75rem; }
+    .back-link {
+      display: block;
+      text-align: center;
+      margin-top: 1.5rem;
+      color: var(--text-muted);
+      text-decoration: none;
+      font-size: 0.875rem;
+      transition: color 0.2s;
+    }
+    .back-link:hover { color: var(--primary); }
+  `;
+  
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(t('login.pageTitle', { sitename }), siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="login-container">
+    <div class="brand">
+      <img src="${escapeHtml(siteIcon)}" alt="${escapeHtml(t('login.logo'))}" width="64" height="64" style="margin-bottom: 1rem; border-radius: 8px;">
+      <h1>${escapeHtml(t('login.heading'))}</h1>
+      <p class="subtitle">${firstLogin ? t('login.firstLogin') : escapeHtml(t('login.subtitle'))}</p>
+    </div>
     
-    entriesList.innerHTML = '<div class="gb-loading">Loading entries...</div>';
+    <div id="message-container"></div>
     
-    try {
-      const response = await fetch(this.apiUrl + '/api/entries');
-      const result = await response.json();
+    <form id="login-form">
+      <div class="form-group">
+        <label for="username">${escapeHtml(t('login.username'))}</label>
+        <input type="text" id="username" name="username" ${firstLogin ? 'value="admin"' : 'required'} autocomplete="username" autocapitalize="none" autofocus>
+      </div>
+      <div class="form-group">
+        <label for="password">${escapeHtml(t('login.password'))}</label>
+        <input type="password" id="password" name="password" required autocomplete="current-password">
+      </div>
+      <button type="submit">${escapeHtml(t('login.signIn'))}</button>
+    </form>
+    <a href="/" class="back-link">${escapeHtml(t('login.back'))}</a>
+  </div>
+  
+  <script>
+    const STRINGS = ${scriptJson({
+      signIn: t('login.signIn'),
+      signingIn: t('login.signingIn'),
+      invalid: t('login.invalid'),
+      error: t('common.error')
+    })};
+    
+    document.getElementById('login-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const form = e.target;
+      const button = form.querySelector('button[type="submit"]');
+      const messageContainer = document.getElementById('message-container');
+      const formData = new FormData(form);
       
-      if (result.success && result.entries) {
-        if (result.entries.length === 0) {
-          entriesList.innerHTML = '<div class="gb-no-entries">No entries yet.</div>';
+      button.disabled = true;
+      button.textContent = STRINGS.signingIn;
+      
+      try {
+        const response = await fetch('/login', {
+          method: 'POST',
+          body: formData
+        });
+        
+        const result = await response.json();
+        
+        if (result.success) {
+          window.location.href = '/admin';
         } else {
-          entriesList.innerHTML = result.entries.map(entry => \`
-            <div class="gb-entry">
-              <div class="gb-entry-header">
-                <strong class="gb-entry-name">
-                  \${entry.site 
-                    ? '<a href="' + this.escapeHtml(this.addViaParam(entry.site)) + '" target="_blank" rel="nofollow" class="gb-entry-name-link">' + this.escapeHtml(entry.name) + '</a>' 
-                    : this.escapeHtml(entry.name)
-                  }
-                </strong>
-                <span class="gb-entry-date">\${this.formatDate(entry.created_at)}</span>
-              </div>
-              <div class="gb-entry-message">\${this.escapeHtml(entry.message).replace(/\\n/g, '<br>')}</div>
-            </div>
-          \`).join('');
+          messageContainer.innerHTML = '<div class="message error">' + STRINGS.invalid + '</div>';
+          form.password.value = '';
         }
-      } else {
-        entriesList.innerHTML = '<div class="gb-error">Failed to load entries.</div>';
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + STRINGS.error + '</div>';
+      } finally {
+        button.disabled = false;
+        button.textContent = STRINGS.signIn;
       }
-    } catch (error) {
-      entriesList.innerHTML = '<div class="gb-error">Failed to load entries.</div>';
+    });
+  </script>
+</body>
+</html>`;
+}
+
+function getModerateHTML(env, { entry, action, token, done, error }) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  const actionLabel = t(action === 'approve' ? 'moderate.approve' : 'moderate.delete');
+  
+  const extraStyles = `
+    body { display: flex; justify-content: center; align-items: center; min-height: 100vh; padding: 1rem; }
+    .moderate-container {
+      background: var(--card-bg);
+      padding: 2rem;
+      border-radius: 1rem;
+      box-shadow: var(--shadow);
+      width: 100%;
+      max-width: 480px;
+      border: 1px solid var(--border);
     }
-  };
+    h1 { margin-bottom: 1rem; }
+    .entry-preview { border-left: 3px solid var(--border); padding-left: 1rem; margin-bottom: 1.5rem; color: var(--text-content); }
+    button { width: 100%; }
+    .btn-danger { background: var(--danger); }
+    .back-link { display: block; text-align: center; margin-top: 1.5rem; color: var(--text-muted); font-size: 0.875rem; }
+  `;
   
-  GuestbookWidget.prototype.escapeHtml = function(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  };
+  let body;
+  if (error) {
+    body = `<div class="message error">${escapeHtml(error)}</div>`;
+  } else if (done) {
+    body = `<div class="message success">${escapeHtml(t(action === 'approve' ? 'moderate.approved' : 'moderate.deleted', { name: entry.name }))}</div>`;
+  } else {
+    body = `
+      <div class="entry-preview">
+        <strong>${escapeHtml(entry.name)}</strong>
+        <div class="text-muted text-sm">${escapeHtml(t(entry.approved ? 'moderate.published' : 'moderate.pending'))}</div>
+        <p style="margin-top: 0.5rem;">${escapeHtml(entry.message).replace(/\n/g, '<br>')}</p>
+      </div>
+      <form method="POST" action="/moderate">
+        <input type="hidden" name="t" value="${escapeHtml(token)}">
+        <button type="submit" class="${action === 'delete' ? 'btn-danger' : ''}">${escapeHtml(actionLabel)}</button>
+      </form>`;
+  }
   
-  GuestbookWidget.prototype.addViaParam = function(urlStr) {
-    if (!urlStr) return '';
-    try {
-      const url = new URL(urlStr);
-      url.searchParams.set('via', window.location.hostname);
-      return url.toString();
-    } catch (e) {
-      return urlStr;
-    }
-  };
-
-  GuestbookWidget.prototype.formatDate = function(dateString) {
-    if (!dateString) return '';
-    // Fix for SQLite date format
-    const isoDate = dateString.replace(' ', 'T') + (dateString.includes('Z') ? '' : 'Z');
-    const date = new Date(isoDate);
-    if (isNaN(date.getTime())) return dateString;
-    // To include time, use:
-    // return date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
-    return date.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-  };
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(actionLabel + ' - ' + sitename, siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="moderate-container">
+    <h1>${escapeHtml(error ? t('moderate.heading') : actionLabel)}</h1>
+    ${body}
+    <a href="/admin" class="back-link">${escapeHtml(t('moderate.openAdmin'))}</a>
+  </div>
+</body>
+</html>`;
+}
+
+function getEmbedHTML(env, origin) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  const turnstileKey = env.TURNSTILE_SITE_KEY || 'YOUR_TURNSTILE_SITE_KEY';
   
-  // CSS Styles
-  const style = document.createElement('style');
-  style.textContent = \`
-    .gb-widget { 
-      font-family: inherit; 
-      color: inherit;
-      --gb-base: currentColor;
-      --gb-primary: #3498db;
-      --gb-bg: transparent;
-      --gb-border: #ddd;
-      --gb-input-bg: #fff;
-      --gb-input-text: inherit;
-      --gb-error-bg: #f8d7da;
-      --gb-error-text: #721c24;
-      --gb-success-bg: #d4edda;
-      --gb-success-text: #155724;
-    }
-    .gb-form { 
-      margin-bottom: 20px; 
-    }
-    .gb-form-group { margin-bottom: 15px; }
-    .gb-form-group input,
-    .gb-form-group textarea { 
-      width: 100%;
-      padding: 8px;
-      border: 1px solid color-mix(in srgb,var(--gb-base)10%,transparent);
-      border-radius: 10px;
-      font-family: inherit;
-      color: inherit;
-      box-sizing: border-box;
-      font-size: 16px;
-      background: transparent;
+  const isDefaultBook = env.BOOK.id === DEFAULT_BOOK.id;
+  
+  const embedCode = `<!-- Guestbook Widget Container -->
+<div 
+  data-gb 
+  data-gb-api-url="${origin}"${isDefaultBook ? '' : `
+  data-gb-book="${env.BOOK.slug}"`}
+  data-gb-turnstile-key="${turnstileKey}"
+  data-gb-lang="${normalizeLocale(env.DEFAULT_LOCALE) || FALLBACK_LOCALE}"
+  data-gb-theme="${getThemeName(env)}"
+  data-gb-form="true"
+></div>
+
+<!-- Load the guestbook client script -->
+<script src="${origin}${bookUrl(env, '/client.js')}"></script>`;
+
+  const extraStyles = `
+    pre {
+      background: #f1f5f9;
+      padding: 1rem;
+      border-radius: 0.5rem;
+      overflow-x: auto;
+      border: 1px solid var(--border);
+      font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;
+      font-size: 0.875rem;
+      margin-bottom: 1rem;
+      color: #334155;
     }
-    .gb-form-group textarea { min-height: 80px; resize: vertical; }
-    .gb-turnstile { margin: 15px 0; }
-    .gb-form button { 
-      border: 1px solid;
-      padding: 10px 20px;
-      border-radius: 10px;
-      cursor: pointer;
+    .copy-btn {
+      background: var(--primary);
+      color: white;
+      border: none;
+      padding: 0.5rem 1rem;
+      border-radius: 0.375rem;
+      font-size: 0.875rem;
       font-weight: 500;
-      background: transparent;
-      text-transform: uppercase;
-    }
-    .gb-form button:hover { opacity: 0.9; }
-    .gb-form button:disabled { opacity: 0.6; cursor: not-allowed; }
-    .gb-message { margin-top: 15px; }
-    .gb-success { padding: 10px; background: var(--gb-success-bg); color: var(--gb-success-text); border-radius: 4px; }
-    .gb-error { padding: 10px; background: var(--gb-error-bg); color: var(--gb-error-text); border-radius: 4px; }
-    .gb-entries h3 { margin-bottom: 15px; }
-    .gb-entry { 
-      margin-bottom: 20px;
-      padding: 15px;
-      border: 1px solid color-mix(in srgb,var(--gb-base)10%,transparent);
-      border-radius: 10px;
+      cursor: pointer;
+      transition: background 0.15s;
     }
-    .gb-entry-header { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 8px; align-items: center; }
-    .gb-entry-name { font-weight: bold; color: inherit; }
-    .gb-entry-date { opacity: 0.7; font-size: 0.85em; margin-left: auto; }
-    .gb-entry-message { line-height: 1.6; }
-    .gb-loading, .gb-no-entries { text-align: center; opacity: 0.7; padding: 20px; }
-  \`;
-  document.head.appendChild(style);
-  
-  // Export
-  window.GuestbookWidget = GuestbookWidget;
+    .copy-btn:hover { background: var(--primary-hover); }
+  `;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(t('embed.pageTitle', { sitename }), siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="container">
+    ${getAdminHeader('embed', env)}
+    
+    <div class="card">
+      <div style="padding: 1.5rem; border-bottom: 1px solid var(--border);">
+        <h2 style="font-size: 1.125rem; font-weight: 600; margin: 0;">${escapeHtml(t('embed.heading'))}</h2>
+      </div>
+      <div style="padding: 1.5rem;">
+        <p style="margin-bottom: 1rem; color: var(--text-muted);">${isDefaultBook ? escapeHtml(t('embed.intro')) : t('embed.introBook', { name: escapeHtml(env.BOOK.name) })}</p>
+        <div style="position: relative;">
+          <pre><code id="embed-code">${escapeHtml(embedCode)}</code></pre>
+          <button class="copy-btn" onclick="copyCode()">${escapeHtml(t('embed.copy'))}</button>
+          <span id="copy-success" style="margin-left: 0.5rem; color: var(--success); opacity: 0; transition: opacity 0.2s;">${escapeHtml(t('embed.copied'))}</span>
+        </div>
+      </div>
+    </div>
+  </div>
   
-    // Auto-initialize if data-gb attribute is present
-    document.addEventListener('DOMContentLoaded', function() {
-      const containers = document.querySelectorAll('[data-gb]');
-      containers.forEach(container => {
-        const config = {
-          container: container,
-          apiUrl: container.getAttribute('data-gb-api-url') || GB_API_URL,
-          turnstileSiteKey: container.getAttribute('data-gb-turnstile-key') || GB_TURNSTILE_SITE_KEY,
-          showForm: container.getAttribute('data-gb-form') !== 'false'
-        };
-        new GuestbookWidget(config);
+  <script>
+    const STRINGS = ${scriptJson({ logoutFailed: t('common.logoutFailed') })};
+    
+    function copyCode() {
+      const code = document.getElementById('embed-code').innerText;
+      navigator.clipboard.writeText(code).then(() => {
+        const successMsg = document.getElementById('copy-success');
+        successMsg.style.opacity = '1';
+        setTimeout(() => {
+          successMsg.style.opacity = '0';
+        }, 2000);
       });
-    });
-  })();`;
+    }
+    
+    async function logout() {
+      try {
+        await fetch('/logout', { method: 'POST' });
+        window.location.href = '/login';
+      } catch (error) {
+        alert(STRINGS.logoutFailed);
+      }
+    }
+  </script>
+</body>
+</html>`;
 }
 
-// Utility functions
-function escapeHtml(text) {
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+function getSchemaHTML(status, env) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  const appliedByVersion = Object.fromEntries(status.applied.map(m => [m.version, m]));
+
+  const rowsHTML = MIGRATIONS.map(migration => {
+    const applied = appliedByVersion[migration.version];
+    return `
+      <tr>
+        <td>${migration.version}</td>
+        <td>${escapeHtml(migration.name)}</td>
+        <td>
+          <span class="badge ${applied ? 'badge-success' : 'badge-warning'}">${escapeHtml(t(applied ? 'schema.applied' : 'schema.pending'))}</span>
+        </td>
+        <td class="text-muted text-sm ${applied ? 'client-date' : ''}" datetime="${applied ? escapeHtml(applied.applied_at) : ''}">${applied ? formatDate(applied.applied_at, locale) : '-'}</td>
+      </tr>`;
+  }).join('');
+
+  const extraStyles = `
+    .table-responsive { overflow-x: auto; }
+    .entries-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    .entries-table th {
+      text-align: left;
+      padding: 1rem;
+      background: #f1f5f9;
+      color: var(--text-muted);
+      font-weight: 600;
+      border-bottom: 1px solid var(--border);
+    }
+    .entries-table td { padding: 1rem; border-bottom: 1px solid var(--border); }
+    .entries-table tr:last-child td { border-bottom: none; }
+    .badge {
+      display: inline-flex;
+      padding: 0.25rem 0.625rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      font-weight: 600;
+    }
+    .badge-success { background: #ecfdf5; color: #065f46; }
+    .badge-warning { background: #fffbeb; color: #92400e; }
+    .schema-summary { display: flex; gap: 2rem; padding: 1.5rem; flex-wrap: wrap; align-items: center; }
+    .schema-stat strong { display: block; font-size: 1.5rem; }
+  `;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(t('schema.pageTitle', { sitename }), siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="container">
+    ${getAdminHeader('schema', env)}
+
+    <div id="message-container">
+      ${status.error ? `<div class="message error">${escapeHtml(t('schema.lastFailed', { error: status.error }))}</div>` : ''}
+    </div>
+
+    <div class="card">
+      <div class="schema-summary">
+        <div class="schema-stat"><span class="text-muted">${escapeHtml(t('schema.current'))}</span><strong>${status.currentVersion}</strong></div>
+        <div class="schema-stat"><span class="text-muted">${escapeHtml(t('schema.latest'))}</span><strong>${status.latestVersion}</strong></div>
+        <div class="schema-stat"><span class="text-muted">${escapeHtml(t('schema.pending'))}</span><strong>${status.pending.length}</strong></div>
+        ${status.pending.length > 0 ? `<button id="run-migrations-btn" onclick="runMigrations()" style="margin-left: auto;">${escapeHtml(t('schema.run'))}</button>` : ''}
+      </div>
+    </div>
+
+    <div class="card">
+      <div style="padding: 1.5rem; border-bottom: 1px solid var(--border);">
+        <h2 style="font-size: 1.125rem; font-weight: 600; margin: 0;">${escapeHtml(t('schema.migrations'))}</h2>
+      </div>
+      <div class="table-responsive">
+        <table class="entries-table">
+          <thead>
+            <tr>
+              <th>${escapeHtml(t('schema.version'))}</th>
+              <th>${escapeHtml(t('schema.name'))}</th>
+              <th>${escapeHtml(t('schema.status'))}</th>
+              <th>${escapeHtml(t('schema.applied'))}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    const STRINGS = ${scriptJson({
+      run: t('schema.run'),
+      running: t('schema.running'),
+      failed: t('schema.failed'),
+      error: t('common.error')
+    })};
+    
+    async function runMigrations() {
+      const button = document.getElementById('run-migrations-btn');
+      const messageContainer = document.getElementById('message-container');
+      button.disabled = true;
+      button.textContent = STRINGS.running;
+
+      try {
+        const response = await fetch('/api/migrations/run', { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          messageContainer.innerHTML = '<div class="message error">' + escapeHtml(result.error || STRINGS.failed) + '</div>';
+          button.disabled = false;
+          button.textContent = STRINGS.run;
+        }
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(STRINGS.error) + '</div>';
+        button.disabled = false;
+        button.textContent = STRINGS.run;
+      }
+    }
+
+    async function logout() {
+      try {
+        await fetch('/logout', { method: 'POST' });
+        window.location.href = '/login';
+      } catch (error) {
+        window.location.href = '/login';
+      }
+    }
+
+    ${CLIENT_COMMON_JS}
+  </script>
+</body>
+</html>`;
 }
 
-function formatDate(dateString) {
-  if (!dateString) return '';
-  // Fix for SQLite date format
-  const isoDate = dateString.replace(' ', 'T') + (dateString.includes('Z') ? '' : 'Z');
-  const date = new Date(isoDate);
-  if (isNaN(date.getTime())) return dateString;
-  
-  return date.toLocaleString('en-US', { 
-    month: 'short', 
-    day: 'numeric', 
-    year: 'numeric', 
-    hour: 'numeric', 
-    minute: '2-digit' 
-  });
-}
+function getUsersHTML(users, env) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  const currentUser = env.USER;
+  const roleOptions = selected => Object.keys(ADMIN_ROLES)
+    .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${escapeHtml(t('role.' + role))}</option>`).join('');
+
+  const extraStyles = `
+    .card-header { padding: 1.25rem 1.5rem; border-bottom: 1px solid var(--border); }
+    .card-header h3 { margin: 0; font-size: 1.125rem; font-weight: 600; }
+    .card-body { padding: 1.5rem; }
+    .help-text { font-size: 0.875rem; color: var(--text-muted); margin-top: 0.25rem; }
+    .mini-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    .mini-table th { text-align: left; color: var(--text-muted); font-weight: 600; padding: 0.5rem; border-bottom: 1px solid var(--border); }
+    .mini-table td { padding: 0.5rem; border-bottom: 1px solid var(--border); }
+    .mini-table button { padding: 0.25rem 0.75rem; font-size: 0.75rem; width: auto; }
+    .user-actions { display: flex; gap: 0.375rem; justify-content: flex-end; }
+    .user-row-add { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 1rem; }
+    .user-row-add input { flex: 1; min-width: 160px; padding: 0.5rem 0.75rem; font-size: 0.875rem; }
+    .user-row-add button { width: auto; padding: 0.5rem 1rem; font-size: 0.875rem; }
+    .role-select {
+      padding: 0.375rem 0.5rem;
+      font-size: 0.875rem;
+      border: 1px solid var(--border);
+      border-radius: 0.375rem;
+      background: var(--card-bg);
+      color: var(--text);
+    }
+    .btn-delete-user { background: #fee2e2; color: #dc2626; }
+    .btn-delete-user:hover { background: #fecaca; }
+  `;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(t('users.pageTitle', { sitename }), siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="container">
+    ${getAdminHeader('users', env)}
+
+    <div id="message-container"></div>
+    ${hasRole(currentUser, 'owner') ? `
+    <div class="card">
+      <div class="card-header">
+        <h3>${escapeHtml(t('users.heading'))}</h3>
+      </div>
+      <div class="card-body">
+        <table class="mini-table">
+          <thead><tr><th>${escapeHtml(t('users.username'))}</th><th>${escapeHtml(t('users.role'))}</th><th>${escapeHtml(t('users.lastLogin'))}</th><th></th></tr></thead>
+          <tbody>
+            ${users.map(user => `
+              <tr>
+                <td>${escapeHtml(user.username)}${user.id === currentUser.id ? ` <span class="text-muted">${escapeHtml(t('users.you'))}</span>` : ''}</td>
+                <td><select class="role-select" data-id="${user.id}" aria-label="${escapeHtml(t('users.role'))}">${roleOptions(user.role)}</select></td>
+                <td class="text-muted ${user.last_login_at ? 'client-date' : ''}" datetime="${escapeHtml(user.last_login_at || '')}">${user.last_login_at ? formatDate(user.last_login_at, locale) : escapeHtml(t('users.never'))}</td>
+                <td>
+                  <div class="user-actions">
+                    <button type="button" class="set-password-btn" data-id="${user.id}" data-username="${escapeHtml(user.username)}">${escapeHtml(t('users.setPassword'))}</button>
+                    ${user.id === currentUser.id ? '' : `<button type="button" class="delete-user-btn btn-delete-user" data-id="${user.id}" data-username="${escapeHtml(user.username)}">${escapeHtml(t('common.delete'))}</button>`}
+                  </div>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="user-row-add">
+          <input type="text" id="new-username" placeholder="${escapeHtml(t('users.username'))}" autocomplete="off">
+          <input type="password" id="new-password" placeholder="${escapeHtml(t('users.passwordPlaceholder', { min: MIN_PASSWORD_LENGTH }))}" autocomplete="new-password">
+          <select id="new-role" class="role-select" aria-label="${escapeHtml(t('users.role'))}">${roleOptions('moderator')}</select>
+          <button type="button" id="add-user-btn">${escapeHtml(t('users.add'))}</button>
+        </div>
+        <div class="help-text">${Object.values(ADMIN_ROLES).map(key => escapeHtml(t(key))).join('<br>')}</div>
+      </div>
+    </div>` : ''}
+
+    <div class="card">
+      <div class="card-header">
+        <h3>${escapeHtml(t('account.heading'))}</h3>
+      </div>
+      <div class="card-body">
+        <p class="text-muted" style="margin-bottom: 1.5rem; font-size: 0.875rem;">${t('account.signedInAs', { username: escapeHtml(currentUser.username), role: escapeHtml(t('role.' + currentUser.role)) })}</p>
+        <form id="password-form">
+          <div class="form-group">
+            <label for="current_password">${escapeHtml(t('account.currentPassword'))}</label>
+            <input type="password" id="current_password" name="current_password" required autocomplete="current-password">
+          </div>
+          <div class="form-group">
+            <label for="new_password">${escapeHtml(t('account.newPassword'))}</label>
+            <input type="password" id="new_password" name="new_password" required minlength="${MIN_PASSWORD_LENGTH}" autocomplete="new-password">
+          </div>
+          <button type="submit" style="width: auto;">${escapeHtml(t('account.changePassword'))}</button>
+        </form>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    const STRINGS = ${scriptJson({
+      unknownError: t('common.unknownError'),
+      errorDetail: t('common.errorDetail'),
+      error: t('common.error'),
+      addFailed: t('users.addFailed'),
+      roleFailed: t('users.roleFailed'),
+      passwordPrompt: t('users.passwordPrompt', { min: MIN_PASSWORD_LENGTH }),
+      passwordFailed: t('users.passwordFailed'),
+      passwordSet: t('users.passwordSet'),
+      confirmDelete: t('users.confirmDelete'),
+      deleteFailed: t('users.deleteFailed'),
+      passwordChanged: t('account.passwordChanged')
+    })};
+    
+    // Small helper for the user buttons, like the one on the settings page
+    async function postAction(url, formData, errorLabel) {
+      try {
+        const response = await fetch(url, { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!result.success) {
+          alert(errorLabel + ': ' + (result.error || STRINGS.unknownError));
+        }
+        return result;
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+        return { success: false };
+      }
+    }
+
+    const addUserBtn = document.getElementById('add-user-btn');
+    if (addUserBtn) {
+      addUserBtn.addEventListener('click', async () => {
+        const formData = new FormData();
+        formData.append('username', document.getElementById('new-username').value);
+        formData.append('password', document.getElementById('new-password').value);
+        formData.append('role', document.getElementById('new-role').value);
+        addUserBtn.disabled = true;
+        const result = await postAction('/api/users', formData, STRINGS.addFailed);
+        if (result.success) {
+          location.reload();
+        } else {
+          addUserBtn.disabled = false;
+        }
+      });
+    }
+
+    document.querySelectorAll('.role-select[data-id]').forEach(select => {
+      select.addEventListener('change', async () => {
+        const formData = new FormData();
+        formData.append('role', select.value);
+        await postAction('/api/users/update/' + select.dataset.id, formData, STRINGS.roleFailed);
+        // Reload either way so the page shows the stored role
+        location.reload();
+      });
+    });
+
+    document.querySelectorAll('.set-password-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const password = prompt(STRINGS.passwordPrompt.replace('{username}', btn.dataset.username));
+        if (!password) return;
+        const formData = new FormData();
+        formData.append('password', password);
+        const result = await postAction('/api/users/update/' + btn.dataset.id, formData, STRINGS.passwordFailed);
+        if (result.success) alert(STRINGS.passwordSet);
+      });
+    });
+
+    document.querySelectorAll('.delete-user-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm(STRINGS.confirmDelete.replace('{username}', btn.dataset.username))) return;
+        btn.disabled = true;
+        const result = await postAction('/api/users/delete/' + btn.dataset.id, new FormData(), STRINGS.deleteFailed);
+        if (result.success) {
+          location.reload();
+        } else {
+          btn.disabled = false;
+        }
+      });
+    });
+
+    document.getElementById('password-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const form = e.target;
+      const messageContainer = document.getElementById('message-container');
+      const button = form.querySelector('button[type="submit"]');
+      button.disabled = true;
+      try {
+        const response = await fetch('/api/account/password', { method: 'POST', body: new FormData(form) });
+        const result = await response.json();
+        messageContainer.innerHTML = result.success
+          ? '<div class="message success">' + escapeHtml(STRINGS.passwordChanged) + '</div>'
+          : '<div class="message error">' + escapeHtml(result.error || STRINGS.unknownError) + '</div>';
+        if (result.success) form.reset();
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(STRINGS.error) + '</div>';
+      } finally {
+        button.disabled = false;
+      }
+    });
+
+    async function logout() {
+      try {
+        await fetch('/logout', { method: 'POST' });
+        window.location.href = '/login';
+      } catch (error) {
+        window.location.href = '/login';
+      }
+    }
+
+    ${CLIENT_COMMON_JS}
+  </script>
+</body>
+</html>`;
+}
+
+function getSessionsHTML(sessions, env) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  const currentUser = env.USER;
+  const isOwner = hasRole(currentUser, 'owner');
+  const dateCell = value => `<td class="text-muted client-date" datetime="${escapeHtml(value)}">${formatDate(value, locale)}</td>`;
+
+  const extraStyles = `
+    .card-header { padding: 1.25rem 1.5rem; border-bottom: 1px solid var(--border); display: flex; justify-content: space-between; align-items: center; gap: 1rem; }
+    .card-header h3 { margin: 0; font-size: 1.125rem; font-weight: 600; }
+    .card-header button { width: auto; padding: 0.5rem 1rem; font-size: 0.875rem; background: #fee2e2; color: #dc2626; }
+    .card-header button:hover { background: #fecaca; }
+    .card-body { padding: 1.5rem; }
+    .help-text { font-size: 0.875rem; color: var(--text-muted); margin-top: 1rem; }
+    .table-responsive { overflow-x: auto; }
+    .mini-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    .mini-table th { text-align: left; color: var(--text-muted); font-weight: 600; padding: 0.5rem; border-bottom: 1px solid var(--border); white-space: nowrap; }
+    .mini-table td { padding: 0.5rem; border-bottom: 1px solid var(--border); }
+    .mini-table button { padding: 0.25rem 0.75rem; font-size: 0.75rem; width: auto; }
+    .session-agent { max-width: 260px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .badge-current { display: inline-block; padding: 0.125rem 0.5rem; border-radius: 9999px; font-size: 0.75rem; font-weight: 600; background: #ecfdf5; color: #065f46; }
+  `;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(t('sessions.pageTitle', { sitename }), siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="container">
+    ${getAdminHeader('sessions', env)}
+
+    <div class="card">
+      <div class="card-header">
+        <h3>${escapeHtml(t(isOwner ? 'sessions.active' : 'sessions.yours'))}</h3>
+        <button type="button" id="revoke-all-btn">${escapeHtml(t(isOwner ? 'sessions.revokeAllUsers' : 'sessions.revokeEverywhere'))}</button>
+      </div>
+      <div class="card-body">
+        <div class="table-responsive">
+          <table class="mini-table">
+            <thead>
+              <tr>
+                ${isOwner ? `<th>${escapeHtml(t('sessions.user'))}</th>` : ''}
+                <th>${escapeHtml(t('sessions.device'))}</th>
+                <th>${escapeHtml(t('sessions.ip'))}</th>
+                <th>${escapeHtml(t('sessions.signedIn'))}</th>
+                <th>${escapeHtml(t('sessions.lastSeen'))}</th>
+                <th>${escapeHtml(t('sessions.expires'))}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${sessions.map(session => `
+                <tr>
+                  ${isOwner ? `<td>${escapeHtml(session.username)}</td>` : ''}
+                  <td><div class="session-agent" title="${escapeHtml(session.user_agent || '')}">${escapeHtml(session.user_agent || t('sessions.unknownDevice'))}</div></td>
+                  <td>${escapeHtml(session.ip || '-')}</td>
+                  ${dateCell(session.created_at)}
+                  ${dateCell(session.last_seen_at)}
+                  ${dateCell(session.expires_at)}
+                  <td>${session.id === currentUser.sessionId
+                    ? `<span class="badge-current">${escapeHtml(t('sessions.current'))}</span>`
+                    : `<button type="button" class="revoke-btn" data-id="${escapeHtml(session.id)}">${escapeHtml(t('sessions.revoke'))}</button>`}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div class="help-text">${escapeHtml(t('sessions.help', { days: SESSION_DURATION / (24 * 60 * 60 * 1000) }))}</div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    const STRINGS = ${scriptJson({
+      unknownError: t('common.unknownError'),
+      errorDetail: t('common.errorDetail'),
+      revokeFailed: t('sessions.revokeFailed'),
+      confirmRevokeAll: t(isOwner ? 'sessions.confirmRevokeAllUsers' : 'sessions.confirmRevokeEverywhere'),
+      revokeAllFailed: t('sessions.revokeAllFailed')
+    })};
+    
+    document.querySelectorAll('.revoke-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        try {
+          const response = await fetch('/api/sessions/revoke/' + btn.dataset.id, { method: 'POST' });
+          const result = await response.json();
+          if (result.success) {
+            btn.closest('tr').remove();
+          } else {
+            alert(STRINGS.revokeFailed + ': ' + (result.error || STRINGS.unknownError));
+            btn.disabled = false;
+          }
+        } catch (error) {
+          alert(STRINGS.errorDetail.replace('{error}', error.message));
+          btn.disabled = false;
+        }
+      });
+    });
+
+    document.getElementById('revoke-all-btn').addEventListener('click', async (e) => {
+      if (!confirm(STRINGS.confirmRevokeAll)) return;
+      e.target.disabled = true;
+      try {
+        const response = await fetch('/api/sessions/revoke-all', { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+          window.location.href = '/login';
+        } else {
+          alert(STRINGS.revokeAllFailed + ': ' + (result.error || STRINGS.unknownError));
+          e.target.disabled = false;
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+        e.target.disabled = false;
+      }
+    });
+
+    async function logout() {
+      try {
+        await fetch('/logout', { method: 'POST' });
+        window.location.href = '/login';
+      } catch (error) {
+        window.location.href = '/login';
+      }
+    }
+
+    ${CLIENT_COMMON_JS}
+  </script>
+</body>
+</html>`;
+}
+
+function getImportHTML(env) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+
+  const extraStyles = `
+    .card-header { padding: 1.25rem 1.5rem; border-bottom: 1px solid var(--border); }
+    .card-header h3 { margin: 0; font-size: 1.125rem; font-weight: 600; }
+    .card-body { padding: 1.5rem; }
+    .checkbox-group { display: flex; align-items: center; gap: 0.75rem; }
+    .checkbox-group input { width: 1rem; height: 1rem; margin: 0; cursor: pointer; }
+    .checkbox-group label { margin-bottom: 0; cursor: pointer; font-weight: 400; }
+    #import-format, #restore-mode {
+      width: 100%;
+      padding: 0.75rem 1rem;
+      font-size: 1rem;
+      border: 1px solid var(--border);
+      border-radius: 0.5rem;
+      background: var(--card-bg);
+      color: var(--text);
+    }
+    .btn-export { text-decoration: none; display: inline-flex; padding: 0.5rem 1rem; border: 1px solid var(--border); border-radius: 0.375rem; color: var(--text); background: var(--card-bg); font-size: 0.875rem; font-weight: 500; }
+    .btn-export:hover { background: var(--border); }
+    .import-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+    .import-mapping { display: none; grid-template-columns: repeat(5, 1fr); gap: 0.75rem; margin-top: 1rem; }
+    .import-mapping.active { display: grid; }
+    .import-mapping label { font-size: 0.8125rem; }
+    textarea#import-text { min-height: 180px; font-family: monospace; font-size: 0.8125rem; }
+    .import-actions { display: flex; gap: 0.75rem; align-items: center; margin-top: 1.5rem; flex-wrap: wrap; }
+    .import-summary { display: flex; gap: 2rem; flex-wrap: wrap; margin-bottom: 1rem; }
+    .import-summary strong { display: block; font-size: 1.25rem; }
+    .table-responsive { overflow-x: auto; max-height: 480px; overflow-y: auto; }
+    .entries-table { width: 100%; border-collapse: collapse; font-size: 0.8125rem; }
+    .entries-table th { text-align: left; padding: 0.5rem 0.75rem; background: #f1f5f9; color: var(--text-muted); font-weight: 600; position: sticky; top: 0; }
+    .entries-table td { padding: 0.5rem 0.75rem; border-bottom: 1px solid var(--border); vertical-align: top; }
+    .badge { display: inline-flex; padding: 0.125rem 0.5rem; border-radius: 9999px; font-size: 0.6875rem; font-weight: 600; white-space: nowrap; }
+    .badge-success { background: #ecfdf5; color: #065f46; }
+    .badge-warning { background: #fffbeb; color: #92400e; }
+    .badge-danger { background: #fef2f2; color: #991b1b; }
+    @media (max-width: 640px) {
+      .import-grid, .import-mapping.active { grid-template-columns: 1fr; }
+    }
+  `;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(t('import.pageTitle', { sitename }), siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="container">
+    ${getAdminHeader('import', env)}
+
+    <div id="message-container"></div>
+
+    <div class="card">
+      <div class="card-header">
+        <h3>${escapeHtml(t('import.heading'))}</h3>
+      </div>
+      <div class="card-body">
+        <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">
+          ${t('import.intro')}
+          ${(env.BOOKS || []).length > 1 ? t('import.target', { name: escapeHtml(env.BOOK.name) }) : ''}
+        </p>
+        <div class="import-grid">
+          <div class="form-group">
+            <label for="import-format">${escapeHtml(t('import.format'))}</label>
+            <select id="import-format">
+              <option value="auto">${escapeHtml(t('import.formatAuto'))}</option>
+              <option value="csv">${escapeHtml(t('import.formatCsv'))}</option>
+              <option value="json">${escapeHtml(t('import.formatJson'))}</option>
+              <option value="custom">${escapeHtml(t('import.formatCustom'))}</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="import-file">${escapeHtml(t('import.file'))}</label>
+            <input type="file" id="import-file" accept=".csv,.json,text/csv,application/json">
+          </div>
+        </div>
+        <div class="import-mapping" id="import-mapping">
+          ${IMPORT_MAPPING_FIELDS.map(field => `
+            <div>
+              <label for="map-${field}">${escapeHtml(t('import.column.' + field))}</label>
+              <input type="text" id="map-${field}" data-field="${field}" class="map-input" placeholder="${escapeHtml(t(field === 'name' || field === 'message' ? 'import.required' : 'import.optional'))}">
+            </div>
+          `).join('')}
+        </div>
+        <div class="form-group" style="margin-top: 1rem;">
+          <label for="import-text">${escapeHtml(t('import.paste'))}</label>
+          <textarea id="import-text" placeholder="Name,Message,Website,Date"></textarea>
+        </div>
+        <div class="checkbox-group">
+          <input type="checkbox" id="import-approve" checked>
+          <label for="import-approve">${escapeHtml(t('import.approve'))}</label>
+        </div>
+        <div class="import-actions">
+          <button type="button" id="preview-btn">${escapeHtml(t('import.preview'))}</button>
+          <button type="button" id="import-btn" style="display: none;">${escapeHtml(t('import.import'))}</button>
+        </div>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="card-header">
+        <h3>${escapeHtml(t('backup.heading'))}</h3>
+      </div>
+      <div class="card-body">
+        <p class="text-muted" style="margin-bottom: 1rem; font-size: 0.875rem;">
+          ${escapeHtml(t('backup.intro'))}
+        </p>
+        <div class="checkbox-group">
+          <input type="checkbox" id="backup-redact" checked>
+          <label for="backup-redact">${escapeHtml(t('backup.redact'))}</label>
+        </div>
+        <div class="import-actions">
+          <a href="/admin/backup" id="backup-link" class="btn-export">${escapeHtml(t('backup.download'))}</a>
+        </div>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="card-header">
+        <h3>${escapeHtml(t('restore.heading'))}</h3>
+      </div>
+      <div class="card-body">
+        <div class="import-grid">
+          <div class="form-group">
+            <label for="restore-file">${escapeHtml(t('restore.file'))}</label>
+            <input type="file" id="restore-file" accept=".json,application/json">
+          </div>
+          <div class="form-group">
+            <label for="restore-mode">${escapeHtml(t('restore.mode'))}</label>
+            <select id="restore-mode">
+              <option value="merge">${escapeHtml(t('restore.merge'))}</option>
+              <option value="replace">${escapeHtml(t('restore.replace'))}</option>
+            </select>
+          </div>
+        </div>
+        <div class="import-actions">
+          <button type="button" id="check-backup-btn">${escapeHtml(t('restore.check'))}</button>
+          <button type="button" id="restore-btn" style="display: none;">${escapeHtml(t('restore.restore'))}</button>
+        </div>
+        <div id="restore-summary" class="import-summary" style="margin-top: 1.5rem;"></div>
+      </div>
+    </div>
+
+    <div class="card" id="preview-card" style="display: none;">
+      <div class="card-header">
+        <h3>${escapeHtml(t('import.preview'))}</h3>
+      </div>
+      <div class="card-body">
+        <div class="import-summary" id="import-summary"></div>
+        <div class="table-responsive">
+          <table class="entries-table">
+            <thead><tr><th>${escapeHtml(t('import.line'))}</th><th>${escapeHtml(t('import.name'))}</th><th>${escapeHtml(t('import.message'))}</th><th>${escapeHtml(t('import.date'))}</th><th>${escapeHtml(t('import.status'))}</th></tr></thead>
+            <tbody id="preview-rows"></tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    ${CLIENT_COMMON_JS}
+
+    const STRINGS = ${scriptJson({
+      rows: t('import.rows'),
+      ready: t('import.ready'),
+      imported: t('import.imported'),
+      duplicates: t('import.duplicates'),
+      invalid: t('import.invalid'),
+      duplicate: t('import.duplicate'),
+      now: t('import.now'),
+      checking: t('import.checking'),
+      importing: t('import.importing'),
+      importFailed: t('import.failed'),
+      importOne: t('import.importOne'),
+      importCount: t('import.importCount'),
+      importedCount: t('import.importedCount'),
+      viewEntries: t('import.viewEntries'),
+      errorDetail: t('common.errorDetail'),
+      chooseBackup: t('restore.chooseFile'),
+      invalidJson: t('restore.invalidJson'),
+      restoreFailed: t('restore.failed'),
+      removed: t('restore.removed'),
+      entries: t('restore.entries'),
+      skipped: t('restore.skipped'),
+      guestbooks: t('restore.guestbooks'),
+      revisions: t('restore.revisions'),
+      reactions: t('restore.reactions'),
+      settings: t('restore.settings'),
+      bans: t('restore.bans'),
+      webhooks: t('restore.webhooks'),
+      confirmReplace: t('restore.confirmReplace'),
+      confirmMerge: t('restore.confirmMerge'),
+      restoring: t('restore.restoring'),
+      restore: t('restore.restore'),
+      restored: t('restore.restored'),
+      confirmImport: t('import.confirm')
+    })};
+
+    const formatSelect = document.getElementById('import-format');
+    const previewBtn = document.getElementById('preview-btn');
+    const importBtn = document.getElementById('import-btn');
+    const messageContainer = document.getElementById('message-container');
+
+    formatSelect.addEventListener('change', () => {
+      document.getElementById('import-mapping').classList.toggle('active', formatSelect.value === 'custom');
+      importBtn.style.display = 'none';
+    });
+    document.getElementById('import-text').addEventListener('input', () => { importBtn.style.display = 'none'; });
+
+    async function getPayload(dryRun) {
+      const file = document.getElementById('import-file').files[0];
+      const mapping = {};
+      document.querySelectorAll('.map-input').forEach(input => { mapping[input.dataset.field] = input.value; });
+      return {
+        format: formatSelect.value,
+        text: file ? await file.text() : document.getElementById('import-text').value,
+        mapping,
+        approve: document.getElementById('import-approve').checked,
+        dryRun
+      };
+    }
+
+    const STATUS_BADGES = {
+      ok: ['badge-success', STRINGS.ready],
+      imported: ['badge-success', STRINGS.imported],
+      duplicate: ['badge-warning', STRINGS.duplicate],
+      invalid: ['badge-danger', STRINGS.invalid]
+    };
+
+    function renderPreview(result) {
+      const s = result.summary;
+      document.getElementById('import-summary').innerHTML =
+        '<div><span class="text-muted">' + STRINGS.rows + '</span><strong>' + s.total + '</strong></div>' +
+        '<div><span class="text-muted">' + (result.dryRun ? STRINGS.ready : STRINGS.imported) + '</span><strong>' + (result.dryRun ? s.valid : s.imported) + '</strong></div>' +
+        '<div><span class="text-muted">' + STRINGS.duplicates + '</span><strong>' + s.duplicates + '</strong></div>' +
+        '<div><span class="text-muted">' + STRINGS.invalid + '</span><strong>' + s.invalid + '</strong></div>';
+      document.getElementById('preview-rows').innerHTML = result.rows.map(row => {
+        const badge = STATUS_BADGES[row.status];
+        return '<tr>' +
+          '<td>' + row.line + '</td>' +
+          '<td>' + escapeHtml(row.name) + '</td>' +
+          '<td>' + escapeHtml(row.message) + '</td>' +
+          '<td>' + (row.created_at ? formatDateString(row.created_at) : '<span class="text-muted">' + STRINGS.now + '</span>') + '</td>' +
+          '<td><span class="badge ' + badge[0] + '">' + badge[1] + '</span>' + (row.error ? '<div class="text-muted text-sm">' + escapeHtml(row.error) + '</div>' : '') + '</td>' +
+          '</tr>';
+      }).join('');
+      document.getElementById('preview-card').style.display = 'block';
+    }
+
+    async function runImport(dryRun, button, label) {
+      button.disabled = true;
+      button.textContent = dryRun ? STRINGS.checking : STRINGS.importing;
+      messageContainer.innerHTML = '';
+      try {
+        const response = await fetch('${bookUrl(env, '/api/import')}', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(await getPayload(dryRun))
+        });
+        const result = await response.json();
+        if (!result.success) {
+          messageContainer.innerHTML = '<div class="message error">' + escapeHtml(result.error || STRINGS.importFailed) + '</div>';
+          importBtn.style.display = 'none';
+          return;
+        }
+        renderPreview(result);
+        if (dryRun) {
+          importBtn.textContent = result.summary.valid === 1 ? STRINGS.importOne : STRINGS.importCount.replace('{count}', result.summary.valid);
+          importBtn.style.display = result.summary.valid > 0 ? 'inline-block' : 'none';
+        } else {
+          importBtn.style.display = 'none';
+          messageContainer.innerHTML = '<div class="message success">' + escapeHtml(STRINGS.importedCount.replace('{count}', result.summary.imported)) + ' <a href="/admin">' + STRINGS.viewEntries + '</a></div>';
+        }
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(STRINGS.errorDetail.replace('{error}', error.message)) + '</div>';
+      } finally {
+        button.disabled = false;
+        if (button === previewBtn) button.textContent = label;
+      }
+    }
+
+    previewBtn.addEventListener('click', () => runImport(true, previewBtn, previewBtn.textContent));
+
+    document.getElementById('backup-redact').addEventListener('change', (e) => {
+      document.getElementById('backup-link').href = e.target.checked ? '/admin/backup' : '/admin/backup?secrets=1';
+    });
+
+    const checkBackupBtn = document.getElementById('check-backup-btn');
+    const restoreBtn = document.getElementById('restore-btn');
+    const restoreSummary = document.getElementById('restore-summary');
+    let lastCheck = null;
+
+    ['restore-file', 'restore-mode'].forEach(id => document.getElementById(id).addEventListener('change', () => {
+      restoreBtn.style.display = 'none';
+      restoreSummary.innerHTML = '';
+    }));
+
+    async function runRestore(dryRun) {
+      const file = document.getElementById('restore-file').files[0];
+      if (!file) {
+        alert(STRINGS.chooseBackup);
+        return null;
+      }
+      let backup;
+      try {
+        backup = JSON.parse(await file.text());
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + STRINGS.invalidJson + '</div>';
+        return null;
+      }
+      const response = await fetch('/api/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ backup, mode: document.getElementById('restore-mode').value, dryRun })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(result.error || STRINGS.restoreFailed) + '</div>';
+        restoreBtn.style.display = 'none';
+        return null;
+      }
+      const s = result.summary;
+      restoreSummary.innerHTML =
+        (s.removed ? '<div><span class="text-muted">' + STRINGS.removed + '</span><strong>' + s.removed + '</strong></div>' : '') +
+        '<div><span class="text-muted">' + STRINGS.entries + '</span><strong>' + s.entries + '</strong></div>' +
+        (s.skipped ? '<div><span class="text-muted">' + STRINGS.skipped + '</span><strong>' + s.skipped + '</strong></div>' : '') +
+        (s.guestbooks ? '<div><span class="text-muted">' + STRINGS.guestbooks + '</span><strong>' + s.guestbooks + '</strong></div>' : '') +
+        '<div><span class="text-muted">' + STRINGS.revisions + '</span><strong>' + s.revisions + '</strong></div>' +
+        (s.reactions ? '<div><span class="text-muted">' + STRINGS.reactions + '</span><strong>' + s.reactions + '</strong></div>' : '') +
+        '<div><span class="text-muted">' + STRINGS.settings + '</span><strong>' + s.settings + '</strong></div>' +
+        '<div><span class="text-muted">' + STRINGS.bans + '</span><strong>' + s.bans + '</strong></div>' +
+        '<div><span class="text-muted">' + STRINGS.webhooks + '</span><strong>' + s.webhooks + '</strong></div>';
+      return result;
+    }
+
+    checkBackupBtn.addEventListener('click', async () => {
+      checkBackupBtn.disabled = true;
+      messageContainer.innerHTML = '';
+      try {
+        lastCheck = await runRestore(true);
+        restoreBtn.style.display = lastCheck ? 'inline-block' : 'none';
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(STRINGS.errorDetail.replace('{error}', error.message)) + '</div>';
+      } finally {
+        checkBackupBtn.disabled = false;
+      }
+    });
+
+    restoreBtn.addEventListener('click', async () => {
+      const replacing = document.getElementById('restore-mode').value === 'replace';
+      const question = replacing
+        ? STRINGS.confirmReplace.replace('{count}', lastCheck.summary.removed)
+        : STRINGS.confirmMerge;
+      if (!confirm(question)) return;
+      restoreBtn.disabled = true;
+      restoreBtn.textContent = STRINGS.restoring;
+      try {
+        const result = await runRestore(false);
+        if (result) {
+          restoreBtn.style.display = 'none';
+          messageContainer.innerHTML = '<div class="message success">' + STRINGS.restored + ' <a href="/admin">' + STRINGS.viewEntries + '</a></div>';
+        }
+      } catch (error) {
+        messageContainer.innerHTML = '<div class="message error">' + escapeHtml(STRINGS.errorDetail.replace('{error}', error.message)) + '</div>';
+      } finally {
+        restoreBtn.disabled = false;
+        restoreBtn.textContent = STRINGS.restore;
+      }
+    });
+    importBtn.addEventListener('click', () => {
+      if (!confirm(STRINGS.confirmImport)) return;
+      runImport(false, importBtn);
+    });
+
+    async function logout() {
+      try {
+        await fetch('/logout', { method: 'POST' });
+        window.location.href = '/login';
+      } catch (error) {
+        window.location.href = '/login';
+      }
+    }
+  </script>
+</body>
+</html>`;
+}
+
+// Admin entry listing
+const ADMIN_PAGE_SIZE = 50;
+const ADMIN_SORT_COLUMNS = {
+  date: 'created_at',
+  name: 'name',
+  status: 'approved'
+};
+
+function parseAdminEntryFilters(url) {
+  const params = url.searchParams;
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const sort = ADMIN_SORT_COLUMNS[params.get('sort')] ? params.get('sort') : 'date';
+  return {
+    q: (params.get('q') || '').trim().slice(0, 200),
+    status: ['pending', 'approved', 'hidden', 'spam'].includes(params.get('status')) ? params.get('status') : '',
+    from: isDate(params.get('from')) ? params.get('from') : '',
+    to: isDate(params.get('to')) ? params.get('to') : '',
+    sort,
+    dir: params.get('dir') === 'asc' ? 'asc' : 'desc',
+    page: Math.max(1, parseInt(params.get('page')) || 1)
+  };
+}
+
+// Builds the WHERE clause shared by the admin listing and anything acting on "all matching" entries
+function buildAdminEntryWhere(filters) {
+  const conditions = [];
+  const params = [];
+  
+  if (filters.bookId) {
+    conditions.push('guestbook_id = ?');
+    params.push(filters.bookId);
+  }
+  if (filters.q) {
+    const like = '%' + filters.q.replace(/[\\%_]/g, c => '\\' + c) + '%';
+    conditions.push("(name LIKE ? ESCAPE '\\' OR message LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\' OR site LIKE ? ESCAPE '\\')");
+    params.push(like, like, like, like);
+  }
+  if (filters.status === 'pending') {
+    conditions.push('approved = 0 AND spam = 0 AND hidden = 0');
+  } else if (filters.status === 'approved') {
+    conditions.push('approved = 1');
+  } else if (filters.status === 'hidden') {
+    conditions.push('hidden = 1');
+  } else if (filters.status === 'spam') {
+    conditions.push('spam = 1');
+  }
+  if (filters.from) {
+    conditions.push('created_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("created_at < date(?, '+1 day')");
+    params.push(filters.to);
+  }
+  
+  return {
+    where: conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '',
+    params
+  };
+}
+
+async function getAdminEntries(env, filters) {
+  const { where, params } = buildAdminEntryWhere(filters);
+  const column = ADMIN_SORT_COLUMNS[filters.sort];
+  const direction = filters.dir === 'asc' ? 'ASC' : 'DESC';
+  
+  const countRow = await env.DB.prepare('SELECT COUNT(*) AS total FROM entries' + where).bind(...params).first();
+  const total = countRow ? countRow.total : 0;
+  const pageCount = Math.max(1, Math.ceil(total / ADMIN_PAGE_SIZE));
+  const page = Math.min(filters.page, pageCount);
+  
+  const entries = await env.DB.prepare(
+    `SELECT * FROM entries${where} ORDER BY ${column} ${direction}, id ${direction} LIMIT ? OFFSET ?`
+  ).bind(...params, ADMIN_PAGE_SIZE, (page - 1) * ADMIN_PAGE_SIZE).all();
+  const results = entries.results || [];
+  
+  // Attach edit history for the entries on this page
+  if (results.length > 0) {
+    const ids = results.map(entry => entry.id);
+    const revisions = await env.DB.prepare(
+      `SELECT * FROM entry_revisions WHERE entry_id IN (${ids.map(() => '?').join(', ')}) ORDER BY id DESC`
+    ).bind(...ids).all();
+    const byEntry = {};
+    (revisions.results || []).forEach(rev => {
+      (byEntry[rev.entry_id] = byEntry[rev.entry_id] || []).push(rev);
+    });
+    results.forEach(entry => { entry.revisions = byEntry[entry.id] || []; });
+  }
+  
+  return {
+    entries: results,
+    total,
+    page,
+    pageCount,
+    filters: { ...filters, page }
+  };
+}
+
+// Builds an /admin URL from the current filters, dropping defaults so links stay short
+function adminEntriesUrl(filters, overrides = {}) {
+  const merged = { ...filters, ...overrides };
+  const params = new URLSearchParams();
+  if (merged.q) params.set('q', merged.q);
+  if (merged.status) params.set('status', merged.status);
+  if (merged.from) params.set('from', merged.from);
+  if (merged.to) params.set('to', merged.to);
+  if (merged.sort && merged.sort !== 'date') params.set('sort', merged.sort);
+  if (merged.dir && merged.dir !== 'desc') params.set('dir', merged.dir);
+  if (merged.page && merged.page > 1) params.set('page', merged.page);
+  const query = params.toString();
+  return '/admin' + (query ? '?' + query : '');
+}
+
+// Bulk moderation
+// Each statement binds (id, guestbook_id) so an admin page only touches its own guestbook's entries
+const BULK_ACTIONS = {
+  approve: 'UPDATE entries SET approved = 1, spam = 0, hidden = 0 WHERE id = ? AND guestbook_id = ?',
+  unapprove: 'UPDATE entries SET approved = 0, spam = 0, hidden = 0 WHERE id = ? AND guestbook_id = ?',
+  hide: 'UPDATE entries SET approved = 0, spam = 0, hidden = 1 WHERE id = ? AND guestbook_id = ?',
+  spam: 'UPDATE entries SET approved = 0, spam = 1, hidden = 0 WHERE id = ? AND guestbook_id = ?',
+  pin: 'UPDATE entries SET pinned = 1 WHERE id = ? AND guestbook_id = ?',
+  unpin: 'UPDATE entries SET pinned = 0 WHERE id = ? AND guestbook_id = ?',
+  delete: 'DELETE FROM entries WHERE id = ? AND guestbook_id = ?'
+};
+const BULK_CHUNK_SIZE = 100;
+
+async function getMatchingEntryIds(env, filters) {
+  const { where, params } = buildAdminEntryWhere(filters);
+  const rows = await env.DB.prepare('SELECT id FROM entries' + where).bind(...params).all();
+  return (rows.results || []).map(row => row.id);
+}
+
+// Runs one statement per id through env.DB.batch and reports what happened to each id
+async function applyBulkAction(env, bookId, action, ids, locale = FALLBACK_LOCALE) {
+  const stmt = env.DB.prepare(BULK_ACTIONS[action]);
+  const results = [];
+  
+  for (let i = 0; i < ids.length; i += BULK_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + BULK_CHUNK_SIZE);
+    try {
+      const batchResults = await env.DB.batch(chunk.map(id => stmt.bind(id, bookId)));
+      chunk.forEach((id, index) => {
+        const changes = batchResults[index]?.meta?.changes || 0;
+        results.push(changes > 0 ? { id, success: true } : { id, success: false, error: translate(ADMIN_MESSAGES, locale, 'api.entryNotFound') });
+      });
+    } catch (e) {
+      // A batch is a single transaction, so every id in the chunk failed together
+      chunk.forEach(id => results.push({ id, success: false, error: e.message }));
+    }
+  }
+  
+  return results;
+}
+
+// Saves new text for an entry, keeping the previous text in entry_revisions.
+// Returns false if the entry doesn't exist in that guestbook.
+async function saveEntryEdit(env, bookId, id, { name, message, site }) {
+  const current = await env.DB.prepare('SELECT name, message, site FROM entries WHERE id = ? AND guestbook_id = ?').bind(id, bookId).first();
+  if (!current) return false;
+  
+  // Nothing changed, don't clutter the history
+  if (current.name === name && current.message === message && (current.site || null) === (site || null)) {
+    return true;
+  }
+  
+  await env.DB.batch([
+    env.DB.prepare('INSERT INTO entry_revisions (entry_id, name, message, site, edited_at) VALUES (?, ?, ?, ?, datetime("now"))')
+      .bind(id, current.name, current.message, current.site),
+    env.DB.prepare('UPDATE entries SET name = ?, message = ?, site = ? WHERE id = ? AND guestbook_id = ?')
+      .bind(name, message, site || null, id, bookId)
+  ]);
+  return true;
+}
+
+// Entry import
+// Accepts the /data.csv layout, the /data.json shape (or /api/v1/entries' { entries }) and
+// arbitrary CSV exports with a column mapping. Rows go through the same validation as /api/submit.
+const IMPORT_FORMATS = ['auto', 'csv', 'json', 'custom'];
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_MAPPING_FIELDS = ['name', 'message', 'site', 'email', 'date'];
+const MYGB_CSV_MAPPING = { name: 'Name', message: 'Message', site: 'Website', email: '', date: 'Date' };
+
+// RFC 4180: quoted fields may contain commas, newlines and "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Returns SQLite's 'YYYY-MM-DD HH:MM:SS' (UTC), null for no date, or false if it can't be read.
+// Plain numbers are taken as Unix timestamps, in seconds or milliseconds.
+function normalizeImportDate(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const raw = String(value).trim();
+  let date;
+  if (/^\d+$/.test(raw)) {
+    const n = parseInt(raw);
+    date = new Date(n > 1e12 ? n : n * 1000);
+  } else {
+    // Bare SQLite dates are UTC, as everywhere else in MyGB
+    date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(raw) ? raw.replace(' ', 'T') + 'Z' : raw);
+  }
+  if (isNaN(date.getTime())) return false;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Turns the uploaded text into plain { line, name, message, site, email, date } records.
+// Throws an Error with a user-facing message in the given locale when the file itself can't be read.
+function parseImportRecords(text, format, mapping, locale = FALLBACK_LOCALE) {
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error(t('import.error.empty'));
+  if (format === 'auto') format = /^[\[{]/.test(trimmed) ? 'json' : 'csv';
+  
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(t('import.error.json', { error: e.message }));
+    }
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.entries) ? data.entries : null;
+    if (!list) throw new Error(t('import.error.notArray'));
+    return list.map((item, index) => ({
+      line: index + 1,
+      name: item && item.name,
+      message: item && item.message,
+      site: item && item.site,
+      email: item && item.email,
+      date: item && item.created_at
+    }));
+  }
+  
+  const rows = parseCsv(trimmed);
+  const header = (rows.shift() || []).map(h => h.trim());
+  const columns = format === 'custom' ? mapping : MYGB_CSV_MAPPING;
+  const indexes = {};
+  for (const field of IMPORT_MAPPING_FIELDS) {
+    const column = (columns[field] || '').trim();
+    if (!column) continue;
+    const index = header.findIndex(h => h.toLowerCase() === column.toLowerCase());
+    if (index === -1) {
+      throw new Error(t('import.error.column', { column, columns: header.join(', ') }));
+    }
+    indexes[field] = index;
+  }
+  if (indexes.name === undefined || indexes.message === undefined) {
+    throw new Error(t('import.error.mapping'));
+  }
+  
+  // Line numbers count the header, so they match what a spreadsheet shows
+  return rows.map((row, index) => {
+    const record = { line: index + 2 };
+    for (const field of IMPORT_MAPPING_FIELDS) {
+      record[field] = indexes[field] === undefined ? null : row[indexes[field]];
+    }
+    return record;
+  });
+}
+
+// Validates every record and marks duplicates, either of an existing entry or of an earlier row.
+// An entry counts as a duplicate when name and message match and so does the date, if the row has one.
+async function prepareImportRows(env, bookId, records, locale = FALLBACK_LOCALE) {
+  const rows = records.map(record => {
+    const entry = {
+      line: record.line,
+      name: record.name == null ? '' : String(record.name).trim(),
+      message: record.message == null ? '' : String(record.message).trim(),
+      site: record.site == null ? null : String(record.site).trim() || null,
+      email: record.email == null ? null : String(record.email).trim() || null,
+      created_at: normalizeImportDate(record.date)
+    };
+    if (entry.created_at === false) {
+      return { ...entry, created_at: null, status: 'invalid', error: translate(ADMIN_MESSAGES, locale, 'import.error.date', { date: record.date }) };
+    }
+    const error = validateEntryFields(entry, locale);
+    return error ? { ...entry, status: 'invalid', error } : { ...entry, status: 'ok' };
+  });
+  
+  const valid = rows.filter(row => row.status === 'ok');
+  const existing = new Map();
+  const names = [...new Set(valid.map(row => row.name))];
+  // D1 binds at most 100 parameters per query and bookId takes one of them
+  const chunkSize = BULK_CHUNK_SIZE - 1;
+  for (let i = 0; i < names.length; i += chunkSize) {
+    const chunk = names.slice(i, i + chunkSize);
+    const found = await env.DB.prepare(
+      `SELECT name, message, created_at FROM entries WHERE guestbook_id = ? AND name IN (${chunk.map(() => '?').join(', ')})`
+    ).bind(bookId, ...chunk).all();
+    for (const entry of found.results || []) {
+      const key = entry.name + '\u0000' + entry.message;
+      if (!existing.has(key)) existing.set(key, new Set());
+      existing.get(key).add(entry.created_at);
+    }
+  }
+  
+  for (const row of valid) {
+    const key = row.name + '\u0000' + row.message;
+    const dates = existing.get(key);
+    if (dates && (!row.created_at || dates.has(row.created_at))) {
+      row.status = 'duplicate';
+      continue;
+    }
+    if (!dates) existing.set(key, new Set());
+    existing.get(key).add(row.created_at);
+  }
+  
+  return rows;
+}
+
+async function insertImportRows(env, bookId, rows, approved) {
+  const stmt = env.DB.prepare(
+    'INSERT INTO entries (guestbook_id, name, message, site, email, created_at, approved) VALUES (?, ?, ?, ?, ?, COALESCE(?, datetime("now")), ?)'
+  );
+  let imported = 0;
+  for (let i = 0; i < rows.length; i += BULK_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + BULK_CHUNK_SIZE);
+    await env.DB.batch(chunk.map(row => stmt.bind(bookId, row.name, row.message, row.site, row.email, row.created_at, approved ? 1 : 0)));
+    imported += chunk.length;
+  }
+  return imported;
+}
+
+// Backup and restore
+// A backup is one JSON document holding every row of the tables below. Column lists are explicit so
+// a restore never writes a column this version doesn't know about. Bump BACKUP_VERSION if the layout changes.
+const BACKUP_FORMAT = 'mygb-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_TABLES = {
+  guestbooks: ['id', 'slug', 'name', 'created_at'],
+  entries: ['id', 'guestbook_id', 'name', 'message', 'site', 'email', 'created_at', 'approved', 'reply', 'replied_at', 'spam', 'hidden', 'spam_score', 'spam_reasons', 'ip_hash', 'pinned', 'custom_fields'],
+  entry_revisions: ['id', 'entry_id', 'name', 'message', 'site', 'edited_at'],
+  settings: ['guestbook_id', 'key', 'value'],
+  bans: ['id', 'type', 'value', 'mode', 'reason', 'created_at', 'expires_at'],
+  webhooks: ['id', 'url', 'secret', 'events', 'active', 'created_at'],
+  entry_reactions: ['entry_id', 'emoji', 'count'],
+  reaction_votes: ['entry_id', 'emoji', 'voter_hash', 'created_at']
+};
+// Settings that hold credentials; redacted backups store null instead
+const SECRET_SETTINGS = ['TURNSTILE_SECRET_KEY', 'NOTIFY_HTTP_TOKEN'];
+
+async function createBackup(env, { redact }) {
+  const status = await getSchemaStatus(env);
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schema_version: status.currentVersion,
+    created_at: new Date().toISOString(),
+    redacted: redact
+  };
+  
+  for (const [table, columns] of Object.entries(BACKUP_TABLES)) {
+    const rows = await env.DB.prepare(`SELECT ${columns.join(', ')} FROM ${table}`).all();
+    backup[table] = rows.results || [];
+  }
+  
+  if (redact) {
+    backup.settings.forEach(row => {
+      if (SECRET_SETTINGS.includes(row.key)) row.value = null;
+    });
+    backup.webhooks.forEach(row => { row.secret = null; });
+  }
+  
+  return backup;
+}
+
+// Checks the archive's shape and returns an error message in the given locale, or null if it can be restored
+function validateBackup(backup, currentSchemaVersion, locale = FALLBACK_LOCALE) {
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    return t('restore.error.format');
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return t('restore.error.version', { version: backup.version, supported: BACKUP_VERSION });
+  }
+  if (backup.schema_version > currentSchemaVersion) {
+    return t('restore.error.schema', { version: backup.schema_version, current: currentSchemaVersion });
+  }
+  
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    if (backup[table] !== undefined && !Array.isArray(backup[table])) return t('restore.error.list', { table });
+  }
+  if (!Array.isArray(backup.entries) || !Array.isArray(backup.settings)) {
+    return t('restore.error.empty');
+  }
+  
+  for (const book of backup.guestbooks || []) {
+    if (!book || !Number.isInteger(book.id) || !BOOK_SLUG_PATTERN.test(book.slug) || typeof book.name !== 'string') {
+      return t('restore.error.guestbook');
+    }
+  }
+  const bookIds = new Set([DEFAULT_BOOK.id, ...(backup.guestbooks || []).map(book => book.id)]);
+  
+  const ids = new Set();
+  for (const [index, entry] of backup.entries.entries()) {
+    if (!entry || typeof entry.name !== 'string' || typeof entry.message !== 'string' || typeof entry.created_at !== 'string') {
+      return t('restore.error.entryFields', { number: index + 1 });
+    }
+    if (!Number.isInteger(entry.id) || ids.has(entry.id)) {
+      return t('restore.error.entryId', { number: index + 1 });
+    }
+    if (entry.guestbook_id !== undefined && !bookIds.has(entry.guestbook_id)) {
+      return t('restore.error.entryBook', { number: index + 1 });
+    }
+    ids.add(entry.id);
+  }
+  for (const row of backup.settings) {
+    if (!row || typeof row.key !== 'string') return t('restore.error.setting');
+  }
+  
+  return null;
+}
+
+// Stands in for the id of the entry inserted just before, when merging revisions
+const LATEST_ENTRY_ID = Symbol('latest entry id');
+
+// Builds an INSERT for the known columns present in the row.
+// Column names come from BACKUP_TABLES, never from the file.
+function backupInsert(env, table, row, { omit = [], overrides = {}, conflict = '' } = {}) {
+  const values = { ...row, ...overrides };
+  const columns = BACKUP_TABLES[table].filter(column => !omit.includes(column) && values[column] !== undefined);
+  const placeholders = columns.map(column => values[column] === LATEST_ENTRY_ID ? '(SELECT MAX(id) FROM entries)' : '?');
+  return env.DB.prepare(
+    `INSERT ${conflict} INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`
+  ).bind(...columns.filter(column => values[column] !== LATEST_ENTRY_ID).map(column => values[column]));
+}
+
+// mode 'replace' wipes the current data and restores the archive with its original ids.
+// mode 'merge' keeps current data, adds guestbooks whose slug isn't taken yet, appends entries that aren't already
+// here (matched on guestbook, name, message and date) and only fills in settings, bans and webhooks that don't
+// exist yet. Reactions are only restored by 'replace'.
+// Everything runs in one batch, so a failed restore leaves the database untouched.
+async function restoreBackup(env, backup, { mode, dryRun }) {
+  const books = backup.guestbooks || [];
+  const revisions = backup.entry_revisions || [];
+  const bans = backup.bans || [];
+  const webhooks = backup.webhooks || [];
+  const summary = { guestbooks: 0, entries: 0, revisions: 0, reactions: 0, settings: 0, bans: 0, webhooks: 0, skipped: 0, removed: 0 };
+  const statements = [];
+  // Backups from before guestbooks existed only hold the default one
+  const bookOf = row => row.guestbook_id || DEFAULT_BOOK.id;
+  
+  // Secrets missing from a redacted backup keep whatever this instance has now
+  const currentSettings = await env.DB.prepare('SELECT guestbook_id, key, value FROM settings').all();
+  const current = Object.fromEntries((currentSettings.results || []).map(row => [bookOf(row) + ':' + row.key, row.value]));
+  const currentHooks = await env.DB.prepare('SELECT url, secret FROM webhooks').all();
+  const currentSecrets = Object.fromEntries((currentHooks.results || []).map(row => [row.url, row.secret]));
+  
+  if (mode === 'replace') {
+    summary.removed = await env.DB.prepare('SELECT COUNT(*) as count FROM entries').first('count');
+    statements.push(
+      env.DB.prepare('DELETE FROM webhook_deliveries'),
+      env.DB.prepare('DELETE FROM webhooks'),
+      env.DB.prepare('DELETE FROM bans'),
+      env.DB.prepare('DELETE FROM entries'),
+      env.DB.prepare('DELETE FROM entry_revisions'),
+      env.DB.prepare('DELETE FROM entry_reactions'),
+      env.DB.prepare('DELETE FROM reaction_votes'),
+      env.DB.prepare('DELETE FROM settings'),
+      env.DB.prepare('DELETE FROM guestbooks')
+    );
+    
+    for (const book of books) {
+      statements.push(backupInsert(env, 'guestbooks', book));
+      summary.guestbooks++;
+    }
+    // The default book always exists
+    statements.push(env.DB.prepare('INSERT OR IGNORE INTO guestbooks (id, slug, name) VALUES (?, ?, ?)')
+      .bind(DEFAULT_BOOK.id, DEFAULT_BOOK.slug, DEFAULT_BOOK.name));
+    
+    const entryIds = new Set(backup.entries.map(entry => entry.id));
+    for (const entry of backup.entries) {
+      statements.push(backupInsert(env, 'entries', entry));
+      summary.entries++;
+    }
+    for (const revision of revisions.filter(rev => entryIds.has(rev.entry_id))) {
+      statements.push(backupInsert(env, 'entry_revisions', revision));
+      summary.revisions++;
+    }
+    for (const reaction of (backup.entry_reactions || []).filter(row => entryIds.has(row.entry_id))) {
+      statements.push(backupInsert(env, 'entry_reactions', reaction));
+      summary.reactions += reaction.count || 0;
+    }
+    for (const vote of (backup.reaction_votes || []).filter(row => entryIds.has(row.entry_id))) {
+      statements.push(backupInsert(env, 'reaction_votes', vote));
+    }
+    for (const row of backup.settings) {
+      const value = row.value === null && SECRET_SETTINGS.includes(row.key) ? current[bookOf(row) + ':' + row.key] : row.value;
+      if (value === undefined) continue;
+      statements.push(backupInsert(env, 'settings', row, { overrides: { value } }));
+      summary.settings++;
+    }
+    for (const ban of bans) {
+      statements.push(backupInsert(env, 'bans', ban));
+      summary.bans++;
+    }
+    for (const hook of webhooks) {
+      const secret = hook.secret || currentSecrets[hook.url];
+      // A webhook can't be signed without its secret, so it comes back paused with a fresh one
+      statements.push(backupInsert(env, 'webhooks', hook, secret
+        ? { overrides: { secret } }
+        : { overrides: { secret: crypto.randomUUID().replace(/-/g, ''), active: 0 } }));
+      summary.webhooks++;
+    }
+  } else {
+    // Books are matched on slug. New ones get the next free ids so their entries can refer to them in the same batch.
+    const localBooks = await env.DB.prepare('SELECT id, slug FROM guestbooks').all();
+    const localIds = Object.fromEntries((localBooks.results || []).map(book => [book.slug, book.id]));
+    let nextBookId = Math.max(DEFAULT_BOOK.id, ...Object.values(localIds));
+    const bookMap = { [DEFAULT_BOOK.id]: DEFAULT_BOOK.id };
+    for (const book of books) {
+      if (localIds[book.slug] !== undefined) {
+        bookMap[book.id] = localIds[book.slug];
+        continue;
+      }
+      bookMap[book.id] = ++nextBookId;
+      statements.push(backupInsert(env, 'guestbooks', book, { overrides: { id: nextBookId } }));
+      summary.guestbooks++;
+    }
+    
+    const existing = await env.DB.prepare('SELECT guestbook_id, name, message, created_at FROM entries').all();
+    const seen = new Set((existing.results || []).map(entry => [entry.guestbook_id, entry.name, entry.message, entry.created_at].join('\u0000')));
+    
+    for (const entry of backup.entries) {
+      const guestbookId = bookMap[bookOf(entry)];
+      const key = [guestbookId, entry.name, entry.message, entry.created_at].join('\u0000');
+      if (seen.has(key)) {
+        summary.skipped++;
+        continue;
+      }
+      seen.add(key);
+      // New id; its revisions follow straight after so they can point at it
+      statements.push(backupInsert(env, 'entries', entry, { omit: ['id'], overrides: { guestbook_id: guestbookId } }));
+      summary.entries++;
+      for (const revision of revisions.filter(rev => rev.entry_id === entry.id)) {
+        statements.push(backupInsert(env, 'entry_revisions', revision, { omit: ['id'], overrides: { entry_id: LATEST_ENTRY_ID } }));
+        summary.revisions++;
+      }
+    }
+    for (const row of backup.settings) {
+      const guestbookId = bookMap[bookOf(row)];
+      if (guestbookId === undefined || current[guestbookId + ':' + row.key] !== undefined || row.value === null) continue;
+      statements.push(backupInsert(env, 'settings', row, { overrides: { guestbook_id: guestbookId } }));
+      summary.settings++;
+    }
+    const currentBans = await env.DB.prepare('SELECT type, value FROM bans').all();
+    const banned = new Set((currentBans.results || []).map(ban => ban.type + ':' + ban.value));
+    for (const ban of bans.filter(ban => !banned.has(ban.type + ':' + ban.value))) {
+      statements.push(backupInsert(env, 'bans', ban, { omit: ['id'], conflict: 'OR IGNORE' }));
+      summary.bans++;
+    }
+    for (const hook of webhooks.filter(hook => hook.secret && currentSecrets[hook.url] === undefined)) {
+      statements.push(backupInsert(env, 'webhooks', hook, { omit: ['id'] }));
+      summary.webhooks++;
+    }
+  }
+  
+  if (!dryRun && statements.length > 0) {
+    await env.DB.batch(statements);
+  }
+  return summary;
+}
+
+function getAdminHTML(listing, env) {
+  const sitename = env.SITENAME || 'Guestbook';
+  const siteIcon = env.SITE_ICON_URL || 'https://static.mighil.com/images/2026/gb.webp';
+  const locale = env.LOCALE || FALLBACK_LOCALE;
+  const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+  const { entries, filters, total, page, pageCount } = listing;
+  // Viewers get the table without selection or action buttons
+  const canModerate = hasRole(env.USER, 'moderator');
+  
+  const entryStatus = entry => {
+    if (entry.spam) return { label: t('status.spam'), className: 'badge-danger' };
+    if (entry.hidden) return { label: t('status.hidden'), className: 'badge-muted' };
+    if (entry.approved) return { label: t('status.approved'), className: 'badge-success' };
+    return { label: t('status.pending'), className: 'badge-warning' };
+  };
+  
+  // Only offer ban types we actually have data for
+  const banOptions = entry => {
+    const domain = getSiteDomain(entry.site);
+    return [
+      entry.ip_hash ? `<option value="ip">${escapeHtml(t('ban.byIp'))}</option>` : '',
+      entry.email ? `<option value="email">${escapeHtml(t('ban.byEmail', { email: entry.email }))}</option>` : '',
+      domain ? `<option value="domain">${escapeHtml(t('ban.byDomain', { domain }))}</option>` : ''
+    ].join('');
+  };
+  
+  // Every custom field answer, private ones included. Answers to removed fields show under their key.
+  const customFields = getCustomFields(env);
+  const fieldValues = entry => {
+    const values = parseCustomFieldValues(entry.custom_fields);
+    const rows = [
+      ...customFields.filter(field => values[field.key]).map(field => ({ label: field.label, value: values[field.key], isPublic: field.public })),
+      ...Object.keys(values).filter(key => !customFields.some(field => field.key === key)).map(key => ({ label: key, value: values[key], isPublic: false }))
+    ];
+    return rows.length === 0 ? '' : `
+                  <dl class="admin-fields">
+                    ${rows.map(row => `<div><dt>${escapeHtml(row.label)}${row.isPublic ? '' : ` <span class="text-muted">${escapeHtml(t('entries.private'))}</span>`}</dt><dd>${escapeHtml(String(row.value)).replace(/\n/g, '<br>')}</dd></div>`).join('')}
+                  </dl>`;
+  };
+  
+  // Clicking the active column flips direction, any other column starts descending
+  const sortLink = (key, label) => {
+    const active = filters.sort === key;
+    const dir = active && filters.dir === 'desc' ? 'asc' : 'desc';
+    const arrow = active ? (filters.dir === 'desc' ? ' ↓' : ' ↑') : '';
+    return `<a href="${escapeHtml(adminEntriesUrl(filters, { sort: key, dir, page: 1 }))}" class="sort-link${active ? ' active' : ''}">${escapeHtml(label)}${arrow}</a>`;
+  };
+  
+  const entriesHTML = entries.length === 0
+    ? `<div class="empty-state">${escapeHtml(t('entries.empty'))}</div>`
+    : `
+      <div class="table-responsive">
+        <table class="entries-table">
+          <thead>
+            <tr>
+              ${canModerate ? `<th class="select-cell"><input type="checkbox" id="select-page" title="${escapeHtml(t('entries.selectPage'))}"></th>` : ''}
+              <th>${sortLink('status', t('entries.status'))}</th>
+              <th>${sortLink('name', t('entries.name'))}</th>
+              <th>${escapeHtml(t('entries.message'))}</th>
+              <th>${sortLink('date', t('entries.date'))}</th>
+              ${canModerate ? `<th>${escapeHtml(t('entries.actions'))}</th>` : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${entries.map(entry => `
+              <tr class="${entry.approved || entry.hidden || entry.spam ? '' : 'row-pending'}">
+                ${canModerate ? `<td class="select-cell"><input type="checkbox" class="entry-select" value="${entry.id}"></td>` : ''}
+                <td>
+                  <span class="badge ${entryStatus(entry).className}">
+                    ${escapeHtml(entryStatus(entry).label)}
+                  </span>
+                  ${entry.pinned ? `<span class="badge badge-pinned">${escapeHtml(t('status.pinned'))}</span>` : ''}
+                  ${entry.spam_score > 0 ? `<div class="spam-score" title="${escapeHtml(entry.spam_reasons || '')}">${escapeHtml(t('entries.spamScore', { score: entry.spam_score }))}</div>` : ''}
+                </td>
+                <td>
+                  <div class="font-medium">${escapeHtml(entry.name)}</div>
+                  ${entry.email ? `<div class="text-sm"><a href="mailto:${escapeHtml(entry.email)}" class="site-link">${escapeHtml(entry.email)}</a></div>` : ''}
+                  ${entry.site ? `<a href="${escapeHtml(entry.site)}" target="_blank" rel="nofollow" class="site-link">${escapeHtml(entry.site)}</a>` : ''}
+                </td>
+                <td>
+                  <div class="message-content">${escapeHtml(entry.message).replace(/\n/g, '<br>')}</div>
+                  ${fieldValues(entry)}
+                  ${entry.reply ? `<div class="admin-reply"><span class="owner-label">${escapeHtml(t('entries.yourReply'))}</span> ${escapeHtml(entry.reply).replace(/\n/g, '<br>')}</div>` : ''}
+                  <form class="edit-form" id="edit-form-${entry.id}" style="display: none;" onsubmit="saveEdit(event, ${entry.id})">
+                    <input type="text" name="name" maxlength="100" required value="${escapeHtml(entry.name)}" placeholder="${escapeHtml(t('entries.name'))}">
+                    <input type="url" name="site" maxlength="255" value="${escapeHtml(entry.site || '')}" placeholder="${escapeHtml(t('entries.website'))}">
+                    <textarea name="message" rows="4" maxlength="2000" required>${escapeHtml(entry.message)}</textarea>
+                    <div class="reply-actions">
+                      <button type="submit" class="btn-icon btn-approve">${escapeHtml(t('entries.saveChanges'))}</button>
+                      <button type="button" onclick="toggleEdit(${entry.id})" class="btn-icon">${escapeHtml(t('common.cancel'))}</button>
+                    </div>
+                  </form>
+                  ${entry.revisions && entry.revisions.length > 0 ? `
+                  <details class="revisions">
+                    <summary>${escapeHtml(entry.revisions.length === 1 ? t('entries.editedOnce') : t('entries.edited', { count: entry.revisions.length }))}</summary>
+                    ${entry.revisions.map(rev => `
+                      <div class="revision">
+                        <div class="text-muted text-sm">
+                          ${t('entries.beforeEdit', { date: `<span class="client-date" datetime="${rev.edited_at}">${formatDate(rev.edited_at, locale)}</span>` })}
+                          ${canModerate ? `<button type="button" onclick="revertEntry(${rev.id})" class="btn-icon btn-reply revert-btn">${escapeHtml(t('entries.revert'))}</button>` : ''}
+                        </div>
+                        <div class="font-medium">${escapeHtml(rev.name)}${rev.site ? ` <span class="text-muted text-sm">${escapeHtml(rev.site)}</span>` : ''}</div>
+                        <div class="message-content">${escapeHtml(rev.message).replace(/\n/g, '<br>')}</div>
+                      </div>
+                    `).join('')}
+                  </details>` : ''}
+                  ${banOptions(entry) ? `
+                  <form class="ban-form" id="ban-form-${entry.id}" style="display: none;" onsubmit="banSubmitter(event, ${entry.id})">
+                    <select name="type">${banOptions(entry)}</select>
+                    <select name="mode">
+                      <option value="reject">${escapeHtml(t('ban.reject'))}</option>
+                      <option value="shadow">${escapeHtml(t('ban.shadow'))}</option>
+                    </select>
+                    <select name="days">
+                      <option value="1">${escapeHtml(t('ban.forOneDay'))}</option>
+                      <option value="7">${escapeHtml(t('ban.forDays', { days: 7 }))}</option>
+                      <option value="30" selected>${escapeHtml(t('ban.forDays', { days: 30 }))}</option>
+                      <option value="0">${escapeHtml(t('ban.permanently'))}</option>
+                    </select>
+                    <input type="text" name="reason" maxlength="200" placeholder="${escapeHtml(t('ban.reasonOptional'))}">
+                    <label class="ban-delete"><input type="checkbox" name="delete_entry"> ${escapeHtml(t('ban.alsoDelete'))}</label>
+                    <div class="reply-actions">
+                      <button type="submit" class="btn-icon btn-delete">${escapeHtml(t('ban.submit'))}</button>
+                    </div>
+                  </form>` : ''}
+                  <form class="reply-form" id="reply-form-${entry.id}" style="display: none;" onsubmit="saveReply(event, ${entry.id})">
+                    <textarea name="reply" rows="3" maxlength="2000" placeholder="${escapeHtml(t('entries.replyPlaceholder'))}">${escapeHtml(entry.reply || '')}</textarea>
+                    <div class="reply-actions">
+                      <button type="submit" class="btn-icon btn-approve">${escapeHtml(t('entries.saveReply'))}</button>
+                      ${entry.reply ? `<button type="button" onclick="removeReply(${entry.id})" class="btn-icon btn-delete">${escapeHtml(t('entries.removeReply'))}</button>` : ''}
+                    </div>
+                  </form>
+                </td>
+                <td class="text-muted text-sm client-date" datetime="${entry.created_at}">${formatDate(entry.created_at, locale)}</td>
+                ${canModerate ? `<td>
+                  <div class="action-buttons">
+                    ${!entry.approved ? `<button onclick="approveEntry(${entry.id})" class="btn-icon btn-approve" title="${escapeHtml(t('action.approve'))}">${escapeHtml(t('action.approve'))}</button>` : ''}
+                    ${entry.approved ? `<button onclick="moderateEntry('unapprove', ${entry.id})" class="btn-icon btn-unapprove" title="${escapeHtml(t('action.unapproveTitle'))}">${escapeHtml(t('action.unapprove'))}</button>` : ''}
+                    ${!entry.hidden ? `<button onclick="moderateEntry('hide', ${entry.id})" class="btn-icon btn-unapprove" title="${escapeHtml(t('action.hideTitle'))}">${escapeHtml(t('action.hide'))}</button>` : ''}
+                    <button onclick="moderateEntry('${entry.pinned ? 'unpin' : 'pin'}', ${entry.id})" class="btn-icon btn-reply" title="${escapeHtml(t(entry.pinned ? 'action.unpinTitle' : 'action.pinTitle'))}">${escapeHtml(t(entry.pinned ? 'action.unpin' : 'action.pin'))}</button>
+                    <button onclick="toggleEdit(${entry.id})" class="btn-icon btn-reply" title="${escapeHtml(t('action.edit'))}">${escapeHtml(t('action.edit'))}</button>
+                    <button onclick="toggleReply(${entry.id})" class="btn-icon btn-reply" title="${escapeHtml(t('action.reply'))}">${escapeHtml(t(entry.reply ? 'action.editReply' : 'action.reply'))}</button>
+                    ${banOptions(entry) ? `<button onclick="toggleBan(${entry.id})" class="btn-icon btn-delete" title="${escapeHtml(t('action.banTitle'))}">${escapeHtml(t('action.ban'))}</button>` : ''}
+                    <button onclick="deleteEntry(${entry.id})" class="btn-icon btn-delete" title="${escapeHtml(t('common.delete'))}">${escapeHtml(t('common.delete'))}</button>
+                  </div>
+                </td>` : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+  const extraStyles = `
+    .logout { color: #ef4444 !important; }
+    .logout:hover { background: #fef2f2 !important; }
+    .table-responsive { overflow-x: auto; }
+    .entries-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    .entries-table th {
+      text-align: left;
+      padding: 1rem;
+      background: #f1f5f9;
+      color: var(--text-muted);
+      font-weight: 600;
+      border-bottom: 1px solid var(--border);
+    }
+    .entries-table td {
+      padding: 1rem;
+      border-bottom: 1px solid var(--border);
+      vertical-align: top;
+    }
+    .entries-table tr:last-child td { border-bottom: none; }
+    .row-pending { background-color: #fffbeb; }
+    .badge {
+      display: inline-flex;
+      align-items: center;
+      padding: 0.25rem 0.625rem;
+      border-radius: 9999px;
+      font-size: 0.75rem;
+      font-weight: 600;
+    }
+    .badge-success { background: #ecfdf5; color: #065f46; }
+    .badge-warning { background: #fffbeb; color: #92400e; }
+    .badge-danger { background: #fef2f2; color: #991b1b; }
+    .badge-muted { background: var(--border); color: var(--text-muted); }
+    .badge-pinned { background: #eff6ff; color: #1d4ed8; margin-top: 0.25rem; }
+    .spam-score { margin-top: 0.375rem; font-size: 0.6875rem; color: var(--danger); cursor: help; white-space: nowrap; }
+    .font-medium { font-weight: 600; color: var(--text); }
+    .site-link {
+      display: block;
+      color: var(--primary);
+      text-decoration: none;
+      font-size: 0.75rem;
+      margin-top: 0.25rem;
+    }
+    .site-link:hover { text-decoration: underline; }
+    .message-content { max-width: 400px; color: var(--text-content); }
+    .action-buttons { display: flex; flex-direction: column; gap: 0.2rem; }
+    .btn-icon {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      width: 100%;
+      padding: 0.15rem 0.4rem;
+      border-radius: 0.2rem;
+      border: 1px solid transparent;
+      cursor: pointer;
+      font-size: 0.625rem;
+      font-weight: 600;
+      transition: all 0.2s;
+      text-transform: uppercase;
+      letter-spacing: 0.025em;
+    }
+    .btn-approve { background: #ecfdf5; color: #059669; border-color: #a7f3d0; }
+    .btn-approve:hover { background: #d1fae5; }
+    .btn-delete { background: #fef2f2; color: #dc2626; border-color: #fecaca; }
+    .btn-delete:hover { background: #fee2e2; }
+    .filter-bar {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.5rem;
+      align-items: flex-end;
+      padding: 1rem 1.5rem;
+      border-bottom: 1px solid var(--border);
+    }
+    .filter-bar .filter-field { display: flex; flex-direction: column; gap: 0.25rem; }
+    .filter-bar .filter-search { flex: 1; min-width: 200px; }
+    .filter-bar label { font-size: 0.75rem; margin: 0; color: var(--text-muted); }
+    .filter-bar input, .filter-bar select {
+      padding: 0.5rem 0.75rem;
+      font-size: 0.875rem;
+      border: 1px solid var(--border);
+      border-radius: 0.375rem;
+      background: var(--card-bg);
+      color: var(--text);
+    }
+    .filter-bar button { padding: 0.5rem 1rem; font-size: 0.875rem; }
+    .filter-reset { font-size: 0.875rem; color: var(--text-muted); padding: 0.5rem; }
+    .sort-link { color: inherit; text-decoration: none; }
+    .sort-link:hover, .sort-link.active { color: var(--text); }
+    .pagination {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 1rem 1.5rem;
+      border-top: 1px solid var(--border);
+      font-size: 0.875rem;
+    }
+    .pagination a { color: var(--primary); text-decoration: none; font-weight: 500; }
+    .pagination .disabled { color: var(--text-muted); opacity: 0.5; }
+    .select-cell { width: 1%; }
+    .select-cell input { width: 1rem; height: 1rem; cursor: pointer; }
+    .bulk-bar {
+      display: none;
+      flex-wrap: wrap;
+      gap: 0.75rem;
+      align-items: center;
+      padding: 0.75rem 1.5rem;
+      background: var(--active-nav-bg);
+      border-bottom: 1px solid var(--border);
+      font-size: 0.875rem;
+    }
+    .bulk-bar.active { display: flex; }
+    .bulk-bar select {
+      padding: 0.375rem 0.5rem;
+      font-size: 0.875rem;
+      border: 1px solid var(--border);
+      border-radius: 0.375rem;
+      background: var(--card-bg);
+      color: var(--text);
+    }
+    .bulk-bar button { padding: 0.375rem 1rem; font-size: 0.875rem; }
+    .bulk-bar a { color: var(--primary); cursor: pointer; }
+    .btn-reply { background: #eff6ff; color: #2563eb; border-color: #bfdbfe; }
+    .btn-reply:hover { background: #dbeafe; }
+    .admin-reply {
+      max-width: 400px;
+      margin-top: 0.5rem;
+      padding: 0.5rem 0.75rem;
+      border-left: 3px solid var(--primary);
+      color: var(--text-content);
+      font-size: 0.8125rem;
+    }
+    .owner-label { font-weight: 600; color: var(--primary); margin-right: 0.25rem; }
+    .admin-fields { max-width: 400px; margin: 0.5rem 0 0; font-size: 0.8125rem; }
+    .admin-fields dt { display: inline; font-weight: 600; }
+    .admin-fields dt::after { content: ': '; }
+    .admin-fields dd { display: inline; margin: 0; color: var(--text-content); }
+    .btn-unapprove { background: #fffbeb; color: #b45309; border-color: #fde68a; }
+    .btn-unapprove:hover { background: #fef3c7; }
+    .edit-form { max-width: 400px; margin-top: 0.5rem; display: flex; flex-direction: column; gap: 0.25rem; }
+    .edit-form input, .edit-form textarea { font-size: 0.875rem; padding: 0.5rem; }
+    .revisions { max-width: 400px; margin-top: 0.5rem; font-size: 0.8125rem; }
+    .revisions summary { cursor: pointer; color: var(--text-muted); }
+    .revision { margin-top: 0.5rem; padding-left: 0.75rem; border-left: 2px solid var(--border); }
+    .revert-btn { width: auto; margin-left: 0.5rem; }
+    .reply-form { max-width: 400px; margin-top: 0.5rem; }
+    .ban-form { max-width: 400px; margin-top: 0.5rem; display: flex; flex-direction: column; gap: 0.25rem; }
+    .ban-form select, .ban-form input[type="text"] {
+      padding: 0.375rem 0.5rem;
+      font-size: 0.8125rem;
+      border: 1px solid var(--border);
+      border-radius: 0.375rem;
+      background: var(--card-bg);
+      color: var(--text);
+    }
+    .ban-delete { display: flex; align-items: center; gap: 0.375rem; font-size: 0.8125rem; font-weight: 400; margin: 0; }
+    .reply-form textarea { font-size: 0.875rem; padding: 0.5rem; }
+    .reply-actions { display: flex; gap: 0.25rem; margin-top: 0.25rem; }
+    .reply-actions .btn-icon { width: auto; }
+    .empty-state { padding: 4rem 2rem; text-align: center; color: var(--text-muted); font-style: italic; }
+  `;
+
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+${getHead(t('entries.pageTitle', { sitename }), siteIcon, extraStyles + (env.CUSTOM_CSS || ''), '', true)}
+<body>
+  <div class="container">
+    ${getAdminHeader('entries', env)}
+    
+    <div id="message-container"></div>
+    
+    <div class="card">
+      <div style="padding: 1.5rem; border-bottom: 1px solid var(--border);">
+        <h2 style="font-size: 1.125rem; font-weight: 600; margin: 0;">${escapeHtml(t('entries.heading'))} <span class="text-muted" style="font-weight: 400;">(${total})</span></h2>
+      </div>
+      <form class="filter-bar" method="GET" action="/admin">
+        <div class="filter-field filter-search">
+          <label for="filter-q">${escapeHtml(t('filter.search'))}</label>
+          <input type="search" id="filter-q" name="q" value="${escapeHtml(filters.q)}" placeholder="${escapeHtml(t('filter.searchPlaceholder'))}">
+        </div>
+        <div class="filter-field">
+          <label for="filter-status">${escapeHtml(t('entries.status'))}</label>
+          <select id="filter-status" name="status">
+            <option value="">${escapeHtml(t('filter.all'))}</option>
+            <option value="pending" ${filters.status === 'pending' ? 'selected' : ''}>${escapeHtml(t('status.pending'))}</option>
+            <option value="approved" ${filters.status === 'approved' ? 'selected' : ''}>${escapeHtml(t('status.approved'))}</option>
+            <option value="hidden" ${filters.status === 'hidden' ? 'selected' : ''}>${escapeHtml(t('status.hidden'))}</option>
+            <option value="spam" ${filters.status === 'spam' ? 'selected' : ''}>${escapeHtml(t('status.spam'))}</option>
+          </select>
+        </div>
+        <div class="filter-field">
+          <label for="filter-from">${escapeHtml(t('filter.from'))}</label>
+          <input type="date" id="filter-from" name="from" value="${escapeHtml(filters.from)}">
+        </div>
+        <div class="filter-field">
+          <label for="filter-to">${escapeHtml(t('filter.to'))}</label>
+          <input type="date" id="filter-to" name="to" value="${escapeHtml(filters.to)}">
+        </div>
+        ${filters.sort !== 'date' ? `<input type="hidden" name="sort" value="${escapeHtml(filters.sort)}">` : ''}
+        ${filters.dir !== 'desc' ? `<input type="hidden" name="dir" value="${escapeHtml(filters.dir)}">` : ''}
+        <button type="submit">${escapeHtml(t('filter.submit'))}</button>
+        ${filters.q || filters.status || filters.from || filters.to ? `<a href="/admin" class="filter-reset">${escapeHtml(t('filter.reset'))}</a>` : ''}
+      </form>
+      <div class="bulk-bar" id="bulk-bar">
+        <span id="bulk-count"></span>
+        <a id="select-all-matching" style="display: none;" onclick="selectAllMatching()">${escapeHtml(t('bulk.selectAll', { count: total }))}</a>
+        <select id="bulk-action">
+          <option value="approve">${escapeHtml(t('action.approve'))}</option>
+          <option value="unapprove">${escapeHtml(t('action.unapprove'))}</option>
+          <option value="hide">${escapeHtml(t('action.hide'))}</option>
+          <option value="spam">${escapeHtml(t('action.spam'))}</option>
+          <option value="pin">${escapeHtml(t('action.pin'))}</option>
+          <option value="unpin">${escapeHtml(t('action.unpin'))}</option>
+          <option value="delete">${escapeHtml(t('common.delete'))}</option>
+        </select>
+        <button type="button" id="bulk-apply" onclick="applyBulkAction()">${escapeHtml(t('bulk.apply'))}</button>
+      </div>
+      ${entriesHTML}
+      ${pageCount > 1 ? `
+      <div class="pagination">
+        ${page > 1 ? `<a href="${escapeHtml(adminEntriesUrl(filters, { page: page - 1 }))}">&larr; ${escapeHtml(t('pagination.previous'))}</a>` : `<span class="disabled">&larr; ${escapeHtml(t('pagination.previous'))}</span>`}
+        <span class="text-muted">${escapeHtml(t('pagination.page', { page, pageCount }))}</span>
+        ${page < pageCount ? `<a href="${escapeHtml(adminEntriesUrl(filters, { page: page + 1 }))}">${escapeHtml(t('pagination.next'))} &rarr;</a>` : `<span class="disabled">${escapeHtml(t('pagination.next'))} &rarr;</span>`}
+      </div>` : ''}
+    </div>
+  </div>
+  
+  <script>
+    const STRINGS = ${scriptJson({
+      allSelected: t('bulk.allSelected', { count: total }),
+      pageSelected: t('bulk.pageSelected'),
+      confirmBulk: t('bulk.confirm'),
+      applying: t('bulk.applying'),
+      apply: t('bulk.apply'),
+      partial: t('bulk.partial'),
+      bulkFailed: t('bulk.failed'),
+      unknownError: t('common.unknownError'),
+      errorDetail: t('common.errorDetail'),
+      approveFailed: t('entries.approveFailed'),
+      actionFailed: t('entries.actionFailed'),
+      saveFailed: t('entries.saveFailed'),
+      confirmRevert: t('entries.confirmRevert'),
+      revertFailed: t('entries.revertFailed'),
+      banFailed: t('entries.banFailed'),
+      replyFailed: t('entries.replyFailed'),
+      confirmRemoveReply: t('entries.confirmRemoveReply'),
+      confirmDelete: t('entries.confirmDelete'),
+      deleteFailed: t('entries.deleteFailed')
+    })};
+    const TOTAL_MATCHING = ${total};
+    const FILTER_QUERY = ${JSON.stringify(adminEntriesUrl(filters, { sort: 'date', dir: 'desc', page: 1 }).replace('/admin', '')).replace(/</g, '\\u003c')};
+    let allMatchingSelected = false;
+    
+    function getSelectedIds() {
+      return Array.from(document.querySelectorAll('.entry-select:checked')).map(el => parseInt(el.value));
+    }
+    
+    function updateBulkBar() {
+      const boxes = document.querySelectorAll('.entry-select');
+      const selected = getSelectedIds();
+      const selectPage = document.getElementById('select-page');
+      const allOnPage = boxes.length > 0 && selected.length === boxes.length;
+      
+      if (!allOnPage) allMatchingSelected = false;
+      if (selectPage) selectPage.checked = allOnPage;
+      
+      document.getElementById('bulk-bar').classList.toggle('active', selected.length > 0);
+      document.getElementById('bulk-count').textContent = allMatchingSelected
+        ? STRINGS.allSelected
+        : STRINGS.pageSelected.replace('{count}', selected.length);
+      document.getElementById('select-all-matching').style.display =
+        allOnPage && !allMatchingSelected && TOTAL_MATCHING > boxes.length ? 'inline' : 'none';
+    }
+    
+    function selectAllMatching() {
+      allMatchingSelected = true;
+      updateBulkBar();
+    }
+    
+    document.querySelectorAll('.entry-select').forEach(el => el.addEventListener('change', updateBulkBar));
+    const selectPageBox = document.getElementById('select-page');
+    if (selectPageBox) {
+      selectPageBox.addEventListener('change', (e) => {
+        document.querySelectorAll('.entry-select').forEach(el => { el.checked = e.target.checked; });
+        updateBulkBar();
+      });
+    }
+    
+    async function applyBulkAction() {
+      const action = document.getElementById('bulk-action').value;
+      const button = document.getElementById('bulk-apply');
+      const count = allMatchingSelected ? TOTAL_MATCHING : getSelectedIds().length;
+      const label = document.getElementById('bulk-action').selectedOptions[0].textContent;
+      
+      if (!confirm(STRINGS.confirmBulk.replace('{action}', label).replace('{count}', count))) return;
+      
+      const payload = allMatchingSelected
+        ? { action, query: FILTER_QUERY }
+        : { action, ids: getSelectedIds() };
+      
+      button.disabled = true;
+      button.textContent = STRINGS.applying;
+      
+      try {
+        const response = await fetch('${bookUrl(env, '/api/entries/bulk')}', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        if (result.success) {
+          const failed = result.results.filter(r => !r.success);
+          if (failed.length > 0) {
+            alert(STRINGS.partial.replace('{succeeded}', result.succeeded).replace('{failed}', failed.length) + ' ' + failed.slice(0, 5).map(r => '#' + r.id + ' ' + r.error).join(', '));
+          }
+          location.reload();
+        } else {
+          alert(STRINGS.bulkFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      } finally {
+        button.disabled = false;
+        button.textContent = STRINGS.apply;
+      }
+    }
+    
+    async function approveEntry(id) {
+      try {
+        const response = await fetch('/api/approve/' + id, { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.approveFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    }
+    
+    async function moderateEntry(action, id) {
+      try {
+        const response = await fetch('/api/' + action + '/' + id, { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.actionFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    }
+    
+    function toggleEdit(id) {
+      const form = document.getElementById('edit-form-' + id);
+      form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    }
+    
+    async function saveEdit(event, id) {
+      event.preventDefault();
+      try {
+        const response = await fetch('/api/edit/' + id, { method: 'POST', body: new FormData(event.target) });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.saveFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    }
+    
+    async function revertEntry(revisionId) {
+      if (!confirm(STRINGS.confirmRevert)) return;
+      
+      try {
+        const response = await fetch('/api/revert/' + revisionId, { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.revertFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    }
+    
+    function toggleBan(id) {
+      const form = document.getElementById('ban-form-' + id);
+      form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    }
+    
+    async function banSubmitter(event, id) {
+      event.preventDefault();
+      const formData = new FormData(event.target);
+      formData.append('entry_id', id);
+      try {
+        const response = await fetch('/api/bans', { method: 'POST', body: formData });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.banFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    }
+    
+    function toggleReply(id) {
+      const form = document.getElementById('reply-form-' + id);
+      form.style.display = form.style.display === 'none' ? 'block' : 'none';
+      if (form.style.display === 'block') form.querySelector('textarea').focus();
+    }
+    
+    async function sendReply(id, reply) {
+      const formData = new FormData();
+      formData.append('reply', reply);
+      try {
+        const response = await fetch('/api/reply/' + id, { method: 'POST', body: formData });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.replyFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    }
+    
+    function saveReply(event, id) {
+      event.preventDefault();
+      sendReply(id, event.target.querySelector('textarea').value);
+    }
+    
+    function removeReply(id) {
+      if (!confirm(STRINGS.confirmRemoveReply)) return;
+      sendReply(id, '');
+    }
+    
+    async function deleteEntry(id) {
+      if (!confirm(STRINGS.confirmDelete)) return;
+      
+      try {
+        const response = await fetch('/api/delete/' + id, { method: 'POST' });
+        const result = await response.json();
+        if (result.success) {
+          location.reload();
+        } else {
+          alert(STRINGS.deleteFailed + ': ' + (result.error || STRINGS.unknownError));
+        }
+      } catch (error) {
+        alert(STRINGS.errorDetail.replace('{error}', error.message));
+      }
+    }
+    
+    async function logout() {
+      try {
+        await fetch('/logout', { method: 'POST' });
+        window.location.href = '/login';
+      } catch (error) {
+        window.location.href = '/login';
+      }
+    }
+    
+    ${CLIENT_COMMON_JS}
+  </script>
+</body>
+</html>`;
+}
+
+function getClientScript(env, requestUrl) {
+  // Use API_URL from env, or derive from request URL
+  const apiUrl = env.API_URL || (requestUrl ? new URL(requestUrl).origin : '');
+  // Ensure turnstileSiteKey is always a primitive string (not String object)
+  let turnstileSiteKey = env.TURNSTILE_SITE_KEY;
+  if (typeof turnstileSiteKey !== 'string') {
+    turnstileSiteKey = String(turnstileSiteKey || '');
+  }
+  // Ensure it's a primitive string, not a String object
+  turnstileSiteKey = '' + turnstileSiteKey;
+  
+  // Check for turnstile=false query param, and theme= for the theme editor's preview
+  let forceDisabled = false;
+  let previewTheme = null;
+  if (requestUrl) {
+    try {
+      const url = new URL(requestUrl);
+      if (url.searchParams.get('turnstile') === 'false') {
+        forceDisabled = true;
+      }
+      if (Object.prototype.hasOwnProperty.call(THEMES, url.searchParams.get('theme'))) {
+        previewTheme = url.searchParams.get('theme');
+      }
+    } catch (e) {
+      // Ignore URL parse errors
+    }
+  }
+  
+  const turnstileEnabled = !forceDisabled && env.TURNSTILE_ENABLED;
+  
+  return `(function() {
+  const GB_API_URL = ${JSON.stringify(String(apiUrl))};
+  // Served from /b/:slug/client.js, the script defaults to that guestbook
+  const GB_BOOK = ${JSON.stringify(env.BOOK && env.BOOK.id !== DEFAULT_BOOK.id ? env.BOOK.slug : '')};
+  const GB_TURNSTILE_SITE_KEY = ${JSON.stringify(turnstileSiteKey)};
+  const GB_TURNSTILE_ENABLED = ${turnstileEnabled};
+  const GB_MESSAGE_FORMATTING = ${!!env.MESSAGE_FORMATTING};
+  const GB_REACTION_EMOJIS = ${scriptJson(getReactionEmojis(env))};
+  // The guestbook's default language; data-gb-lang picks another one
+  const GB_LOCALE = ${JSON.stringify(normalizeLocale(env.DEFAULT_LOCALE) || FALLBACK_LOCALE)};
+  const GB_MESSAGES = ${scriptJson(MESSAGES)};
+  const GB_FIELDS = ${scriptJson(getCustomFields(env))};
+  // The guestbook's theme; data-gb-theme picks another built-in one
+  const GB_THEME = ${JSON.stringify(previewTheme || getThemeName(env))};
+  const GB_THEMES = ${scriptJson(Object.keys(THEMES))};
+
+  ${renderMessage.toString()}
+  ${renderEntryFields.toString()}
+  ${translate.toString()}
+  ${REACTION_CLIENT_JS}
+  
+  // Load Turnstile script
+  if (GB_TURNSTILE_ENABLED && !document.querySelector('script[src*="turnstile"]')) {
+    const script = document.createElement('script');
+    script.src = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
+    script.async = true;
+    script.defer = true;
+    document.head.appendChild(script);
+  }
+  
+  // Guestbook widget
+  function GuestbookWidget(config) {
+    this.container = typeof config.container === 'string' 
+      ? document.querySelector(config.container) 
+      : config.container;
+    this.apiUrl = config.apiUrl || GB_API_URL;
+    this.book = config.book || GB_BOOK;
+    this.apiBase = this.apiUrl + (this.book ? '/api/b/' + encodeURIComponent(this.book) : '/api');
+    this.pageBase = this.apiUrl + (this.book ? '/b/' + encodeURIComponent(this.book) : '');
+    const lang = String(config.lang || '').toLowerCase().split(/[-_]/)[0];
+    this.locale = GB_MESSAGES[lang] ? lang : GB_LOCALE;
+    this.theme = GB_THEMES.indexOf(config.theme) !== -1 ? config.theme : GB_THEME;
+    // Ensure turnstileSiteKey is always a string
+    const providedKey = config.turnstileSiteKey || GB_TURNSTILE_SITE_KEY;
+    this.turnstileSiteKey = String(providedKey || '');
+    this.turnstileEnabled = config.turnstileEnabled !== undefined ? config.turnstileEnabled : GB_TURNSTILE_ENABLED;
+    this.showForm = config.showForm !== false;
+    this.isSubmitting = false;
+    this.turnstileWidgetId = null;
+    this.init();
+  }
+  
+  GuestbookWidget.prototype.init = function() {
+    if (!this.container) {
+      console.error('Guestbook: Container not found');
+      return;
+    }
+    
+    this.render();
+    this.loadEntries();
+  };
+  
+  GuestbookWidget.prototype.t = function(key) {
+    return translate(GB_MESSAGES, this.locale, key);
+  };
+  
+  // Custom form fields use their label as the placeholder, like the built-in ones
+  GuestbookWidget.prototype.renderFieldInput = function(field) {
+    const hint = field.required ? (field.public ? '' : this.t('form.private')) : this.t(field.public ? 'form.optional' : 'form.optionalPrivate');
+    // Also goes into attributes, which escapeHtml alone doesn't cover
+    const label = this.escapeHtml(field.label + (hint ? ' ' + hint : '')).replace(/"/g, '&quot;');
+    const attrs = 'name="field_' + field.key + '"' + (field.required ? ' required' : '');
+    let input;
+    if (field.type === 'select') {
+      input = '<select ' + attrs + ' aria-label="' + label + '"><option value="">' + label + '</option>' +
+        field.options.map(option => '<option>' + this.escapeHtml(option) + '</option>').join('') + '</select>';
+    } else if (field.type === 'textarea') {
+      input = '<textarea ' + attrs + ' maxlength="' + field.maxLength + '" placeholder="' + label + '"></textarea>';
+    } else {
+      input = '<input type="text" ' + attrs + ' maxlength="' + field.maxLength + '" placeholder="' + label + '">';
+    }
+    return '<div class="gb-form-group">' + input + '</div>';
+  };
+  
+  GuestbookWidget.prototype.render = function() {
+    let html = '<div class="gb-widget gb-theme-' + this.theme + '" lang="' + this.locale + '">';
+    
+    if (this.showForm) {
+      html += \`
+        <div class="gb-form">
+          <form id="gb-form-\${Date.now()}">
+            <div class="gb-form-group">
+              <input type="text" name="name" required placeholder="\${this.escapeHtml(this.t('form.name'))}">
+            </div>
+            <div class="gb-form-group">
+              <input type="email" name="email" placeholder="\${this.escapeHtml(this.t('widget.email'))}">
+            </div>
+            <div class="gb-form-group">
+              <input type="url" name="site" placeholder="\${this.escapeHtml(this.t('widget.website'))}">
+            </div>
+            <div class="gb-form-group">
+              <textarea name="message" required placeholder="\${this.escapeHtml(this.t('widget.message'))}"></textarea>
+            </div>
+            \${GB_FIELDS.map(field => this.renderFieldInput(field)).join('')}
+            <div class="gb-hp" aria-hidden="true">
+              <input type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off" placeholder="\${this.escapeHtml(this.t('form.honeypot'))}">
+            </div>
+            \${this.turnstileEnabled ? '<div class="gb-turnstile"></div>' : ''}
+            <button type="button" class="gb-submit-btn">\${this.escapeHtml(this.t('widget.submit'))}</button>
+          </form>
+          <div class="gb-message"></div>
+        </div>
+      \`;
+    }
+    
+    html += '<div class="gb-entries"><div class="gb-entries-list"></div></div>';
+    html += '</div>';
+    
+    this.container.innerHTML = html;
+    this.renderedAt = Date.now();
+    
+    this.container.querySelector('.gb-entries-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('.gb-entry-reaction');
+      if (btn) sendReaction(this.apiBase, btn, GB_REACTION_EMOJIS, 'gb-entry', this.t('entry.react'), this.locale);
+    });
+    
+    if (this.showForm) {
+      const form = this.container.querySelector('form');
+      const submitBtn = this.container.querySelector('.gb-submit-btn');
+      const turnstileContainer = this.container.querySelector('.gb-turnstile');
+      const self = this;
+      
+      // Render Turnstile automatically
+      function renderTurnstileWidget() {
+        if (!self.turnstileEnabled) return null;
+        
+        if (self.turnstileWidgetId !== null || !window.turnstile) {
+          return self.turnstileWidgetId;
+        }
+        
+        try {
+          if (!self.turnstileSiteKey || typeof self.turnstileSiteKey !== 'string' || self.turnstileSiteKey === '') {
+            console.error('Turnstile site key is invalid:', self.turnstileSiteKey, typeof self.turnstileSiteKey);
+            return null;
+          }
+          // Explicitly ensure it's a string
+          const siteKeyValue = String(self.turnstileSiteKey);
+          self.turnstileWidgetId = window.turnstile.render(turnstileContainer, {
+            sitekey: siteKeyValue,
+            theme: 'auto',
+            callback: function(token) {
+              // Store token but don't auto-submit
+              // We'll submit when user clicks the button
+            }
+          });
+          turnstileContainer.setAttribute('data-turnstile-rendered', 'true');
+          return self.turnstileWidgetId;
+        } catch (error) {
+          console.error('Turnstile render error:', error);
+          return null;
+        }
+      }
+      
+      // Auto-render if Turnstile is ready
+      if (window.turnstile) {
+        renderTurnstileWidget();
+      } else {
+        // Poll for Turnstile
+        const checkTurnstile = setInterval(() => {
+          if (window.turnstile) {
+            clearInterval(checkTurnstile);
+            renderTurnstileWidget();
+          }
+        }, 100);
+        setTimeout(() => clearInterval(checkTurnstile), 5000);
+      }
+      
+      // Handle button click instead of form submit to prevent Enter key from triggering
+      submitBtn.addEventListener('click', async () => {
+        // Prevent multiple clicks
+        if (this.isSubmitting) {
+          return;
+        }
+        
+        // Validate form
+        if (!form.checkValidity()) {
+          form.reportValidity();
+          return;
+        }
+
+        if (!this.turnstileEnabled) {
+          this.handleSubmit('disabled');
+          return;
+        }
+        
+        // Get Turnstile response
+        const token = window.turnstile ? window.turnstile.getResponse(this.turnstileWidgetId) : null;
+        
+        if (!token) {
+          const messageDiv = this.container.querySelector('.gb-message');
+          messageDiv.innerHTML = '<div class="gb-error">' + this.escapeHtml(this.t('submit.verify')) + '</div>';
+          return;
+        }
+        
+        this.handleSubmit(token);
+      });
+      
+      // Prevent form submission on Enter key
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+      });
+    }
+  };
+  
+  GuestbookWidget.prototype.handleSubmit = async function(token) {
+    // Prevent multiple simultaneous submissions
+    if (this.isSubmitting) {
+      return;
+    }
+    
+    this.isSubmitting = true;
+    const form = this.container.querySelector('form');
+    const button = this.container.querySelector('.gb-submit-btn');
+    const messageDiv = this.container.querySelector('.gb-message');
+    
+    if (!button) {
+      console.error('Submit button not found');
+      this.isSubmitting = false;
+      return;
+    }
+    
+    button.disabled = true;
+    button.textContent = this.t('form.submitting');
+    
+    const formData = new FormData(form);
+    formData.append('cf-turnstile-response', token);
+    formData.append('gb_elapsed', Date.now() - this.renderedAt);
+    formData.append('gb_lang', this.locale);
+    
+    try {
+      const response = await fetch(this.apiBase + '/submit', {
+        method: 'POST',
+        body: formData
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        const successMsg = this.t(result.approved ? 'submit.thanks' : 'submit.moderated');
+        messageDiv.innerHTML = '<div class="gb-success">' + this.escapeHtml(successMsg) + '</div>';
+        form.reset();
+        if (window.turnstile && this.turnstileWidgetId !== null) {
+          window.turnstile.reset(this.turnstileWidgetId);
+        }
+        this.loadEntries();
+      } else {
+        messageDiv.innerHTML = '<div class="gb-error">' + this.escapeHtml(result.error || this.t('submit.failed')) + '</div>';
+        if (window.turnstile && this.turnstileWidgetId !== null) {
+          window.turnstile.reset(this.turnstileWidgetId);
+        }
+      }
+    } catch (error) {
+      messageDiv.innerHTML = '<div class="gb-error">' + this.escapeHtml(this.t('submit.error')) + '</div>';
+      if (window.turnstile && this.turnstileWidgetId !== null) {
+        window.turnstile.reset(this.turnstileWidgetId);
+      }
+    } finally {
+      this.isSubmitting = false;
+      button.disabled = false;
+      button.textContent = this.t('widget.submit');
+    }
+  };
+  
+  GuestbookWidget.prototype.loadEntries = async function() {
+    const entriesList = this.container.querySelector('.gb-entries-list');
+    if (!entriesList) return;
+    
+    entriesList.innerHTML = '<div class="gb-loading">' + this.escapeHtml(this.t('widget.loading')) + '</div>';
+    
+    try {
+      const response = await fetch(this.apiBase + '/entries');
+      const result = await response.json();
+      
+      if (result.success && result.entries) {
+        const pinned = result.pinned || [];
+        if (result.entries.length === 0 && pinned.length === 0) {
+          entriesList.innerHTML = '<div class="gb-no-entries">' + this.escapeHtml(this.t('widget.empty')) + '</div>';
+        } else {
+          entriesList.innerHTML =
+            (pinned.length > 0 ? '<div class="gb-pinned">' + pinned.map(entry => this.renderEntry(entry)).join('') + '</div>' : '') +
+            result.entries.map(entry => this.renderEntry(entry)).join('');
+        }
+      } else {
+        entriesList.innerHTML = '<div class="gb-error">' + this.escapeHtml(this.t('widget.loadFailed')) + '</div>';
+      }
+    } catch (error) {
+      entriesList.innerHTML = '<div class="gb-error">' + this.escapeHtml(this.t('widget.loadFailed')) + '</div>';
+    }
+  };
+  
+  GuestbookWidget.prototype.renderEntry = function(entry) {
+    return \`
+      <div class="gb-entry\${entry.pinned ? ' gb-entry-pinned' : ''}">
+        <div class="gb-entry-header">
+          \${entry.avatar ? '<img src="' + this.escapeHtml(entry.avatar) + '" alt="" class="gb-entry-avatar" width="32" height="32" loading="lazy">' : ''}
+          <strong class="gb-entry-name">
+            \${entry.site 
+              ? '<a href="' + this.escapeHtml(this.addViaParam(entry.site)) + '" target="_blank" rel="nofollow" class="gb-entry-name-link">' + this.escapeHtml(entry.name) + '</a>' 
+              : this.escapeHtml(entry.name)
+            }
+          </strong>
+          \${entry.pinned ? '<span class="gb-pinned-badge">' + this.escapeHtml(this.t('entry.pinned')) + '</span>' : ''}
+          <a href="\${this.pageBase}/entry/\${entry.id}" target="_blank" class="gb-entry-date gb-entry-permalink">\${this.formatDate(entry.created_at)}</a>
+        </div>
+        <div class="gb-entry-message">\${renderMessage(entry.message, GB_MESSAGE_FORMATTING)}</div>
+        \${renderEntryFields(entry.fields, 'gb-entry')}
+        \${entry.reply 
+          ? '<div class="gb-entry-reply"><div class="gb-entry-reply-header"><span class="gb-owner-badge">' + this.escapeHtml(this.t('entry.owner')) + '</span><span class="gb-entry-date">' + this.formatDate(entry.replied_at) + '</span></div><div class="gb-entry-reply-message">' + this.escapeHtml(entry.reply).replace(/\\n/g, '<br>') + '</div></div>' 
+          : ''
+        }
+        \${renderReactions(entry.id, entry.reactions, GB_REACTION_EMOJIS, getRememberedReactions(), 'gb-entry', this.t('entry.react'))}
+      </div>
+    \`;
+  };
+  
+  GuestbookWidget.prototype.escapeHtml = function(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  };
+  
+  GuestbookWidget.prototype.addViaParam = function(urlStr) {
+    if (!urlStr) return '';
+    try {
+      const url = new URL(urlStr);
+      url.searchParams.set('via', window.location.hostname);
+      return url.toString();
+    } catch (e) {
+      return urlStr;
+    }
+  };
+
+  GuestbookWidget.prototype.formatDate = function(dateString) {
+    if (!dateString) return '';
+    // Fix for SQLite date format
+    const isoDate = dateString.replace(' ', 'T') + (dateString.includes('Z') ? '' : 'Z');
+    const date = new Date(isoDate);
+    if (isNaN(date.getTime())) return dateString;
+    // To include time, use:
+    // return date.toLocaleString(this.locale, { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+    return date.toLocaleString(this.locale, { month: 'short', day: 'numeric', year: 'numeric' });
+  };
+  
+  // CSS Styles
+  const style = document.createElement('style');
+  style.textContent = \`
+    .gb-widget { 
+      font-family: inherit; 
+      color: inherit;
+      --gb-base: currentColor;
+      --gb-primary: #3498db;
+      --gb-bg: transparent;
+      --gb-border: color-mix(in srgb,var(--gb-base)10%,transparent);
+      --gb-input-bg: transparent;
+      --gb-input-text: currentColor;
+      --gb-error-bg: #f8d7da;
+      --gb-error-text: #721c24;
+      --gb-success-bg: #d4edda;
+      --gb-success-text: #155724;
+      background: var(--gb-bg);
+    }
+    .gb-form { 
+      margin-bottom: 20px; 
+    }
+    .gb-form-group { margin-bottom: 15px; }
+    .gb-form-group input,
+    .gb-form-group textarea,
+    .gb-form-group select { 
+      width: 100%;
+      padding: 8px;
+      border: 1px solid var(--gb-border);
+      border-radius: 10px;
+      font-family: inherit;
+      color: var(--gb-input-text);
+      box-sizing: border-box;
+      font-size: 16px;
+      background: var(--gb-input-bg);
+    }
+    .gb-form-group textarea { min-height: 80px; resize: vertical; }
+    .gb-turnstile { margin: 15px 0; }
+    .gb-hp { position: absolute; left: -9999px; width: 1px; height: 1px; overflow: hidden; }
+    .gb-form button { 
+      border: 1px solid;
+      padding: 10px 20px;
+      border-radius: 10px;
+      cursor: pointer;
+      font-weight: 500;
+      background: transparent;
+      text-transform: uppercase;
+    }
+    .gb-form button:hover { opacity: 0.9; }
+    .gb-form button:disabled { opacity: 0.6; cursor: not-allowed; }
+    .gb-message { margin-top: 15px; }
+    .gb-success { padding: 10px; background: var(--gb-success-bg); color: var(--gb-success-text); border-radius: 4px; }
+    .gb-error { padding: 10px; background: var(--gb-error-bg); color: var(--gb-error-text); border-radius: 4px; }
+    .gb-entries h3 { margin-bottom: 15px; }
+    .gb-entry { 
+      margin-bottom: 20px;
+      padding: 15px;
+      border: 1px solid var(--gb-border);
+      border-radius: 10px;
+    }
+    .gb-entry-header { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 8px; align-items: center; }
+    .gb-entry-name { font-weight: bold; color: inherit; }
+    .gb-entry-pinned { border-color: var(--gb-primary); }
+    .gb-pinned { margin-bottom: 20px; }
+    .gb-pinned-badge { font-size: 0.7em; font-weight: bold; text-transform: uppercase; color: var(--gb-primary); }
+    .gb-entry-avatar { width: 32px; height: 32px; border-radius: 50%; object-fit: cover; flex-shrink: 0; }
+    .gb-entry-date { opacity: 0.7; font-size: 0.85em; margin-left: auto; }
+    .gb-entry-permalink { color: inherit; text-decoration: none; }
+    .gb-entry-permalink:hover { text-decoration: underline; }
+    .gb-entry-message { line-height: 1.6; overflow-wrap: anywhere; }
+    .gb-entry-reactions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; }
+    .gb-entry-reaction {
+      padding: 1px 9px;
+      font: inherit;
+      font-size: 0.9em;
+      color: inherit;
+      background: transparent;
+      border: 1px solid color-mix(in srgb,var(--gb-base)15%,transparent);
+      border-radius: 999px;
+      cursor: pointer;
+    }
+    .gb-entry-reaction:hover, .gb-entry-reaction.reacted { border-color: var(--gb-primary); }
+    .gb-entry-reaction.reacted { color: var(--gb-primary); }
+    .gb-entry-message a { color: var(--gb-primary); }
+    .gb-entry-message code { font-size: 0.9em; padding: 1px 4px; border-radius: 3px; background: color-mix(in srgb,var(--gb-base)8%,transparent); }
+    .gb-entry-message blockquote { margin: 6px 0; padding-left: 10px; border-left: 3px solid color-mix(in srgb,var(--gb-base)20%,transparent); opacity: 0.85; }
+    .gb-entry-fields { display: flex; flex-wrap: wrap; gap: 2px 14px; margin: 10px 0 0; font-size: 0.85em; }
+    .gb-entry-fields dt { display: inline; opacity: 0.7; }
+    .gb-entry-fields dt::after { content: ': '; }
+    .gb-entry-fields dd { display: inline; margin: 0; }
+    .gb-entry-reply {
+      margin-top: 12px;
+      padding: 10px 12px;
+      border-left: 3px solid var(--gb-primary);
+      background: color-mix(in srgb,var(--gb-base)4%,transparent);
+      border-radius: 0 10px 10px 0;
+    }
+    .gb-entry-reply-header { display: flex; gap: 8px; align-items: center; margin-bottom: 4px; }
+    .gb-owner-badge { font-size: 0.75em; font-weight: bold; text-transform: uppercase; color: var(--gb-primary); }
+    .gb-entry-reply-message { line-height: 1.6; font-size: 0.95em; }
+    .gb-loading, .gb-no-entries { text-align: center; opacity: 0.7; padding: 20px; }
+${getWidgetThemeCSS(env, previewTheme)}  \`;
+  document.head.appendChild(style);
+  
+  // Export
+  window.GuestbookWidget = GuestbookWidget;
+  
+    // Auto-initialize if data-gb attribute is present
+    document.addEventListener('DOMContentLoaded', function() {
+      const containers = document.querySelectorAll('[data-gb]');
+      containers.forEach(container => {
+        const config = {
+          container: container,
+          apiUrl: container.getAttribute('data-gb-api-url') || GB_API_URL,
+          book: container.getAttribute('data-gb-book') || GB_BOOK,
+          lang: container.getAttribute('data-gb-lang'),
+          theme: container.getAttribute('data-gb-theme'),
+          turnstileSiteKey: container.getAttribute('data-gb-turnstile-key') || GB_TURNSTILE_SITE_KEY,
+          showForm: container.getAttribute('data-gb-form') !== 'false'
+        };
+        new GuestbookWidget(config);
+      });
+    });
+  })();`;
+}
+
+// Utility functions
+
+// Shared entry validation for public submissions and admin edits.
+// Returns an error message in the given locale, or null if the fields are valid.
+function validateEntryFields({ name, message, site, email }, locale = FALLBACK_LOCALE) {
+  const t = (key, params) => translate(MESSAGES, locale, key, params);
+  // Input length validation
+  if (name && name.length > 100) return t('error.nameTooLong', { max: 100 });
+  if (message && message.length > 2000) return t('error.messageTooLong', { max: 2000 });
+  if (site && site.length > 255) return t('error.urlTooLong', { max: 255 });
+  if (email && email.length > 255) return t('error.emailTooLong', { max: 255 });
+  
+  // Validate URL protocol to prevent XSS (javascript: links)
+  if (site) {
+    try {
+      const url = new URL(site);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return t('error.urlProtocol');
+      }
+    } catch (e) {
+      return t('error.url');
+    }
+  }
+  
+  if (!name || !message) return t('error.required');
+  
+  return null;
+}
+
+// JSON for embedding in an inline <script>, safe against a stray </script>
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function formatDate(dateString, locale = FALLBACK_LOCALE) {
+  if (!dateString) return '';
+  // Fix for SQLite date format
+  const isoDate = dateString.replace(' ', 'T') + (dateString.includes('Z') ? '' : 'Z');
+  const date = new Date(isoDate);
+  if (isNaN(date.getTime())) return dateString;
+  
+  return date.toLocaleString(locale, { 
+    month: 'short', 
+    day: 'numeric', 
+    year: 'numeric', 
+    hour: 'numeric', 
+    minute: '2-digit' 
+  });
+}
+
+// Feeds
+const FEED_SIZE = 50;
+
+// XML 1.0 can't carry most control characters, even escaped
+function escapeXml(text) {
+  return escapeHtml(String(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+// SQLite's 'YYYY-MM-DD HH:MM:SS' (UTC) to a Date
+function parseDbDate(dateString) {
+  return new Date(dateString.replace(' ', 'T') + (dateString.includes('Z') ? '' : 'Z'));
+}
+
+async function getFeedEntries(env, bookId) {
+  const entries = await env.DB.prepare(
+    'SELECT id, name, message, site, created_at, reply, replied_at FROM entries WHERE guestbook_id = ? AND approved = 1 ORDER BY id DESC LIMIT ?'
+  ).bind(bookId, FEED_SIZE).all();
+  return entries.results || [];
+}
+
+// Feed items carry the same HTML the index page renders, escaped again for XML
+function getFeedEntryHTML(entry, formatting) {
+  let html = `<div>${renderMessage(entry.message, formatting)}</div>`;
+  if (entry.reply) {
+    html += `<blockquote><p><strong>Owner:</strong> ${escapeHtml(entry.reply).replace(/\n/g, '<br>')}</p></blockquote>`;
+  }
+  return html;
+}
+
+function getFeedUpdated(entries) {
+  const dates = entries.flatMap(entry => [entry.created_at, entry.replied_at]).filter(Boolean).map(parseDbDate);
+  return dates.length ? new Date(Math.max(...dates)) : new Date();
+}
+
+function getRssFeed(entries, config, origin) {
+  const siteUrl = config.CANONICAL_URL || origin + '/';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(config.SITENAME)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>${escapeXml(config.SITE_DESCRIPTION || config.SITENAME)}</description>
+    <lastBuildDate>${getFeedUpdated(entries).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(origin)}/feed.xml" rel="self" type="application/rss+xml"/>
+${entries.map(entry => `    <item>
+      <title>${escapeXml(entry.name)}</title>
+      <link>${escapeXml(origin)}/entry/${entry.id}</link>
+      <guid isPermaLink="true">${escapeXml(origin)}/entry/${entry.id}</guid>
+      <pubDate>${parseDbDate(entry.created_at).toUTCString()}</pubDate>
+      <description>${escapeXml(getFeedEntryHTML(entry, config.MESSAGE_FORMATTING))}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function getAtomFeed(entries, config, origin) {
+  const siteUrl = config.CANONICAL_URL || origin + '/';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(config.SITENAME)}</title>
+  ${config.SITE_DESCRIPTION ? `<subtitle>${escapeXml(config.SITE_DESCRIPTION)}</subtitle>` : ''}
+  <id>${escapeXml(origin)}/atom.xml</id>
+  <link href="${escapeXml(siteUrl)}"/>
+  <link href="${escapeXml(origin)}/atom.xml" rel="self" type="application/atom+xml"/>
+  <updated>${getFeedUpdated(entries).toISOString()}</updated>
+  <author><name>${escapeXml(config.SITENAME)}</name></author>
+${entries.map(entry => `  <entry>
+    <title>${escapeXml(entry.name)}</title>
+    <id>${escapeXml(origin)}/entry/${entry.id}</id>
+    <link href="${escapeXml(origin)}/entry/${entry.id}"/>
+    <published>${parseDbDate(entry.created_at).toISOString()}</published>
+    <updated>${getFeedUpdated([entry]).toISOString()}</updated>
+    <author><name>${escapeXml(entry.name)}</name>${entry.site ? `<uri>${escapeXml(entry.site)}</uri>` : ''}</author>
+    <content type="html">${escapeXml(getFeedEntryHTML(entry, config.MESSAGE_FORMATTING))}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+function getJsonFeed(entries, config, origin) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: config.SITENAME,
+    home_page_url: config.CANONICAL_URL || origin + '/',
+    feed_url: origin + '/feed.json',
+    description: config.SITE_DESCRIPTION || undefined,
+    icon: config.SITE_ICON_URL || undefined,
+    language: 'en',
+    items: entries.map(entry => ({
+      id: `${origin}/entry/${entry.id}`,
+      url: `${origin}/entry/${entry.id}`,
+      title: entry.name,
+      content_html: getFeedEntryHTML(entry, config.MESSAGE_FORMATTING),
+      content_text: entry.message,
+      date_published: parseDbDate(entry.created_at).toISOString(),
+      date_modified: getFeedUpdated([entry]).toISOString(),
+      authors: [entry.site ? { name: entry.name, url: entry.site } : { name: entry.name }]
+    }))
+  };
+}
+
+// Public API (v1)
+// fields is the public custom form field answers, not a column
+const API_V1_FIELDS = ['id', 'name', 'message', 'site', 'created_at', 'reply', 'replied_at', 'pinned', 'fields'];
+const API_V1_DEFAULT_LIMIT = 20;
+const API_V1_MAX_LIMIT = 100;
+const EXPORT_PAGE_SIZE = 500;
+
+function toIsoDate(dateString) {
+  return dateString ? parseDbDate(dateString).toISOString().replace('.000Z', 'Z') : null;
+}
+
+// Accepts anything Date can parse (2024-05-01, 2024-05-01T12:00:00Z, ...) and returns SQLite's UTC format
+function parseApiDate(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Returns { query } or { error } for /api/v1/entries
+function parseApiV1Query(params) {
+  const query = { limit: API_V1_DEFAULT_LIMIT, cursor: null, since: null, until: null, fields: API_V1_FIELDS };
+  
+  if (params.has('limit')) {
+    const limit = parseInt(params.get('limit'));
+    if (!(limit >= 1 && limit <= API_V1_MAX_LIMIT)) {
+      return { error: `limit must be between 1 and ${API_V1_MAX_LIMIT}` };
+    }
+    query.limit = limit;
+  }
+  
+  if (params.has('cursor')) {
+    const cursor = parseInt(params.get('cursor'));
+    if (!(cursor > 0)) return { error: 'Invalid cursor' };
+    query.cursor = cursor;
+  }
+  
+  for (const key of ['since', 'until']) {
+    if (!params.has(key)) continue;
+    query[key] = parseApiDate(params.get(key));
+    if (!query[key]) return { error: `Invalid ${key} date` };
+  }
+  
+  if (params.has('fields')) {
+    const fields = params.get('fields').split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = fields.filter(f => !API_V1_FIELDS.includes(f));
+    if (fields.length === 0 || unknown.length > 0) {
+      return { error: `Unknown fields: ${unknown.join(', ') || '(none given)'}. Available: ${API_V1_FIELDS.join(', ')}` };
+    }
+    query.fields = fields;
+  }
+  
+  return { query };
+}
+
+async function getApiV1Entries(env, config, query) {
+  const conditions = ['guestbook_id = ?', 'approved = 1'];
+  const params = [config.BOOK.id];
+  if (query.cursor) {
+    conditions.push('id < ?');
+    params.push(query.cursor);
+  }
+  if (query.since) {
+    conditions.push('created_at >= ?');
+    params.push(query.since);
+  }
+  if (query.until) {
+    conditions.push('created_at < ?');
+    params.push(query.until);
+  }
+  
+  // One extra row tells us whether there's a next page
+  const rows = await env.DB.prepare(
+    `SELECT ${API_V1_FIELDS.filter(field => field !== 'fields').join(', ')}, custom_fields FROM entries WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`
+  ).bind(...params, query.limit + 1).all();
+  const results = attachCustomFields(config, rows.results || []);
+  const hasMore = results.length > query.limit;
+  const page = results.slice(0, query.limit);
+  
+  return {
+    entries: page.map(entry => {
+      const out = {};
+      for (const field of query.fields) {
+        out[field] = field === 'created_at' || field === 'replied_at' ? toIsoDate(entry[field]) : entry[field];
+      }
+      return out;
+    }),
+    nextCursor: hasMore ? page[page.length - 1].id : null
+  };
+}
+
+// Streams every approved entry as the pretty-printed JSON array /data.json has always returned,
+// reading one page at a time instead of loading the whole table. Public custom field answers
+// are added as fields once any public field is defined.
+function streamApprovedEntriesJson(env, config) {
+  const bookId = config.BOOK.id;
+  const withFields = getCustomFields(config).some(field => field.public);
+  const encoder = new TextEncoder();
+  let last = null;
+  let count = 0;
+  
+  return new ReadableStream({
+    async pull(controller) {
+      const rows = await env.DB.prepare(`
+        SELECT id, name, message, site, created_at, custom_fields FROM entries
+        WHERE guestbook_id = ? AND approved = 1 ${last ? 'AND (created_at < ? OR (created_at = ? AND id < ?))' : ''}
+        ORDER BY created_at DESC, id DESC LIMIT ?
+      `).bind(bookId, ...(last ? [last.created_at, last.created_at, last.id] : []), EXPORT_PAGE_SIZE).all();
+      const page = rows.results || [];
+      
+      let chunk = count === 0 ? '[' : '';
+      for (const { id, ...entry } of attachCustomFields(config, page)) {
+        entry.created_at = entry.created_at ? entry.created_at.replace(' ', 'T') + 'Z' : null;
+        if (!withFields) delete entry.fields;
+        chunk += (count++ > 0 ? ',' : '') + '\n  ' + JSON.stringify(entry, null, 2).replace(/\n/g, '\n  ');
+      }
+      
+      if (page.length < EXPORT_PAGE_SIZE) {
+        chunk += count > 0 ? '\n]' : ']';
+        controller.enqueue(encoder.encode(chunk));
+        controller.close();
+        return;
+      }
+      
+      last = page[page.length - 1];
+      controller.enqueue(encoder.encode(chunk));
+    }
+  });
+}
+
+// Main handler
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    let path = url.pathname;
+    
+    // Other guestbooks are routed like the default one once their /b/:slug prefix is removed.
+    // The admin panel works on the book picked in its switcher.
+    let bookSlug = DEFAULT_BOOK.slug;
+    const bookMatch = path.match(BOOK_PATH_PATTERN);
+    if (bookMatch) {
+      bookSlug = bookMatch[2];
+      path = (bookMatch[1] || '') + (bookMatch[3] || '/');
+    } else if (path.startsWith('/admin')) {
+      bookSlug = getCookie(request, BOOK_COOKIE_NAME) || DEFAULT_BOOK.slug;
+    }
+    
+    // Load configuration
+    let config = await getAppConfig(env, bookSlug);
+    if (!config.BOOK && !bookMatch) {
+      // The admin's book has been deleted since it was picked
+      config = await getAppConfig(env);
+    }
+    
+    try {
+      // Unknown books, and the admin pages under a book prefix, don't exist
+      if (!config.BOOK || (bookMatch && !bookMatch[1] && /^\/(admin|login|logout|moderate)(\/|$)/.test(path))) {
+        return new Response('Not Found', { status: 404 });
+      }
+      
+      // Handle CORS preflight
+      if (request.method === 'OPTIONS') {
+        return new Response(null, {
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Max-Age': '86400'
+          }
+        });
+      }
+
+      // Favicon
+      if (path === '/favicon.ico') {
+        return Response.redirect(config.SITE_ICON_URL, 301);
+      }
+      
+      // API Routes
+      if (path === '/api/submit') {
+        if (request.method !== 'POST') {
+          return new Response(JSON.stringify({ success: false, error: 'Method not allowed' }), {
+            status: 405,
+            headers: { 
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+        
+        const formData = await request.formData();
+        const name = formData.get('name')?.trim();
+        const message = formData.get('message')?.trim();
+        let site = formData.get('site')?.trim() || null;
+        const email = formData.get('email')?.trim() || null;
+        const turnstileToken = formData.get('cf-turnstile-response');
+        // Errors come back in the language the form was shown in
+        const locale = normalizeLocale(formData.get('gb_lang')) || normalizeLocale(config.DEFAULT_LOCALE) || FALLBACK_LOCALE;
+        
+        const validationError = validateEntryFields({ name, message, site, email }, locale);
+        const customFields = readCustomFieldValues(formData, getCustomFields(config), locale);
+        if (validationError || customFields.error) {
+          return new Response(JSON.stringify({ success: false, error: validationError || customFields.error }), {
+            status: 400,
+            headers: { 
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+        
+        const clientIp = request.headers.get('CF-Connecting-IP');
+        const ipHash = clientIp ? await hashIdentifier(clientIp, env) : null;
+        
+        // Rate limits apply to every well-formed attempt, before any other work is done
+        const retryAfter = await checkSubmissionRateLimits(env, ctx, config, { ipHash, email });
+        if (retryAfter) {
+          return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.rateLimited') }), {
+            status: 429,
+            headers: { 
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*',
+              'Retry-After': String(retryAfter)
+            }
+          });
+        }
+
+        // Banned submitters are either refused outright or silently shadow-held
+        const ban = await findActiveBan(env, { ipHash, email, domain: getSiteDomain(site) });
+        if (ban && ban.mode === 'reject') {
+          return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.banned') }), {
+            status: 403,
+            headers: { 
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+        
+        if (config.TURNSTILE_ENABLED && !turnstileToken) {
+          return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.turnstileRequired') }), {
+            status: 400,
+            headers: { 
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+        
+        // Verify Turnstile
+        if (config.TURNSTILE_ENABLED) {
+          const turnstileValid = await verifyTurnstile(turnstileToken, config);
+          if (!turnstileValid) {
+            return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.verificationFailed') }), {
+              status: 400,
+              headers: { 
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+              }
+            });
+          }
+        }
+        
+        // Determine approval status based on ENTRY_MODERATION config
+        let approved = config.ENTRY_MODERATION ? 0 : 1;
+        
+        // Score the submission against the spam rules
+        let spamScore = 0;
+        let spamReasons = null;
+        if (config.SPAM_FILTER_ENABLED) {
+          const spamCheck = await runSpamFilter({
+            guestbookId: config.BOOK.id,
+            name,
+            message,
+            site,
+            email,
+            honeypot: formData.get(HONEYPOT_FIELD) || '',
+            elapsedMs: parseInt(formData.get('gb_elapsed')) || 0
+          }, config, env);
+          
+          if (spamCheck.verdict === 'reject') {
+            return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.spam') }), {
+              status: 400,
+              headers: { 
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+              }
+            });
+          }
+          if (spamCheck.verdict === 'hold') {
+            approved = 0;
+          }
+          spamScore = spamCheck.score;
+          spamReasons = spamCheck.reasons.join('; ') || null;
+        }
+        
+        // Shadow-held entries look accepted to the submitter but go straight to spam
+        const spam = ban ? 1 : 0;
+        if (ban) {
+          approved = 0;
+          spamReasons = [`Shadow-held by ${ban.type} ban`, spamReasons].filter(Boolean).join('; ');
+        }
+        
+        // Insert into database
+        const result = await env.DB.prepare(
+          'INSERT INTO entries (guestbook_id, name, message, site, email, created_at, approved, spam, spam_score, spam_reasons, ip_hash, custom_fields) VALUES (?, ?, ?, ?, ?, datetime("now"), ?, ?, ?, ?, ?, ?)'
+        ).bind(config.BOOK.id, name, message, site, email, approved, spam, spamScore, spamReasons, ipHash,
+          Object.keys(customFields.values).length > 0 ? JSON.stringify(customFields.values) : null).run();
+        
+        if (!spam) {
+          queueWebhookEvent(env, ctx, 'entry.created', {
+            entry: { id: result.meta.last_row_id, guestbook_id: config.BOOK.id, name, message, site, created_at: new Date().toISOString(), approved }
+          });
+        }
+        
+        if (config.NOTIFY_ENABLED && !spam) {
+          const baseUrl = config.API_URL ? config.API_URL.replace(/\/$/, '') : url.origin;
+          const entry = { id: result.meta.last_row_id, name, message, site, email, approved };
+          ctx.waitUntil(
+            sendEntryNotification(env, config, entry, baseUrl).catch(e => console.error('Failed to send notification', e))
+          );
+        }
+        
+        return new Response(JSON.stringify({ success: true, id: result.meta.last_row_id, approved: approved === 1 }), {
+          headers: { 
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        });
+      }
+      
+      // Versioned public API
+      if (path === '/api/v1/entries' && request.method === 'GET') {
+        const { query, error } = parseApiV1Query(url.searchParams);
+        if (error) {
+          return new Response(JSON.stringify({ success: false, error }), {
+            status: 400,
+            headers: { 
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+        
+        const { entries, nextCursor } = await getApiV1Entries(env, config, query);
+        let next = null;
+        if (nextCursor) {
+          const nextUrl = new URL(url);
+          nextUrl.searchParams.set('cursor', nextCursor);
+          next = nextUrl.toString();
+        }
+        
+        return new Response(JSON.stringify({ success: true, entries, next_cursor: nextCursor, next }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'public, max-age=60'
+          }
+        });
+      }
+
+      const reactMatch = path.match(/^\/api\/react\/(\d+)$/);
+      if (reactMatch && request.method === 'POST') {
+        const jsonHeaders = { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' };
+        const formData = await request.formData().catch(() => null);
+        const emoji = formData ? formData.get('emoji') : null;
+        const entryId = parseInt(reactMatch[1]);
+        // Errors come back in the language the buttons were shown in, like /api/submit
+        const locale = normalizeLocale(formData ? formData.get('gb_lang') : null) || normalizeLocale(config.DEFAULT_LOCALE) || FALLBACK_LOCALE;
+        
+        if (!getReactionEmojis(config).includes(emoji)) {
+          return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.reactionsUnavailable') }), {
+            status: 400,
+            headers: jsonHeaders
+          });
+        }
+        
+        const entry = await env.DB.prepare('SELECT id FROM entries WHERE id = ? AND guestbook_id = ? AND approved = 1')
+          .bind(entryId, config.BOOK.id).first();
+        if (!entry) {
+          return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.entryNotFound') }), {
+            status: 404,
+            headers: jsonHeaders
+          });
+        }
+        
+        const clientIp = request.headers.get('CF-Connecting-IP') || 'unknown';
+        const voterHash = await hashIdentifier(clientIp, env);
+        const limit = await hitRateLimit(env, ctx, 'react:' + voterHash, REACTION_RATE_LIMIT, REACTION_RATE_WINDOW);
+        if (limit.limited) {
+          return new Response(JSON.stringify({ success: false, error: translate(MESSAGES, locale, 'error.reactionRateLimited') }), {
+            status: 429,
+            headers: { ...jsonHeaders, 'Retry-After': String(limit.retryAfter) }
+          });
+        }
+        
+        const result = await toggleReaction(env, entryId, emoji, voterHash);
+        return new Response(JSON.stringify({ success: true, ...result }), {
+          headers: jsonHeaders
+        });
+      }
+
+      if (path === '/api/entries') {
+        const url = new URL(request.url);
+        const limit = 20;
+        const cursor = url.searchParams.get('cursor');
+        
+        let query = 'SELECT id, name, message, site, created_at, reply, replied_at, pinned, custom_fields FROM entries WHERE guestbook_id = ? AND approved = 1 AND pinned = 0';
+        const params = [config.BOOK.id];
+        
+        if (cursor) {
+          query += ' AND id < ?';
+          params.push(parseInt(cursor));
+        }
+        
+        query += ' ORDER BY id DESC LIMIT ?';
+        params.push(limit);
+        
+        const entries = await env.DB.prepare(query).bind(...params).all();
+        
+        const results = entries.results || [];
+        const nextCursor = results.length === limit ? results[results.length - 1].id : null;
+        if (config.REACTIONS_ENABLED) await attachReactions(env, results);
+        await attachAvatars(env, config, url.origin, results);
+        attachCustomFields(config, results);
+        const pinned = cursor ? [] : await getPinnedEntries(env, config, url.origin);
+        
+        return new Response(JSON.stringify({ 
+          success: true, 
+          pinned,
+          entries: results,
+          nextCursor 
+        }), {
+          headers: { 
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'public, max-age=60, s-maxage=60'
+          }
+        });
+      }
+      
+      // Admin API routes (protected)
+      if (path.startsWith('/api/')) {
+        const user = await verifySession(request, env);
+        if (!user) {
+          return new Response(JSON.stringify({ success: false, error: 'Unauthorized' }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        // CSRF Check
+        const origin = request.headers.get('Origin');
+        const urlObj = new URL(request.url);
+        if (origin && origin !== urlObj.origin) {
+          // Relaxed check: allow protocol mismatch (http vs https) if host matches
+          try {
+            const originUrl = new URL(origin);
+            if (originUrl.host !== urlObj.host) {
+              return new Response(JSON.stringify({ 
+                success: false, 
+                error: `CSRF Forbidden: Origin '${origin}' does not match '${urlObj.origin}'` 
+              }), {
+                status: 403,
+                headers: { 'Content-Type': 'application/json' }
+              });
+            }
+          } catch (e) {
+             return new Response(JSON.stringify({ success: false, error: 'CSRF Forbidden: Invalid Origin' }), {
+              status: 403,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+        }
+
+        // Viewers can only manage their own account and sessions, and only owners can change
+        // anything outside the moderation queue
+        const requiredRole = /^\/api\/(account|sessions)\//.test(path) ? 'viewer' : OWNER_API_PATHS.test(path) ? 'owner' : 'moderator';
+        // API errors pick their language the same way the admin pages do
+        const locale = getRequestLocale(request, config);
+        const t = (key, params) => translate(ADMIN_MESSAGES, locale, key, params);
+        if (!hasRole(user, requiredRole)) {
+          return new Response(JSON.stringify({ success: false, error: t('api.forbidden') }), {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        if (path === '/api/settings' && request.method === 'POST') {
+          const formData = await request.formData();
+          const settings = {
+            SITENAME: formData.get('SITENAME') || 'Guestbook',
+            SITE_INTRO: formData.get('SITE_INTRO') || '',
+            SITE_DESCRIPTION: formData.get('SITE_DESCRIPTION') || '',
+            SITE_ICON_URL: formData.get('SITE_ICON_URL') || '',
+            SITE_COVER_IMAGE_URL: formData.get('SITE_COVER_IMAGE_URL') || '',
+            NAV_LINKS: formData.get('NAV_LINKS') || '[]',
+            CUSTOM_FIELDS: JSON.stringify(getCustomFields({ CUSTOM_FIELDS: formData.get('CUSTOM_FIELDS') })),
+            CANONICAL_URL: formData.get('CANONICAL_URL') || '',
+            ALLOW_INDEXING: formData.get('ALLOW_INDEXING') === 'on',
+            FEEDS_ENABLED: formData.get('FEEDS_ENABLED') === 'on',
+            ENTRY_MODERATION: formData.get('ENTRY_MODERATION') === 'on',
+            SPAM_FILTER_ENABLED: formData.get('SPAM_FILTER_ENABLED') === 'on',
+            SPAM_BLOCKLIST: formData.get('SPAM_BLOCKLIST') || '',
+            SPAM_BLOCKLIST_SCORE: formData.get('SPAM_BLOCKLIST_SCORE') || '',
+            SPAM_MAX_LINKS: formData.get('SPAM_MAX_LINKS') || '',
+            SPAM_LINKS_SCORE: formData.get('SPAM_LINKS_SCORE') || '',
+            SPAM_HONEYPOT_SCORE: formData.get('SPAM_HONEYPOT_SCORE') || '',
+            SPAM_MIN_SUBMIT_SECONDS: formData.get('SPAM_MIN_SUBMIT_SECONDS') || '',
+            SPAM_MIN_TIME_SCORE: formData.get('SPAM_MIN_TIME_SCORE') || '',
+            SPAM_DUPLICATE_HOURS: formData.get('SPAM_DUPLICATE_HOURS') || '',
+            SPAM_DUPLICATE_SCORE: formData.get('SPAM_DUPLICATE_SCORE') || '',
+            SPAM_HOLD_SCORE: formData.get('SPAM_HOLD_SCORE') || '',
+            SPAM_REJECT_SCORE: formData.get('SPAM_REJECT_SCORE') || '',
+            RATE_LIMIT_WINDOW_MINUTES: formData.get('RATE_LIMIT_WINDOW_MINUTES') || '0',
+            RATE_LIMIT_PER_IP: formData.get('RATE_LIMIT_PER_IP') || '0',
+            RATE_LIMIT_PER_EMAIL: formData.get('RATE_LIMIT_PER_EMAIL') || '0',
+            NOTIFY_ENABLED: formData.get('NOTIFY_ENABLED') === 'on',
+            NOTIFY_TRANSPORT: MAIL_TRANSPORTS[formData.get('NOTIFY_TRANSPORT')] ? formData.get('NOTIFY_TRANSPORT') : 'log',
+            NOTIFY_EMAIL_TO: formData.get('NOTIFY_EMAIL_TO') || '',
+            NOTIFY_EMAIL_FROM: formData.get('NOTIFY_EMAIL_FROM') || '',
+            NOTIFY_HTTP_URL: formData.get('NOTIFY_HTTP_URL') || '',
+            NOTIFY_HTTP_TOKEN: formData.get('NOTIFY_HTTP_TOKEN') || '',
+            TURNSTILE_ENABLED: formData.get('TURNSTILE_ENABLED') === 'on',
+            TURNSTILE_SITE_KEY: formData.get('TURNSTILE_SITE_KEY') || '',
+            TURNSTILE_SECRET_KEY: formData.get('TURNSTILE_SECRET_KEY') || '',
+            MESSAGE_FORMATTING: formData.get('MESSAGE_FORMATTING') === 'on',
+            AVATAR_MODE: AVATAR_MODES.includes(formData.get('AVATAR_MODE')) ? formData.get('AVATAR_MODE') : 'initials',
+            DEFAULT_LOCALE: normalizeLocale(formData.get('DEFAULT_LOCALE')) || FALLBACK_LOCALE,
+            REACTIONS_ENABLED: formData.get('REACTIONS_ENABLED') === 'on',
+            REACTION_EMOJIS: formData.get('REACTION_EMOJIS') || '',
+            THEME: getThemeName({ THEME: formData.get('THEME') }),
+            THEME_VARIABLES: JSON.stringify(parseThemeVariables(formData.get('THEME_VARIABLES'))),
+            CUSTOM_CSS: formData.get('CUSTOM_CSS') || ''
+          };
+          
+          await saveAppSettings(env, config.BOOK.id, settings);
+          // Only the names of the settings go out, never their values (some are secrets)
+          queueWebhookEvent(env, ctx, 'settings.updated', { guestbook_id: config.BOOK.id, keys: Object.keys(settings) });
+          
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        if (path === '/api/migrations/run' && request.method === 'POST') {
+          try {
+            const applied = await runMigrations(env);
+            lastMigrationError = null;
+            return new Response(JSON.stringify({ success: true, applied }), {
+              headers: { 'Content-Type': 'application/json' }
+            });
+          } catch (e) {
+            lastMigrationError = e.message;
+            return new Response(JSON.stringify({ success: false, error: e.message }), {
+              status: 500,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+        }
+
+        if (path === '/api/guestbooks' && request.method === 'POST') {
+          const formData = await request.formData();
+          const slug = (formData.get('slug') || '').trim().toLowerCase();
+          const name = (formData.get('name') || '').trim().slice(0, 100);
+          
+          if (!BOOK_SLUG_PATTERN.test(slug) || !name) {
+            return new Response(JSON.stringify({ success: false, error: t('api.guestbookInvalid') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          if (await getGuestbook(env, slug)) {
+            return new Response(JSON.stringify({ success: false, error: t('api.slugTaken') }), {
+              status: 409,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          await createGuestbook(env, { slug, name });
+          return new Response(JSON.stringify({ success: true, slug }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        if (path.startsWith('/api/guestbooks/delete/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          if (id === DEFAULT_BOOK.id) {
+            return new Response(JSON.stringify({ success: false, error: t('api.defaultGuestbook') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          await deleteGuestbook(env, id);
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
 
-// Main handler
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    
-    // Load configuration
-    const config = await getAppConfig(env);
-    
-    try {
-      // Handle CORS preflight
-      if (request.method === 'OPTIONS') {
-        return new Response(null, {
-          headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
-            'Access-Control-Max-Age': '86400'
+        if (path === '/api/users' && request.method === 'POST') {
+          const formData = await request.formData();
+          const username = (formData.get('username') || '').trim().toLowerCase();
+          const password = formData.get('password') || '';
+          const role = formData.get('role');
+          
+          if (!USERNAME_PATTERN.test(username)) {
+            return new Response(JSON.stringify({ success: false, error: t('api.usernameInvalid') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
           }
-        });
-      }
+          if (password.length < MIN_PASSWORD_LENGTH || !ADMIN_ROLES[role]) {
+            return new Response(JSON.stringify({ success: false, error: t('api.userInvalid', { min: MIN_PASSWORD_LENGTH }) }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          if (await env.DB.prepare('SELECT id FROM users WHERE username = ?').bind(username).first()) {
+            return new Response(JSON.stringify({ success: false, error: t('api.usernameTaken') }), {
+              status: 409,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          await env.DB.prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, datetime("now"))')
+            .bind(username, await hashPassword(password), role).run();
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        // Changes the role and/or sets a new password
+        if (path.startsWith('/api/users/update/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          const formData = await request.formData();
+          const role = formData.get('role');
+          const password = formData.get('password') || '';
+          
+          if ((role && !ADMIN_ROLES[role]) || (password && password.length < MIN_PASSWORD_LENGTH)) {
+            return new Response(JSON.stringify({ success: false, error: t('api.passwordShort', { min: MIN_PASSWORD_LENGTH }) }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          if (role && role !== 'owner' && await isLastOwner(env, id)) {
+            return new Response(JSON.stringify({ success: false, error: t('api.lastOwner') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          if (role) await env.DB.prepare('UPDATE users SET role = ? WHERE id = ?').bind(role, id).run();
+          if (password) {
+            // A new password signs the user out everywhere (except this session, for your own account)
+            await env.DB.batch([
+              env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(password), id),
+              env.DB.prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?').bind(id, user.sessionId)
+            ]);
+          }
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        if (path.startsWith('/api/users/delete/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          if (id === user.id || await isLastOwner(env, id)) {
+            return new Response(JSON.stringify({ success: false, error: id === user.id ? 'You cannot delete your own account' : 'There must be at least one owner' }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          await env.DB.prepare('DELETE FROM users WHERE id = ?').bind(id).run();
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        if (path === '/api/account/password' && request.method === 'POST') {
+          const formData = await request.formData();
+          const password = formData.get('new_password') || '';
+          
+          if (!await authenticateUser(env, user.username, formData.get('current_password'))) {
+            return new Response(JSON.stringify({ success: false, error: t('api.wrongPassword') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          if (password.length < MIN_PASSWORD_LENGTH) {
+            return new Response(JSON.stringify({ success: false, error: t('api.passwordShort', { min: MIN_PASSWORD_LENGTH }) }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          await env.DB.batch([
+            env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(await hashPassword(password), user.id),
+            env.DB.prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?').bind(user.id, user.sessionId)
+          ]);
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        // Owners can end anyone's sessions, everyone else only their own
+        if (path.startsWith('/api/sessions/revoke/') && request.method === 'POST') {
+          const sessionId = path.split('/').pop();
+          const result = hasRole(user, 'owner')
+            ? await env.DB.prepare('DELETE FROM sessions WHERE id = ?').bind(sessionId).run()
+            : await env.DB.prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?').bind(sessionId, user.id).run();
+          if (!result.meta.changes) {
+            return new Response(JSON.stringify({ success: false, error: t('api.sessionNotFound') }), {
+              status: 404,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        if (path === '/api/sessions/revoke-all' && request.method === 'POST') {
+          if (hasRole(user, 'owner')) {
+            await env.DB.prepare('DELETE FROM sessions').run();
+          } else {
+            await env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(user.id).run();
+          }
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
 
-      // Favicon
-      if (path === '/favicon.ico') {
-        return Response.redirect(config.SITE_ICON_URL, 301);
-      }
-      
-      // API Routes
-      if (path === '/api/submit') {
-        if (request.method !== 'POST') {
-          return new Response(JSON.stringify({ success: false, error: 'Method not allowed' }), {
-            status: 405,
-            headers: { 
-              'Content-Type': 'application/json',
-              'Access-Control-Allow-Origin': '*'
+        if (path === '/api/bans' && request.method === 'POST') {
+          const formData = await request.formData();
+          const type = formData.get('type');
+          const mode = BAN_MODES.includes(formData.get('mode')) ? formData.get('mode') : 'reject';
+          const days = Math.max(0, parseInt(formData.get('days')) || 0);
+          const reason = (formData.get('reason') || '').trim().slice(0, 200);
+          const entryId = parseInt(formData.get('entry_id'));
+          
+          if (!BAN_TYPES.includes(type)) {
+            return new Response(JSON.stringify({ success: false, error: t('api.banType') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          // Ban values come from the entry when banning from the admin table, otherwise from the form
+          let value = null;
+          if (entryId) {
+            const entry = await env.DB.prepare('SELECT ip_hash, email, site FROM entries WHERE id = ? AND guestbook_id = ?').bind(entryId, config.BOOK.id).first();
+            if (entry) {
+              value = type === 'ip' ? entry.ip_hash : type === 'email' ? entry.email : getSiteDomain(entry.site);
             }
+          } else {
+            const raw = (formData.get('value') || '').trim();
+            if (raw) {
+              value = type === 'ip' ? await hashIdentifier(raw, env) : type === 'domain' ? getSiteDomain(raw.includes('://') ? raw : 'https://' + raw) : raw;
+            }
+          }
+          if (value && type === 'email') value = value.toLowerCase();
+          
+          if (!value) {
+            return new Response(JSON.stringify({ success: false, error: t('api.banEmpty') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          await addBan(env, { type, value, mode, days, reason });
+          if (entryId && formData.get('delete_entry') === 'on') {
+            await env.DB.prepare(BULK_ACTIONS.delete).bind(entryId, config.BOOK.id).run();
+          }
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
           });
         }
         
-        const formData = await request.formData();
-        const name = formData.get('name')?.trim();
-        const message = formData.get('message')?.trim();
-        let site = formData.get('site')?.trim() || null;
-        const email = formData.get('email')?.trim() || null;
-        const turnstileToken = formData.get('cf-turnstile-response');
-
-        // Input length validation
-        if (name && name.length > 100) {
-          return new Response(JSON.stringify({ success: false, error: 'Name too long (max 300 chars)' }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        if (path.startsWith('/api/bans/lift/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          await env.DB.prepare('DELETE FROM bans WHERE id = ?').bind(id).run();
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
           });
         }
-        if (message && message.length > 2000) {
-          return new Response(JSON.stringify({ success: false, error: 'Message too long (max 5000 chars)' }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        
+        if (path === '/api/import' && request.method === 'POST') {
+          const body = await request.json().catch(() => null);
+          if (!body || typeof body.text !== 'string' || !IMPORT_FORMATS.includes(body.format)) {
+            return new Response(JSON.stringify({ success: false, error: t('api.importRequest') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          let records;
+          try {
+            records = parseImportRecords(body.text, body.format, body.mapping || {}, locale);
+          } catch (e) {
+            return new Response(JSON.stringify({ success: false, error: e.message }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          if (records.length > IMPORT_MAX_ROWS) {
+            return new Response(JSON.stringify({ success: false, error: t('api.importTooMany', { count: records.length, max: IMPORT_MAX_ROWS }) }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          const rows = await prepareImportRows(env, config.BOOK.id, records, locale);
+          const ready = rows.filter(row => row.status === 'ok');
+          let imported = 0;
+          if (!body.dryRun) {
+            // Imported entries are history, not new activity, so no webhooks or notifications
+            imported = await insertImportRows(env, config.BOOK.id, ready, body.approve !== false);
+            ready.forEach(row => { row.status = 'imported'; });
+          }
+          
+          return new Response(JSON.stringify({
+            success: true,
+            dryRun: !!body.dryRun,
+            summary: {
+              total: rows.length,
+              valid: ready.length,
+              duplicates: rows.filter(row => row.status === 'duplicate').length,
+              invalid: rows.filter(row => row.status === 'invalid').length,
+              imported
+            },
+            rows: rows.map(row => ({
+              line: row.line,
+              name: row.name,
+              message: row.message.length > 120 ? row.message.slice(0, 120) + '…' : row.message,
+              created_at: row.created_at,
+              status: row.status,
+              error: row.error || null
+            }))
+          }), {
+            headers: { 'Content-Type': 'application/json' }
           });
         }
-        if (site && site.length > 255) {
-          return new Response(JSON.stringify({ success: false, error: 'URL too long (max 500 chars)' }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        
+        if (path === '/api/restore' && request.method === 'POST') {
+          const body = await request.json().catch(() => null);
+          const status = await getSchemaStatus(env);
+          const error = !body || !['replace', 'merge'].includes(body.mode)
+            ? t('api.restoreRequest')
+            : validateBackup(body.backup, status.currentVersion, locale);
+          if (error) {
+            return new Response(JSON.stringify({ success: false, error }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          try {
+            const summary = await restoreBackup(env, body.backup, { mode: body.mode, dryRun: !!body.dryRun });
+            return new Response(JSON.stringify({ success: true, dryRun: !!body.dryRun, summary }), {
+              headers: { 'Content-Type': 'application/json' }
+            });
+          } catch (e) {
+            return new Response(JSON.stringify({ success: false, error: t('api.restoreFailed', { error: e.message }) }), {
+              status: 500,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+        }
+        
+        if (path === '/api/webhooks' && request.method === 'POST') {
+          const formData = await request.formData();
+          const hookUrl = (formData.get('url') || '').trim();
+          const events = formData.getAll('events').filter(event => WEBHOOK_EVENTS.includes(event));
+          
+          let validUrl = false;
+          try {
+            validUrl = ['http:', 'https:'].includes(new URL(hookUrl).protocol);
+          } catch (e) {
+            validUrl = false;
+          }
+          if (!validUrl || events.length === 0) {
+            return new Response(JSON.stringify({ success: false, error: t('api.webhookInvalid') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          const secret = Array.from(crypto.getRandomValues(new Uint8Array(24))).map(b => b.toString(16).padStart(2, '0')).join('');
+          await env.DB.prepare('INSERT INTO webhooks (url, secret, events, created_at) VALUES (?, ?, ?, datetime("now"))')
+            .bind(hookUrl, secret, events.join(',')).run();
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        if (path.startsWith('/api/webhooks/toggle/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          await env.DB.prepare('UPDATE webhooks SET active = 1 - active WHERE id = ?').bind(id).run();
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        if (path.startsWith('/api/webhooks/delete/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          await env.DB.batch([
+            env.DB.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').bind(id),
+            env.DB.prepare('DELETE FROM webhooks WHERE id = ?').bind(id)
+          ]);
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
           });
         }
-        if (email && email.length > 255) {
-          return new Response(JSON.stringify({ success: false, error: 'Email too long (max 500 chars)' }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+        
+        if (path.startsWith('/api/webhooks/retry/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          const delivery = await env.DB.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').bind(id).first();
+          const webhook = delivery
+            ? await env.DB.prepare('SELECT * FROM webhooks WHERE id = ?').bind(delivery.webhook_id).first()
+            : null;
+          if (!webhook) {
+            return new Response(JSON.stringify({ success: false, error: t('api.deliveryNotFound') }), {
+              status: 404,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          // A single attempt, so the button reports the real outcome
+          const delivered = await attemptWebhookDelivery(env, webhook, delivery);
+          return new Response(JSON.stringify({ success: true, delivered }), {
+            headers: { 'Content-Type': 'application/json' }
           });
         }
         
-        // Validate URL protocol to prevent XSS (javascript: links)
-        if (site) {
+        if (path === '/api/notifications/test' && request.method === 'POST') {
           try {
-            const url = new URL(site);
-            if (!['http:', 'https:'].includes(url.protocol)) {
-              return new Response(JSON.stringify({ success: false, error: 'Invalid website URL. Must start with http:// or https://' }), {
-                status: 400,
-                headers: { 
-                  'Content-Type': 'application/json',
-                  'Access-Control-Allow-Origin': '*'
-                }
-              });
-            }
+            await sendMail(config, {
+              subject: `Test notification from ${config.SITENAME || 'Guestbook'}`,
+              text: 'Notifications are working. You will get an email like this when someone signs your guestbook.',
+              html: '<p>Notifications are working. You will get an email like this when someone signs your guestbook.</p>'
+            });
+            return new Response(JSON.stringify({ success: true }), {
+              headers: { 'Content-Type': 'application/json' }
+            });
           } catch (e) {
-            return new Response(JSON.stringify({ success: false, error: 'Invalid website URL' }), {
-              status: 400,
-              headers: { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-              }
+            return new Response(JSON.stringify({ success: false, error: e.message }), {
+              status: 502,
+              headers: { 'Content-Type': 'application/json' }
             });
           }
         }
         
-        if (!name || !message) {
-          return new Response(JSON.stringify({ success: false, error: 'Name and message are required' }), {
-            status: 400,
-            headers: { 
-              'Content-Type': 'application/json',
-              'Access-Control-Allow-Origin': '*'
-            }
+        if (path === '/api/rate-limits/clear' && request.method === 'POST') {
+          const formData = await request.formData();
+          await env.DB.prepare('DELETE FROM rate_limits WHERE key = ?').bind(formData.get('key') || '').run();
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
           });
         }
         
-        if (config.TURNSTILE_ENABLED && !turnstileToken) {
-          return new Response(JSON.stringify({ success: false, error: 'Turnstile verification required' }), {
-            status: 400,
-            headers: { 
-              'Content-Type': 'application/json',
-              'Access-Control-Allow-Origin': '*'
-            }
+        if (path.startsWith('/api/approve/')) {
+          const id = parseInt(path.split('/').pop());
+          // Approving an entry that is already live isn't an event
+          const [entry] = await getWebhookEntries(env, [id]);
+          const result = await env.DB.prepare(BULK_ACTIONS.approve).bind(id, config.BOOK.id).run();
+          if (result.meta.changes > 0 && !entry.approved) queueWebhookEvent(env, ctx, 'entry.approved', { entry: { ...entry, approved: 1 } });
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
           });
         }
         
-        // Verify Turnstile
-        if (config.TURNSTILE_ENABLED) {
-          const turnstileValid = await verifyTurnstile(turnstileToken, config);
-          if (!turnstileValid) {
-            return new Response(JSON.stringify({ success: false, error: 'Verification failed' }), {
-              status: 400,
-              headers: { 
-                'Content-Type': 'application/json',
-                'Access-Control-Allow-Origin': '*'
-              }
-            });
-          }
+        const flagMatch = path.match(/^\/api\/(unapprove|hide|pin|unpin)\/\d+$/);
+        if (flagMatch) {
+          const id = parseInt(path.split('/').pop());
+          const action = flagMatch[1];
+          await env.DB.prepare(BULK_ACTIONS[action]).bind(id, config.BOOK.id).run();
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
         }
         
-        // Determine approval status based on ENTRY_MODERATION config
-        const approved = config.ENTRY_MODERATION ? 0 : 1;
-        
-        // Insert into database
-        const result = await env.DB.prepare(
-          'INSERT INTO entries (name, message, site, email, created_at, approved) VALUES (?, ?, ?, ?, datetime("now"), ?)'
-        ).bind(name, message, site, email, approved).run();
-        
-        return new Response(JSON.stringify({ success: true, id: result.meta.last_row_id, approved: approved === 1 }), {
-          headers: { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
+        if (path.startsWith('/api/edit/') && request.method === 'POST') {
+          const id = parseInt(path.split('/').pop());
+          const formData = await request.formData();
+          const name = formData.get('name')?.trim();
+          const message = formData.get('message')?.trim();
+          const site = formData.get('site')?.trim() || null;
+          
+          const validationError = validateEntryFields({ name, message, site }, locale);
+          if (validationError) {
+            return new Response(JSON.stringify({ success: false, error: validationError }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
           }
-        });
-      }
-      
-      if (path === '/api/entries') {
-        const url = new URL(request.url);
-        const limit = 20;
-        const cursor = url.searchParams.get('cursor');
-        
-        let query = 'SELECT id, name, message, site, created_at FROM entries WHERE approved = 1';
-        const params = [];
-        
-        if (cursor) {
-          query += ' AND id < ?';
-          params.push(parseInt(cursor));
+          
+          const saved = await saveEntryEdit(env, config.BOOK.id, id, { name, message, site });
+          return new Response(JSON.stringify(saved ? { success: true } : { success: false, error: t('api.entryNotFound') }), {
+            status: saved ? 200 : 404,
+            headers: { 'Content-Type': 'application/json' }
+          });
         }
         
-        query += ' ORDER BY id DESC LIMIT ?';
-        params.push(limit);
-        
-        const entries = await env.DB.prepare(query).bind(...params).all();
-        
-        const results = entries.results || [];
-        const nextCursor = results.length === limit ? results[results.length - 1].id : null;
-        
-        return new Response(JSON.stringify({ 
-          success: true, 
-          entries: results,
-          nextCursor 
-        }), {
-          headers: { 
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Cache-Control': 'public, max-age=60, s-maxage=60'
+        if (path.startsWith('/api/revert/') && request.method === 'POST') {
+          const revisionId = parseInt(path.split('/').pop());
+          const revision = await env.DB.prepare(
+            'SELECT r.* FROM entry_revisions r JOIN entries e ON e.id = r.entry_id WHERE r.id = ? AND e.guestbook_id = ?'
+          ).bind(revisionId, config.BOOK.id).first();
+          if (!revision) {
+            return new Response(JSON.stringify({ success: false, error: t('api.revisionNotFound') }), {
+              status: 404,
+              headers: { 'Content-Type': 'application/json' }
+            });
           }
-        });
-      }
-      
-      // Admin API routes (protected)
-      if (path.startsWith('/api/')) {
-        const username = await verifySession(request, env);
-        if (!username) {
-          return new Response(JSON.stringify({ success: false, error: 'Unauthorized' }), {
-            status: 401,
+          
+          await saveEntryEdit(env, config.BOOK.id, revision.entry_id, revision);
+          return new Response(JSON.stringify({ success: true }), {
             headers: { 'Content-Type': 'application/json' }
           });
         }
-
-        // CSRF Check
-        const origin = request.headers.get('Origin');
-        const urlObj = new URL(request.url);
-        if (origin && origin !== urlObj.origin) {
-          // Relaxed check: allow protocol mismatch (http vs https) if host matches
-          try {
-            const originUrl = new URL(origin);
-            if (originUrl.host !== urlObj.host) {
-              return new Response(JSON.stringify({ 
-                success: false, 
-                error: `CSRF Forbidden: Origin '${origin}' does not match '${urlObj.origin}'` 
-              }), {
-                status: 403,
-                headers: { 'Content-Type': 'application/json' }
-              });
-            }
-          } catch (e) {
-             return new Response(JSON.stringify({ success: false, error: 'CSRF Forbidden: Invalid Origin' }), {
-              status: 403,
+        
+        if (path === '/api/entries/bulk' && request.method === 'POST') {
+          const body = await request.json();
+          
+          if (!BULK_ACTIONS[body.action]) {
+            return new Response(JSON.stringify({ success: false, error: t('api.unknownAction') }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          // Either an explicit list of ids, or every entry matching the admin filter query string
+          let ids;
+          if (typeof body.query === 'string') {
+            const filters = parseAdminEntryFilters(new URL('/admin' + body.query, url.origin));
+            ids = await getMatchingEntryIds(env, { ...filters, bookId: config.BOOK.id });
+          } else if (Array.isArray(body.ids)) {
+            ids = [...new Set(body.ids.map(id => parseInt(id)).filter(id => id > 0))];
+          } else {
+            return new Response(JSON.stringify({ success: false, error: t('api.noSelection') }), {
+              status: 400,
               headers: { 'Content-Type': 'application/json' }
             });
           }
-        }
-
-        if (path === '/api/settings' && request.method === 'POST') {
-          const formData = await request.formData();
-          const settings = {
-            SITENAME: formData.get('SITENAME') || 'Guestbook',
-            SITE_INTRO: formData.get('SITE_INTRO') || '',
-            SITE_DESCRIPTION: formData.get('SITE_DESCRIPTION') || '',
-            SITE_ICON_URL: formData.get('SITE_ICON_URL') || '',
-            SITE_COVER_IMAGE_URL: formData.get('SITE_COVER_IMAGE_URL') || '',
-            NAV_LINKS: formData.get('NAV_LINKS') || '[]',
-            CANONICAL_URL: formData.get('CANONICAL_URL') || '',
-            ALLOW_INDEXING: formData.get('ALLOW_INDEXING') === 'on',
-            ENTRY_MODERATION: formData.get('ENTRY_MODERATION') === 'on',
-            TURNSTILE_ENABLED: formData.get('TURNSTILE_ENABLED') === 'on',
-            TURNSTILE_SITE_KEY: formData.get('TURNSTILE_SITE_KEY') || '',
-            TURNSTILE_SECRET_KEY: formData.get('TURNSTILE_SECRET_KEY') || '',
-            CUSTOM_CSS: formData.get('CUSTOM_CSS') || ''
-          };
           
-          await saveAppSettings(env, settings);
+          // Entries are read before the action: deleted ones are gone afterwards,
+          // and ones that were already approved don't fire entry.approved again
+          const webhookEvent = { approve: 'entry.approved', delete: 'entry.deleted' }[body.action];
+          const notifyWebhooks = webhookEvent && (await getActiveWebhooks(env, webhookEvent)).length > 0;
+          const entriesBefore = notifyWebhooks ? await getWebhookEntries(env, ids) : [];
           
-          return new Response(JSON.stringify({ success: true }), {
+          const results = await applyBulkAction(env, config.BOOK.id, body.action, ids, locale);
+          
+          if (notifyWebhooks) {
+            const succeeded = results.filter(r => r.success).map(r => r.id);
+            const entries = body.action === 'approve'
+              ? entriesBefore.filter(entry => succeeded.includes(entry.id) && !entry.approved).map(entry => ({ ...entry, approved: 1 }))
+              : entriesBefore.filter(entry => succeeded.includes(entry.id));
+            ctx.waitUntil(Promise.all(entries.map(entry =>
+              dispatchWebhookEvent(env, webhookEvent, { entry }).catch(e => console.error(`Failed to dispatch ${webhookEvent} webhook`, e))
+            )));
+          }
+          return new Response(JSON.stringify({ 
+            success: true, 
+            succeeded: results.filter(r => r.success).length,
+            results 
+          }), {
             headers: { 'Content-Type': 'application/json' }
           });
         }
         
-        if (path.startsWith('/api/approve/')) {
+        if (path.startsWith('/api/reply/') && request.method === 'POST') {
           const id = parseInt(path.split('/').pop());
-          await env.DB.prepare('UPDATE entries SET approved = 1 WHERE id = ?').bind(id).run();
+          const formData = await request.formData();
+          const reply = formData.get('reply')?.trim() || null;
+          
+          if (reply && reply.length > 2000) {
+            return new Response(JSON.stringify({ success: false, error: t('api.replyTooLong', { max: 2000 }) }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          
+          // An empty reply removes it
+          await env.DB.prepare(
+            'UPDATE entries SET reply = ?, replied_at = CASE WHEN ? IS NULL THEN NULL ELSE datetime("now") END WHERE id = ? AND guestbook_id = ?'
+          ).bind(reply, reply, id, config.BOOK.id).run();
           return new Response(JSON.stringify({ success: true }), {
             headers: { 'Content-Type': 'application/json' }
           });
@@ -2268,28 +10763,75 @@ export default {
         
         if (path.startsWith('/api/delete/')) {
           const id = parseInt(path.split('/').pop());
-          await env.DB.prepare('DELETE FROM entries WHERE id = ?').bind(id).run();
+          const [entry] = await getWebhookEntries(env, [id]);
+          const result = await env.DB.prepare(BULK_ACTIONS.delete).bind(id, config.BOOK.id).run();
+          if (result.meta.changes > 0) queueWebhookEvent(env, ctx, 'entry.deleted', { entry });
           return new Response(JSON.stringify({ success: true }), {
             headers: { 'Content-Type': 'application/json' }
           });
         }
       }
       
+      // Signed moderation links from notification emails.
+      // GET only shows a confirmation so link scanners in mail clients can't trigger the action.
+      if (path === '/moderate') {
+        const token = request.method === 'POST'
+          ? (await request.formData()).get('t')
+          : url.searchParams.get('t');
+        const moderation = await verifyModerationToken(env, token);
+        config.LOCALE = getRequestLocale(request, config);
+        
+        if (!moderation) {
+          return new Response(getModerateHTML(config, { error: translate(ADMIN_MESSAGES, config.LOCALE, 'moderate.invalidLink') }), {
+            status: 400,
+            headers: { 'Content-Type': 'text/html' }
+          });
+        }
+        
+        const entry = await env.DB.prepare('SELECT * FROM entries WHERE id = ?').bind(moderation.entryId).first();
+        if (!entry) {
+          return new Response(getModerateHTML(config, { error: translate(ADMIN_MESSAGES, config.LOCALE, 'moderate.missingEntry') }), {
+            status: 404,
+            headers: { 'Content-Type': 'text/html' }
+          });
+        }
+        
+        if (request.method === 'POST') {
+          const sql = moderation.action === 'approve' ? BULK_ACTIONS.approve : BULK_ACTIONS.delete;
+          const [webhookEntry] = await getWebhookEntries(env, [entry.id]);
+          await env.DB.prepare(sql).bind(entry.id, entry.guestbook_id).run();
+          if (moderation.action === 'delete') {
+            queueWebhookEvent(env, ctx, 'entry.deleted', { entry: webhookEntry });
+          } else if (!webhookEntry.approved) {
+            queueWebhookEvent(env, ctx, 'entry.approved', { entry: { ...webhookEntry, approved: 1 } });
+          }
+          return new Response(getModerateHTML(config, { entry, action: moderation.action, done: true }), {
+            headers: { 'Content-Type': 'text/html' }
+          });
+        }
+        
+        return new Response(getModerateHTML(config, { entry, action: moderation.action, token }), {
+          headers: { 'Content-Type': 'text/html' }
+        });
+      }
+      
       // Login routes
       if (path === '/login') {
         if (request.method === 'POST') {
           const formData = await request.formData();
           const password = formData.get('password');
           
-          if (!password || !config.ADMIN_PASSWORD) {
+          if (!password) {
             return new Response(JSON.stringify({ success: false }), {
               status: 401,
               headers: { 'Content-Type': 'application/json' }
             });
           }
           
-          if (await checkPassword(password, config.ADMIN_PASSWORD)) {
-            const sessionToken = await createSessionToken(env);
+          const user = await authenticateUser(env, formData.get('username'), password);
+          if (user) {
+            const sessionToken = await createSession(env, request, user.id);
+            ctx.waitUntil(pruneSessions(env).catch(e => console.error('Failed to prune sessions', e)));
             return new Response(JSON.stringify({ success: true }), {
               headers: {
                 'Content-Type': 'application/json',
@@ -2305,12 +10847,13 @@ export default {
         }
         
         // If already logged in, redirect to admin
-        const username = await verifySession(request, env);
-        if (username) {
+        if (await verifySession(request, env)) {
           return Response.redirect(url.origin + '/admin', 302);
         }
         
-        return new Response(getLoginHTML(config), {
+        const firstLogin = await env.DB.prepare('SELECT COUNT(*) AS count FROM users').first('count') === 0;
+        config.LOCALE = getRequestLocale(request, config);
+        return new Response(getLoginHTML(config, { firstLogin }), {
           headers: { 'Content-Type': 'text/html' }
         });
       }
@@ -2338,6 +10881,12 @@ export default {
           }
         }
 
+        // End the session on the server too, so a copy of the cookie stops working
+        const sessionId = await getSessionId(request, env);
+        if (sessionId) {
+          await env.DB.prepare('DELETE FROM sessions WHERE id = ?').bind(sessionId).run();
+        }
+
         return new Response(JSON.stringify({ success: true }), {
           headers: {
             'Content-Type': 'application/json',
@@ -2348,10 +10897,31 @@ export default {
       
       // Admin Pages
       if (path.startsWith('/admin')) {
-        const username = await verifySession(request, env);
-        if (!username) {
+        const user = await verifySession(request, env);
+        if (!user) {
           return Response.redirect(new URL('/login', request.url), 302);
         }
+        config.USER = user;
+        config.LOCALE = getRequestLocale(request, config);
+        
+        // Settings, data and schema pages are for owners; everyone can see entries, the embed code and their account
+        if (/^\/admin\/(settings|backup|import|schema)$/.test(path) && !hasRole(user, 'owner')) {
+          return new Response(translate(ADMIN_MESSAGES, config.LOCALE, 'nav.forbidden'), { status: 403 });
+        }
+        
+        if (path === '/admin/book') {
+          const book = await getGuestbook(env, url.searchParams.get('slug') || '');
+          const next = url.searchParams.get('next') || '';
+          return new Response(null, {
+            status: 302,
+            headers: {
+              'Location': next.startsWith('/admin') ? next : '/admin',
+              'Set-Cookie': `${BOOK_COOKIE_NAME}=${book ? book.slug : DEFAULT_BOOK.slug}; Path=/; HttpOnly; Secure; SameSite=Lax`
+            }
+          });
+        }
+        
+        config.BOOKS = await getGuestbooks(env);
         
         if (path === '/admin/embed') {
           // Use configured API_URL or fallback to current origin
@@ -2362,17 +10932,57 @@ export default {
         }
 
         if (path === '/admin/settings') {
-          return new Response(getSettingsHTML(config), {
+          const throttled = await getThrottledClients(env, config);
+          const bans = await getActiveBans(env);
+          const { webhooks, deliveries } = await getWebhookSettingsData(env);
+          return new Response(getSettingsHTML(config, { throttled, bans, webhooks, deliveries, books: config.BOOKS }), {
+            headers: { 'Content-Type': 'text/html' }
+          });
+        }
+
+        if (path === '/admin/backup') {
+          const backup = await createBackup(env, { redact: url.searchParams.get('secrets') !== '1' });
+          const filename = `mygb-backup-${backup.created_at.slice(0, 10)}.json`;
+          return new Response(JSON.stringify(backup, null, 2), {
+            headers: {
+              'Content-Type': 'application/json',
+              'Content-Disposition': `attachment; filename="${filename}"`,
+              'Cache-Control': 'no-store'
+            }
+          });
+        }
+
+        if (path === '/admin/import') {
+          return new Response(getImportHTML(config), {
+            headers: { 'Content-Type': 'text/html' }
+          });
+        }
+
+        if (path === '/admin/sessions') {
+          const sessions = await getSessions(env, hasRole(user, 'owner') ? null : user.id);
+          return new Response(getSessionsHTML(sessions, config), {
+            headers: { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' }
+          });
+        }
+
+        if (path === '/admin/users') {
+          const users = hasRole(user, 'owner') ? await getUsers(env) : [];
+          return new Response(getUsersHTML(users, config), {
+            headers: { 'Content-Type': 'text/html' }
+          });
+        }
+
+        if (path === '/admin/schema') {
+          const status = await getSchemaStatus(env);
+          return new Response(getSchemaHTML(status, config), {
             headers: { 'Content-Type': 'text/html' }
           });
         }
 
         // Default admin page (entries)
-        const entries = await env.DB.prepare(
-          'SELECT * FROM entries ORDER BY created_at DESC LIMIT 100'
-        ).all();
+        const listing = await getAdminEntries(env, { ...parseAdminEntryFilters(url), bookId: config.BOOK.id });
         
-        return new Response(getAdminHTML(entries.results || [], config), {
+        return new Response(getAdminHTML(listing, config), {
           headers: { 'Content-Type': 'text/html' }
         });
       }
@@ -2387,18 +10997,72 @@ export default {
         });
       }
 
-      // Public Data Export (JSON)
-      if (path === '/data.json') {
-        const entries = await env.DB.prepare(
-          'SELECT name, message, site, created_at FROM entries WHERE approved = 1 ORDER BY created_at DESC'
-        ).all();
+      // Generated avatars; the key is already a hash, so the image never changes
+      const avatarMatch = path.match(/^\/avatar\/([0-9a-f]{32})\.svg$/);
+      if (avatarMatch) {
+        return new Response(getIdenticonSVG(avatarMatch[1]), {
+          headers: {
+            'Content-Type': 'image/svg+xml',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'public, max-age=31536000, immutable'
+          }
+        });
+      }
+
+      // Entry permalink
+      const entryMatch = path.match(/^\/entry\/(\d+)$/);
+      if (entryMatch) {
+        const entry = await env.DB.prepare(
+          'SELECT id, name, message, site, created_at, reply, replied_at, pinned, custom_fields FROM entries WHERE id = ? AND guestbook_id = ? AND approved = 1'
+        ).bind(parseInt(entryMatch[1]), config.BOOK.id).first();
+        if (!entry) {
+          return new Response('Not Found', { status: 404 });
+        }
         
-        const results = (entries.results || []).map(entry => ({
-          ...entry,
-          created_at: entry.created_at ? entry.created_at.replace(' ', 'T') + 'Z' : null
-        }));
+        if (config.REACTIONS_ENABLED) await attachReactions(env, [entry]);
+        await attachAvatars(env, config, url.origin, [entry]);
+        attachCustomFields(config, [entry]);
+        config.LOCALE = getRequestLocale(request, config);
+        return new Response(getEntryPageHTML(entry, config, url.origin), {
+          headers: { 
+            'Content-Type': 'text/html',
+            'Content-Language': config.LOCALE,
+            'Cache-Control': 'public, max-age=60, s-maxage=60',
+            'Vary': 'Accept-Language'
+          }
+        });
+      }
+
+      // Feeds
+      if (path === '/feed.json' && config.FEEDS_ENABLED) {
+        const entries = await getFeedEntries(env, config.BOOK.id);
+        return new Response(JSON.stringify(getJsonFeed(entries, config, url.origin + bookUrl(config, '')), null, 2), {
+          headers: {
+            'Content-Type': 'application/feed+json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'public, max-age=300'
+          }
+        });
+      }
+
+      if ((path === '/feed.xml' || path === '/atom.xml') && config.FEEDS_ENABLED) {
+        const entries = await getFeedEntries(env, config.BOOK.id);
+        const isRss = path === '/feed.xml';
+        const bookOrigin = url.origin + bookUrl(config, '');
+        const body = isRss ? getRssFeed(entries, config, bookOrigin) : getAtomFeed(entries, config, bookOrigin);
         
-        return new Response(JSON.stringify(results, null, 2), {
+        return new Response(body, {
+          headers: {
+            'Content-Type': isRss ? 'application/rss+xml; charset=utf-8' : 'application/atom+xml; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'public, max-age=300'
+          }
+        });
+      }
+
+      // Public Data Export (JSON)
+      if (path === '/data.json') {
+        return new Response(streamApprovedEntriesJson(env, config), {
           headers: {
             'Content-Type': 'application/json',
             'Access-Control-Allow-Origin': '*',
@@ -2410,13 +11074,16 @@ export default {
       // Public Data Export (CSV)
       if (path === '/data.csv') {
         const entries = await env.DB.prepare(
-          'SELECT name, message, site, created_at FROM entries WHERE approved = 1 ORDER BY created_at DESC'
-        ).all();
+          'SELECT name, message, site, created_at, custom_fields FROM entries WHERE guestbook_id = ? AND approved = 1 ORDER BY created_at DESC'
+        ).bind(config.BOOK.id).all();
         
         const results = entries.results || [];
+        // One extra column per public custom field
+        const fields = getCustomFields(config).filter(field => field.public);
+        const csvCell = value => '"' + String(value || '').replace(/"/g, '""') + '"';
         
         // CSV Header
-        let csv = 'Name,Message,Website,Date\n';
+        let csv = ['Name', 'Message', 'Website', 'Date', ...fields.map(field => csvCell(field.label))].join(',') + '\n';
         
         // CSV Rows
         for (const entry of results) {
@@ -2430,7 +11097,8 @@ export default {
             date = date.replace(' ', 'T') + 'Z';
           }
           
-          csv += `"${name}","${message}","${site}","${date}"\n`;
+          const values = parseCustomFieldValues(entry.custom_fields);
+          csv += [`"${name}","${message}","${site}","${date}"`, ...fields.map(field => csvCell(values[field.key]))].join(',') + '\n';
         }
         
         return new Response(csv, {
@@ -2446,13 +11114,23 @@ export default {
       // Index page
       if (path === '/') {
         const entries = await env.DB.prepare(
-          'SELECT id, name, message, site, created_at FROM entries WHERE approved = 1 ORDER BY id DESC LIMIT 20'
-        ).all();
+          'SELECT id, name, message, site, created_at, reply, replied_at, pinned, custom_fields FROM entries WHERE guestbook_id = ? AND approved = 1 AND pinned = 0 ORDER BY id DESC LIMIT 20'
+        ).bind(config.BOOK.id).all();
         
-        return new Response(getIndexHTML(entries.results || [], config, url.hostname), {
+        const results = entries.results || [];
+        if (config.REACTIONS_ENABLED) await attachReactions(env, results);
+        await attachAvatars(env, config, url.origin, results);
+        attachCustomFields(config, results);
+        const pinned = await getPinnedEntries(env, config, url.origin);
+        config.LOCALE = getRequestLocale(request, config);
+        // ?theme= previews a built-in theme, used by the theme editor in settings
+        config.THEME_PREVIEW = url.searchParams.get('theme');
+        return new Response(getIndexHTML(results, config, url.hostname, pinned), {
           headers: { 
             'Content-Type': 'text/html',
-            'Cache-Control': 'public, max-age=60, s-maxage=60'
+            'Content-Language': config.LOCALE,
+            'Cache-Control': 'public, max-age=60, s-maxage=60',
+            'Vary': 'Accept-Language'
           }
         });
       }